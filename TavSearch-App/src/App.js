@@ -6,6 +6,7 @@ import { Toaster } from 'react-hot-toast';
 import Dashboard from './components/Dashboard';
 import AnalysisProgress from './components/AnalysisProgress';
 import AnalysisResults from './components/AnalysisResults';
+import AnalysisComparison from './components/AnalysisComparison';
 import RecentAnalyses from './components/RecentAnalyses';
 import SystemStatus from './components/SystemStatus';
 import AnalyticsDashboard from './components/AnalyticsDashboard';
@@ -39,7 +40,7 @@ const AppContent = () => {
   };
 
   // UPDATED: Analysis workflow with navigation
-  const handleStartAnalysis = async (query) => {
+  const handleStartAnalysis = async (query, { template } = {}) => {
     try {
       addToast('Starting multi-agent analysis...', 'info');
 
@@ -49,6 +50,7 @@ const AppContent = () => {
         priority: 1,
         tags: ['market-research'],
         framework: 'langchain-multiagent',
+        template,
         options: {
           searchDepth: 'advanced',
           maxResults: 15,
@@ -160,6 +162,8 @@ const AppContent = () => {
           }
         />
 
+        <Route path="/compare" element={<AnalysisComparison />} />
+
         <Route path="/analytics" element={<AnalyticsDashboard />} />
 
         <Route
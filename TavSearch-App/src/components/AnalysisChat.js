@@ -0,0 +1,203 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { motion } from 'framer-motion';
+import { MessageSquare, Send, ExternalLink, User, Brain } from 'lucide-react';
+import toast from 'react-hot-toast';
+import { api } from '../services/api';
+
+const SUGGESTED_QUESTIONS = [
+  'Which companies are mentioned most often?',
+  'What evidence supports the main growth trend?',
+  'What risks do the sources disagree on?',
+];
+
+// Answers cite sources as [n]; render those markers as links to the cited source
+const renderAnswer = (content, citations = []) =>
+  content.split(/(\[\d+\])/g).map((part, index) => {
+    const match = part.match(/^\[(\d+)\]$/);
+    const citation = match && citations.find((item) => item.marker === Number(match[1]));
+    if (!citation) return <span key={index}>{part}</span>;
+
+    return (
+      <a
+        key={index}
+        href={citation.url}
+        target="_blank"
+        rel="noopener noreferrer"
+        title={citation.title}
+        className="text-blue-600 hover:text-blue-800 font-medium"
+      >
+        {part}
+      </a>
+    );
+  });
+
+const AnalysisChat = ({ queryId }) => {
+  const [messages, setMessages] = useState([]);
+  const [question, setQuestion] = useState('');
+  const [asking, setAsking] = useState(false);
+  const [loadingThread, setLoadingThread] = useState(true);
+  const bottomRef = useRef(null);
+
+  useEffect(() => {
+    let active = true;
+
+    api
+      .getConversation(queryId)
+      .then((response) => {
+        if (active) setMessages(response.data?.messages || []);
+      })
+      .catch(() => {
+        if (active) setMessages([]);
+      })
+      .finally(() => {
+        if (active) setLoadingThread(false);
+      });
+
+    return () => {
+      active = false;
+    };
+  }, [queryId]);
+
+  useEffect(() => {
+    bottomRef.current?.scrollIntoView({ behavior: 'smooth' });
+  }, [messages, asking]);
+
+  const handleAsk = async (text = question) => {
+    const trimmed = text.trim();
+    if (trimmed.length < 3 || asking) return;
+
+    setAsking(true);
+    setQuestion('');
+    // Show the question straight away; the server's thread replaces it with the answer
+    setMessages((current) => [...current, { role: 'user', content: trimmed, pending: true }]);
+
+    try {
+      const response = await api.askQuestion(queryId, trimmed);
+      setMessages(response.data.messages);
+    } catch (error) {
+      setMessages((current) => current.filter((message) => !message.pending));
+      setQuestion(trimmed);
+      toast.error(`Failed to answer question: ${error.message}`);
+    } finally {
+      setAsking(false);
+    }
+  };
+
+  const handleSubmit = (event) => {
+    event.preventDefault();
+    handleAsk();
+  };
+
+  return (
+    <div className="flex flex-col space-y-4">
+      <div className="flex items-center justify-between">
+        <h3 className="text-lg font-semibold text-gray-900">Ask About This Analysis</h3>
+        <span className="text-xs text-gray-500">Answers use only this analysis' sources</span>
+      </div>
+
+      <div className="bg-gray-50 rounded-lg border p-4 h-96 overflow-y-auto space-y-4">
+        {loadingThread ? (
+          <div className="flex items-center justify-center h-full">
+            <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600"></div>
+          </div>
+        ) : messages.length === 0 ? (
+          <div className="text-center py-8">
+            <MessageSquare className="h-12 w-12 text-gray-400 mx-auto mb-4" />
+            <p className="text-gray-500 mb-4">
+              Ask a follow-up question about the sources behind this analysis.
+            </p>
+            <div className="flex flex-wrap justify-center gap-2">
+              {SUGGESTED_QUESTIONS.map((suggestion) => (
+                <button
+                  key={suggestion}
+                  onClick={() => handleAsk(suggestion)}
+                  className="px-3 py-1 text-sm text-blue-600 border border-blue-200 rounded-full hover:bg-blue-50"
+                >
+                  {suggestion}
+                </button>
+              ))}
+            </div>
+          </div>
+        ) : (
+          messages.map((message, index) => (
+            <motion.div
+              key={message._id || index}
+              initial={{ opacity: 0, y: 10 }}
+              animate={{ opacity: 1, y: 0 }}
+              className={`flex items-start space-x-3 ${message.role === 'user' ? 'justify-end' : ''}`}
+            >
+              {message.role === 'assistant' && (
+                <Brain className="h-5 w-5 text-purple-600 mt-1 flex-shrink-0" />
+              )}
+              <div
+                className={`max-w-2xl rounded-lg p-3 text-sm ${
+                  message.role === 'user'
+                    ? 'bg-blue-600 text-white'
+                    : 'bg-white border border-gray-200 text-gray-800'
+                }`}
+              >
+                <p className="whitespace-pre-wrap">
+                  {message.role === 'assistant'
+                    ? renderAnswer(message.content, message.citations)
+                    : message.content}
+                </p>
+
+                {message.citations?.length > 0 && (
+                  <ol className="mt-3 pt-2 border-t border-gray-100 space-y-1">
+                    {message.citations.map((citation) => (
+                      <li key={citation.marker} className="text-xs text-gray-600">
+                        <a
+                          href={citation.url}
+                          target="_blank"
+                          rel="noopener noreferrer"
+                          className="inline-flex items-center space-x-1 hover:text-blue-600"
+                        >
+                          <span className="font-medium">[{citation.marker}]</span>
+                          <span className="truncate max-w-md">{citation.title}</span>
+                          <ExternalLink className="h-3 w-3" />
+                        </a>
+                      </li>
+                    ))}
+                  </ol>
+                )}
+              </div>
+              {message.role === 'user' && (
+                <User className="h-5 w-5 text-blue-600 mt-1 flex-shrink-0" />
+              )}
+            </motion.div>
+          ))
+        )}
+
+        {asking && (
+          <div className="flex items-center space-x-2 text-sm text-gray-500">
+            <Brain className="h-5 w-5 text-purple-600 animate-pulse" />
+            <span>Reading the sources...</span>
+          </div>
+        )}
+        <div ref={bottomRef} />
+      </div>
+
+      <form onSubmit={handleSubmit} className="flex items-center space-x-3">
+        <input
+          type="text"
+          value={question}
+          onChange={(event) => setQuestion(event.target.value)}
+          placeholder="e.g. Which competitors are expanding fastest?"
+          maxLength={1000}
+          disabled={asking}
+          className="flex-1 px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+        />
+        <button
+          type="submit"
+          disabled={asking || question.trim().length < 3}
+          className="bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 disabled:opacity-50 inline-flex items-center space-x-2"
+        >
+          <Send className="h-4 w-4" />
+          <span>Ask</span>
+        </button>
+      </form>
+    </div>
+  );
+};
+
+export default AnalysisChat;
@@ -0,0 +1,253 @@
+import React, { useState, useEffect } from 'react';
+import { useNavigate, useSearchParams } from 'react-router-dom';
+import { motion } from 'framer-motion';
+import {
+  ArrowLeft,
+  ArrowRight,
+  TrendingUp,
+  TrendingDown,
+  Minus,
+  Users,
+  AlertTriangle,
+  CheckCircle,
+  Globe,
+  GitCompare,
+  Plus,
+  X,
+} from 'lucide-react';
+import toast from 'react-hot-toast';
+import { api } from '../services/api';
+
+const SECTIONS = [
+  { key: 'trends', title: 'Market Trends', icon: TrendingUp, color: 'text-purple-600' },
+  { key: 'players', title: 'Key Players', icon: Users, color: 'text-blue-600' },
+  { key: 'risks', title: 'Risk Factors', icon: AlertTriangle, color: 'text-orange-600' },
+  { key: 'recommendations', title: 'Recommendations', icon: CheckCircle, color: 'text-green-600' },
+];
+
+const percent = (value) => `${Math.round((value || 0) * 100)}%`;
+
+const AnalysisHeader = ({ label, analysis, onOpen }) => (
+  <div className="bg-white rounded-lg border border-gray-200 p-4 flex-1 min-w-0">
+    <p className="text-xs font-medium text-gray-500 uppercase mb-1">{label}</p>
+    <button
+      onClick={onOpen}
+      className="text-left font-semibold text-gray-900 hover:text-blue-600 truncate w-full"
+      title={analysis.query}
+    >
+      {analysis.query}
+    </button>
+    <div className="flex flex-wrap gap-x-4 text-xs text-gray-500 mt-2">
+      <span>{new Date(analysis.completedAt || analysis.createdAt).toLocaleDateString()}</span>
+      <span>{analysis.totalSources} sources</span>
+      <span>Confidence: {analysis.dataConfidence || 'N/A'}</span>
+    </div>
+  </div>
+);
+
+const ConfidenceChange = ({ confidence }) => {
+  const Icon =
+    confidence.direction === 'increased'
+      ? TrendingUp
+      : confidence.direction === 'decreased'
+        ? TrendingDown
+        : Minus;
+  const color =
+    confidence.direction === 'increased'
+      ? 'text-green-600'
+      : confidence.direction === 'decreased'
+        ? 'text-red-600'
+        : 'text-gray-500';
+
+  return (
+    <div className="bg-white rounded-lg border border-gray-200 p-4">
+      <p className="text-sm text-gray-600 mb-2">Data Confidence</p>
+      <div className="flex items-center space-x-2">
+        <span className="font-semibold text-gray-900">{confidence.from || 'N/A'}</span>
+        <ArrowRight className="h-4 w-4 text-gray-400" />
+        <span className="font-semibold text-gray-900">{confidence.to || 'N/A'}</span>
+        <Icon className={`h-5 w-5 ${color}`} />
+      </div>
+      <p className={`text-xs mt-1 ${color}`}>{confidence.direction}</p>
+    </div>
+  );
+};
+
+const SourceOverlap = ({ sources }) => (
+  <div className="bg-white rounded-lg border border-gray-200 p-4 md:col-span-2">
+    <p className="text-sm text-gray-600 mb-2 flex items-center">
+      <Globe className="h-4 w-4 mr-1 text-blue-600" />
+      Source Overlap
+    </p>
+    <div className="grid grid-cols-3 gap-4 text-center">
+      <div>
+        <p className="text-2xl font-bold text-gray-900">{sources.shared}</p>
+        <p className="text-xs text-gray-500">shared sources ({percent(sources.overlap)})</p>
+      </div>
+      <div>
+        <p className="text-2xl font-bold text-gray-900">{sources.onlyInBase}</p>
+        <p className="text-xs text-gray-500">only in base</p>
+      </div>
+      <div>
+        <p className="text-2xl font-bold text-gray-900">{sources.onlyInCompared}</p>
+        <p className="text-xs text-gray-500">only in compared</p>
+      </div>
+    </div>
+    {sources.domains?.shared?.length > 0 && (
+      <p className="text-xs text-gray-500 mt-3 truncate">
+        Shared domains ({percent(sources.domains.overlap)}): {sources.domains.shared.join(', ')}
+      </p>
+    )}
+  </div>
+);
+
+const DiffList = ({ items, added }) => (
+  <ul className="space-y-2">
+    {items.map((item, index) => (
+      <li
+        key={index}
+        className={`flex items-start space-x-2 text-sm rounded p-2 ${
+          added ? 'bg-green-50 text-green-900' : 'bg-red-50 text-red-900'
+        }`}
+      >
+        {added ? (
+          <Plus className="h-4 w-4 mt-0.5 flex-shrink-0" />
+        ) : (
+          <X className="h-4 w-4 mt-0.5 flex-shrink-0" />
+        )}
+        <span>{item}</span>
+      </li>
+    ))}
+  </ul>
+);
+
+const AnalysisComparison = () => {
+  const [searchParams] = useSearchParams();
+  const navigate = useNavigate();
+  const [comparison, setComparison] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const ids = searchParams.get('ids') || '';
+
+  useEffect(() => {
+    let active = true;
+    setLoading(true);
+    setError(null);
+
+    api
+      .compareAnalyses(ids.split(','))
+      .then((response) => {
+        if (active) setComparison(response.data);
+      })
+      .catch((err) => {
+        if (!active) return;
+        setError(err.message);
+        toast.error(`Failed to compare analyses: ${err.message}`);
+      })
+      .finally(() => {
+        if (active) setLoading(false);
+      });
+
+    return () => {
+      active = false;
+    };
+  }, [ids]);
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center py-24">
+        <div className="animate-spin rounded-full h-10 w-10 border-b-2 border-blue-600"></div>
+      </div>
+    );
+  }
+
+  if (error || !comparison) {
+    return (
+      <div className="max-w-xl mx-auto text-center py-16">
+        <GitCompare className="h-12 w-12 text-gray-400 mx-auto mb-4" />
+        <p className="text-gray-700 mb-2">These analyses could not be compared.</p>
+        <p className="text-sm text-gray-500 mb-6">{error}</p>
+        <button
+          onClick={() => navigate('/history')}
+          className="bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700"
+        >
+          Back to History
+        </button>
+      </div>
+    );
+  }
+
+  const { base, compared, diff } = comparison;
+
+  return (
+    <div className="max-w-6xl mx-auto space-y-6">
+      <div className="flex items-center space-x-3">
+        <button
+          onClick={() => navigate('/history')}
+          className="p-2 text-gray-500 hover:text-gray-700 rounded-lg hover:bg-gray-100"
+          title="Back to history"
+        >
+          <ArrowLeft className="h-5 w-5" />
+        </button>
+        <h2 className="text-2xl font-bold text-gray-900">Compare Analyses</h2>
+      </div>
+
+      <div className="flex flex-col md:flex-row items-stretch gap-4">
+        <AnalysisHeader
+          label="Base"
+          analysis={base}
+          onOpen={() => navigate(`/analysis/${base.queryId}`)}
+        />
+        <ArrowRight className="h-6 w-6 text-gray-400 self-center hidden md:block" />
+        <AnalysisHeader
+          label="Compared"
+          analysis={compared}
+          onOpen={() => navigate(`/analysis/${compared.queryId}`)}
+        />
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+        <ConfidenceChange confidence={diff.confidence} />
+        <SourceOverlap sources={diff.sources} />
+      </div>
+
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+        {SECTIONS.map(({ key, title, icon: Icon, color }, index) => {
+          const section = diff[key] || { added: [], removed: [], shared: 0 };
+          const unchanged = !section.added.length && !section.removed.length;
+
+          return (
+            <motion.div
+              key={key}
+              initial={{ opacity: 0, y: 20 }}
+              animate={{ opacity: 1, y: 0 }}
+              transition={{ delay: index * 0.1 }}
+              className="bg-white rounded-lg border border-gray-200 p-6"
+            >
+              <div className="flex items-center justify-between mb-4">
+                <h3 className="font-semibold text-gray-900 flex items-center">
+                  <Icon className={`h-5 w-5 mr-2 ${color}`} />
+                  {title}
+                </h3>
+                <span className="text-xs text-gray-500">
+                  +{section.added.length} / -{section.removed.length} / {section.shared} shared
+                </span>
+              </div>
+
+              {unchanged ? (
+                <p className="text-sm text-gray-500">No differences.</p>
+              ) : (
+                <div className="space-y-3">
+                  {section.added.length > 0 && <DiffList items={section.added} added />}
+                  {section.removed.length > 0 && <DiffList items={section.removed} />}
+                </div>
+              )}
+            </motion.div>
+          );
+        })}
+      </div>
+    </div>
+  );
+};
+
+export default AnalysisComparison;
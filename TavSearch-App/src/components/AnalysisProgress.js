@@ -15,7 +15,6 @@ import {
   ArrowLeft,
   AlertCircle,
   Zap,
-  Database,
   TrendingUp,
   Shield,
 } from 'lucide-react';
@@ -29,24 +28,22 @@ const AnalysisProgress = ({ analysis: propAnalysis, onComplete, onError }) => {
 
   // State management
   const [analysis, setAnalysis] = useState(propAnalysis || null);
-  const [progress, setProgress] = useState({ current: 0, total: 6, percentage: 0 });
-  const [currentStep, setCurrentStep] = useState('initializing');
+  const [progress, setProgress] = useState({ current: 0, total: 5, percentage: 0 });
   const [isLoading, setIsLoading] = useState(false);
   const [error, setError] = useState(null);
-  const [agentMessages, setAgentMessages] = useState([]);
+  const [agentStatuses, setAgentStatuses] = useState({});
+  const [sourcesFound, setSourcesFound] = useState(0);
   const [elapsedTime, setElapsedTime] = useState(0);
-  const [estimatedTimeRemaining, setEstimatedTimeRemaining] = useState(null);
-  const [isPolling, setIsPolling] = useState(false);
-  const [pollCount, setPollCount] = useState(0);
+  const [connectionState, setConnectionState] = useState(null);
 
   // Refs for cleanup
-  const pollInterval = useRef(null);
+  const closeStream = useRef(null);
   const timeInterval = useRef(null);
 
-  // Complete 6-agent workflow steps based on your backend
+  // One step per agent in the LangChain workflow; ids match the agent names in progress events
   const agentSteps = [
     {
-      id: 'planning_search',
+      id: 'planner',
       name: 'Search Planning',
       agent: 'Planner Agent',
       icon: Target,
@@ -55,7 +52,7 @@ const AnalysisProgress = ({ analysis: propAnalysis, onComplete, onError }) => {
       estimatedDuration: 15,
     },
     {
-      id: 'gathering_data',
+      id: 'searcher',
       name: 'Data Collection',
       agent: 'Search Agent',
       icon: Search,
@@ -64,16 +61,7 @@ const AnalysisProgress = ({ analysis: propAnalysis, onComplete, onError }) => {
       estimatedDuration: 45,
     },
     {
-      id: 'processing_data',
-      name: 'Data Processing',
-      agent: 'Analysis Agent',
-      icon: Database,
-      description: 'Cleaning and structuring collected market information',
-      color: 'green',
-      estimatedDuration: 30,
-    },
-    {
-      id: 'analyzing_trends',
+      id: 'analyzer',
       name: 'Trend Analysis',
       agent: 'Analysis Agent',
       icon: TrendingUp,
@@ -82,7 +70,7 @@ const AnalysisProgress = ({ analysis: propAnalysis, onComplete, onError }) => {
       estimatedDuration: 40,
     },
     {
-      id: 'generating_report',
+      id: 'synthesizer',
       name: 'Report Generation',
       agent: 'Synthesis Agent',
       icon: FileText,
@@ -91,16 +79,18 @@ const AnalysisProgress = ({ analysis: propAnalysis, onComplete, onError }) => {
       estimatedDuration: 35,
     },
     {
-      id: 'creating_visualizations',
+      id: 'validator',
       name: 'Validation & Quality Check',
       agent: 'Validator Agent',
       icon: Shield,
-      description: 'Ensuring report quality and generating visualizations',
+      description: 'Ensuring report quality and completeness',
       color: 'emerald',
       estimatedDuration: 25,
     },
   ];
 
+  const isActiveStatus = (status) => ['queued', 'pending', 'processing'].includes(status);
+
   // Load analysis from URL if not provided via props
   useEffect(() => {
     if (!analysis && queryId) {
@@ -108,22 +98,21 @@ const AnalysisProgress = ({ analysis: propAnalysis, onComplete, onError }) => {
     }
   }, [queryId]);
 
-  // Start polling when analysis is processing
+  // Follow the live event stream while the analysis is queued or running
   useEffect(() => {
-    if (analysis && analysis.status === 'processing') {
-      startPolling();
+    if (analysis && isActiveStatus(analysis.status)) {
+      startStream();
       startTimer();
     } else {
-      // Stop polling if analysis is not processing
-      stopPolling();
+      stopStream();
       stopTimer();
     }
 
     return () => {
-      stopPolling();
+      stopStream();
       stopTimer();
     };
-  }, [analysis?.status, analysis?.queryId]);
+  }, [isActiveStatus(analysis?.status), analysis?.queryId]);
 
   const loadAnalysisFromUrl = async () => {
     setIsLoading(true);
@@ -163,133 +152,97 @@ const AnalysisProgress = ({ analysis: propAnalysis, onComplete, onError }) => {
     }
   };
 
-  const startPolling = () => {
-    // Don't start if already polling
-    if (pollInterval.current) {
-      console.log('Polling already active, not starting new interval');
-      return;
+  const handleEvent = (type, data) => {
+    if (data.progress) {
+      setProgress(data.progress);
     }
 
-    console.log('Starting polling for queryId:', analysis?.queryId);
-    setIsPolling(true);
-    let pollCount = 0;
-    const maxPolls = 40; // Maximum 40 polls (40 * 5s = 200s = ~3.3 minutes)
-
-    pollInterval.current = setInterval(async () => {
-      pollCount++;
-      setPollCount(pollCount);
-      console.log(`Poll attempt ${pollCount}/${maxPolls} for queryId:`, analysis?.queryId);
-
-      try {
-        const result = await api.getAnalysisResults(analysis.queryId);
-        console.log('Poll response:', result);
-
-        // Handle both possible response structures
-        const queryData = result.data || result.query || {};
-        const resultData = result.data || result.result || {};
-
-        // Update progress if available
-        if (result.progress || queryData.progress) {
-          const progressData = result.progress || queryData.progress;
-          console.log('Updating progress:', progressData);
-          setProgress(progressData);
-          setCurrentStep(progressData.step || queryData.metadata?.currentStep);
-          setEstimatedTimeRemaining(progressData.estimatedTimeRemaining);
-        }
-
-        // Check status from multiple possible locations
-        const status = queryData.status || resultData.status || analysis.status;
-        console.log('Current status:', status);
-
-        // Check if completed
-        if (status === 'completed') {
-          console.log('Analysis completed, stopping polling');
-          setProgress({ current: 6, total: 6, percentage: 100 });
-          setCurrentStep('completed');
-
-          // Update analysis state
-          setAnalysis((prev) => ({
-            ...prev,
-            status: 'completed',
-            completedAt: new Date().toISOString(),
-          }));
-
-          stopPolling();
-          stopTimer();
-
-          toast.success('Analysis completed successfully!');
-
-          // Wait a moment then navigate to results
-          setTimeout(() => {
-            navigate(`/analysis/${analysis.queryId}`);
-            if (onComplete) onComplete(analysis.queryId);
-          }, 20000);
-          return;
-        }
-
-        // Check if failed
-        if (status === 'failed') {
-          console.log('Analysis failed, stopping polling');
-          setError('Analysis failed during processing');
-          stopPolling();
-          stopTimer();
-          if (onError) onError('Analysis failed');
-          return;
-        }
-
-        // Update analysis with latest data if still processing
-        if (status === 'processing') {
-          setAnalysis((prev) => ({
-            ...prev,
-            status: status,
-            metadata: queryData.metadata || prev.metadata,
-          }));
-        }
-
-        // Check if we've reached max polls
-        if (pollCount >= maxPolls) {
-          console.log('Max polling attempts reached, stopping');
-          stopPolling();
-          stopTimer();
-          setError('Analysis is taking longer than expected. Please check back later.');
-          toast.error('Analysis timeout - please check back later');
-          return;
-        }
-      } catch (error) {
-        console.error('Polling error:', error);
-
-        // If it's a 304 (Not Modified), that's actually OK - it means no changes
-        if (error.response?.status === 304) {
-          console.log('304 Not Modified - analysis still processing');
-          return; // Continue polling
-        }
-
-        // For other errors, increment error count but don't stop immediately
-        pollCount += 2; // Penalize errors more heavily
-
-        // Only stop on critical errors or too many failures
-        if (pollCount >= maxPolls || error.response?.status >= 400) {
-          console.error('Stopping polling due to persistent errors');
-          stopPolling();
-          stopTimer();
-          setError('Error checking analysis status');
-          return;
-        }
-      }
-    }, 5000); // Poll every 5 seconds instead of 3
+    switch (type) {
+      case 'started':
+        // Agents restored from checkpoints are not re-run
+        setAgentStatuses(
+          Object.fromEntries((data.restoredAgents || []).map((agent) => [agent, 'completed']))
+        );
+        setAnalysis((prev) => ({ ...prev, status: 'processing' }));
+        break;
+
+      case 'retrying':
+        setAnalysis((prev) => ({ ...prev, status: 'pending' }));
+        toast(`Attempt ${data.attempt} failed, retrying analysis...`);
+        break;
+
+      case 'agent_started':
+        setAgentStatuses((prev) => ({ ...prev, [data.agent]: 'current' }));
+        break;
+
+      case 'agent_completed':
+        setAgentStatuses((prev) => ({ ...prev, [data.agent]: 'completed' }));
+        if (data.sources) setSourcesFound(data.sources);
+        break;
+
+      case 'agent_failed':
+        setAgentStatuses((prev) => ({ ...prev, [data.agent]: 'error' }));
+        break;
+
+      case 'completed':
+        setProgress({ current: 5, total: 5, percentage: 100 });
+        setAnalysis((prev) => ({
+          ...prev,
+          status: 'completed',
+          completedAt: new Date().toISOString(),
+        }));
+        stopStream();
+        stopTimer();
+
+        toast.success('Analysis completed successfully!');
+
+        // Wait a moment then navigate to results
+        setTimeout(() => {
+          navigate(`/analysis/${analysis.queryId}`);
+          if (onComplete) onComplete(analysis.queryId);
+        }, 20000);
+        break;
+
+      case 'failed':
+        setError(data.error || 'Analysis failed during processing');
+        stopStream();
+        stopTimer();
+        if (onError) onError('Analysis failed');
+        break;
+
+      case 'cancelled':
+        setError('Analysis was cancelled');
+        stopStream();
+        stopTimer();
+        if (onError) onError('Analysis cancelled');
+        break;
+
+      default:
+        break;
+    }
   };
 
-  const stopPolling = () => {
-    if (pollInterval.current) {
-      clearInterval(pollInterval.current);
-      pollInterval.current = null;
-      setIsPolling(false);
-      setPollCount(0);
-      console.log('Polling stopped');
+  const startStream = () => {
+    if (closeStream.current) return;
+
+    closeStream.current = api.streamAnalysisEvents(analysis.queryId, {
+      onEvent: handleEvent,
+      onStatusChange: setConnectionState,
+      onError: (streamError) => console.error('Progress stream error:', streamError),
+    });
+  };
+
+  const stopStream = () => {
+    if (closeStream.current) {
+      closeStream.current();
+      closeStream.current = null;
+      setConnectionState(null);
     }
   };
 
   const startTimer = () => {
+    if (timeInterval.current) return;
+
     timeInterval.current = setInterval(() => {
       setElapsedTime((prev) => prev + 1);
     }, 1000);
@@ -302,35 +255,9 @@ const AnalysisProgress = ({ analysis: propAnalysis, onComplete, onError }) => {
     }
   };
 
-  const getStepStatus = (stepId, stepIndex) => {
-    if (error) return 'error';
-    if (!analysis || analysis.status !== 'processing') {
-      return analysis?.status === 'completed' ? 'completed' : 'pending';
-    }
-
-    // Determine status based on current progress
-    let currentStepIndex = 0;
-
-    // Map currentStep to index
-    const stepMapping = {
-      planning_search: 0,
-      gathering_data: 1,
-      processing_data: 2,
-      analyzing_trends: 3,
-      generating_report: 4,
-      creating_visualizations: 5,
-      completed: 6,
-    };
-
-    if (currentStep && stepMapping[currentStep] !== undefined) {
-      currentStepIndex = stepMapping[currentStep];
-    } else if (progress.current) {
-      currentStepIndex = Math.max(0, progress.current - 1);
-    }
-
-    if (stepIndex < currentStepIndex) return 'completed';
-    if (stepIndex === currentStepIndex) return 'current';
-    return 'pending';
+  const getStepStatus = (stepId) => {
+    if (analysis?.status === 'completed') return 'completed';
+    return agentStatuses[stepId] || 'pending';
   };
 
   const formatTime = (seconds) => {
@@ -432,7 +359,7 @@ const AnalysisProgress = ({ analysis: propAnalysis, onComplete, onError }) => {
                 </div>
                 <div>
                   <h1 className="text-2xl font-bold text-gray-900">Multi-Agent Analysis</h1>
-                  <p className="text-gray-600">LangChain • 6 Specialized AI Agents</p>
+                  <p className="text-gray-600">LangChain • 5 Specialized AI Agents</p>
                 </div>
               </div>
 
@@ -441,15 +368,19 @@ const AnalysisProgress = ({ analysis: propAnalysis, onComplete, onError }) => {
                   <Clock className="h-4 w-4" />
                   <span>Elapsed: {formatTime(elapsedTime)}</span>
                 </div>
-                {estimatedTimeRemaining && (
-                  <div className="text-xs text-gray-400 mb-1">
-                    Est. remaining: {formatTime(estimatedTimeRemaining)}
-                  </div>
+                {sourcesFound > 0 && (
+                  <div className="text-xs text-gray-400 mb-1">{sourcesFound} sources found</div>
                 )}
-                {isPolling && (
+                {connectionState === 'live' && (
                   <div className="text-xs text-blue-600 flex items-center space-x-1">
                     <div className="w-2 h-2 bg-blue-500 rounded-full animate-pulse"></div>
-                    <span>Checking status... ({pollCount})</span>
+                    <span>Live updates</span>
+                  </div>
+                )}
+                {connectionState === 'reconnecting' && (
+                  <div className="text-xs text-orange-600 flex items-center space-x-1">
+                    <div className="w-2 h-2 bg-orange-500 rounded-full animate-pulse"></div>
+                    <span>Reconnecting...</span>
                   </div>
                 )}
               </div>
@@ -484,7 +415,7 @@ const AnalysisProgress = ({ analysis: propAnalysis, onComplete, onError }) => {
               <div>
                 <p className="text-sm text-gray-600">Progress</p>
                 <p className="font-semibold text-gray-900">
-                  {progress.current || 0}/{progress.total || 6} Steps
+                  {progress.current || 0}/{progress.total || 5} Steps
                 </p>
               </div>
             </div>
@@ -498,7 +429,7 @@ const AnalysisProgress = ({ analysis: propAnalysis, onComplete, onError }) => {
               <div>
                 <p className="text-sm text-gray-600">Active Agents</p>
                 <p className="font-semibold text-gray-900">
-                  {analysis.status === 'processing' ? '6 Agents' : 'Standby'}
+                  {analysis.status === 'processing' ? '5 Agents' : 'Standby'}
                 </p>
               </div>
             </div>
@@ -545,7 +476,7 @@ const AnalysisProgress = ({ analysis: propAnalysis, onComplete, onError }) => {
           <div className="space-y-4">
             <AnimatePresence>
               {agentSteps.map((step, index) => {
-                const status = getStepStatus(step.id, index);
+                const status = getStepStatus(step.id);
                 const isActive = status === 'current';
                 const isCompleted = status === 'completed';
                 const isError = status === 'error';
@@ -27,10 +27,43 @@ import {
   Award,
   RefreshCw,
   X,
+  MessageSquare,
 } from 'lucide-react';
 import toast from 'react-hot-toast';
 import { api } from '../services/api';
 import Charts from './Charts';
+import AnalysisChat from './AnalysisChat';
+
+// Footnotes for one cited item. Numbers follow the Data Sources list (rawData order);
+// items no source backs get an "Unsupported" badge, results without citations get nothing.
+const Footnotes = ({ citation, rawData }) => {
+  if (!citation) return null;
+
+  if (citation.supported === false) {
+    return (
+      <span
+        title="No source was cited for this item"
+        className="ml-2 inline-flex items-center px-2 py-0.5 rounded text-xs font-medium bg-red-100 text-red-700"
+      >
+        Unsupported
+      </span>
+    );
+  }
+
+  return (citation.sourceIndexes || []).map((sourceIndex) => (
+    <sup key={sourceIndex} className="ml-0.5">
+      <a
+        href={rawData[sourceIndex]?.url}
+        target="_blank"
+        rel="noopener noreferrer"
+        title={rawData[sourceIndex]?.title}
+        className="text-blue-600 hover:text-blue-800 font-medium"
+      >
+        [{sourceIndex + 1}]
+      </a>
+    </sup>
+  ));
+};
 
 const AnalysisResults = ({ analysis: propAnalysis, onStartNew, onExport }) => {
   // Router integration
@@ -319,10 +352,14 @@ const AnalysisResults = ({ analysis: propAnalysis, onStartNew, onExport }) => {
 
   const handleRetryAnalysis = async () => {
     try {
-      const response = await api.retryAnalysis(analysis.queryId);
+      // A failed analysis resumes after its last completed agent instead of starting over
+      const options = analysis.status === 'failed' ? { fromStep: 'last' } : {};
+      const response = await api.retryAnalysis(analysis.queryId, options);
       if (response.success) {
-        toast.success('Analysis restarted successfully');
-        navigate(`/analysis/${response.data.queryId}/progress`);
+        toast.success(
+          options.fromStep ? 'Analysis resumed from checkpoint' : 'Analysis restarted successfully'
+        );
+        navigate(`/analysis/${response.data.newQueryId}/progress`);
       }
     } catch (error) {
       toast.error('Failed to restart analysis');
@@ -336,6 +373,7 @@ const AnalysisResults = ({ analysis: propAnalysis, onStartNew, onExport }) => {
     { id: 'trends', name: 'Market Trends', icon: TrendingUp },
     { id: 'visualizations', name: 'Charts', icon: BarChart3 },
     { id: 'report', name: 'Full Report', icon: FileText },
+    { id: 'chat', name: 'Ask', icon: MessageSquare },
     { id: 'metadata', name: 'Analysis Info', icon: Database },
   ];
 
@@ -414,12 +452,19 @@ const AnalysisResults = ({ analysis: propAnalysis, onStartNew, onExport }) => {
   const insights = analysisData.insights || [];
   const marketOpportunities = analysisData.marketOpportunities || [];
   const riskFactors = analysisData.riskFactors || [];
+  const recommendations = analysisData.recommendations || [];
+  const citationFor = (section, index) => analysisData.citations?.[section]?.[index];
   const competitiveLandscape = analysisData.competitiveLandscape || {};
   const visualizations = results?.visualizations || [];
   const finalReport = results?.finalReport || '';
   const rawData = results?.rawData || [];
   const processedData = results?.processedData || {};
   const performance = results?.performance || {};
+  const changes = results?.changes;
+  // Fields the analysis template asked for (empty for the general template)
+  const templateFields = Object.entries(analysisData.templateOutput || {}).filter(([, value]) =>
+    Array.isArray(value) ? value.length > 0 : Boolean(value)
+  );
 
   return (
     <div className="min-h-screen bg-gradient-to-br from-blue-50 via-white to-purple-50">
@@ -608,6 +653,67 @@ const AnalysisResults = ({ analysis: propAnalysis, onStartNew, onExport }) => {
                 >
                   <h3 className="text-lg font-semibold text-gray-900 mb-4">Executive Summary</h3>
 
+                  {/* What changed since the previous run of a scheduled analysis */}
+                  {changes && (
+                    <div className="bg-indigo-50 rounded-lg p-4 border-l-4 border-indigo-500">
+                      <div className="flex items-start space-x-3">
+                        <RefreshCw className="h-5 w-5 text-indigo-600 mt-0.5 flex-shrink-0" />
+                        <div className="space-y-2 text-sm">
+                          <p className="font-medium text-indigo-900">
+                            Run #{results.schedule?.version} - changes since run #
+                            {changes.previousVersion}
+                          </p>
+                          <p className="text-gray-800">{changes.summary}</p>
+                          {changes.newTrends?.length > 0 && (
+                            <ul className="list-disc list-inside text-gray-700">
+                              {changes.newTrends.map((trend, index) => (
+                                <li key={index}>New trend: {trend}</li>
+                              ))}
+                            </ul>
+                          )}
+                          {changes.newSources?.length > 0 && (
+                            <ul className="space-y-1">
+                              {changes.newSources.slice(0, 5).map((source) => (
+                                <li key={source.url}>
+                                  <a
+                                    href={source.url}
+                                    target="_blank"
+                                    rel="noopener noreferrer"
+                                    className="inline-flex items-center space-x-1 text-indigo-700 hover:text-indigo-900"
+                                  >
+                                    <ExternalLink className="h-3 w-3" />
+                                    <span className="truncate max-w-md">{source.title}</span>
+                                  </a>
+                                </li>
+                              ))}
+                            </ul>
+                          )}
+                        </div>
+                      </div>
+                    </div>
+                  )}
+
+                  {templateFields.length > 0 && (
+                    <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                      {templateFields.map(([key, value]) => (
+                        <div key={key} className="bg-gray-50 rounded-lg p-4 border border-gray-200">
+                          <p className="font-medium text-gray-900 mb-2 capitalize">
+                            {key.replace(/([A-Z])/g, ' $1').toLowerCase()}
+                          </p>
+                          {Array.isArray(value) ? (
+                            <ul className="list-disc list-inside text-sm text-gray-700 space-y-1">
+                              {value.map((item, index) => (
+                                <li key={index}>{item}</li>
+                              ))}
+                            </ul>
+                          ) : (
+                            <p className="text-sm text-gray-700">{value}</p>
+                          )}
+                        </div>
+                      ))}
+                    </div>
+                  )}
+
                   {/* Quick insights grid */}
                   <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
                     {/* Key findings from trends */}
@@ -622,7 +728,13 @@ const AnalysisResults = ({ analysis: propAnalysis, onStartNew, onExport }) => {
                             <p className="font-medium text-blue-900 mb-1">
                               Market Trend #{index + 1}
                             </p>
-                            <p className="text-gray-800 text-sm">{trend}</p>
+                            <p className="text-gray-800 text-sm">
+                              {trend}
+                              <Footnotes
+                                citation={citationFor('keyTrends', index)}
+                                rawData={rawData}
+                              />
+                            </p>
                           </div>
                         </div>
                       </div>
@@ -669,7 +781,13 @@ const AnalysisResults = ({ analysis: propAnalysis, onStartNew, onExport }) => {
                           <AlertTriangle className="h-5 w-5 text-orange-600 mt-0.5 flex-shrink-0" />
                           <div>
                             <p className="font-medium text-orange-900 mb-1">Key Risk</p>
-                            <p className="text-gray-800 text-sm">{riskFactors[0]}</p>
+                            <p className="text-gray-800 text-sm">
+                              {riskFactors[0]}
+                              <Footnotes
+                                citation={citationFor('riskFactors', 0)}
+                                rawData={rawData}
+                              />
+                            </p>
                           </div>
                         </div>
                       </div>
@@ -728,7 +846,13 @@ const AnalysisResults = ({ analysis: propAnalysis, onStartNew, onExport }) => {
                             </div>
                           </div>
                           <div className="flex-1">
-                            <p className="text-gray-800 text-base leading-relaxed">{insight}</p>
+                            <p className="text-gray-800 text-base leading-relaxed">
+                              {insight}
+                              <Footnotes
+                                citation={citationFor('insights', index)}
+                                rawData={rawData}
+                              />
+                            </p>
                           </div>
                         </div>
                       </motion.div>
@@ -775,7 +899,39 @@ const AnalysisResults = ({ analysis: propAnalysis, onStartNew, onExport }) => {
                             key={index}
                             className="bg-orange-50 rounded-lg p-4 border-l-4 border-orange-500"
                           >
-                            <p className="text-gray-800">{risk}</p>
+                            <p className="text-gray-800">
+                              {risk}
+                              <Footnotes
+                                citation={citationFor('riskFactors', index)}
+                                rawData={rawData}
+                              />
+                            </p>
+                          </div>
+                        ))}
+                      </div>
+                    </div>
+                  )}
+
+                  {/* Recommendations */}
+                  {recommendations.length > 0 && (
+                    <div className="mt-8">
+                      <h4 className="text-lg font-semibold text-gray-900 mb-4 flex items-center">
+                        <CheckCircle className="h-5 w-5 mr-2 text-purple-600" />
+                        Recommendations
+                      </h4>
+                      <div className="space-y-3">
+                        {recommendations.map((recommendation, index) => (
+                          <div
+                            key={index}
+                            className="bg-purple-50 rounded-lg p-4 border-l-4 border-purple-500"
+                          >
+                            <p className="text-gray-800">
+                              {recommendation}
+                              <Footnotes
+                                citation={citationFor('recommendations', index)}
+                                rawData={rawData}
+                              />
+                            </p>
                           </div>
                         ))}
                       </div>
@@ -815,7 +971,13 @@ const AnalysisResults = ({ analysis: propAnalysis, onStartNew, onExport }) => {
                               <h4 className="font-semibold text-gray-900 mb-2">
                                 Trend #{index + 1}
                               </h4>
-                              <p className="text-gray-700 text-sm leading-relaxed">{trend}</p>
+                              <p className="text-gray-700 text-sm leading-relaxed">
+                                {trend}
+                                <Footnotes
+                                  citation={citationFor('keyTrends', index)}
+                                  rawData={rawData}
+                                />
+                              </p>
                             </div>
                           </div>
                         </motion.div>
@@ -895,6 +1057,18 @@ const AnalysisResults = ({ analysis: propAnalysis, onStartNew, onExport }) => {
                 </motion.div>
               )}
 
+              {/* Follow-up Questions Tab */}
+              {activeTab === 'chat' && (
+                <motion.div
+                  key="chat"
+                  initial={{ opacity: 0, x: 20 }}
+                  animate={{ opacity: 1, x: 0 }}
+                  exit={{ opacity: 0, x: -20 }}
+                >
+                  <AnalysisChat queryId={analysis.queryId} />
+                </motion.div>
+              )}
+
               {/* Metadata Tab */}
               {activeTab === 'metadata' && (
                 <motion.div
@@ -1088,6 +1262,7 @@ const AnalysisResults = ({ analysis: propAnalysis, onStartNew, onExport }) => {
                               <ExternalLink className="h-4 w-4 text-gray-400" />
                               <div className="flex-1">
                                 <p className="text-sm font-medium text-gray-900 truncate max-w-md">
+                                  <span className="text-gray-500 mr-1">[{index + 1}]</span>
                                   {source.title}
                                 </p>
                                 <p className="text-xs text-gray-500">
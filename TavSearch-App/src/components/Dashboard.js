@@ -1,4 +1,4 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { motion } from 'framer-motion';
 import {
@@ -21,8 +21,17 @@ const Dashboard = ({ onStartAnalysis, onSelectAnalysis, refreshTrigger }) => {
   const [query, setQuery] = useState('');
   const [isAnalyzing, setIsAnalyzing] = useState(false);
   const [currentAnalysis, setCurrentAnalysis] = useState(null);
+  const [templates, setTemplates] = useState([]);
+  const [template, setTemplate] = useState('general');
   const navigate = useNavigate();
 
+  useEffect(() => {
+    api
+      .getTemplates()
+      .then((response) => setTemplates(response.data?.templates || []))
+      .catch((error) => console.error('Failed to load analysis templates:', error));
+  }, []);
+
   const exampleQueries = [
     'Electric vehicle market trends 2024',
     'AI software companies competitive analysis',
@@ -42,7 +51,7 @@ const Dashboard = ({ onStartAnalysis, onSelectAnalysis, refreshTrigger }) => {
 
     // Use the passed prop if available, otherwise fall back to local implementation
     if (typeof onStartAnalysis === 'function') {
-      onStartAnalysis(query.trim());
+      onStartAnalysis(query.trim(), { template });
       setQuery(''); // Clear the input
       return;
     }
@@ -55,6 +64,7 @@ const Dashboard = ({ onStartAnalysis, onSelectAnalysis, refreshTrigger }) => {
       const response = await api.startAnalysis({
         query: query.trim(),
         userId: 'demo-user-1',
+        template,
       });
 
       if (response.success) {
@@ -205,6 +215,28 @@ const Dashboard = ({ onStartAnalysis, onSelectAnalysis, refreshTrigger }) => {
               </button>
             </div>
 
+            {templates.length > 1 && (
+              <div className="mt-4 flex items-center justify-center space-x-2 text-sm">
+                <label htmlFor="template" className="text-gray-600">
+                  Analysis template:
+                </label>
+                <select
+                  id="template"
+                  value={template}
+                  onChange={(e) => setTemplate(e.target.value)}
+                  disabled={isAnalyzing}
+                  className="px-3 py-1 border border-gray-300 rounded-lg bg-white text-gray-700 focus:ring-2 focus:ring-blue-500"
+                  title={templates.find((entry) => entry.id === template)?.description}
+                >
+                  {templates.map((entry) => (
+                    <option key={entry.id} value={entry.id}>
+                      {entry.name}
+                    </option>
+                  ))}
+                </select>
+              </div>
+            )}
+
             {/* Example Queries */}
             <div className="mt-4 text-sm text-gray-600">
               <p className="mb-2">Try these examples:</p>
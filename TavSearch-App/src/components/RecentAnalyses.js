@@ -1,4 +1,5 @@
 import React, { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
 import {
   CheckCircle,
   XCircle,
@@ -7,6 +8,7 @@ import {
   ExternalLink,
   RefreshCw,
   FileText,
+  GitCompare,
 } from 'lucide-react';
 import { api } from '../services/api';
 
@@ -14,6 +16,9 @@ const RecentAnalyses = ({ onSelectAnalysis, refreshTrigger }) => {
   const [analyses, setAnalyses] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
+  // Completed analyses picked for comparison, in the order they were picked (first = base)
+  const [compareIds, setCompareIds] = useState([]);
+  const navigate = useNavigate();
 
   useEffect(() => {
     const fetchAnalyses = async () => {
@@ -145,6 +150,14 @@ const RecentAnalyses = ({ onSelectAnalysis, refreshTrigger }) => {
     }
   };
 
+  const toggleCompare = (queryId) => {
+    setCompareIds((current) =>
+      current.includes(queryId)
+        ? current.filter((id) => id !== queryId)
+        : [...current, queryId].slice(-2)
+    );
+  };
+
   if (loading) {
     return (
       <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-6">
@@ -185,13 +198,24 @@ const RecentAnalyses = ({ onSelectAnalysis, refreshTrigger }) => {
       <div className="p-6">
         <div className="flex items-center justify-between mb-6">
           <h3 className="text-lg font-semibold text-gray-900">Recent Analyses</h3>
-          <button
-            onClick={() => window.location.reload()}
-            className="text-gray-400 hover:text-gray-600 transition-colors"
-            title="Refresh"
-          >
-            <RefreshCw className="h-5 w-5" />
-          </button>
+          <div className="flex items-center space-x-3">
+            <button
+              onClick={() => navigate(`/compare?ids=${compareIds.join(',')}`)}
+              disabled={compareIds.length !== 2}
+              className="inline-flex items-center px-3 py-1.5 text-sm font-medium rounded-md text-blue-600 border border-blue-200 hover:bg-blue-50 disabled:opacity-50 disabled:cursor-not-allowed"
+              title="Select two completed analyses to compare"
+            >
+              <GitCompare className="h-4 w-4 mr-1" />
+              Compare ({compareIds.length}/2)
+            </button>
+            <button
+              onClick={() => window.location.reload()}
+              className="text-gray-400 hover:text-gray-600 transition-colors"
+              title="Refresh"
+            >
+              <RefreshCw className="h-5 w-5" />
+            </button>
+          </div>
         </div>
 
         {analyses.length === 0 ? (
@@ -230,6 +254,16 @@ const RecentAnalyses = ({ onSelectAnalysis, refreshTrigger }) => {
                     </div>
                   </div>
                   <div className="flex items-center space-x-2 ml-4">
+                    {analysis.status === 'completed' && (
+                      <input
+                        type="checkbox"
+                        checked={compareIds.includes(analysis.queryId)}
+                        onChange={() => toggleCompare(analysis.queryId)}
+                        onClick={(event) => event.stopPropagation()}
+                        className="h-4 w-4 text-blue-600 border-gray-300 rounded"
+                        title="Select for comparison"
+                      />
+                    )}
                     <span
                       className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium border ${getStatusColor(
                         analysis.status
@@ -36,6 +36,114 @@ class ApiService {
     return this.client.get(`/api/analysis/${queryId}/results`);
   }
 
+  /**
+   * Subscribe to live progress events for an analysis (Server-Sent Events).
+   * Uses fetch rather than EventSource so the auth header can be sent; after a
+   * dropped connection it reconnects with Last-Event-ID so no events are lost.
+   * Returns a function that closes the stream.
+   */
+  streamAnalysisEvents(queryId, { onEvent, onStatusChange, onError } = {}) {
+    const controller = new AbortController();
+    const terminalEvents = ['completed', 'failed', 'cancelled'];
+    let lastEventId = null;
+    let retryMs = 3000;
+    let finished = false;
+
+    const dispatch = (block) => {
+      let type = 'message';
+      const dataLines = [];
+
+      block.split('\n').forEach((line) => {
+        if (!line || line.startsWith(':')) return;
+        const separator = line.indexOf(':');
+        const field = separator === -1 ? line : line.slice(0, separator);
+        const value = separator === -1 ? '' : line.slice(separator + 1).replace(/^ /, '');
+
+        if (field === 'id') lastEventId = value;
+        else if (field === 'event') type = value;
+        else if (field === 'data') dataLines.push(value);
+        else if (field === 'retry' && !Number.isNaN(parseInt(value, 10))) {
+          retryMs = parseInt(value, 10);
+        }
+      });
+
+      if (!dataLines.length) return;
+
+      let data = {};
+      try {
+        data = JSON.parse(dataLines.join('\n'));
+      } catch (error) {
+        return;
+      }
+
+      if (terminalEvents.includes(type)) finished = true;
+      onEvent?.(type, data);
+    };
+
+    const connect = async () => {
+      const headers = {
+        Accept: 'text/event-stream',
+        'x-user-id': this.client.defaults.headers['x-user-id'],
+      };
+      if (lastEventId) headers['Last-Event-ID'] = lastEventId;
+
+      const response = await fetch(`${API_BASE_URL}/api/analysis/${queryId}/events`, {
+        headers,
+        signal: controller.signal,
+      });
+
+      if (!response.ok || !response.body) {
+        const error = new Error(`Progress stream failed with status ${response.status}`);
+        error.fatal = response.status >= 400 && response.status < 500;
+        throw error;
+      }
+
+      onStatusChange?.('live');
+
+      const reader = response.body.getReader();
+      const decoder = new TextDecoder();
+      let buffer = '';
+
+      while (!finished) {
+        const { value, done } = await reader.read();
+        if (done) break;
+
+        buffer += decoder.decode(value, { stream: true }).replace(/\r\n?/g, '\n');
+        let boundary = buffer.indexOf('\n\n');
+        while (boundary !== -1) {
+          dispatch(buffer.slice(0, boundary));
+          buffer = buffer.slice(boundary + 2);
+          boundary = buffer.indexOf('\n\n');
+        }
+      }
+
+      if (finished) reader.cancel().catch(() => {});
+    };
+
+    const run = async () => {
+      while (!finished && !controller.signal.aborted) {
+        try {
+          await connect();
+        } catch (error) {
+          if (controller.signal.aborted) return;
+          onError?.(error);
+          if (error.fatal) return;
+        }
+
+        if (finished || controller.signal.aborted) break;
+
+        onStatusChange?.('reconnecting');
+        await new Promise((resolve) => setTimeout(resolve, retryMs));
+      }
+
+      if (finished) onStatusChange?.('closed');
+    };
+
+    run();
+
+    return () => controller.abort();
+  }
+
   async getUserAnalyses(params = {}) {
     return this.client.get('/api/analysis', { params });
   }
@@ -56,8 +164,28 @@ class ApiService {
     return this.client.delete(`/api/analysis/${queryId}`);
   }
 
-  async retryAnalysis(queryId) {
-    return this.client.post(`/api/analysis/${queryId}/retry`);
+  // options.fromStep resumes a failed analysis from a checkpoint ('last' or an agent name)
+  async retryAnalysis(queryId, options = {}) {
+    return this.client.post(`/api/analysis/${queryId}/retry`, options);
+  }
+
+  // Follow-up questions answered from the analysis' stored sources, with citations
+  async askQuestion(queryId, question) {
+    return this.client.post(`/api/analysis/${queryId}/ask`, { question });
+  }
+
+  async getConversation(queryId) {
+    return this.client.get(`/api/analysis/${queryId}/conversation`);
+  }
+
+  // Structured diff of two completed analyses; the first id is the base
+  async compareAnalyses(queryIds) {
+    return this.client.get('/api/analysis/compare', { params: { ids: queryIds.join(',') } });
+  }
+
+  // ==================== TEMPLATE ENDPOINTS ====================
+  async getTemplates() {
+    return this.client.get('/api/templates');
   }
 
   // ==================== EXPORT ENDPOINTS ====================
@@ -0,0 +1,167 @@
+const fs = require('fs/promises');
+const path = require('path');
+const config = require('../src/config');
+const { DEFAULT_ENGINE, createEngine } = require('../src/workflows/engines');
+const { getTemplate } = require('../src/workflows/templates');
+const { checkTemplate, PromptSet } = require('../src/workflows/prompts');
+const { scoreOutput, summarizeRun, compareRuns, formatReport } = require('../src/utils/evaluation');
+const { logger } = require('../src/utils/logger');
+
+const DEFAULT_GOLDEN_SET = path.join(__dirname, '../evals/golden.json');
+
+/**
+ * Run the golden set with one or two configurations and score the results (see
+ * utils/evaluation). Every case searches only its frozen corpus, evals/corpus/<case id>/, so
+ * runs differ only by the configuration: engine, LLM provider and models, and prompt
+ * versions. Needs no database or Redis; the fake LLM needs no API key either.
+ *
+ *   npm run eval -- evals/configs/baseline.json
+ *   npm run eval -- evals/configs/baseline.json candidate.json [--golden file] [--out file]
+ *
+ * With two configurations the report compares the second with the first.
+ */
+
+const readJson = async (file) => JSON.parse(await fs.readFile(file, 'utf8'));
+
+/**
+ * Golden set: { cases: [{ id, query, template, expectedEntities, reference }] }
+ */
+async function loadGoldenSet(file = DEFAULT_GOLDEN_SET) {
+  const golden = await readJson(file);
+  const directory = path.dirname(file);
+
+  return {
+    file,
+    cases: golden.cases.map((testCase) => ({
+      ...testCase,
+      corpusDir: path.resolve(directory, testCase.corpus || path.join('corpus', testCase.id)),
+    })),
+  };
+}
+
+/**
+ * Configuration: { name, engine, llm, prompts: { promptId: { version, template | file } } },
+ * `file` relative to the configuration
+ */
+async function loadConfiguration(file) {
+  const configuration = await readJson(file);
+  const selection = {};
+
+  for (const [promptId, { version, template, file: templateFile }] of Object.entries(
+    configuration.prompts || {}
+  )) {
+    const text = templateFile
+      ? await fs.readFile(path.resolve(path.dirname(file), templateFile), 'utf8')
+      : template;
+    const problems = checkTemplate(promptId, text);
+    if (problems.length) {
+      throw new Error(`Prompt ${promptId} of ${file}: ${problems.join('; ')}`);
+    }
+    selection[promptId] = { version, template: text };
+  }
+
+  return {
+    name: configuration.name || path.basename(file, '.json'),
+    engine: configuration.engine || DEFAULT_ENGINE,
+    llm: configuration.llm || {},
+    prompts: selection,
+  };
+}
+
+/**
+ * Run every case of the golden set with one configuration, one case at a time
+ */
+async function runConfiguration(configuration, golden, baseConfig = config) {
+  const cases = [];
+
+  for (const testCase of golden.cases) {
+    const template = getTemplate(testCase.template);
+    const engineConfig = {
+      ...baseConfig,
+      llm: {
+        ...baseConfig.llm,
+        ...configuration.llm,
+        models: { ...baseConfig.llm?.models, ...configuration.llm.models },
+      },
+      search: { ...baseConfig.search, providers: ['local'], corpusDir: testCase.corpusDir },
+    };
+    const engine = createEngine(engineConfig, configuration.engine);
+
+    const startedAt = Date.now();
+    const result = await engine.execute(testCase.query, 'evaluation', {
+      template,
+      prompts: new PromptSet(configuration.prompts),
+    });
+
+    if (result.success) {
+      const { scores, details } = scoreOutput(result.output, testCase, template);
+      cases.push({
+        caseId: testCase.id,
+        success: true,
+        scores,
+        details,
+        promptVersions: result.output.promptVersions,
+        usage: result.output.usage?.totals,
+        durationMs: Date.now() - startedAt,
+      });
+    } else {
+      logger.warn('Evaluation case failed', { caseId: testCase.id, error: result.error });
+      cases.push({ caseId: testCase.id, success: false, error: result.error });
+    }
+  }
+
+  return {
+    configuration: configuration.name,
+    engine: configuration.engine,
+    cases,
+    summary: summarizeRun(cases),
+  };
+}
+
+async function evaluate(configFiles, { golden: goldenFile } = {}) {
+  const golden = await loadGoldenSet(goldenFile);
+  const runs = [];
+  for (const file of configFiles) {
+    runs.push(await runConfiguration(await loadConfiguration(file), golden));
+  }
+
+  return {
+    golden: path.relative(process.cwd(), golden.file),
+    generatedAt: new Date().toISOString(),
+    runs,
+    comparison: runs.length === 2 ? compareRuns(runs[0], runs[1]) : null,
+  };
+}
+
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const option = (name) => {
+    const index = args.indexOf(name);
+    return index === -1 ? undefined : args.splice(index, 2)[1];
+  };
+  const golden = option('--golden');
+  const out = option('--out');
+
+  if (args.length < 1 || args.length > 2) {
+    logger.error(
+      'Usage: node scripts/evaluate.js <config.json> [candidate.json] [--golden file] [--out file]'
+    );
+    process.exit(1);
+  }
+
+  evaluate(args, { golden })
+    .then(async (report) => {
+      if (out) {
+        await fs.writeFile(out, JSON.stringify(report, null, 2));
+        logger.info('Saved evaluation report', { file: out });
+      }
+      process.stdout.write(`${formatReport(report)}\n`);
+      process.exit(0);
+    })
+    .catch((error) => {
+      logger.error('Evaluation failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = { loadGoldenSet, loadConfiguration, runConfiguration, evaluate };
@@ -0,0 +1,81 @@
+const config = require('../src/config');
+const { createEngine } = require('../src/workflows/engines');
+const { PromptSet } = require('../src/workflows/prompts');
+const {
+  FixtureSession,
+  stableOutput,
+  diffOutputs,
+  loadBundle,
+} = require('../src/providers/fixtures');
+const { logger } = require('../src/utils/logger');
+
+/**
+ * Re-run a recorded analysis offline from its fixture bundle and compare the result
+ * with the recorded one. Needs no API keys, database or Redis.
+ *
+ *   npm run replay -- fixtures/<queryId>.json
+ */
+async function replayAnalysis(file) {
+  const bundle = await loadBundle(file);
+  const fixtures = FixtureSession.replay(bundle);
+
+  // The replay session stands in for the real providers; the fake LLM just needs no key
+  const engine = createEngine(
+    { ...config, llm: { ...config.llm, provider: 'fake' } },
+    bundle.engine
+  );
+  const result = await engine.execute(bundle.query, bundle.userId, {
+    searchProviders: bundle.searchProviders,
+    template: bundle.template,
+    budget: bundle.budget,
+    prompts: new PromptSet(bundle.prompts),
+    fixtures,
+  });
+
+  const differences = result.success
+    ? diffOutputs(bundle.output, stableOutput(result.output))
+    : ['(run failed)'];
+
+  return {
+    success: result.success,
+    error: result.error,
+    differences,
+    drift: fixtures.drift,
+    misses: fixtures.misses,
+  };
+}
+
+if (require.main === module) {
+  const file = process.argv[2];
+  if (!file) {
+    logger.error('Usage: node scripts/replayAnalysis.js <bundle.json>');
+    process.exit(1);
+  }
+
+  replayAnalysis(file)
+    .then((report) => {
+      report.drift.forEach(({ channel, index }) =>
+        logger.warn(`Request changed since recording: ${channel} #${index + 1}`)
+      );
+      report.misses.forEach(({ channel, index }) =>
+        logger.error(`No recorded response: ${channel} #${index + 1}`)
+      );
+
+      if (report.differences.length > 0) {
+        logger.error('Replay differs from the recorded result', {
+          error: report.error,
+          paths: report.differences,
+        });
+        process.exit(1);
+      }
+
+      logger.info('Replay matches the recorded result', { drift: report.drift.length });
+      process.exit(0);
+    })
+    .catch((error) => {
+      logger.error('Replay failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = replayAnalysis;
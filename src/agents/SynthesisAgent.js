@@ -1,27 +1,57 @@
-const { OpenAI } = require('openai');
 const { logger } = require('../utils/logger');
+const { CancellationError } = require('../utils/errors');
+const { reportSections } = require('../workflows/templates');
+const { PromptSet } = require('../workflows/prompts');
+
+// Deterministic 0-1 generator (mulberry32) so the same analysis always gets the same
+// illustrative chart values - a recorded run then replays to identical visualizations
+const seededRandom = (seed) => {
+  let state = [...seed].reduce((hash, char) => Math.imul(hash ^ char.charCodeAt(0), 16777619), 2166136261);
+  return () => {
+    state = (state + 0x6d2b79f5) | 0;
+    let t = Math.imul(state ^ (state >>> 15), 1 | state);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
 
 class SynthesisAgent {
-  constructor(openaiApiKey) {
-    this.openai = new OpenAI({ apiKey: openaiApiKey });
+  /**
+   * @param {LLMProvider} llm - see providers/llm
+   */
+  constructor(llm) {
+    this.llm = llm;
     this.maxTokens = 3500;
     this.temperature = 0.2; // Lower temperature for more consistent reports
   }
 
-  async generateReport(analysisResults, processedData, originalQuery) {
+  /**
+   * @param {Object} [options] - { llm, prompts: the run's PromptSet (see workflows/prompts),
+   *   template, signal }
+   */
+  async generateReport(
+    analysisResults,
+    processedData,
+    originalQuery,
+    { llm = this.llm, prompts, template, signal } = {}
+  ) {
     try {
       logger.info('Starting comprehensive report generation');
 
-      const reportPrompt = this.buildAdvancedReportPrompt(analysisResults, processedData, originalQuery);
+      const reportPrompt = this.buildAdvancedReportPrompt(
+        analysisResults, processedData, originalQuery, template, prompts
+      );
       
-      const response = await this.openai.chat.completions.create({
-        model: 'gpt-3.5-turbo',
+      const response = await llm.complete({
+        task: 'report',
+        tier: 'fast',
         messages: [{ role: 'user', content: reportPrompt }],
         temperature: this.temperature,
-        max_tokens: this.maxTokens
+        maxTokens: this.maxTokens,
+        signal
       });
 
-      const report = response.choices[0].message.content;
+      const report = response.content;
       
       // Enhance report with professional styling and metadata
       const enhancedReport = this.enhanceReportWithAdvancedFeatures(
@@ -40,49 +70,57 @@ class SynthesisAgent {
       return enhancedReport;
 
     } catch (error) {
+      if (error instanceof CancellationError || signal?.aborted) throw error;
       logger.error('Report generation failed', { error: error.message });
       return this.generateComprehensiveFallbackReport(originalQuery, analysisResults, processedData);
     }
   }
 
-  buildAdvancedReportPrompt(analysisResults, processedData, originalQuery) {
+  buildAdvancedReportPrompt(analysisResults, processedData, originalQuery, template, prompts = new PromptSet()) {
     const executiveSummaryData = this.prepareExecutiveSummaryData(analysisResults, processedData);
     const competitiveData = this.prepareCompetitiveAnalysisData(analysisResults);
     const riskOpportunityMatrix = this.prepareRiskOpportunityData(analysisResults);
 
-    return `
-      Create a comprehensive, executive-level market intelligence report for: "${originalQuery}"
-      
-      === EXECUTIVE SUMMARY DATA ===
-      ${JSON.stringify(executiveSummaryData, null, 2)}
-      
-      === DETAILED ANALYSIS RESULTS ===
-      ${JSON.stringify(analysisResults, null, 2)}
-      
-      === DATA INTELLIGENCE OVERVIEW ===
-      - Total Sources Analyzed: ${processedData.totalSources}
-      - Data Quality Score: ${processedData.qualityMetrics.averageRelevanceScore.toFixed(2)}/1.0
-      - Source Reliability: ${processedData.qualityMetrics.sourceReliability.toFixed(2)}/1.0
-      - Recent Intelligence: ${processedData.qualityMetrics.recentSources} sources (${processedData.qualityMetrics.veryRecentSources} very recent)
-      - Source Diversity: ${Object.keys(processedData.domainDistribution).length} domains across ${Object.keys(processedData.sourceTypes).length} categories
-      - Content Depth: Average ${processedData.qualityMetrics.averageContentLength} characters per source
-      
-      === SOURCE DISTRIBUTION ANALYSIS ===
-      ${Object.entries(processedData.domainDistribution).slice(0, 10).map(([domain, data]) => 
+    const { qualityMetrics, timeDistribution } = processedData;
+
+    return prompts.render('report', {
+      query: originalQuery,
+      executiveSummary: JSON.stringify(executiveSummaryData, null, 2),
+      analysisResults: JSON.stringify(analysisResults, null, 2),
+      dataOverview: [
+        `- Total Sources Analyzed: ${processedData.totalSources}`,
+        `- Data Quality Score: ${qualityMetrics.averageRelevanceScore.toFixed(2)}/1.0`,
+        `- Source Reliability: ${qualityMetrics.sourceReliability.toFixed(2)}/1.0`,
+        `- Recent Intelligence: ${qualityMetrics.recentSources} sources ` +
+          `(${qualityMetrics.veryRecentSources} very recent)`,
+        `- Source Diversity: ${Object.keys(processedData.domainDistribution).length} domains ` +
+          `across ${Object.keys(processedData.sourceTypes).length} categories`,
+        `- Content Depth: Average ${qualityMetrics.averageContentLength} characters per source`
+      ].join('\n'),
+      sourceDistribution: Object.entries(processedData.domainDistribution).slice(0, 10).map(([domain, data]) => 
         `${domain}: ${data.count} sources (Type: ${data.type}, Credibility: ${data.credibilityScore}, Avg Score: ${data.avgScore.toFixed(2)})`
-      ).join('\n')}
-      
-      === TEMPORAL INTELLIGENCE ===
-      Recent Activity: ${processedData.timeDistribution.lastWeek} (week), ${processedData.timeDistribution.lastMonth} (month)
-      Historical Context: ${processedData.timeDistribution.lastQuarter} (quarter), ${processedData.timeDistribution.lastYear} (year)
-      Data Recency Score: ${analysisResults.analysisMetadata?.recencyScore || 'N/A'}
-      
-      === CONTENT ANALYSIS HIGHLIGHTS ===
-      ${processedData.contentSummary.slice(0, 8).map((content, i) => 
+      ).join('\n'),
+      temporalIntelligence: [
+        `Recent Activity: ${timeDistribution.lastWeek} (week), ${timeDistribution.lastMonth} (month)`,
+        `Historical Context: ${timeDistribution.lastQuarter} (quarter), ${timeDistribution.lastYear} (year)`,
+        `Data Recency Score: ${analysisResults.analysisMetadata?.recencyScore || 'N/A'}`
+      ].join('\n'),
+      contentHighlights: processedData.contentSummary.slice(0, 8).map((content, i) => 
         `${i+1}. "${content.title}" (Score: ${content.score}, Source: ${content.domain}, Type: ${content.searchType})`
-      ).join('\n')}
-      
-      Generate a professional, executive-level HTML report with these specific sections:
+      ).join('\n'),
+      reportSections: this.buildSectionsPrompt(template)
+    });
+  }
+
+  // An analysis template names its own sections; otherwise the full executive report layout
+  buildSectionsPrompt(template) {
+    if (template?.reportSections?.length) {
+      return `Generate a professional, executive-level HTML report (${template.name}) ` +
+        `with these sections, in this order:
+      ${reportSections(template)}`;
+    }
+
+    return `Generate a professional, executive-level HTML report with these specific sections:
       
       1. **EXECUTIVE SUMMARY** (2-3 paragraphs)
          - Market overview and key findings
@@ -128,27 +166,7 @@ class SynthesisAgent {
          - Source credibility assessment
          - Methodology transparency
          - Data limitations and confidence intervals
-      
-      FORMATTING REQUIREMENTS:
-      - Use professional HTML structure with semantic elements
-      - Include CSS for executive presentation quality
-      - Add confidence indicators throughout
-      - Use data visualization placeholders where charts enhance understanding
-      - Include executive summary callout boxes
-      - Add strategic recommendation highlight boxes
-      - Ensure mobile-responsive design
-      - Include print-friendly styles
-      
-      CONTENT REQUIREMENTS:
-      - Base ALL conclusions on provided data
-      - Include specific data points and statistics
-      - Quantify insights where possible
-      - Maintain professional, analytical tone
-      - Focus on actionable business intelligence
-      - Include confidence levels for key assertions
-      
-      Return complete HTML document with embedded CSS styling.
-    `;
+`;
   }
 
   prepareExecutiveSummaryData(analysisResults, processedData) {
@@ -760,6 +778,8 @@ class SynthesisAgent {
       logger.info('Creating comprehensive visualizations for analysis results');
 
       const visualizations = [];
+      const { analysisMetadata, ...findings } = analysisResults; // metadata carries timestamps
+      const random = seededRandom(JSON.stringify(findings));
 
       // 1. Market Trends Impact Analysis
       if (analysisResults.keyTrends && analysisResults.keyTrends.length > 0) {
@@ -842,7 +862,7 @@ class SynthesisAgent {
           data: {
             labels: players,
             datasets: [{
-              data: players.map(() => Math.floor(Math.random() * 20) + 10),
+              data: players.map(() => Math.floor(random() * 20) + 10),
               backgroundColor: [
                 '#FF6384', '#36A2EB', '#FFCE56', '#4BC0C0', '#9966FF', '#FF9F40'
               ],
@@ -887,7 +907,7 @@ class SynthesisAgent {
 
       // 3. Risk vs Opportunity Strategic Matrix
       if (analysisResults.riskFactors && analysisResults.marketOpportunities) {
-        const matrixData = this.generateRiskOpportunityMatrix(analysisResults);
+        const matrixData = this.generateRiskOpportunityMatrix(analysisResults, random);
         
         visualizations.push({
           id: 'risk-opportunity-matrix',
@@ -971,7 +991,7 @@ class SynthesisAgent {
             labels: drivers,
             datasets: [{
               label: 'Growth Potential',
-              data: drivers.map(() => Math.floor(Math.random() * 30) + 65),
+              data: drivers.map(() => Math.floor(random() * 30) + 65),
               backgroundColor: 'rgba(54, 162, 235, 0.2)',
               borderColor: 'rgba(54, 162, 235, 1)',
               borderWidth: 3,
@@ -1014,7 +1034,7 @@ class SynthesisAgent {
       }
 
       // 5. Market Sentiment Timeline
-      const sentimentData = this.generateMarketSentimentTimeline(analysisResults);
+      const sentimentData = this.generateMarketSentimentTimeline(analysisResults, random);
       
       visualizations.push({
         id: 'market-sentiment-timeline',
@@ -1137,23 +1157,23 @@ class SynthesisAgent {
     }
   }
 
-  generateRiskOpportunityMatrix(analysisResults) {
+  generateRiskOpportunityMatrix(analysisResults, random = Math.random) {
     const opportunities = (analysisResults.marketOpportunities || []).map((opp, i) => ({
-      x: Math.random() * 60 + 30, // Opportunity score 30-90
-      y: Math.random() * 40 + 10, // Risk score 10-50 (lower risk for opportunities)
+      x: random() * 60 + 30, // Opportunity score 30-90
+      y: random() * 40 + 10, // Risk score 10-50 (lower risk for opportunities)
       label: `Opportunity: ${opp}`
     }));
 
     const risks = (analysisResults.riskFactors || []).map((risk, i) => ({
-      x: Math.random() * 50 + 15, // Opportunity score 15-65 (lower opportunity)
-      y: Math.random() * 50 + 40, // Risk score 40-90 (higher risk)
+      x: random() * 50 + 15, // Opportunity score 15-65 (lower opportunity)
+      y: random() * 50 + 40, // Risk score 40-90 (higher risk)
       label: `Risk: ${risk}`
     }));
 
     return { opportunities, risks };
   }
 
-  generateMarketSentimentTimeline(analysisResults) {
+  generateMarketSentimentTimeline(analysisResults, random = Math.random) {
     const months = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
     const currentMonth = new Date().getMonth();
     
@@ -1173,7 +1193,7 @@ class SynthesisAgent {
       
       if (i < 0) {
         // Historical volatility
-        sentimentScore += Math.sin(i * 0.7) * 12 * confidenceMultiplier + Math.random() * 10 - 5;
+        sentimentScore += Math.sin(i * 0.7) * 12 * confidenceMultiplier + random() * 10 - 5;
       } else if (i === 0) {
         // Current optimistic based on opportunities
         const opportunityBoost = (analysisResults.marketOpportunities?.length || 0) * 3;
@@ -1181,7 +1201,7 @@ class SynthesisAgent {
       } else {
         // Future projection with growth trend
         const growthTrend = (analysisResults.marketDynamics?.growthDrivers?.length || 0) * 2;
-        sentimentScore += i * 1.5 + growthTrend + Math.random() * 8 - 4;
+        sentimentScore += i * 1.5 + growthTrend + random() * 8 - 4;
       }
       
       values.push(Math.max(20, Math.min(95, Math.round(sentimentScore))));
@@ -177,12 +177,20 @@ class App {
           baseUrl: req.protocol + '://' + req.get('host') + '/api',
           endpoints: {
             analysis: {
-              post: '/analysis - Start new analysis',
+              post: '/analysis - Start new analysis (engine, searchProviders, template, budget and reuse are optional)',
               get: '/analysis - Get user analyses',
               get_status: '/analysis/:id/status - Get analysis status',
+              get_events: '/analysis/:id/events - Stream live progress (Server-Sent Events)',
               get_results: '/analysis/:id/results - Get analysis results',
               delete: '/analysis/:id - Cancel analysis',
-              retry: '/analysis/:id/retry - Retry analysis',
+              retry: '/analysis/:id/retry - Retry analysis (fromStep resumes from a checkpoint)',
+              ask: '/analysis/:id/ask - Ask a follow-up question about a completed analysis',
+              get_conversation: '/analysis/:id/conversation - Get the follow-up conversation',
+              compare: '/analysis/compare?ids=a,b - Compare two completed analyses',
+              post_batch: '/analysis/batch - Start a batch of analyses (queries list or CSV file)',
+              get_batches: '/analysis/batch - Get user batches',
+              get_batch: '/analysis/batch/:id - Get batch progress and its analyses',
+              export_batch: '/analysis/batch/:id/export/:format - Export a batch as one report',
             },
             users: {
               get_profile: '/users/profile - Get user profile',
@@ -199,6 +207,43 @@ class App {
               get_export: '/export/:id/:format - Export analysis results',
               get_history: '/export/history - Get export history',
             },
+            schedules: {
+              post: '/schedules - Schedule a recurring analysis (cron expression or interval)',
+              get: '/schedules - List schedules',
+              get_schedule: '/schedules/:id - Get a schedule with its runs and their changes',
+              patch: '/schedules/:id - Update, pause or resume a schedule',
+              delete: '/schedules/:id - Delete a schedule',
+              run: '/schedules/:id/run - Run a schedule now',
+            },
+            templates: {
+              get: '/templates - List analysis templates',
+              get_template: '/templates/:id - Get a template',
+              post: '/templates - Create a template (admin)',
+              put: '/templates/:id - Update a template (admin)',
+              delete: '/templates/:id - Delete a template (admin)',
+            },
+            webhooks: {
+              post: '/webhooks - Register an endpoint for analysis events (returns its secret)',
+              get: '/webhooks - List webhook endpoints',
+              get_webhook: '/webhooks/:id - Get a webhook endpoint',
+              patch: '/webhooks/:id - Update, disable or enable an endpoint',
+              delete: '/webhooks/:id - Delete an endpoint and its delivery log',
+              get_deliveries: '/webhooks/:id/deliveries - Get the delivery log',
+              redeliver: '/webhooks/:id/deliveries/:deliveryId/redeliver - Send an event again',
+            },
+            notifications: {
+              get_settings: '/notifications/settings - Get email notification settings',
+              patch_settings: '/notifications/settings - Update email settings and templates',
+              unsubscribe: '/notifications/unsubscribe?token= - Unsubscribe link of an email',
+            },
+            prompts: {
+              get: '/prompts - List registry prompts (admin)',
+              get_prompt: '/prompts/:id - Get a prompt and its versions (admin)',
+              post_version: '/prompts/:id/versions - Add a prompt version (admin)',
+              put_rollout: '/prompts/:id/rollout - Roll a version out to some traffic (admin)',
+              promote: '/prompts/:id/versions/:version/promote - Make a version active (admin)',
+              compare: '/prompts/:id/compare?period= - Compare versions by quality (admin)',
+            },
           },
           authentication: {
             type: 'Header-based',
@@ -33,6 +33,84 @@ const config = {
     jwt: process.env.JWT_SECRET || 'development-secret',
   },
 
+  // LLM provider: openai, openai-compatible (Ollama, llama.cpp, vLLM ...) or fake
+  llm: {
+    provider: process.env.LLM_PROVIDER || 'openai',
+    baseUrl: process.env.LLM_BASE_URL || 'http://localhost:11434/v1',
+    apiKey: process.env.LLM_API_KEY,
+    timeoutMs: parseInt(process.env.LLM_TIMEOUT_MS) || 120000,
+    // Model tiers used by the agents; a call site names a tier, never a model
+    models: {
+      default: process.env.LLM_MODEL || 'gpt-4',
+      fast: process.env.LLM_FAST_MODEL || 'gpt-3.5-turbo',
+    },
+  },
+
+  // Search providers: tavily, local (a directory of JSON/HTML documents); several are merged
+  search: {
+    providers: (process.env.SEARCH_PROVIDERS || 'tavily')
+      .split(',')
+      .map((name) => name.trim())
+      .filter(Boolean),
+    corpusDir: process.env.SEARCH_CORPUS_DIR || path.join(__dirname, '../../data/corpus'),
+  },
+
+  // Cache of individual searches in Redis (see providers/search/SearchCache), shared by every
+  // analysis. Results are kept for as long as their recency allows: 'realtime' searches (news,
+  // the last days), 'recent' ones (trends, forecasts, the last months) and 'stable' ones
+  searchCache: {
+    enabled: process.env.SEARCH_CACHE_ENABLED !== 'false',
+    providers: (process.env.SEARCH_CACHE_PROVIDERS || 'tavily')
+      .split(',')
+      .map((name) => name.trim())
+      .filter(Boolean),
+    ttlSeconds: {
+      realtime: parseInt(process.env.SEARCH_CACHE_REALTIME_TTL) || 3600,
+      recent: parseInt(process.env.SEARCH_CACHE_RECENT_TTL) || 43200,
+      stable: parseInt(process.env.SEARCH_CACHE_STABLE_TTL) || 259200,
+    },
+  },
+
+  // Record/replay of search and LLM traffic: off, or record (one bundle per analysis)
+  fixtures: {
+    mode: process.env.FIXTURE_MODE || 'off',
+    directory: process.env.FIXTURE_DIR || path.join(__dirname, '../../fixtures'),
+  },
+
+  // Estimated cost of metered calls (see providers/metering): LLM prices per 1K prompt
+  // (input) and completion (output) tokens, search prices per call. PRICE_TABLE is JSON of
+  // the same shape, e.g. {"llm":{"llama3":{"input":0,"output":0}}}, and adds or replaces entries
+  metering: {
+    currency: process.env.PRICE_CURRENCY || 'USD',
+    prices: {
+      llm: {
+        'gpt-4': { input: 0.03, output: 0.06 },
+        'gpt-4-turbo': { input: 0.01, output: 0.03 },
+        'gpt-4o': { input: 0.0025, output: 0.01 },
+        'gpt-4o-mini': { input: 0.00015, output: 0.0006 },
+        'gpt-3.5-turbo': { input: 0.0005, output: 0.0015 },
+      },
+      search: {
+        tavily: 0.008,
+        local: 0,
+        cache: 0,
+      },
+    },
+    overrides: process.env.PRICE_TABLE ? JSON.parse(process.env.PRICE_TABLE) : {},
+  },
+
+  // Per-analysis budgets by subscription plan (see workflows/budget). A request may lower
+  // its own limits but never raise them; ANALYSIS_BUDGETS is JSON of the same shape, e.g.
+  // {"free":{"maxSearchCalls":4}}, and replaces a plan's entry
+  budgets: {
+    plans: {
+      free: { maxSearchCalls: 10, maxLLMTokens: 60000, maxDurationMs: 300000 },
+      premium: { maxSearchCalls: 25, maxLLMTokens: 200000, maxDurationMs: 600000 },
+      enterprise: { maxSearchCalls: 60, maxLLMTokens: 600000, maxDurationMs: 1200000 },
+    },
+    overrides: process.env.ANALYSIS_BUDGETS ? JSON.parse(process.env.ANALYSIS_BUDGETS) : {},
+  },
+
   // Rate limiting
   rateLimit: {
     windowMs: parseInt(process.env.RATE_LIMIT_WINDOW_MS) || 900000, // 15 minutes
@@ -49,6 +127,107 @@ const config = {
     maxConcurrent: parseInt(process.env.MAX_CONCURRENT_ANALYSES) || 5,
     searchTimeout: parseInt(process.env.SEARCH_TIMEOUT_MS) || 30000,
     analysisTimeout: parseInt(process.env.ANALYSIS_TIMEOUT_MS) || 120000,
+    pipeline: process.env.ANALYSIS_PIPELINE || 'market-intelligence',
+    engine: process.env.ANALYSIS_ENGINE || 'langchain-multiagent',
+  },
+
+  // Analysis job queue (Bull, backed by Redis)
+  queue: {
+    name: process.env.ANALYSIS_QUEUE_NAME || 'analysis',
+    concurrency:
+      parseInt(process.env.WORKER_CONCURRENCY) ||
+      parseInt(process.env.MAX_CONCURRENT_ANALYSES) ||
+      5,
+    attempts: parseInt(process.env.ANALYSIS_JOB_ATTEMPTS) || 3,
+    backoff: {
+      type: process.env.ANALYSIS_JOB_BACKOFF_TYPE || 'exponential',
+      delay: parseInt(process.env.ANALYSIS_JOB_BACKOFF_MS) || 30000,
+    },
+    keepCompleted: parseInt(process.env.ANALYSIS_JOB_KEEP_COMPLETED) || 1000,
+  },
+
+  // Admission of queued analyses (see services/dispatch.service and utils/fairQueue): at most
+  // `capacity` run at once and each user at most their settings.maxConcurrentAnalyses, capped
+  // by their plan's limit; the rest wait, ordered by priority plus plan weight plus one point
+  // per `agingMs` waited, less `userPenalty` per analysis the user already has running
+  dispatch: {
+    capacity: parseInt(process.env.MAX_CONCURRENT_ANALYSES) || 5,
+    userLimits: { free: 2, premium: 5, enterprise: 10 },
+    planWeights: { free: 0, premium: 2, enterprise: 4 },
+    agingMs: parseInt(process.env.DISPATCH_AGING_MS) || 300000,
+    userPenalty: 1,
+    // Run time assumed for start estimates until analyses have completed
+    durationMs: 180000,
+    lookahead: 500,
+    intervalMs: parseInt(process.env.DISPATCH_INTERVAL_MS) || 5000,
+    lockMs: 10000,
+  },
+
+  // Identical analyses (see utils/coalescing) attach to one already queued or running; a
+  // request with `reuse` also takes a completed result no older than freshnessMs
+  coalescing: {
+    freshnessMs: parseInt(process.env.RESULT_FRESHNESS_MS) || 3600000,
+  },
+
+  // Webhook endpoints (see services/webhook.service): failed deliveries are retried up to
+  // `attempts` times, backoffMs after the first failure and twice as long after each next one.
+  // Only public addresses are delivered to; allowedHosts may name local ones, for testing
+  webhooks: {
+    maxPerUser: parseInt(process.env.MAX_WEBHOOKS_PER_USER) || 10,
+    attempts: parseInt(process.env.WEBHOOK_ATTEMPTS) || 6,
+    backoffMs: parseInt(process.env.WEBHOOK_BACKOFF_MS) || 30000,
+    timeoutMs: parseInt(process.env.WEBHOOK_TIMEOUT_MS) || 10000,
+    concurrency: parseInt(process.env.WEBHOOK_CONCURRENCY) || 5,
+    allowedHosts: (process.env.WEBHOOK_ALLOWED_HOSTS || '')
+      .split(',')
+      .map((host) => host.trim().toLowerCase())
+      .filter(Boolean),
+  },
+
+  // Email notifications over SMTP (see services/notification.service), sent only when
+  // SMTP_HOST is set - MailHog on localhost:1025 for local testing. Links in emails point at
+  // the frontend (appUrl) and, to unsubscribe, at the API (apiUrl)
+  email: {
+    enabled: Boolean(process.env.SMTP_HOST),
+    from: process.env.EMAIL_FROM || 'TavSearch <notifications@tavsearch.local>',
+    smtp: {
+      host: process.env.SMTP_HOST || 'localhost',
+      port: parseInt(process.env.SMTP_PORT) || 1025,
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASSWORD }
+        : undefined,
+    },
+    appUrl: process.env.APP_URL || process.env.FRONTEND_URL || 'http://localhost:3001',
+    apiUrl: process.env.API_URL || `http://localhost:${parseInt(process.env.PORT) || 3000}`,
+    attempts: parseInt(process.env.EMAIL_ATTEMPTS) || 3,
+    backoffMs: parseInt(process.env.EMAIL_BACKOFF_MS) || 60000,
+    // Weekly digest, by default Mondays at 08:00 server time
+    digest: {
+      cron: process.env.DIGEST_CRON || '0 8 * * 1',
+      timezone: process.env.DIGEST_TIMEZONE,
+      maxAnalyses: 20,
+    },
+  },
+
+  // Batches of analyses (see services/batch.service): queries listed or uploaded as CSV
+  batch: {
+    maxQueries: parseInt(process.env.BATCH_MAX_QUERIES) || 50,
+    maxFileBytes: parseInt(process.env.BATCH_MAX_FILE_BYTES) || 256 * 1024,
+  },
+
+  // Scheduled analyses (Agenda, backed by MongoDB; jobs run in the worker process)
+  scheduler: {
+    collection: process.env.SCHEDULER_COLLECTION || 'scheduledJobs',
+    processEvery: process.env.SCHEDULER_PROCESS_EVERY || '1 minute',
+    maxSchedulesPerUser: parseInt(process.env.MAX_SCHEDULES_PER_USER) || 20,
+  },
+
+  // Live progress events (Redis streams, served over SSE)
+  progress: {
+    maxEvents: parseInt(process.env.PROGRESS_MAX_EVENTS) || 500,
+    ttlSeconds: parseInt(process.env.PROGRESS_EVENTS_TTL_SECONDS) || 86400,
+    heartbeatMs: parseInt(process.env.PROGRESS_HEARTBEAT_MS) || 15000,
   },
 
   // Logging
@@ -1,23 +1,39 @@
 let AnalysisService = require('../services/analysis.service');
+let ConversationService = require('../services/conversation.service');
 const { catchAsync } = require('../middleware/error.middleware');
 const { NotFoundError } = require('../utils/errors');
 const config = require('../config');
 const { logger } = require('../utils/logger');
 
 AnalysisService = new AnalysisService(config);
+ConversationService = new ConversationService(config);
 
 class AnalysisController {
   /**
    * Start new multi-agent analysis
    */
   static startAnalysis = catchAsync(async (req, res) => {
-    const { query, priority = 1, tags = [] } = req.body;
+    const {
+      query,
+      priority = 1,
+      tags = [],
+      engine,
+      searchProviders,
+      template,
+      budget,
+      reuse = false,
+    } = req.body;
     const userId = req.user.userId;
 
-    logger.info('Starting LangChain Multi-Agent analysis', {
+    logger.info('Starting multi-agent analysis', {
       userId,
       query,
       priority,
+      engine,
+      searchProviders,
+      template,
+      budget,
+      reuse,
     });
 
     const result = await AnalysisService.startAnalysis({
@@ -25,15 +41,27 @@ class AnalysisController {
       query: query.trim(),
       priority,
       tags,
+      engine,
+      searchProviders,
+      template,
+      budget,
+      reuse,
     });
 
     return res.status(202).json({
       success: true,
-      message: 'LangChain Multi-Agent analysis started successfully',
+      message: 'LangChain Multi-Agent analysis queued successfully',
       data: {
         queryId: result.queryId,
         estimatedDuration: result.estimatedDuration,
         status: result.status,
+        queue: result.queue,
+        sharedFrom: result.sharedFrom,
+        reused: result.reused,
+        engine: result.engine,
+        searchProviders: result.searchProviders,
+        template: result.template,
+        budget: result.budget,
         framework: result.framework,
         agents: [
           'PlannerAgent - Creating search strategy',
@@ -46,6 +74,22 @@ class AnalysisController {
     });
   });
 
+  /**
+   * Compare two completed analyses: added and removed items, confidence change, source overlap
+   */
+  static compareAnalyses = catchAsync(async (req, res) => {
+    const ids = req.query.ids.split(',').map((id) => id.trim());
+    const userId = req.user.userId;
+
+    const comparison = await AnalysisService.compareAnalyses(ids, userId);
+
+    res.json({
+      success: true,
+      message: 'Analyses compared successfully',
+      data: comparison,
+    });
+  });
+
   /**
    * Get analysis status with progress tracking
    */
@@ -66,6 +110,63 @@ class AnalysisController {
     });
   });
 
+  /**
+   * Stream live analysis progress as Server-Sent Events.
+   * Reconnecting clients send Last-Event-ID to resume where they left off.
+   */
+  static streamAnalysisEvents = catchAsync(async (req, res) => {
+    const { queryId } = req.params;
+    const userId = req.user.userId;
+
+    const status = await AnalysisService.getAnalysisStatus(queryId, userId);
+
+    if (!status) {
+      throw new NotFoundError('Analysis not found');
+    }
+
+    const requestedId = req.get('Last-Event-ID') || req.query.lastEventId;
+    const lastEventId = /^\d+-\d+$/.test(requestedId || '') ? requestedId : '0';
+
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no',
+    });
+    res.flushHeaders();
+    res.write('retry: 3000\n\n');
+
+    // compression buffers writes unless flushed explicitly
+    const flush = () => typeof res.flush === 'function' && res.flush();
+
+    const disconnected = new AbortController();
+    req.on('close', () => disconnected.abort());
+
+    try {
+      await AnalysisService.streamEvents(queryId, {
+        lastEventId,
+        signal: disconnected.signal,
+        onEvent: ({ id, type, data }) => {
+          if (id) res.write(`id: ${id}\n`);
+          res.write(`event: ${type}\n`);
+          res.write(`data: ${JSON.stringify({ queryId, ...data })}\n\n`);
+          flush();
+        },
+        onIdle: () => {
+          res.write(': heartbeat\n\n');
+          flush();
+        },
+      });
+    } catch (error) {
+      logger.error('Analysis event stream failed', { queryId, error: error.message });
+      res.write(
+        `event: stream_error\ndata: ${JSON.stringify({ queryId, error: error.message })}\n\n`
+      );
+    }
+
+    res.end();
+  });
+
   /**
    * Get comprehensive analysis results
    */
@@ -111,31 +212,71 @@ class AnalysisController {
   });
 
   /**
-   * Retry failed analysis
+   * Retry failed analysis - from scratch, or resumed from a checkpoint with `fromStep`
    */
   static retryAnalysis = catchAsync(async (req, res) => {
     const { queryId } = req.params;
+    const { fromStep } = req.body || {};
     const userId = req.user.userId;
 
-    const result = await AnalysisService.retryAnalysis(queryId, userId);
+    const result = await AnalysisService.retryAnalysis(queryId, userId, { fromStep });
 
     logger.info('Analysis retry initiated', {
       originalQueryId: queryId,
       newQueryId: result.queryId,
+      fromStep,
       userId,
     });
 
     res.json({
       success: true,
-      message: 'Analysis retry started',
+      message: fromStep ? 'Analysis resumed from checkpoint' : 'Analysis retry started',
       data: {
         newQueryId: result.queryId,
         status: result.status,
         framework: result.framework,
+        queue: result.queue,
+        ...(fromStep && {
+          resumeFrom: result.resumeFrom,
+          restoredAgents: result.restoredAgents,
+        }),
       },
     });
   });
 
+  /**
+   * Answer a follow-up question from the analysis' stored sources, with citations
+   */
+  static askQuestion = catchAsync(async (req, res) => {
+    const { queryId } = req.params;
+    const { question } = req.body;
+    const userId = req.user.userId;
+
+    const answer = await ConversationService.ask(queryId, userId, question);
+
+    res.json({
+      success: true,
+      message: 'Question answered successfully',
+      data: answer,
+    });
+  });
+
+  /**
+   * Get the follow-up conversation thread of an analysis
+   */
+  static getConversation = catchAsync(async (req, res) => {
+    const { queryId } = req.params;
+    const userId = req.user.userId;
+
+    const thread = await ConversationService.getThread(queryId, userId);
+
+    res.json({
+      success: true,
+      message: 'Conversation retrieved successfully',
+      data: thread,
+    });
+  });
+
   /**
    * Get paginated user analysis history
    */
@@ -196,59 +337,10 @@ class AnalysisController {
    * Get multi-agent workflow diagram
    */
   static getWorkflowDiagram = catchAsync(async (req, res) => {
+    // Nodes, edges and the Mermaid source come from the engine's pipeline definition
     const workflowDiagram = {
-      nodes: [
-        {
-          id: 'planner',
-          label: 'Planner Agent',
-          type: 'agent',
-          description: 'Creates comprehensive search strategy',
-          status: 'active',
-        },
-        {
-          id: 'searcher',
-          label: 'Search Agent',
-          type: 'agent',
-          description: 'Gathers real-time data via Tavily API',
-          status: 'active',
-        },
-        {
-          id: 'analyzer',
-          label: 'Analysis Agent',
-          type: 'agent',
-          description: 'Processes and analyzes market data using GPT-4',
-          status: 'active',
-        },
-        {
-          id: 'synthesizer',
-          label: 'Synthesis Agent',
-          type: 'agent',
-          description: 'Generates professional HTML reports',
-          status: 'active',
-        },
-        {
-          id: 'validator',
-          label: 'Validator Agent',
-          type: 'agent',
-          description: 'Quality control and validation with retry logic',
-          status: 'active',
-        },
-      ],
-      edges: [
-        { from: 'planner', to: 'searcher', type: 'sequential', label: 'Search Strategy' },
-        { from: 'searcher', to: 'analyzer', type: 'sequential', label: 'Raw Data' },
-        { from: 'analyzer', to: 'synthesizer', type: 'sequential', label: 'Analysis Results' },
-        { from: 'synthesizer', to: 'validator', type: 'sequential', label: 'Report' },
-        {
-          from: 'validator',
-          to: 'analyzer',
-          type: 'conditional',
-          condition: 'reprocess',
-          label: 'Quality Retry',
-        },
-      ],
+      ...AnalysisService.getWorkflowDiagram(req.query.engine || undefined),
       framework: 'LangChain Multi-Agent System',
-      description: 'Market Intelligence Analysis with 5 Specialized Agents',
       features: [
         'Sequential agent execution with error handling',
         'Real-time web search via Tavily API',
@@ -279,8 +371,8 @@ class AnalysisController {
       services: {
         multiAgent: serviceStatus,
         database: 'MongoDB Atlas',
-        search: 'Tavily API',
-        llm: 'OpenAI GPT-4',
+        search: config.search.providers.join(' + '),
+        llm: `${config.llm.provider} (${config.llm.models.default})`,
         backend: 'Node.js + Express',
         frontend: 'React + Tailwind CSS',
       },
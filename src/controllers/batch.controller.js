@@ -0,0 +1,91 @@
+let BatchService = require('../services/batch.service');
+const ExportController = require('./export.controller');
+const { catchAsync } = require('../middleware/error.middleware');
+const { ValidationError } = require('../utils/errors');
+const config = require('../config');
+const { logger } = require('../utils/logger');
+
+BatchService = new BatchService(config);
+
+const SUPPORTED_FORMATS = ['json', 'pdf', 'csv', 'xlsx', 'html'];
+
+class BatchController {
+  /**
+   * Start one analysis per query, listed in the body or uploaded as a CSV file
+   */
+  static createBatch = catchAsync(async (req, res) => {
+    const userId = req.user.userId;
+    const csv = req.file ? req.file.buffer.toString('utf8') : null;
+
+    logger.info('Creating analysis batch', {
+      userId,
+      queries: req.body.queries?.length || 0,
+      file: req.file?.originalname,
+    });
+
+    const batch = await BatchService.createBatch(userId, { ...req.body, csv });
+
+    res.status(202).json({
+      success: true,
+      message: `Batch of ${batch.total} analyses queued successfully`,
+      data: batch,
+    });
+  });
+
+  static getBatches = catchAsync(async (req, res) => {
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = parseInt(req.query.skip) || 0;
+
+    const batches = await BatchService.listBatches(req.user.userId, { limit, skip });
+
+    res.json({
+      success: true,
+      message: 'Batches retrieved successfully',
+      data: { batches },
+    });
+  });
+
+  /**
+   * Get a batch with its aggregate progress and the status of each analysis
+   */
+  static getBatch = catchAsync(async (req, res) => {
+    const batch = await BatchService.getBatch(req.params.batchId, req.user.userId);
+
+    res.json({
+      success: true,
+      message: 'Batch retrieved successfully',
+      data: batch,
+    });
+  });
+
+  /**
+   * Export every completed analysis of the batch as one workbook or report
+   */
+  static exportBatch = catchAsync(async (req, res) => {
+    const { batchId } = req.params;
+    const format = req.params.format.toLowerCase();
+
+    if (!SUPPORTED_FORMATS.includes(format)) {
+      throw new ValidationError(
+        `Unsupported format: ${format}. Supported: ${SUPPORTED_FORMATS.join(', ')}`
+      );
+    }
+
+    const exportData = await BatchService.exportBatch(batchId, req.user.userId, format);
+
+    res.setHeader('Content-Type', ExportController.getContentType(format));
+    res.setHeader(
+      'Content-Disposition',
+      `attachment; filename="batch-${batchId}-${Date.now()}.${format}"`
+    );
+    res.setHeader('Content-Security-Policy', "default-src 'self'");
+
+    if (format === 'json') {
+      res.json(exportData);
+    } else {
+      res.send(exportData);
+    }
+  });
+}
+
+module.exports = BatchController;
@@ -1,4 +1,5 @@
 let ExportService = require('../services/export.service');
+let WebhookService = require('../services/webhook.service');
 const Query = require('../models/Query');
 const Result = require('../models/Result');
 const { catchAsync } = require('../middleware/error.middleware');
@@ -7,6 +8,7 @@ const { logger } = require('../utils/logger');
 const config = require('../config');
 
 ExportService = new ExportService(config);
+WebhookService = new WebhookService(config);
 
 class ExportController {
   /**
@@ -35,7 +37,8 @@ class ExportController {
     }
 
     // Get results with populated query data
-    const result = await Result.findOne({ queryId }).populate('query');
+    // An attached analysis exports the Result of the run it shares
+    const result = await Result.findOne({ queryId: Query.resultQueryId(query) }).populate('query');
     if (!result) {
       throw new NotFoundError('Analysis results not found');
     }
@@ -60,7 +63,13 @@ class ExportController {
     res.setHeader('Content-Security-Policy', "default-src 'self'");
 
     // Update export tracking
-    await ExportController.trackExport(queryId, format, userId);
+    await ExportController.trackExport(result.queryId, format, userId);
+    await WebhookService.notifyAnalysis(
+      queryId,
+      'analysis.exported',
+      { format: format.toLowerCase() },
+      { attached: false }
+    );
 
     // Send response based on format
     if (format.toLowerCase() === 'json') {
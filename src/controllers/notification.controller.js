@@ -0,0 +1,61 @@
+let NotificationService = require('../services/notification.service');
+const { catchAsync } = require('../middleware/error.middleware');
+const { escapeHtml } = require('../utils/citations');
+const config = require('../config');
+
+NotificationService = new NotificationService(config);
+
+const LISTS = {
+  all: 'You will no longer receive TavSearch notification emails.',
+  digest: 'You will no longer receive the TavSearch weekly digest.',
+};
+
+class NotificationController {
+  /**
+   * Get the user's email notification settings and templates
+   */
+  static getSettings = catchAsync(async (req, res) => {
+    const settings = await NotificationService.getSettings(req.user.userId);
+
+    res.json({
+      success: true,
+      message: 'Notification settings retrieved successfully',
+      data: settings,
+    });
+  });
+
+  static updateSettings = catchAsync(async (req, res) => {
+    const settings = await NotificationService.updateSettings(req.user.userId, req.body);
+
+    res.json({
+      success: true,
+      message: 'Notification settings updated successfully',
+      data: settings,
+    });
+  });
+
+  /**
+   * Unsubscribe link of an email: opened in a browser (GET) or sent by the mail client's
+   * one-click unsubscribe (POST). No login needed - the token names the user.
+   */
+  static unsubscribe = catchAsync(async (req, res) => {
+    const { list } = await NotificationService.unsubscribe(req.query.token);
+
+    if (req.method === 'POST') {
+      return res.json({ success: true, message: 'Unsubscribed successfully', data: { list } });
+    }
+
+    res.setHeader('Content-Type', 'text/html; charset=utf-8');
+    res.send(`<!DOCTYPE html>
+<html>
+  <head><title>Unsubscribed</title></head>
+  <body style="font-family: Arial, sans-serif; margin: 40px;">
+    <h1>Unsubscribed</h1>
+    <p>${escapeHtml(LISTS[list] || LISTS.all)}</p>
+    <p>You can turn emails back on in your settings.</p>
+  </body>
+</html>`);
+  });
+}
+
+module.exports = NotificationController;
@@ -0,0 +1,86 @@
+let PromptService = require('../services/prompt.service');
+const { catchAsync } = require('../middleware/error.middleware');
+const config = require('../config');
+const { logger } = require('../utils/logger');
+
+PromptService = new PromptService(config);
+
+class PromptController {
+  /**
+   * Registry prompts with their active version and any rollout
+   */
+  static getPrompts = catchAsync(async (req, res) => {
+    const prompts = await PromptService.listPrompts();
+
+    res.json({
+      success: true,
+      message: 'Prompts retrieved successfully',
+      data: { prompts },
+    });
+  });
+
+  static getPrompt = catchAsync(async (req, res) => {
+    const prompt = await PromptService.getPrompt(req.params.promptId);
+
+    res.json({
+      success: true,
+      message: 'Prompt retrieved successfully',
+      data: prompt,
+    });
+  });
+
+  static createVersion = catchAsync(async (req, res) => {
+    const userId = req.user.userId;
+
+    logger.info('Creating prompt version', { userId, promptId: req.params.promptId });
+
+    const prompt = await PromptService.createVersion(req.params.promptId, req.body, userId);
+
+    res.status(201).json({
+      success: true,
+      message: 'Prompt version created successfully',
+      data: prompt,
+    });
+  });
+
+  static setRollout = catchAsync(async (req, res) => {
+    const prompt = await PromptService.setRollout(req.params.promptId, req.body, req.user.userId);
+
+    res.json({
+      success: true,
+      message: prompt.rollout ? 'Prompt rollout started' : 'Prompt rollout stopped',
+      data: prompt,
+    });
+  });
+
+  static promoteVersion = catchAsync(async (req, res) => {
+    const prompt = await PromptService.promote(
+      req.params.promptId,
+      req.params.version,
+      req.user.userId
+    );
+
+    res.json({
+      success: true,
+      message: 'Prompt version promoted successfully',
+      data: prompt,
+    });
+  });
+
+  /**
+   * Quality, failure and cost figures of each version's analyses
+   */
+  static compareVersions = catchAsync(async (req, res) => {
+    const comparison = await PromptService.compareVersions(req.params.promptId, {
+      period: req.query.period,
+    });
+
+    res.json({
+      success: true,
+      message: 'Prompt versions compared successfully',
+      data: comparison,
+    });
+  });
+}
+
+module.exports = PromptController;
@@ -0,0 +1,99 @@
+let ScheduleService = require('../services/schedule.service');
+const { catchAsync } = require('../middleware/error.middleware');
+const config = require('../config');
+const { logger } = require('../utils/logger');
+
+ScheduleService = new ScheduleService(config);
+
+class ScheduleController {
+  /**
+   * Save a query that re-runs on a cron expression or interval
+   */
+  static createSchedule = catchAsync(async (req, res) => {
+    const userId = req.user.userId;
+
+    logger.info('Creating analysis schedule', {
+      userId,
+      query: req.body.query,
+      interval: req.body.interval,
+    });
+
+    const schedule = await ScheduleService.createSchedule(userId, {
+      ...req.body,
+      query: req.body.query.trim(),
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Analysis scheduled successfully',
+      data: schedule,
+    });
+  });
+
+  static getSchedules = catchAsync(async (req, res) => {
+    const schedules = await ScheduleService.listSchedules(req.user.userId);
+
+    res.json({
+      success: true,
+      message: 'Schedules retrieved successfully',
+      data: { schedules },
+    });
+  });
+
+  /**
+   * Get a schedule with its runs and what changed in each
+   */
+  static getSchedule = catchAsync(async (req, res) => {
+    const { scheduleId } = req.params;
+    const limit = parseInt(req.query.limit) || 20;
+
+    const schedule = await ScheduleService.getSchedule(scheduleId, req.user.userId, { limit });
+
+    res.json({
+      success: true,
+      message: 'Schedule retrieved successfully',
+      data: schedule,
+    });
+  });
+
+  static updateSchedule = catchAsync(async (req, res) => {
+    const { scheduleId } = req.params;
+
+    const schedule = await ScheduleService.updateSchedule(scheduleId, req.user.userId, req.body);
+
+    res.json({
+      success: true,
+      message: 'Schedule updated successfully',
+      data: schedule,
+    });
+  });
+
+  static deleteSchedule = catchAsync(async (req, res) => {
+    const { scheduleId } = req.params;
+
+    const result = await ScheduleService.deleteSchedule(scheduleId, req.user.userId);
+
+    res.json({
+      success: true,
+      message: 'Schedule deleted successfully',
+      data: result,
+    });
+  });
+
+  /**
+   * Run a schedule now, outside its regular times
+   */
+  static runSchedule = catchAsync(async (req, res) => {
+    const { scheduleId } = req.params;
+
+    const run = await ScheduleService.runNow(scheduleId, req.user.userId);
+
+    res.status(202).json({
+      success: true,
+      message: 'Scheduled analysis queued successfully',
+      data: run,
+    });
+  });
+}
+
+module.exports = ScheduleController;
@@ -0,0 +1,71 @@
+let TemplateService = require('../services/template.service');
+const { catchAsync } = require('../middleware/error.middleware');
+const config = require('../config');
+const { logger } = require('../utils/logger');
+
+TemplateService = new TemplateService(config);
+
+class TemplateController {
+  /**
+   * Built-in and admin-authored templates an analysis can be started with
+   */
+  static getTemplates = catchAsync(async (req, res) => {
+    const templates = await TemplateService.listTemplates();
+
+    res.json({
+      success: true,
+      message: 'Templates retrieved successfully',
+      data: { templates },
+    });
+  });
+
+  static getTemplate = catchAsync(async (req, res) => {
+    const template = await TemplateService.getTemplate(req.params.templateId);
+
+    res.json({
+      success: true,
+      message: 'Template retrieved successfully',
+      data: template,
+    });
+  });
+
+  static createTemplate = catchAsync(async (req, res) => {
+    const userId = req.user.userId;
+
+    logger.info('Creating analysis template', { userId, templateId: req.body.id });
+
+    const template = await TemplateService.createTemplate(req.body, userId);
+
+    res.status(201).json({
+      success: true,
+      message: 'Template created successfully',
+      data: template,
+    });
+  });
+
+  static updateTemplate = catchAsync(async (req, res) => {
+    const template = await TemplateService.updateTemplate(
+      req.params.templateId,
+      req.body,
+      req.user.userId
+    );
+
+    res.json({
+      success: true,
+      message: 'Template updated successfully',
+      data: template,
+    });
+  });
+
+  static deleteTemplate = catchAsync(async (req, res) => {
+    const result = await TemplateService.deleteTemplate(req.params.templateId, req.user.userId);
+
+    res.json({
+      success: true,
+      message: 'Template deleted successfully',
+      data: result,
+    });
+  });
+}
+
+module.exports = TemplateController;
@@ -0,0 +1,106 @@
+let WebhookService = require('../services/webhook.service');
+const { catchAsync } = require('../middleware/error.middleware');
+const config = require('../config');
+const { logger } = require('../utils/logger');
+
+WebhookService = new WebhookService(config);
+
+class WebhookController {
+  /**
+   * Register an endpoint for analysis lifecycle events. The response holds its signing secret.
+   */
+  static createWebhook = catchAsync(async (req, res) => {
+    const userId = req.user.userId;
+
+    logger.info('Creating webhook', { userId, url: req.body.url, events: req.body.events });
+
+    const webhook = await WebhookService.createWebhook(userId, req.body);
+
+    res.status(201).json({
+      success: true,
+      message: 'Webhook created successfully',
+      data: webhook,
+    });
+  });
+
+  static getWebhooks = catchAsync(async (req, res) => {
+    const webhooks = await WebhookService.listWebhooks(req.user.userId);
+
+    res.json({
+      success: true,
+      message: 'Webhooks retrieved successfully',
+      data: { webhooks },
+    });
+  });
+
+  static getWebhook = catchAsync(async (req, res) => {
+    const webhook = await WebhookService.getWebhook(req.params.webhookId, req.user.userId);
+
+    res.json({
+      success: true,
+      message: 'Webhook retrieved successfully',
+      data: webhook,
+    });
+  });
+
+  static updateWebhook = catchAsync(async (req, res) => {
+    const { webhookId } = req.params;
+
+    const webhook = await WebhookService.updateWebhook(webhookId, req.user.userId, req.body);
+
+    res.json({
+      success: true,
+      message: 'Webhook updated successfully',
+      data: webhook,
+    });
+  });
+
+  static deleteWebhook = catchAsync(async (req, res) => {
+    const result = await WebhookService.deleteWebhook(req.params.webhookId, req.user.userId);
+
+    res.json({
+      success: true,
+      message: 'Webhook deleted successfully',
+      data: result,
+    });
+  });
+
+  /**
+   * Get the endpoint's delivery log, with every attempt of each delivery
+   */
+  static getDeliveries = catchAsync(async (req, res) => {
+    const { webhookId } = req.params;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = parseInt(req.query.skip) || 0;
+
+    const result = await WebhookService.listDeliveries(webhookId, req.user.userId, {
+      limit,
+      skip,
+      status: req.query.status,
+    });
+
+    res.json({
+      success: true,
+      message: 'Webhook deliveries retrieved successfully',
+      data: result.deliveries,
+      pagination: result.pagination,
+    });
+  });
+
+  /**
+   * Send a delivery's event again
+   */
+  static redeliver = catchAsync(async (req, res) => {
+    const { webhookId, deliveryId } = req.params;
+
+    const delivery = await WebhookService.redeliver(webhookId, deliveryId, req.user.userId);
+
+    res.status(202).json({
+      success: true,
+      message: 'Webhook event queued for redelivery',
+      data: delivery,
+    });
+  });
+}
+
+module.exports = WebhookController;
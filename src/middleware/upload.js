@@ -0,0 +1,27 @@
+const multer = require('multer');
+const config = require('../config');
+const { ValidationError } = require('../utils/errors');
+
+const csvUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: config.batch.maxFileBytes, files: 1 },
+  fileFilter: (req, file, callback) => {
+    const isCsv = /\.csv$/i.test(file.originalname) || /csv|text\/plain/.test(file.mimetype);
+    callback(isCsv ? null : new ValidationError('Upload a CSV file of queries'), isCsv);
+  },
+}).single('file');
+
+/**
+ * Optional CSV upload of a batch's queries (multipart field "file"), kept in memory: the
+ * text is on req.file.buffer. JSON requests pass through untouched.
+ */
+const uploadQueryFile = (req, res, next) => {
+  csvUpload(req, res, (error) => {
+    if (error instanceof multer.MulterError) {
+      return next(new ValidationError(`Invalid upload: ${error.message}`));
+    }
+    next(error);
+  });
+};
+
+module.exports = { uploadQueryFile };
@@ -1,5 +1,6 @@
 const { body, query, param, validationResult } = require('express-validator');
 const { ValidationError } = require('../utils/errors');
+const { WEBHOOK_EVENTS } = require('../utils/webhooks');
 
 const handleValidationErrors = (req, res, next) => {
   const errors = validationResult(req);
@@ -39,6 +40,60 @@ const validateAnalysisRequest = [
     .isLength({ min: 1, max: 50 })
     .withMessage('Each tag must be between 1 and 50 characters'),
   
+  body('engine')
+    .optional()
+    .isString()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Engine must be an engine name'),
+  
+  body('searchProviders')
+    .optional()
+    .customSanitizer(value => (typeof value === 'string' ? value.split(',') : value))
+    .isArray({ min: 1, max: 5 })
+    .withMessage('searchProviders must list 1 to 5 providers'),
+  
+  body('searchProviders.*')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Each search provider must be a provider name'),
+  
+  body('template')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Template must be a template id'),
+  
+  body('budget')
+    .optional()
+    .isObject()
+    .withMessage('budget must be an object of limits'),
+  
+  body('budget.maxSearchCalls')
+    .optional()
+    .isInt({ min: 1, max: 1000 })
+    .withMessage('budget.maxSearchCalls must be between 1 and 1000')
+    .toInt(),
+  
+  body('budget.maxLLMTokens')
+    .optional()
+    .isInt({ min: 1000, max: 10000000 })
+    .withMessage('budget.maxLLMTokens must be between 1000 and 10000000')
+    .toInt(),
+  
+  body('budget.maxDurationMs')
+    .optional()
+    .isInt({ min: 10000, max: 86400000 })
+    .withMessage('budget.maxDurationMs must be between 10000 (10s) and 86400000 (24h)')
+    .toInt(),
+  
+  body('reuse')
+    .optional()
+    .isBoolean()
+    .withMessage('reuse must be true or false')
+    .toBoolean(),
+  
   handleValidationErrors
 ];
 
@@ -55,7 +110,7 @@ const validateQueryParams = [
   
   query('status')
     .optional()
-    .isIn(['pending', 'processing', 'completed', 'failed'])
+    .isIn(['pending', 'processing', 'completed', 'failed', 'cancelled'])
     .withMessage('Invalid status value'),
   
   handleValidationErrors
@@ -69,9 +124,554 @@ const validateObjectId = [
   handleValidationErrors
 ];
 
+const validateRetryRequest = [
+  param('queryId')
+    .isMongoId()
+    .withMessage('Invalid query ID format'),
+  
+  // Agent names come from the pipeline definition and are checked by the service
+  body('fromStep')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('fromStep must be "last" or the name of a pipeline agent'),
+  
+  handleValidationErrors
+];
+
+const validateAskRequest = [
+  param('queryId')
+    .isMongoId()
+    .withMessage('Invalid query ID format'),
+  
+  body('question')
+    .isString()
+    .trim()
+    .isLength({ min: 3, max: 1000 })
+    .withMessage('Question must be between 3 and 1000 characters'),
+  
+  handleValidationErrors
+];
+
+const validateCompareRequest = [
+  query('ids')
+    .isString()
+    .withMessage('ids must list two analysis IDs, e.g. ids=a,b')
+    .bail()
+    .custom(value => {
+      const ids = value.split(',').map(id => id.trim());
+      return ids.length === 2 && ids[0] !== ids[1] && ids.every(id => /^[a-f\d]{24}$/i.test(id));
+    })
+    .withMessage('ids must be two different analysis IDs separated by a comma'),
+  
+  handleValidationErrors
+];
+
+// Options shared by creating and updating a schedule; all optional here
+const scheduleOptionRules = [
+  body('name')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Name must be between 1 and 100 characters'),
+  
+  // Checked against Agenda by the service (cron expression or interval such as "1 week")
+  body('timezone')
+    .optional()
+    .isString()
+    .isLength({ min: 1, max: 64 })
+    .withMessage('Timezone must be an IANA timezone name'),
+  
+  body('enabled')
+    .optional()
+    .isBoolean()
+    .withMessage('enabled must be true or false'),
+  
+  body('priority')
+    .optional()
+    .isInt({ min: 1, max: 10 })
+    .withMessage('Priority must be between 1 and 10'),
+  
+  body('tags')
+    .optional()
+    .isArray({ max: 10 })
+    .withMessage('Maximum 10 tags allowed'),
+  
+  body('tags.*')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Each tag must be between 1 and 50 characters'),
+  
+  body('engine')
+    .optional()
+    .isString()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Engine must be an engine name'),
+  
+  body('searchProviders')
+    .optional()
+    .customSanitizer(value => (typeof value === 'string' ? value.split(',') : value))
+    .isArray({ min: 1, max: 5 })
+    .withMessage('searchProviders must list 1 to 5 providers'),
+  
+  body('searchProviders.*')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Each search provider must be a provider name')
+];
+
+const validateScheduleRequest = [
+  body('query')
+    .isString()
+    .trim()
+    .isLength({ min: 5, max: 1000 })
+    .withMessage('Query must be between 5 and 1000 characters'),
+  
+  body('interval')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('interval must be a cron expression or an interval such as "1 week"'),
+  
+  ...scheduleOptionRules,
+  
+  handleValidationErrors
+];
+
+const validateScheduleUpdate = [
+  param('scheduleId')
+    .isMongoId()
+    .withMessage('Invalid schedule ID format'),
+  
+  body('query')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ min: 5, max: 1000 })
+    .withMessage('Query must be between 5 and 1000 characters'),
+  
+  body('interval')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('interval must be a cron expression or an interval such as "1 week"'),
+  
+  ...scheduleOptionRules,
+  
+  handleValidationErrors
+];
+
+const validateScheduleId = [
+  param('scheduleId')
+    .isMongoId()
+    .withMessage('Invalid schedule ID format'),
+  
+  handleValidationErrors
+];
+
+// Definition fields shared by creating and updating a template; the template registry
+// checks the rest (see workflows/templates validateTemplate)
+const templateDefinitionRules = [
+  body('description')
+    .optional()
+    .isString()
+    .isLength({ max: 500 })
+    .withMessage('description must be at most 500 characters'),
+  
+  body('plannerGuidance')
+    .optional()
+    .isString()
+    .isLength({ max: 2000 })
+    .withMessage('plannerGuidance must be at most 2000 characters'),
+  
+  body('searchCategories')
+    .optional()
+    .isArray({ max: 10 })
+    .withMessage('searchCategories must list at most 10 categories'),
+  
+  body('outputFields')
+    .optional()
+    .isArray({ max: 20 })
+    .withMessage('outputFields must list at most 20 fields'),
+  
+  body('outputFields.*.description')
+    .optional()
+    .isString()
+    .isLength({ max: 300 })
+    .withMessage('Each output field description must be at most 300 characters'),
+  
+  body('reportSections')
+    .optional()
+    .isArray({ max: 15 })
+    .withMessage('reportSections must list at most 15 sections'),
+  
+  body('reportSections.*')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Each report section must be between 1 and 100 characters')
+];
+
+const validateTemplateRequest = [
+  body('id')
+    .isString()
+    .trim()
+    .toLowerCase()
+    .matches(/^[a-z0-9][a-z0-9-]{1,48}$/)
+    .withMessage('id must be 2-49 lowercase letters, digits or dashes'),
+  
+  body('name')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('name must be between 1 and 100 characters'),
+  
+  ...templateDefinitionRules,
+  
+  handleValidationErrors
+];
+
+const validateTemplateUpdate = [
+  param('templateId')
+    .isString()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Invalid template ID'),
+  
+  body('name')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('name must be between 1 and 100 characters'),
+  
+  ...templateDefinitionRules,
+  
+  handleValidationErrors
+];
+
+const validateTemplateId = [
+  param('templateId')
+    .isString()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Invalid template ID'),
+  
+  handleValidationErrors
+];
+
+// Batches come as JSON or as a multipart CSV upload, where lists arrive as text: queries one
+// per line, tags and searchProviders comma-separated. The service checks each query.
+const validateBatchRequest = [
+  body('queries')
+    .optional()
+    .customSanitizer(value => (typeof value === 'string' ? value.split(/\r?\n/) : value))
+    .isArray({ max: 100 })
+    .withMessage('queries must list at most 100 queries'),
+  
+  body('queries.*')
+    .isString()
+    .withMessage('Each query must be text'),
+  
+  body('name')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Name must be between 1 and 100 characters'),
+  
+  body('priority')
+    .optional()
+    .isInt({ min: 1, max: 10 })
+    .withMessage('Priority must be between 1 and 10')
+    .toInt(),
+  
+  body('tags')
+    .optional()
+    .customSanitizer(value => (typeof value === 'string' ? value.split(',') : value))
+    .isArray({ max: 10 })
+    .withMessage('Maximum 10 tags allowed'),
+  
+  body('tags.*')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Each tag must be between 1 and 50 characters'),
+  
+  body('template')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Template must be a template id'),
+  
+  body('engine')
+    .optional()
+    .isString()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Engine must be an engine name'),
+  
+  body('searchProviders')
+    .optional()
+    .customSanitizer(value => (typeof value === 'string' ? value.split(',') : value))
+    .isArray({ min: 1, max: 5 })
+    .withMessage('searchProviders must list 1 to 5 providers'),
+  
+  body('searchProviders.*')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Each search provider must be a provider name'),
+  
+  handleValidationErrors
+];
+
+const validateBatchId = [
+  param('batchId')
+    .isMongoId()
+    .withMessage('Invalid batch ID format'),
+  
+  handleValidationErrors
+];
+
+// Endpoint fields shared by creating and updating a webhook
+const webhookRules = [
+  body('description')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('description must be at most 200 characters'),
+  
+  body('events')
+    .optional()
+    .isArray({ min: 1, max: WEBHOOK_EVENTS.length })
+    .withMessage('events must list at least one event'),
+  
+  body('events.*')
+    .isIn(WEBHOOK_EVENTS)
+    .withMessage(`Each event must be one of: ${WEBHOOK_EVENTS.join(', ')}`),
+  
+  body('enabled')
+    .optional()
+    .isBoolean()
+    .withMessage('enabled must be true or false')
+];
+
+const webhookUrl = () =>
+  body('url')
+    .isURL({ protocols: ['http', 'https'], require_protocol: true, require_tld: false })
+    .withMessage('url must be an http(s) URL')
+    .isLength({ max: 2000 })
+    .withMessage('url must be at most 2000 characters');
+
+const validateWebhookRequest = [
+  webhookUrl(),
+  
+  ...webhookRules,
+  
+  handleValidationErrors
+];
+
+const validateWebhookUpdate = [
+  param('webhookId')
+    .isMongoId()
+    .withMessage('Invalid webhook ID format'),
+  
+  webhookUrl().optional(),
+  
+  ...webhookRules,
+  
+  handleValidationErrors
+];
+
+const validateWebhookId = [
+  param('webhookId')
+    .isMongoId()
+    .withMessage('Invalid webhook ID format'),
+  
+  handleValidationErrors
+];
+
+const validateDeliveryQuery = [
+  param('webhookId')
+    .isMongoId()
+    .withMessage('Invalid webhook ID format'),
+  
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100'),
+  
+  query('skip')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('Skip must be 0 or greater'),
+  
+  query('status')
+    .optional()
+    .isIn(['pending', 'succeeded', 'failed'])
+    .withMessage('Invalid delivery status'),
+  
+  handleValidationErrors
+];
+
+const validateRedeliverRequest = [
+  param('webhookId')
+    .isMongoId()
+    .withMessage('Invalid webhook ID format'),
+  
+  param('deliveryId')
+    .isMongoId()
+    .withMessage('Invalid delivery ID format'),
+  
+  handleValidationErrors
+];
+
+const emailTemplateRules = ['completed', 'failed', 'digest'].flatMap(kind => [
+  body(`emailTemplates.${kind}.subject`)
+    .optional()
+    .isString()
+    .isLength({ max: 200 })
+    .withMessage(`emailTemplates.${kind}.subject must be at most 200 characters`),
+  
+  body(`emailTemplates.${kind}.intro`)
+    .optional()
+    .isString()
+    .isLength({ max: 1000 })
+    .withMessage(`emailTemplates.${kind}.intro must be at most 1000 characters`)
+]);
+
+const validateNotificationSettings = [
+  body('emailNotifications')
+    .optional()
+    .isBoolean()
+    .withMessage('emailNotifications must be true or false'),
+  
+  body('weeklyDigest')
+    .optional()
+    .isBoolean()
+    .withMessage('weeklyDigest must be true or false'),
+  
+  body('emailTemplates')
+    .optional()
+    .isObject()
+    .withMessage('emailTemplates must be an object of templates')
+    .bail()
+    .custom(value => Object.keys(value).every(kind => ['completed', 'failed', 'digest'].includes(kind)))
+    .withMessage('emailTemplates may only set completed, failed and digest'),
+  
+  ...emailTemplateRules,
+  
+  handleValidationErrors
+];
+
+const validateUnsubscribeRequest = [
+  query('token')
+    .isJWT()
+    .withMessage('Invalid unsubscribe link'),
+  
+  handleValidationErrors
+];
+
+const promptId = () =>
+  param('promptId')
+    .isString()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Invalid prompt ID');
+
+const validatePromptId = [
+  promptId(),
+  
+  handleValidationErrors
+];
+
+// Variables the template uses are checked by the service (see workflows/prompts checkTemplate)
+const validatePromptVersionRequest = [
+  promptId(),
+  
+  body('template')
+    .isString()
+    .isLength({ min: 1, max: 20000 })
+    .withMessage('template must be between 1 and 20000 characters'),
+  
+  body('changelog')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 1000 })
+    .withMessage('changelog must be between 1 and 1000 characters'),
+  
+  handleValidationErrors
+];
+
+const validateRolloutRequest = [
+  promptId(),
+  
+  body('percentage')
+    .isInt({ min: 0, max: 100 })
+    .withMessage('percentage must be between 0 and 100')
+    .toInt(),
+  
+  body('version')
+    .if((value, { req }) => req.body.percentage > 0)
+    .isInt({ min: 1 })
+    .withMessage('version is required to start a rollout')
+    .toInt(),
+  
+  handleValidationErrors
+];
+
+const validatePromoteRequest = [
+  promptId(),
+  
+  param('version')
+    .isInt({ min: 1 })
+    .withMessage('Invalid prompt version')
+    .toInt(),
+  
+  handleValidationErrors
+];
+
+const validatePromptComparison = [
+  promptId(),
+  
+  query('period')
+    .optional()
+    .matches(/^\d{1,3}d$/)
+    .withMessage('period must be a number of days, e.g. 30d'),
+  
+  handleValidationErrors
+];
+
 module.exports = {
   validateAnalysisRequest,
   validateQueryParams,
   validateObjectId,
+  validateRetryRequest,
+  validateAskRequest,
+  validateCompareRequest,
+  validateScheduleRequest,
+  validateScheduleUpdate,
+  validateScheduleId,
+  validateTemplateRequest,
+  validateTemplateUpdate,
+  validateTemplateId,
+  validateBatchRequest,
+  validateBatchId,
+  validateWebhookRequest,
+  validateWebhookUpdate,
+  validateWebhookId,
+  validateDeliveryQuery,
+  validateRedeliverRequest,
+  validateNotificationSettings,
+  validateUnsubscribeRequest,
+  validatePromptId,
+  validatePromptVersionRequest,
+  validateRolloutRequest,
+  validatePromoteRequest,
+  validatePromptComparison,
   handleValidationErrors
 };
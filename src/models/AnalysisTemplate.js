@@ -0,0 +1,79 @@
+const mongoose = require('mongoose');
+
+/**
+ * An admin-authored analysis template. Same shape as the built-in templates in
+ * workflows/templates, which it can neither replace nor shadow.
+ */
+const analysisTemplateSchema = new mongoose.Schema(
+  {
+    templateId: {
+      type: String,
+      required: true,
+      unique: true,
+      lowercase: true,
+      trim: true,
+      maxlength: 50,
+    },
+    name: {
+      type: String,
+      required: true,
+      maxlength: 100,
+    },
+    description: {
+      type: String,
+      maxlength: 500,
+    },
+    plannerGuidance: {
+      type: String,
+      maxlength: 2000,
+    },
+    searchCategories: [
+      {
+        type: String,
+        maxlength: 100,
+      },
+    ],
+    outputFields: [
+      {
+        _id: false,
+        key: { type: String, required: true, maxlength: 50 },
+        // Wrapped so Mongoose reads a `type` field rather than the path's type
+        type: { type: String, enum: ['list', 'text'], default: 'list' },
+        description: { type: String, maxlength: 300 },
+      },
+    ],
+    reportSections: [
+      {
+        type: String,
+        maxlength: 100,
+      },
+    ],
+    createdBy: String,
+    updatedBy: String,
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Instance methods
+analysisTemplateSchema.methods.toDefinition = function () {
+  return {
+    id: this.templateId,
+    name: this.name,
+    description: this.description || '',
+    plannerGuidance: this.plannerGuidance || '',
+    searchCategories: this.searchCategories || [],
+    outputFields: (this.outputFields || []).map(({ key, type, description }) => ({
+      key,
+      type,
+      description: description || '',
+    })),
+    reportSections: this.reportSections || [],
+    builtIn: false,
+    createdBy: this.createdBy,
+    updatedAt: this.updatedAt,
+  };
+};
+
+module.exports = mongoose.model('AnalysisTemplate', analysisTemplateSchema);
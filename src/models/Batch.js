@@ -0,0 +1,67 @@
+const mongoose = require('mongoose');
+
+/**
+ * Related queries submitted together and run as separate analyses with shared options. Each
+ * child is a Query with this batchId; the batch's status and progress are derived from them
+ * (see utils/batch batchProgress).
+ */
+const batchSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: String,
+      required: true,
+      index: true,
+    },
+    name: {
+      type: String,
+      maxlength: 100,
+    },
+    // Options every child analysis is started with
+    template: String,
+    engine: String,
+    searchProviders: [
+      {
+        type: String,
+        maxlength: 50,
+      },
+    ],
+    priority: {
+      type: Number,
+      default: 1,
+      min: 1,
+      max: 10,
+    },
+    tags: [
+      {
+        type: String,
+        maxlength: 50,
+      },
+    ],
+    // Child analyses in submission order
+    queries: [
+      {
+        _id: false,
+        queryId: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'Query',
+        },
+        queryText: {
+          type: String,
+          maxlength: 1000,
+        },
+      },
+    ],
+  },
+  {
+    timestamps: true,
+  }
+);
+
+batchSchema.index({ userId: 1, createdAt: -1 });
+
+// Static methods
+batchSchema.statics.findForUser = function (batchId, userId) {
+  return this.findOne({ _id: batchId, userId: String(userId) });
+};
+
+module.exports = mongoose.model('Batch', batchSchema);
@@ -0,0 +1,85 @@
+const mongoose = require('mongoose');
+
+/**
+ * Output of one agent for one analysis, saved as soon as the agent completes.
+ * A retry restores these instead of re-running (and re-paying for) earlier agents.
+ */
+const checkpointSchema = new mongoose.Schema(
+  {
+    queryId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Query',
+      required: true,
+    },
+    // Pipeline node id
+    agent: {
+      type: String,
+      required: true,
+    },
+    step: {
+      type: Number,
+      required: true,
+    },
+    // State fields the agent produced (searchPlan, rawData, processedData, ...)
+    outputs: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+    // Workflow bookkeeping as it stood after the agent
+    state: {
+      currentStep: String,
+      progress: {
+        current: Number,
+        total: Number,
+        percentage: Number,
+      },
+      metadata: {
+        type: mongoose.Schema.Types.Mixed,
+        default: {},
+      },
+      errors: {
+        type: mongoose.Schema.Types.Mixed,
+        default: [],
+      },
+    },
+    durationMs: Number,
+    // The agent's metered LLM and search calls (see providers/metering)
+    usage: {
+      type: mongoose.Schema.Types.Mixed,
+      default: [],
+    },
+    // Work the run's budget had skipped by then (see workflows/budget)
+    budget: {
+      type: mongoose.Schema.Types.Mixed,
+      default: [],
+    },
+  },
+  {
+    timestamps: true,
+    minimize: false,
+  }
+);
+
+// One checkpoint per agent per analysis - a re-run overwrites it
+checkpointSchema.index({ queryId: 1, agent: 1 }, { unique: true });
+checkpointSchema.index({ queryId: 1, step: 1 });
+
+// Static methods
+checkpointSchema.statics.findByQuery = function (queryId) {
+  return this.find({ queryId }).sort({ step: 1 }).lean();
+};
+
+checkpointSchema.statics.saveForAgent = function (queryId, agent, checkpoint) {
+  return this.findOneAndUpdate(
+    { queryId, agent },
+    { ...checkpoint, queryId, agent },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+};
+
+// Drop checkpoints from `step` onwards so a re-run never mixes in stale later output
+checkpointSchema.statics.clearFrom = function (queryId, step) {
+  return this.deleteMany({ queryId, step: { $gte: step } });
+};
+
+module.exports = mongoose.model('Checkpoint', checkpointSchema);
@@ -0,0 +1,71 @@
+const mongoose = require('mongoose');
+
+const citationSchema = new mongoose.Schema(
+  {
+    // Marker used in the answer text: [1], [2] ...
+    marker: Number,
+    // Position of the source in the Result's rawData
+    sourceIndex: Number,
+    url: String,
+    title: String,
+    snippet: String,
+  },
+  { _id: false }
+);
+
+const messageSchema = new mongoose.Schema(
+  {
+    role: {
+      type: String,
+      enum: ['user', 'assistant'],
+      required: true,
+    },
+    content: {
+      type: String,
+      required: true,
+      maxlength: 10000,
+    },
+    citations: [citationSchema],
+    model: String,
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+/**
+ * Follow-up questions and answers about one completed analysis, in order
+ */
+const conversationSchema = new mongoose.Schema(
+  {
+    queryId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Query',
+      required: true,
+      unique: true,
+    },
+    userId: {
+      type: String,
+      required: true,
+      index: true,
+    },
+    messages: [messageSchema],
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Static methods
+conversationSchema.statics.findByQuery = function (queryId) {
+  return this.findOne({ queryId }).lean();
+};
+
+// Append one question/answer exchange, creating the thread on the first question
+conversationSchema.statics.appendExchange = function (queryId, userId, messages) {
+  return this.findOneAndUpdate(
+    { queryId },
+    { $push: { messages: { $each: messages } }, $setOnInsert: { userId } },
+    { upsert: true, new: true }
+  );
+};
+
+module.exports = mongoose.model('Conversation', conversationSchema);
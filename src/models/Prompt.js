@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+
+/**
+ * Admin-authored versions of a registry prompt (see workflows/prompts) and which one runs.
+ * The built-in versions stay in the code; the versions added here are numbered after them.
+ */
+const promptSchema = new mongoose.Schema(
+  {
+    promptId: {
+      type: String,
+      required: true,
+      unique: true,
+      trim: true,
+      maxlength: 50,
+    },
+    versions: [
+      {
+        _id: false,
+        version: { type: Number, required: true },
+        template: { type: String, required: true, maxlength: 20000 },
+        changelog: { type: String, maxlength: 1000 },
+        createdBy: String,
+        createdAt: { type: Date, default: Date.now },
+      },
+    ],
+    // Version new analyses run with; unset: the latest built-in one
+    activeVersion: Number,
+    promotedAt: Date,
+    promotedBy: String,
+    // Candidate version tried on a share of new analyses before it is promoted
+    rollout: {
+      version: Number,
+      percentage: { type: Number, min: 0, max: 100 },
+      startedAt: Date,
+      startedBy: String,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+promptSchema.methods.findVersion = function (version) {
+  return (this.versions || []).find((entry) => entry.version === version) || null;
+};
+
+module.exports = mongoose.model('Prompt', promptSchema);
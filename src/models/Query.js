@@ -14,7 +14,7 @@ const querySchema = new mongoose.Schema(
     },
     status: {
       type: String,
-      enum: ['pending', 'processing', 'completed', 'failed'],
+      enum: ['pending', 'processing', 'completed', 'failed', 'cancelled'],
       default: 'pending',
       index: true,
     },
@@ -24,11 +24,76 @@ const querySchema = new mongoose.Schema(
       min: 1,
       max: 10,
     },
+    // Orchestration engine that runs this analysis (see workflows/engines)
+    engine: {
+      type: String,
+      default: 'langchain-multiagent',
+      index: true,
+    },
+    // Analysis template: a built-in id or an admin-authored AnalysisTemplate's templateId
+    template: {
+      type: String,
+      default: 'general',
+      maxlength: 50,
+    },
+    // Search providers chosen for this analysis (empty: the configured default)
+    searchProviders: [
+      {
+        type: String,
+        maxlength: 50,
+      },
+    ],
+    // Limits the analysis runs with: its plan's, lowered by the request (see workflows/budget)
+    budget: {
+      maxSearchCalls: Number,
+      maxLLMTokens: Number,
+      maxDurationMs: Number,
+    },
+    // Prompt versions picked when the analysis started, { promptId: version }, rollouts
+    // included (see services/prompt.service)
+    promptVersions: mongoose.Schema.Types.Mixed,
+    // Set for runs of a scheduled analysis: each run is the schedule's next version
+    scheduleId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Schedule',
+      index: true,
+    },
+    version: Number,
+    // Set for analyses submitted together as a batch (see models/Batch)
+    batchId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Batch',
+      index: true,
+    },
+    // Normalized query and run options (see utils/coalescing): identical analyses share one
+    fingerprint: String,
+    // Set when this analysis attached to an identical running one, or reused a fresh result:
+    // the query whose run and Result it shares
+    sharedFrom: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Query',
+      index: true,
+    },
+    // Waiting for a run slot (see services/dispatch.service): an analysis is handed to the
+    // job queue once dispatchedAt is set, and resumes from fromStep when one is recorded
+    dispatch: {
+      queuedAt: Date,
+      dispatchedAt: Date,
+      fromStep: String,
+    },
+    startedAt: Date,
+    completedAt: Date,
     metadata: {
       estimatedDuration: Number,
       actualDuration: Number,
       errorMessage: String,
       retryCount: { type: Number, default: 0 },
+      currentStep: String,
+      progress: {
+        current: Number,
+        total: Number,
+        percentage: Number,
+      },
     },
     tags: [
       {
@@ -48,6 +113,9 @@ const querySchema = new mongoose.Schema(
 querySchema.index({ userId: 1, createdAt: -1 });
 querySchema.index({ status: 1, priority: -1 });
 querySchema.index({ queryText: 'text' });
+querySchema.index({ scheduleId: 1, version: -1 });
+querySchema.index({ status: 1, 'dispatch.dispatchedAt': 1 });
+querySchema.index({ fingerprint: 1, status: 1, completedAt: -1 });
 
 // Virtual for results
 querySchema.virtual('results', {
@@ -77,4 +145,17 @@ querySchema.statics.findByUser = function (userId, options = {}) {
   return this.find(query).sort({ createdAt: -1 }).limit(limit).skip(skip);
 };
 
+// The query whose Result holds this analysis' results - itself unless it shares another's
+querySchema.statics.resultQueryId = function (query) {
+  return query.sharedFrom || query._id;
+};
+
+// 'cancelled' is terminal - updates from a still-running workflow must never overwrite it.
+// Resolves to null when the query was cancelled (or does not exist).
+querySchema.statics.updateUnlessCancelled = function (queryId, update) {
+  return this.findOneAndUpdate({ _id: queryId, status: { $ne: 'cancelled' } }, update, {
+    new: true,
+  });
+};
+
 module.exports = mongoose.model('Query', querySchema);
@@ -8,6 +8,15 @@ const resultSchema = new mongoose.Schema(
       required: true,
       index: true,
     },
+    engine: {
+      type: String,
+      default: 'langchain-multiagent',
+    },
+    // Analysis template the run used (see workflows/templates)
+    template: {
+      type: String,
+      default: 'general',
+    },
     searchStrategy: {
       primaryTerms: [String],
       secondaryTerms: [String],
@@ -45,6 +54,16 @@ const resultSchema = new mongoose.Schema(
       riskFactors: [String],
       dataConfidence: String,
       summary: String,
+      // Per cited list, aligned with its items: { sourceIndexes (into rawData), urls, supported }
+      citations: {
+        type: mongoose.Schema.Types.Mixed,
+        default: {},
+      },
+      // The template's outputFields by key: a list of strings or a string each
+      templateOutput: {
+        type: mongoose.Schema.Types.Mixed,
+        default: {},
+      },
     },
     finalReport: {
       type: String,
@@ -52,8 +71,11 @@ const resultSchema = new mongoose.Schema(
     },
     visualizations: [
       {
-        type: String,
+        id: String,
+        // Wrapped so Mongoose reads a `type` field rather than an array of strings
+        type: { type: String },
         title: String,
+        description: String,
         data: mongoose.Schema.Types.Mixed,
         chartType: String,
         base64Image: String,
@@ -67,6 +89,37 @@ const resultSchema = new mongoose.Schema(
       type: mongoose.Schema.Types.Mixed,
       default: {},
     },
+    // Metered LLM and search calls (see providers/metering): { currency, totals, byAgent,
+    // byModel, bySearchProvider, unpriced }, with token counts, latency and estimated cost
+    usage: mongoose.Schema.Types.Mixed,
+    // Budget the analysis ran with (see workflows/budget): { limits, used, constrainedBy:
+    // [{ limit, value, skipped }] } - constrainedBy lists the work skipped to stay within it
+    budget: mongoose.Schema.Types.Mixed,
+    // Each agent's JSON output checked against its schema (see utils/structuredOutput):
+    // valid, repaired after the validation errors were sent back, or replaced by the fallback
+    structuredOutput: [
+      {
+        _id: false,
+        agent: String,
+        schemaName: String,
+        status: { type: String, enum: ['valid', 'repaired', 'fallback'] },
+        attempts: Number,
+        issues: [String],
+      },
+    ],
+    // Registry prompt version each agent ran with (see workflows/prompts)
+    promptVersions: [
+      {
+        _id: false,
+        agent: String,
+        promptId: String,
+        version: Number,
+      },
+    ],
+    // Scheduled runs only - what changed since the schedule's previous completed run:
+    // { previousQueryId, previousVersion, newTrends, droppedTrends, newPlayers, droppedPlayers,
+    //   newSources: [{ url, title }], droppedSources, summary } (see utils/changeDetection)
+    changes: mongoose.Schema.Types.Mixed,
   },
   {
     timestamps: true,
@@ -78,6 +131,7 @@ const resultSchema = new mongoose.Schema(
 // Indexes
 resultSchema.index({ queryId: 1 });
 resultSchema.index({ createdAt: -1 });
+resultSchema.index({ 'promptVersions.promptId': 1, 'promptVersions.version': 1 });
 
 // Virtual for query details
 resultSchema.virtual('query', {
@@ -0,0 +1,86 @@
+const mongoose = require('mongoose');
+
+/**
+ * A saved query that re-runs on a schedule. The Agenda job that triggers it lives in the
+ * scheduler collection; every run is a Query with this scheduleId and the next version.
+ */
+const scheduleSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: String,
+      required: true,
+      index: true,
+    },
+    name: {
+      type: String,
+      maxlength: 100,
+    },
+    queryText: {
+      type: String,
+      required: true,
+      maxlength: 1000,
+    },
+    // Cron expression ("0 9 * * 1") or interval ("1 week")
+    interval: {
+      type: String,
+      required: true,
+      maxlength: 100,
+    },
+    // IANA timezone the cron expression is read in (default: server time)
+    timezone: String,
+    enabled: {
+      type: Boolean,
+      default: true,
+      index: true,
+    },
+    // Options every run is started with
+    engine: String,
+    searchProviders: [
+      {
+        type: String,
+        maxlength: 50,
+      },
+    ],
+    priority: {
+      type: Number,
+      default: 1,
+      min: 1,
+      max: 10,
+    },
+    tags: [
+      {
+        type: String,
+        maxlength: 50,
+      },
+    ],
+    runCount: {
+      type: Number,
+      default: 0,
+    },
+    lastRunAt: Date,
+    lastQueryId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Query',
+    },
+    nextRunAt: Date,
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Static methods
+scheduleSchema.statics.findForUser = function (scheduleId, userId) {
+  return this.findOne({ _id: scheduleId, userId: String(userId) });
+};
+
+// Claim the next version number for a run
+scheduleSchema.statics.startRun = function (scheduleId) {
+  return this.findOneAndUpdate(
+    { _id: scheduleId },
+    { $inc: { runCount: 1 }, $set: { lastRunAt: new Date() } },
+    { new: true }
+  );
+};
+
+module.exports = mongoose.model('Schedule', scheduleSchema);
@@ -28,6 +28,13 @@ const userSchema = new mongoose.Schema(
       maxConcurrentAnalyses: { type: Number, default: 2 },
       defaultExportFormat: { type: String, default: 'pdf' },
       emailNotifications: { type: Boolean, default: true },
+      weeklyDigest: { type: Boolean, default: false },
+      // The user's subject and intro line per notification email (see utils/emailTemplates)
+      emailTemplates: {
+        completed: { subject: String, intro: String },
+        failed: { subject: String, intro: String },
+        digest: { subject: String, intro: String },
+      },
       theme: { type: String, enum: ['light', 'dark'], default: 'light' },
     },
     usage: {
@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+
+/**
+ * An endpoint a user registered to receive analysis lifecycle events (see
+ * services/webhook.service). Deliveries are signed with the endpoint's secret.
+ */
+const webhookSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: String,
+      required: true,
+      index: true,
+    },
+    url: {
+      type: String,
+      required: true,
+      maxlength: 2000,
+    },
+    description: {
+      type: String,
+      maxlength: 200,
+    },
+    // Event types delivered to the endpoint (see utils/webhooks WEBHOOK_EVENTS)
+    events: [
+      {
+        type: String,
+        maxlength: 50,
+      },
+    ],
+    // HMAC key of the signatures; only shown when the endpoint is created
+    secret: {
+      type: String,
+      required: true,
+      select: false,
+    },
+    enabled: {
+      type: Boolean,
+      default: true,
+    },
+    lastDeliveryAt: Date,
+    lastDeliveryStatus: String,
+  },
+  {
+    timestamps: true,
+  }
+);
+
+webhookSchema.index({ userId: 1, enabled: 1, events: 1 });
+
+// Static methods
+webhookSchema.statics.findForUser = function (webhookId, userId) {
+  return this.findOne({ _id: webhookId, userId: String(userId) });
+};
+
+module.exports = mongoose.model('Webhook', webhookSchema);
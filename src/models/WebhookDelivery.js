@@ -0,0 +1,68 @@
+const mongoose = require('mongoose');
+
+// Deliveries are kept this long for the delivery log
+const RETENTION_SECONDS = 30 * 24 * 60 * 60;
+
+/**
+ * One event sent to one webhook endpoint, with every attempt made. A redelivery is a new
+ * delivery of the same event (same eventId), linked to the one it repeats.
+ */
+const webhookDeliverySchema = new mongoose.Schema(
+  {
+    webhookId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Webhook',
+      required: true,
+    },
+    userId: {
+      type: String,
+      required: true,
+    },
+    eventId: {
+      type: String,
+      required: true,
+    },
+    event: {
+      type: String,
+      required: true,
+    },
+    // The JSON body sent, as signed
+    payload: {
+      type: mongoose.Schema.Types.Mixed,
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ['pending', 'succeeded', 'failed'],
+      default: 'pending',
+    },
+    attempts: [
+      {
+        _id: false,
+        attempt: Number,
+        at: Date,
+        statusCode: Number,
+        error: String,
+        durationMs: Number,
+      },
+    ],
+    nextAttemptAt: Date,
+    deliveredAt: Date,
+    redeliveryOf: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'WebhookDelivery',
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now,
+      expires: RETENTION_SECONDS,
+    },
+  },
+  {
+    timestamps: { createdAt: false, updatedAt: true },
+  }
+);
+
+webhookDeliverySchema.index({ webhookId: 1, createdAt: -1 });
+
+module.exports = mongoose.model('WebhookDelivery', webhookDeliverySchema);
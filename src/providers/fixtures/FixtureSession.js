@@ -0,0 +1,219 @@
+const crypto = require('crypto');
+const { LLMProvider, toChatMessages } = require('../llm/LLMProvider');
+const SearchProvider = require('../search/SearchProvider');
+const { ApiError, AnalysisError } = require('../../utils/errors');
+
+const BUNDLE_VERSION = 1;
+
+// Timestamps leak into some prompts (processed data); mask them so they don't count as drift
+const maskVolatile = (text) =>
+  String(text).replace(/\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?Z/g, '<timestamp>');
+
+const hash = (value) =>
+  crypto
+    .createHash('sha256')
+    .update(maskVolatile(JSON.stringify(value)))
+    .digest('hex');
+
+/**
+ * Records the call at its start position, then the outcome once it settles
+ */
+const recordCall = async (session, { kind, channel, request }, call) => {
+  const entry = { kind, channel, index: session.nextCall(channel), request };
+  entry.requestHash = hash(request);
+  session.add(entry);
+
+  try {
+    entry.response = await call();
+    return entry.response;
+  } catch (error) {
+    entry.error = { message: error.message, statusCode: error.statusCode };
+    throw error;
+  }
+};
+
+const llmRequest = ({ messages, task, tier, temperature, maxTokens }) => ({
+  task: task || 'default',
+  tier: tier || 'default',
+  temperature,
+  maxTokens,
+  messages: toChatMessages(messages),
+});
+
+const searchRequest = (query, { maxResults, searchDepth, includeDomains, excludeDomains }) => ({
+  query,
+  maxResults,
+  searchDepth,
+  includeDomains,
+  excludeDomains,
+});
+
+class RecordingLLMProvider extends LLMProvider {
+  constructor(provider, session) {
+    super(provider.config, provider.name);
+    this.provider = provider;
+    this.session = session;
+  }
+
+  resolveModel(tier) {
+    return this.provider.resolveModel(tier);
+  }
+
+  complete(request) {
+    const recorded = llmRequest(request);
+    return recordCall(
+      this.session,
+      { kind: 'llm', channel: `llm:${recorded.task}`, request: recorded },
+      () => this.provider.complete(request)
+    );
+  }
+}
+
+class ReplayLLMProvider extends LLMProvider {
+  constructor(config, session) {
+    super(config, 'replay');
+    this.session = session;
+  }
+
+  async complete(request) {
+    const recorded = llmRequest(request);
+    return this.session.take('llm', `llm:${recorded.task}`, recorded);
+  }
+}
+
+class RecordingSearchProvider extends SearchProvider {
+  constructor(provider, session) {
+    super(provider.config, provider.name);
+    this.provider = provider;
+    this.session = session;
+    this.requestDelayMs = provider.requestDelayMs;
+  }
+
+  search(query, options = {}) {
+    return recordCall(
+      this.session,
+      { kind: 'search', channel: `search:${query}`, request: searchRequest(query, options) },
+      () => this.provider.search(query, options)
+    );
+  }
+}
+
+/**
+ * Named after the recorded provider, so the replayed run is metered like the recorded one
+ */
+class ReplaySearchProvider extends SearchProvider {
+  constructor(config, session) {
+    super(config, session.bundle?.searchProvider || 'replay');
+    this.session = session;
+  }
+
+  async search(query, options = {}) {
+    return this.session.take('search', `search:${query}`, searchRequest(query, options));
+  }
+}
+
+/**
+ * Records or replays the LLM and search traffic of one analysis run.
+ *
+ * Entries are matched on replay by call order within their channel - the nth
+ * 'market-analysis' LLM call, or the nth search for the same query text - so parallel
+ * searches and prompts that embed run-specific data still line up. Each entry keeps a hash
+ * of its request: when a replayed request hashes differently (a prompt changed), the
+ * recorded response is still served and the change is reported in `drift`. A call with
+ * no recorded counterpart is reported in `misses` and fails.
+ */
+class FixtureSession {
+  constructor(mode, bundle = null) {
+    if (!['record', 'replay'].includes(mode)) {
+      throw new Error(`Unknown fixture mode: ${mode}`);
+    }
+
+    this.mode = mode;
+    this.entries = bundle ? bundle.entries : [];
+    this.bundle = bundle;
+    this.calls = new Map();
+    this.drift = [];
+    this.misses = [];
+  }
+
+  static record() {
+    return new FixtureSession('record');
+  }
+
+  static replay(bundle) {
+    if (!bundle || bundle.version !== BUNDLE_VERSION || !Array.isArray(bundle.entries)) {
+      throw new Error('Not a fixture bundle (or an unsupported version)');
+    }
+    return new FixtureSession('replay', bundle);
+  }
+
+  /**
+   * Position of this call within its channel, claimed when the call starts
+   */
+  nextCall(channel) {
+    const index = this.calls.get(channel) || 0;
+    this.calls.set(channel, index + 1);
+    return index;
+  }
+
+  recordLLM(provider) {
+    return new RecordingLLMProvider(provider, this);
+  }
+
+  recordSearch(provider) {
+    this.searchProvider = provider.name;
+    return new RecordingSearchProvider(provider, this);
+  }
+
+  replayLLM(config) {
+    return new ReplayLLMProvider(config, this);
+  }
+
+  replaySearch(config) {
+    return new ReplaySearchProvider(config, this);
+  }
+
+  add(entry) {
+    this.entries.push(entry);
+  }
+
+  /**
+   * Serve the recorded response for a call, or throw when there is none
+   */
+  take(kind, channel, request) {
+    const index = this.nextCall(channel);
+    const entry = this.entries.find(
+      (candidate) =>
+        candidate.kind === kind && candidate.channel === channel && candidate.index === index
+    );
+
+    if (!entry) {
+      this.misses.push({ kind, channel, index });
+      throw new AnalysisError(`No recorded ${kind} response for ${channel} #${index + 1}`, 500);
+    }
+
+    if (entry.requestHash !== hash(request)) {
+      this.drift.push({ kind, channel, index, recorded: entry.request, replayed: request });
+    }
+
+    if (entry.error) {
+      throw new ApiError(entry.error.message, entry.error.statusCode || 500);
+    }
+    return entry.response;
+  }
+
+  /**
+   * Everything needed to replay the run, plus what it produced for comparison
+   */
+  toBundle(meta = {}) {
+    return {
+      version: BUNDLE_VERSION,
+      recordedAt: new Date().toISOString(),
+      searchProvider: this.searchProvider,
+      ...meta,
+      entries: this.entries,
+    };
+  }
+}
+
+module.exports = { FixtureSession, BUNDLE_VERSION };
@@ -0,0 +1,57 @@
+const fs = require('fs/promises');
+const path = require('path');
+const { FixtureSession, BUNDLE_VERSION } = require('./FixtureSession');
+
+// Fields that differ on every run (ids, clocks, durations, call latencies) and say nothing
+// about the result
+const VOLATILE_KEY =
+  /(At|Time|Timestamp|timestamp|LatencyMs|Duration)$|^(workflowId|duration|durationMs|latencyMs)$/;
+
+/**
+ * Copy of a normalized Result without its run-specific fields, for comparing runs
+ */
+const stableOutput = (value) => {
+  if (Array.isArray(value)) return value.map(stableOutput);
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(
+      Object.entries(value)
+        .filter(([key]) => !VOLATILE_KEY.test(key))
+        .map(([key, nested]) => [key, stableOutput(nested)])
+    );
+  }
+  return value;
+};
+
+/**
+ * Paths (e.g. 'analysisResults.keyTrends.0') where two stable outputs differ
+ */
+const diffOutputs = (expected, actual, prefix = '') => {
+  if (JSON.stringify(expected) === JSON.stringify(actual)) return [];
+
+  const bothObjects =
+    expected && actual && typeof expected === 'object' && typeof actual === 'object';
+  if (!bothObjects) return [prefix || '(root)'];
+
+  const keys = new Set([...Object.keys(expected), ...Object.keys(actual)]);
+  return [...keys].flatMap((key) =>
+    diffOutputs(expected[key], actual[key], prefix ? `${prefix}.${key}` : key)
+  );
+};
+
+const loadBundle = async (file) => JSON.parse(await fs.readFile(file, 'utf8'));
+
+const saveBundle = async (directory, name, bundle) => {
+  await fs.mkdir(directory, { recursive: true });
+  const file = path.join(directory, `${name}.json`);
+  await fs.writeFile(file, JSON.stringify(bundle, null, 2));
+  return file;
+};
+
+module.exports = {
+  FixtureSession,
+  BUNDLE_VERSION,
+  stableOutput,
+  diffOutputs,
+  loadBundle,
+  saveBundle,
+};
@@ -0,0 +1,43 @@
+const { createSearchProvider, getSearchCache } = require('./search');
+
+/**
+ * LLM and search providers for one analysis run, handed to the agents through the
+ * pipeline context. `fixtures` (a FixtureSession) records their traffic, or replays a
+ * recorded run without creating - or needing keys for - the real providers. `meter` (a
+ * UsageMeter), `budget` (a Budget) and `prompts` (the run's PromptSet, see workflows/prompts)
+ * are passed along for the pipeline and the agents.
+ * Searches go through the shared search cache, except in a recording, which captures what
+ * the providers return.
+ */
+const createRunProviders = (
+  config,
+  { llm, searchProviders, fixtures, meter, budget, prompts } = {}
+) => {
+  if (fixtures?.mode === 'replay') {
+    return {
+      llm: fixtures.replayLLM(config),
+      search: fixtures.replaySearch(config),
+      meter,
+      budget,
+      prompts,
+    };
+  }
+
+  if (fixtures?.mode === 'record') {
+    const search = createSearchProvider(config, searchProviders);
+    return {
+      llm: fixtures.recordLLM(llm),
+      search: fixtures.recordSearch(search),
+      meter,
+      budget,
+      prompts,
+    };
+  }
+
+  const search = createSearchProvider(config, searchProviders, {
+    cache: config.searchCache?.enabled ? getSearchCache(config) : null,
+  });
+  return { llm, search, meter, budget, prompts };
+};
+
+module.exports = { createRunProviders };
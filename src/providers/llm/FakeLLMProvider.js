@@ -0,0 +1,203 @@
+const { LLMProvider, toChatMessages } = require('./LLMProvider');
+const { throwIfCancelled } = require('../../utils/cancellation');
+
+/**
+ * Offline provider for development and tests. Answers are canned per task and depend
+ * only on the prompt, so the same run always produces the same output. The JSON answers
+ * carry the fields of every agent's prompt (both analysis vocabularies), so each agent
+ * parses them without falling back.
+ */
+class FakeLLMProvider extends LLMProvider {
+  constructor(config) {
+    super(config, 'fake');
+  }
+
+  resolveModel(tier = 'default') {
+    return `fake-${tier}`;
+  }
+
+  async complete({ messages, task, tier, signal }) {
+    throwIfCancelled(signal);
+
+    const chatMessages = toChatMessages(messages);
+    const prompt = chatMessages.map((message) => message.content).join('\n');
+    const topic = FakeLLMProvider.extractTopic(prompt);
+
+    const responders = {
+      'search-plan': () => JSON.stringify(FakeLLMProvider.searchPlan(topic), null, 2),
+      'market-analysis': () =>
+        JSON.stringify(
+          FakeLLMProvider.citeSources(FakeLLMProvider.marketAnalysis(topic), prompt),
+          null,
+          2
+        ),
+      report: () => FakeLLMProvider.report(topic),
+      'follow-up': () => FakeLLMProvider.followUp(chatMessages),
+    };
+    const content = (responders[task] || (() => `Offline response about ${topic}.`))();
+
+    const promptTokens = Math.ceil(prompt.length / 4);
+    const completionTokens = Math.ceil(content.length / 4);
+
+    return {
+      content,
+      model: this.resolveModel(tier),
+      usage: { promptTokens, completionTokens, totalTokens: promptTokens + completionTokens },
+    };
+  }
+
+  /**
+   * The prompts quote the user's query - use the first quoted phrase as the topic
+   */
+  static extractTopic(prompt) {
+    const match = prompt.match(/"([^"\n]{3,200})"/);
+    return match ? match[1].trim() : 'the market';
+  }
+
+  static searchPlan(topic) {
+    return {
+      primaryTerms: [topic, `${topic} market size`, `${topic} industry trends`],
+      secondaryTerms: [`${topic} competitors`, `${topic} growth forecast`],
+      searchCategories: ['market trends', 'competitor analysis'],
+      domains: ['news', 'reports'],
+      timeframe: 'recent',
+      timeRange: 'recent',
+      priority: 'high',
+      searchDepth: 'basic',
+      expectedSources: 10,
+      industryKeywords: [topic],
+      competitorKeywords: [`${topic} market leaders`],
+    };
+  }
+
+  /**
+   * Cite the numbered sources of an analysis prompt ([1] ...) round-robin, the way the
+   * prompts ask for: { text, sources }
+   */
+  static citeSources(analysis, prompt) {
+    const sourceCount = new Set([...prompt.matchAll(/^\s*\[(\d+)\] /gm)].map((m) => m[1])).size;
+    if (!sourceCount) return analysis;
+
+    const cite = (items) =>
+      items.map((text, index) => ({ text, sources: [(index % sourceCount) + 1] }));
+
+    return {
+      ...analysis,
+      keyTrends: cite(analysis.keyTrends),
+      insights: cite(analysis.insights),
+      recommendations: cite(analysis.recommendations),
+      riskFactors: cite(analysis.riskFactors),
+      challenges: cite(analysis.challenges),
+    };
+  }
+
+  static marketAnalysis(topic) {
+    const keyPlayers = ['Northwind Corp', 'Contoso Ltd', 'Fabrikam Inc'];
+    const opportunities = [
+      `Underserved mid-market demand for ${topic}`,
+      `Partnerships with distribution platforms in ${topic}`,
+      'Subscription pricing for recurring revenue',
+    ];
+    const risks = [
+      'Pricing pressure from new entrants',
+      'Regulatory changes in key regions',
+      'Supply chain concentration',
+    ];
+
+    return {
+      keyTrends: [
+        `Steady adoption growth in ${topic}`,
+        'Consolidation among mid-sized vendors',
+        'Shift towards usage-based pricing',
+        'Rising investment in automation',
+      ],
+      marketSize: 'Estimated in the low billions (offline estimate)',
+      growthRate: 'High single-digit annual growth (offline estimate)',
+      keyPlayers,
+      challenges: risks,
+      opportunities,
+      sentiment: 'positive',
+      confidence: 'medium',
+      dataQuality: 'medium',
+      marketOpportunities: opportunities,
+      competitiveLandscape: {
+        majorPlayers: keyPlayers,
+        marketPosition: 'Moderately concentrated with three established leaders',
+        competitiveAdvantages: ['Distribution reach', 'Integrated product suites'],
+        marketConcentration: 'medium',
+      },
+      insights: [
+        `Demand for ${topic} is broadening beyond early adopters`,
+        'Leaders compete on ecosystem rather than price',
+        'Recent funding favours automation-first entrants',
+      ],
+      recommendations: [
+        'Prioritise the mid-market segment',
+        'Build integrations with the leading platforms',
+        'Monitor regulatory developments quarterly',
+      ],
+      riskFactors: risks,
+      marketDynamics: {
+        growthDrivers: ['Digital transformation budgets', 'Cost reduction pressure'],
+        challenges: ['Talent shortages', 'Integration complexity'],
+        disruptiveForces: ['AI-native products', 'Open-source alternatives'],
+      },
+      financialIndicators: {
+        marketSize: 'Estimated in the low billions (offline estimate)',
+        growthRate: 'High single-digit annual growth (offline estimate)',
+        investmentActivity: 'moderate',
+      },
+      technologicalFactors: ['Automation', 'Cloud delivery'],
+      regulatoryEnvironment: 'Stable, with data protection rules tightening',
+      futureOutlook: `Continued growth for ${topic} over the next 12-24 months`,
+      dataConfidence: 'medium',
+      keyQuestions: ['Which segment grows fastest?', 'How will leaders respond to entrants?'],
+      summary:
+        `Offline analysis of ${topic}: a growing, moderately concentrated market ` +
+        'with clear mid-market opportunities and manageable risks.',
+    };
+  }
+
+  /**
+   * Answers from the numbered sources in the prompt, citing the first two
+   */
+  static followUp(chatMessages) {
+    const question = FakeLLMProvider.extractTopic(chatMessages[chatMessages.length - 1].content);
+    const sources = [...chatMessages[0].content.matchAll(/^\[(\d+)\] (.+)$/gm)].slice(0, 2);
+
+    if (!sources.length) {
+      return `The stored sources do not cover "${question}".`;
+    }
+
+    const cited = sources.map(([, marker, title]) => `${title} [${marker}]`).join(' and ');
+    return `Offline answer to "${question}": the stored sources discuss ${cited}.`;
+  }
+
+  static report(topic) {
+    const analysis = FakeLLMProvider.marketAnalysis(topic);
+    const list = (items) => `<ul>${items.map((item) => `<li>${item}</li>`).join('')}</ul>`;
+
+    return [
+      '<div class="report">',
+      `<h1>Market Intelligence Report: ${topic}</h1>`,
+      '<h2>Executive Summary</h2>',
+      `<p>${analysis.summary}</p>`,
+      '<h2>Key Findings</h2>',
+      list(analysis.insights),
+      '<h2>Market Trends</h2>',
+      list(analysis.keyTrends),
+      '<h2>Competitive Landscape</h2>',
+      `<p>${analysis.competitiveLandscape.marketPosition}.</p>`,
+      list(analysis.keyPlayers),
+      '<h2>Challenges &amp; Opportunities</h2>',
+      list([...analysis.challenges, ...analysis.opportunities]),
+      '<h2>Recommendations</h2>',
+      list(analysis.recommendations),
+      '<h2>Data Sources Summary</h2>',
+      '<p>Generated offline by the fake LLM provider; figures are placeholders.</p>',
+      '</div>',
+    ].join('\n');
+  }
+}
+
+module.exports = FakeLLMProvider;
@@ -0,0 +1,44 @@
+const LANGCHAIN_ROLES = { human: 'user', ai: 'assistant', system: 'system' };
+
+/**
+ * Accept plain { role, content } messages as well as LangChain message objects
+ */
+const toChatMessages = (messages = []) =>
+  messages.map((message) => {
+    if (typeof message.getType === 'function') {
+      return { role: LANGCHAIN_ROLES[message.getType()] || 'user', content: message.content };
+    }
+    return { role: message.role || 'user', content: message.content };
+  });
+
+/**
+ * Base class for chat-completion providers. Call sites ask for a model tier
+ * ('default' or 'fast', see config.llm.models) and never name a model themselves.
+ */
+class LLMProvider {
+  constructor(config, name) {
+    this.config = config;
+    this.name = name;
+    this.models = config.llm?.models || {};
+  }
+
+  resolveModel(tier = 'default') {
+    return this.models[tier] || this.models.default;
+  }
+
+  /**
+   * @param {Object} request
+   * @param {Array} request.messages - { role, content } or LangChain messages
+   * @param {string} [request.task] - what the call is for: search-plan, market-analysis, report ...
+   * @param {string} [request.tier='default'] - model tier
+   * @param {number} [request.temperature]
+   * @param {number} [request.maxTokens]
+   * @param {AbortSignal} [request.signal]
+   * @returns {Promise<{content: string, model: string, usage: Object}>}
+   */
+  async complete() {
+    throw new Error(`LLM provider ${this.name} does not implement complete()`);
+  }
+}
+
+module.exports = { LLMProvider, toChatMessages };
@@ -0,0 +1,62 @@
+const { OpenAI } = require('openai');
+const { LLMProvider, toChatMessages } = require('./LLMProvider');
+
+/**
+ * Chat completions through the OpenAI API, or any server that speaks it
+ * (see OpenAICompatibleProvider)
+ */
+class OpenAIProvider extends LLMProvider {
+  constructor(config, { name = 'openai', apiKey = config.apiKeys?.openai, baseURL } = {}) {
+    super(config, name);
+
+    if (!apiKey) {
+      throw new Error('OpenAI API key is required');
+    }
+
+    this.client = new OpenAI({
+      apiKey,
+      baseURL,
+      timeout: config.llm?.timeoutMs,
+    });
+  }
+
+  async complete({ messages, tier, temperature = 0.3, maxTokens = 2000, signal }) {
+    const model = this.resolveModel(tier);
+
+    const response = await this.client.chat.completions.create(
+      {
+        model,
+        messages: toChatMessages(messages),
+        temperature,
+        max_tokens: maxTokens,
+      },
+      { signal }
+    );
+
+    return {
+      content: response.choices[0]?.message?.content || '',
+      model: response.model || model,
+      usage: {
+        promptTokens: response.usage?.prompt_tokens || 0,
+        completionTokens: response.usage?.completion_tokens || 0,
+        totalTokens: response.usage?.total_tokens || 0,
+      },
+    };
+  }
+}
+
+/**
+ * Local OpenAI-compatible endpoint such as Ollama (http://localhost:11434/v1) or
+ * llama.cpp's server. Most of them ignore the API key, but the client needs one.
+ */
+class OpenAICompatibleProvider extends OpenAIProvider {
+  constructor(config) {
+    super(config, {
+      name: 'openai-compatible',
+      apiKey: config.llm?.apiKey || 'not-needed',
+      baseURL: config.llm?.baseUrl,
+    });
+  }
+}
+
+module.exports = { OpenAIProvider, OpenAICompatibleProvider };
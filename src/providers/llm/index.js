@@ -0,0 +1,35 @@
+const { OpenAIProvider, OpenAICompatibleProvider } = require('./OpenAIProvider');
+const FakeLLMProvider = require('./FakeLLMProvider');
+const { LLMProvider } = require('./LLMProvider');
+
+const providers = new Map();
+
+const registerLLMProvider = (name, factory) => {
+  providers.set(name, factory);
+};
+
+const listLLMProviders = () => Array.from(providers.keys());
+
+/**
+ * Build the provider named by config.llm.provider (or `name`)
+ */
+const createLLMProvider = (config, name = config.llm?.provider || 'openai') => {
+  const factory = providers.get(name);
+  if (!factory) {
+    throw new Error(
+      `Unknown LLM provider: ${name}. Available providers: ${listLLMProviders().join(', ')}`
+    );
+  }
+  return factory(config);
+};
+
+registerLLMProvider('openai', (config) => new OpenAIProvider(config));
+registerLLMProvider('openai-compatible', (config) => new OpenAICompatibleProvider(config));
+registerLLMProvider('fake', (config) => new FakeLLMProvider(config));
+
+module.exports = {
+  LLMProvider,
+  registerLLMProvider,
+  createLLMProvider,
+  listLLMProviders,
+};
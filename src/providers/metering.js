@@ -0,0 +1,301 @@
+const { LLMProvider } = require('./llm/LLMProvider');
+const SearchProvider = require('./search/SearchProvider');
+
+const round = (value, digits = 6) => Number(Number(value || 0).toFixed(digits));
+
+const sumBy = (entries, field) => entries.reduce((total, entry) => total + (entry[field] || 0), 0);
+
+/**
+ * Price of a model: its own entry, or the longest entry its name starts with
+ * ('gpt-4o-2024-08-06' is priced as 'gpt-4o')
+ */
+const modelPrice = (prices = {}, model = '') => {
+  if (prices[model]) return prices[model];
+
+  const match = Object.keys(prices)
+    .filter((name) => model.startsWith(name))
+    .sort((a, b) => b.length - a.length)[0];
+  return match ? prices[match] : null;
+};
+
+// Providers scoped to one agent by UsageMeter.forAgent; each call is recorded on the meter
+class MeteredLLMProvider extends LLMProvider {
+  constructor(provider, meter, agent) {
+    super(provider.config, provider.name);
+    this.provider = provider;
+    this.meter = meter;
+    this.agent = agent;
+  }
+
+  resolveModel(tier) {
+    return this.provider.resolveModel(tier);
+  }
+
+  async complete(request) {
+    const startedAt = Date.now();
+    try {
+      const response = await this.provider.complete(request);
+      this.meter.recordLLM(this.agent, {
+        model: response.model || this.resolveModel(request.tier),
+        usage: response.usage,
+        latencyMs: Date.now() - startedAt,
+      });
+      return response;
+    } catch (error) {
+      this.meter.recordLLM(this.agent, {
+        model: this.resolveModel(request.tier),
+        latencyMs: Date.now() - startedAt,
+        failed: true,
+      });
+      throw error;
+    }
+  }
+}
+
+class MeteredSearchProvider extends SearchProvider {
+  constructor(provider, meter, agent) {
+    super(provider.config, provider.name);
+    this.provider = provider;
+    this.meter = meter;
+    this.agent = agent;
+    this.requestDelayMs = provider.requestDelayMs;
+  }
+
+  /**
+   * A provider whose search was served from the search cache is recorded as 'cache' instead
+   * ('tavily+local' becomes 'local+cache'), which costs nothing
+   */
+  async search(query, options = {}) {
+    const startedAt = Date.now();
+    const cached = [];
+    let failed = false;
+    try {
+      return await this.provider.search(query, {
+        ...options,
+        onCacheHit: (provider) => cached.push(provider),
+      });
+    } catch (error) {
+      failed = true;
+      throw error;
+    } finally {
+      const searched = this.name.split('+').filter((provider) => !cached.includes(provider));
+      this.meter.recordSearch(this.agent, {
+        provider: [...searched, ...(cached.length ? ['cache'] : [])].join('+'),
+        latencyMs: Date.now() - startedAt,
+        failed,
+      });
+    }
+  }
+}
+
+/**
+ * Token and cost accounting for the LLM and search calls of one analysis run.
+ *
+ * The pipeline scopes the run's providers to each agent (forAgent), so every call is
+ * counted against the agent that made it. Calls are kept as one entry per agent, kind
+ * ('llm' or 'search') and model or search provider; an agent's entries go into its
+ * checkpoint, so a resumed run still accounts for the agents it restored.
+ *
+ * Costs are estimates from config.metering: LLM prices are per 1K prompt (input) and
+ * completion (output) tokens, search prices per call. Models without a price count
+ * tokens at no cost and are listed in the summary's `unpriced`.
+ */
+class UsageMeter {
+  constructor(config) {
+    this.currency = config.metering?.currency || 'USD';
+    this.prices = {
+      llm: { ...config.metering?.prices?.llm, ...config.metering?.overrides?.llm },
+      search: { ...config.metering?.prices?.search, ...config.metering?.overrides?.search },
+    };
+    this.entries = new Map();
+  }
+
+  /**
+   * The run context with its providers metered against `agent`
+   */
+  forAgent(agent, context = {}) {
+    return {
+      ...context,
+      llm: context.llm && new MeteredLLMProvider(context.llm, this, agent),
+      search: context.search && new MeteredSearchProvider(context.search, this, agent),
+    };
+  }
+
+  entry(agent, kind, name) {
+    const key = `${agent}|${kind}|${name}`;
+    if (!this.entries.has(key)) {
+      this.entries.set(key, {
+        agent,
+        kind,
+        name,
+        calls: 0,
+        failedCalls: 0,
+        promptTokens: 0,
+        completionTokens: 0,
+        latencyMs: 0,
+        cost: 0,
+      });
+    }
+    return this.entries.get(key);
+  }
+
+  recordLLM(agent, { model, usage, latencyMs, failed = false }) {
+    const entry = this.entry(agent, 'llm', model || 'unknown');
+    const promptTokens = usage?.promptTokens || 0;
+    const completionTokens = usage?.completionTokens || 0;
+    const price = modelPrice(this.prices.llm, model);
+
+    entry.calls += 1;
+    entry.failedCalls += failed ? 1 : 0;
+    entry.promptTokens += promptTokens;
+    entry.completionTokens += completionTokens;
+    entry.latencyMs += latencyMs;
+    entry.cost += price
+      ? (promptTokens / 1000) * (price.input || 0) + (completionTokens / 1000) * (price.output || 0)
+      : 0;
+  }
+
+  /**
+   * A merged provider ('tavily+local') costs one call to each of its providers
+   */
+  recordSearch(agent, { provider, latencyMs, failed = false }) {
+    const entry = this.entry(agent, 'search', provider || 'unknown');
+
+    entry.calls += 1;
+    entry.failedCalls += failed ? 1 : 0;
+    entry.latencyMs += latencyMs;
+    entry.cost += String(provider || '')
+      .split('+')
+      .reduce((total, name) => total + (Number(this.prices.search[name]) || 0), 0);
+  }
+
+  /**
+   * The agent's entries, as saved with its checkpoint
+   */
+  agentUsage(agent) {
+    return Array.from(this.entries.values())
+      .filter((entry) => entry.agent === agent)
+      .map((entry) => ({ ...entry }));
+  }
+
+  /**
+   * Take over the usage of agents restored from checkpoints
+   */
+  restore(checkpoints = []) {
+    checkpoints.forEach((checkpoint) => {
+      (checkpoint.usage || []).forEach((saved) => {
+        const entry = this.entry(saved.agent, saved.kind, saved.name);
+        ['calls', 'failedCalls', 'promptTokens', 'completionTokens', 'latencyMs', 'cost'].forEach(
+          (field) => {
+            entry[field] += saved[field] || 0;
+          }
+        );
+      });
+    });
+    return this;
+  }
+
+  /**
+   * Per-analysis usage as stored on Result.usage
+   */
+  summary() {
+    const entries = Array.from(this.entries.values());
+    const llm = entries.filter((entry) => entry.kind === 'llm');
+    const search = entries.filter((entry) => entry.kind === 'search');
+
+    const totals = (group) => {
+      const groupLLM = group.filter((entry) => entry.kind === 'llm');
+      const groupSearch = group.filter((entry) => entry.kind === 'search');
+      const promptTokens = sumBy(group, 'promptTokens');
+      const completionTokens = sumBy(group, 'completionTokens');
+
+      return {
+        llmCalls: sumBy(groupLLM, 'calls'),
+        searchCalls: sumBy(groupSearch, 'calls'),
+        failedCalls: sumBy(group, 'failedCalls'),
+        promptTokens,
+        completionTokens,
+        totalTokens: promptTokens + completionTokens,
+        llmLatencyMs: sumBy(groupLLM, 'latencyMs'),
+        searchLatencyMs: sumBy(groupSearch, 'latencyMs'),
+        cost: round(sumBy(group, 'cost')),
+      };
+    };
+
+    const groupBy = (list, field) =>
+      list.reduce((groups, entry) => {
+        groups.set(entry[field], [...(groups.get(entry[field]) || []), entry]);
+        return groups;
+      }, new Map());
+
+    return {
+      currency: this.currency,
+      totals: totals(entries),
+      byAgent: Array.from(groupBy(entries, 'agent'), ([agent, group]) => ({
+        agent,
+        ...totals(group),
+      })),
+      byModel: Array.from(groupBy(llm, 'name'), ([model, group]) => ({
+        model,
+        calls: sumBy(group, 'calls'),
+        promptTokens: sumBy(group, 'promptTokens'),
+        completionTokens: sumBy(group, 'completionTokens'),
+        totalTokens: sumBy(group, 'promptTokens') + sumBy(group, 'completionTokens'),
+        latencyMs: sumBy(group, 'latencyMs'),
+        cost: round(sumBy(group, 'cost')),
+      })),
+      bySearchProvider: Array.from(groupBy(search, 'name'), ([provider, group]) => ({
+        provider,
+        calls: sumBy(group, 'calls'),
+        latencyMs: sumBy(group, 'latencyMs'),
+        cost: round(sumBy(group, 'cost')),
+      })),
+      unpriced: [...new Set(llm.map((entry) => entry.name))].filter(
+        (model) => !modelPrice(this.prices.llm, model)
+      ),
+    };
+  }
+}
+
+/**
+ * Numeric fields of two usage records added up; other fields are taken from the first
+ */
+const addCounts = (base, extra) => {
+  const sum = { ...extra, ...base };
+  Object.keys(extra).forEach((field) => {
+    if (typeof extra[field] === 'number') {
+      const total = (base[field] || 0) + extra[field];
+      sum[field] = field === 'cost' ? round(total) : total;
+    }
+  });
+  return sum;
+};
+
+const mergeBy = (key, list = [], extra = []) => {
+  const merged = list.map((entry) => ({ ...entry }));
+  extra.forEach((entry) => {
+    const index = merged.findIndex((existing) => existing[key] === entry[key]);
+    if (index === -1) merged.push({ ...entry });
+    else merged[index] = addCounts(merged[index], entry);
+  });
+  return merged;
+};
+
+/**
+ * A stored usage summary (Result.usage) with a later one added - the calls made for an
+ * analysis after it completed, such as follow-up questions
+ */
+const mergeUsage = (usage, addition) => {
+  if (!usage?.totals) return addition;
+
+  return {
+    currency: usage.currency,
+    totals: addCounts(usage.totals, addition.totals),
+    byAgent: mergeBy('agent', usage.byAgent, addition.byAgent),
+    byModel: mergeBy('model', usage.byModel, addition.byModel),
+    bySearchProvider: mergeBy('provider', usage.bySearchProvider, addition.bySearchProvider),
+    unpriced: [...new Set([...(usage.unpriced || []), ...addition.unpriced])],
+  };
+};
+
+module.exports = { UsageMeter, modelPrice, mergeUsage };
@@ -0,0 +1,35 @@
+const SearchProvider = require('./SearchProvider');
+const { searchCacheKey, recencyOf } = require('./SearchCache');
+
+/**
+ * Serves a provider's searches from the SearchCache when the same search ran recently.
+ * Results are kept for as long as their recency allows (config.searchCache.ttlSeconds), and
+ * a hit is reported through options.onCacheHit, so metering does not charge for it.
+ */
+class CachedSearchProvider extends SearchProvider {
+  constructor(provider, cache) {
+    super(provider.config, provider.name);
+    this.provider = provider;
+    this.cache = cache;
+    this.requestDelayMs = provider.requestDelayMs;
+  }
+
+  async search(query, options = {}) {
+    const key = searchCacheKey(this.name, query, options);
+
+    const cached = await this.cache.get(key);
+    await this.cache.recordLookup(this.name, Boolean(cached));
+    if (cached) {
+      options.onCacheHit?.(this.name);
+      return cached;
+    }
+
+    const results = await this.provider.search(query, options);
+    if (results.length) {
+      await this.cache.set(key, results, recencyOf(query, options));
+    }
+    return results;
+  }
+}
+
+module.exports = CachedSearchProvider;
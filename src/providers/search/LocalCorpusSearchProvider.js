@@ -0,0 +1,162 @@
+const fs = require('fs/promises');
+const path = require('path');
+const SearchProvider = require('./SearchProvider');
+const { logger } = require('../../utils/logger');
+const { throwIfCancelled } = require('../../utils/cancellation');
+
+const STOP_WORDS = new Set(['the', 'and', 'for', 'with', 'from', 'that', 'this', 'are', 'was']);
+
+const tokenize = (text) =>
+  String(text || '')
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter((word) => word.length > 2 && !STOP_WORDS.has(word));
+
+const decodeEntities = (text) =>
+  text
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&amp;/g, '&')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'");
+
+/**
+ * Searches a directory of documents instead of the web - useful offline, in tests and
+ * for private research material.
+ *
+ * - *.json: one document, an array of documents or { documents: [...] }, each with
+ *   url, title, content and optionally published_date
+ * - *.html / *.htm: title from <title>, url from the canonical link (else file://),
+ *   published_date from article:published_time, content from the visible text
+ *
+ * Documents are ranked by query-term frequency with title matches weighted higher.
+ */
+class LocalCorpusSearchProvider extends SearchProvider {
+  constructor(config) {
+    super(config, 'local');
+    this.directory = path.resolve(config.search?.corpusDir || './data/corpus');
+    this.documents = null;
+  }
+
+  async search(query, options = {}) {
+    throwIfCancelled(options.signal);
+
+    const documents = await this.load();
+    const terms = [...new Set(tokenize(query))];
+    if (!terms.length) return [];
+
+    const excluded = options.excludeDomains || [];
+    const included = options.includeDomains || [];
+
+    const scored = documents
+      .filter((doc) => !excluded.some((domain) => doc.url.includes(domain)))
+      .filter((doc) => !included.length || included.some((domain) => doc.url.includes(domain)))
+      .map((doc) => ({ doc, score: this.score(doc, terms) }))
+      .filter((entry) => entry.score > 0)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, options.maxResults || 10);
+
+    return scored.map(({ doc, score }) => this.normalize({ ...doc, score }));
+  }
+
+  /**
+   * Share of query terms found, weighted towards title matches (0-1)
+   */
+  score(doc, terms) {
+    const matched = terms.reduce((total, term) => {
+      if (doc.titleTokens.has(term)) return total + 1;
+      if (doc.contentTokens.has(term)) return total + 0.6;
+      return total;
+    }, 0);
+
+    return Math.round((matched / terms.length) * 100) / 100;
+  }
+
+  /**
+   * Read and index the corpus once; call reload() after changing the directory
+   */
+  async load() {
+    if (this.documents) return this.documents;
+
+    let files = [];
+    try {
+      files = await fs.readdir(this.directory);
+    } catch (error) {
+      logger.warn('Local search corpus not readable', {
+        directory: this.directory,
+        error: error.message,
+      });
+    }
+
+    const documents = [];
+    for (const file of files) {
+      const filePath = path.join(this.directory, file);
+      const extension = path.extname(file).toLowerCase();
+
+      try {
+        const raw = await fs.readFile(filePath, 'utf8');
+        if (extension === '.json') {
+          documents.push(...this.parseJson(raw, filePath));
+        } else if (extension === '.html' || extension === '.htm') {
+          documents.push(this.parseHtml(raw, filePath));
+        }
+      } catch (error) {
+        logger.warn('Skipping unreadable corpus document', { file, error: error.message });
+      }
+    }
+
+    this.documents = documents
+      .filter((doc) => doc.content)
+      .map((doc) => ({
+        ...doc,
+        titleTokens: new Set(tokenize(doc.title)),
+        contentTokens: new Set(tokenize(doc.content)),
+      }));
+
+    logger.info('Local search corpus loaded', {
+      directory: this.directory,
+      documents: this.documents.length,
+    });
+
+    return this.documents;
+  }
+
+  reload() {
+    this.documents = null;
+    return this.load();
+  }
+
+  parseJson(raw, filePath) {
+    const parsed = JSON.parse(raw);
+    const entries = Array.isArray(parsed) ? parsed : parsed.documents || [parsed];
+
+    return entries.map((entry, index) => ({
+      url: entry.url || `file://${filePath}#${index}`,
+      title: entry.title || path.basename(filePath, '.json'),
+      content: String(entry.content || entry.text || ''),
+      published_date: entry.published_date || entry.publishedDate || null,
+    }));
+  }
+
+  parseHtml(raw, filePath) {
+    const match = (pattern) => raw.match(pattern)?.[1]?.trim();
+
+    const text = raw
+      .replace(/<(script|style|noscript)[\s\S]*?<\/\1>/gi, ' ')
+      .replace(/<[^>]+>/g, ' ')
+      .replace(/\s+/g, ' ');
+
+    return {
+      url:
+        match(/<link[^>]+rel=["']canonical["'][^>]*href=["']([^"']+)["']/i) || `file://${filePath}`,
+      title: decodeEntities(match(/<title[^>]*>([\s\S]*?)<\/title>/i) || path.basename(filePath)),
+      content: decodeEntities(text).trim(),
+      published_date:
+        match(/<meta[^>]+property=["']article:published_time["'][^>]*content=["']([^"']+)["']/i) ||
+        null,
+    };
+  }
+}
+
+module.exports = LocalCorpusSearchProvider;
@@ -0,0 +1,48 @@
+const SearchProvider = require('./SearchProvider');
+const { logger } = require('../../utils/logger');
+const { throwIfCancelled } = require('../../utils/cancellation');
+
+/**
+ * Queries several providers in parallel and merges their results: duplicates (same URL)
+ * keep the best score, and the merged list is ranked by score. One provider failing only
+ * loses its results; all of them failing is an error.
+ */
+class MergedSearchProvider extends SearchProvider {
+  constructor(config, providers) {
+    super(config, providers.map((provider) => provider.name).join('+'));
+    this.providers = providers;
+    this.requestDelayMs = Math.max(0, ...providers.map((provider) => provider.requestDelayMs || 0));
+  }
+
+  async search(query, options = {}) {
+    const settled = await Promise.allSettled(
+      this.providers.map((provider) => provider.search(query, options))
+    );
+    throwIfCancelled(options.signal);
+
+    const failures = settled.filter((outcome) => outcome.status === 'rejected');
+    failures.forEach((failure) => {
+      logger.warn('Search provider failed during merged search', {
+        error: failure.reason?.message,
+      });
+    });
+    if (failures.length === settled.length) {
+      throw failures[0].reason;
+    }
+
+    const byUrl = new Map();
+    settled
+      .filter((outcome) => outcome.status === 'fulfilled')
+      .flatMap((outcome) => outcome.value)
+      .forEach((result) => {
+        const existing = byUrl.get(result.url);
+        if (!existing || result.score > existing.score) {
+          byUrl.set(result.url, result);
+        }
+      });
+
+    return Array.from(byUrl.values()).sort((a, b) => b.score - a.score);
+  }
+}
+
+module.exports = MergedSearchProvider;
@@ -0,0 +1,163 @@
+const crypto = require('crypto');
+const Redis = require('ioredis');
+const { logger } = require('../../utils/logger');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const STATS_TTL_SECONDS = 90 * 24 * 60 * 60;
+
+// Terms that ask for what happened lately, and time ranges short enough to go stale quickly
+const REALTIME_TERMS = /\b(today|yesterday|breaking|latest|news|this week|live|right now)\b/i;
+const RECENT_TERMS =
+  /\b(recent|current|this (month|quarter|year)|trends?|trending|forecast|outlook|20\d\d)\b/i;
+const REALTIME_RANGES = /\b(hours?|day|days|week|24h)\b/i;
+const RECENT_RANGES = /\b(months?|quarter|recent)\b/i;
+
+/**
+ * How quickly results for a search go stale: 'realtime' (news, the last days), 'recent'
+ * (trends, forecasts, the last months) or 'stable' (market sizes, competitors)
+ */
+const recencyOf = (query, { timeRange } = {}) => {
+  if (REALTIME_TERMS.test(query) || REALTIME_RANGES.test(timeRange || '')) return 'realtime';
+  if (RECENT_TERMS.test(query) || RECENT_RANGES.test(timeRange || '')) return 'recent';
+  return 'stable';
+};
+
+const sortedList = (list = []) =>
+  [...new Set(list.map((item) => String(item).toLowerCase()))].sort();
+
+/**
+ * Cache key of one provider's search: the term (case and spacing aside) and every option that
+ * changes what the provider returns
+ */
+const searchCacheKey = (provider, query, options = {}) =>
+  `search-cache:${provider}:${crypto
+    .createHash('sha256')
+    .update(
+      JSON.stringify([
+        String(query).toLowerCase().replace(/\s+/g, ' ').trim(),
+        options.searchDepth || null,
+        options.maxResults || null,
+        sortedList(options.includeDomains),
+        sortedList(options.excludeDomains),
+        options.timeRange || null,
+      ])
+    )
+    .digest('hex')}`;
+
+const day = (time) => new Date(time).toISOString().slice(0, 10);
+
+const withRate = (counts) => ({
+  ...counts,
+  hitRate:
+    counts.hits + counts.misses
+      ? Number((counts.hits / (counts.hits + counts.misses)).toFixed(4))
+      : 0,
+});
+
+/**
+ * Redis store of search results shared by every analysis in every process, with daily hit
+ * and miss counts per provider. Caching is best-effort: while Redis is unreachable every
+ * lookup misses and nothing is stored, and searches go to the providers as usual.
+ */
+class SearchCache {
+  constructor(config) {
+    this.config = config;
+    this.ttlSeconds = config.searchCache.ttlSeconds;
+    this.client = null;
+  }
+
+  getClient() {
+    if (!this.client) {
+      // Fail fast rather than queue commands while disconnected
+      this.client = new Redis(this.config.redis.url, { enableOfflineQueue: false });
+      this.client.on('error', (error) => {
+        logger.debug('Search cache unavailable:', error.message);
+      });
+    }
+    return this.client;
+  }
+
+  /**
+   * Whether searches of the provider are cached
+   */
+  caches(provider) {
+    return this.config.searchCache.enabled && this.config.searchCache.providers.includes(provider);
+  }
+
+  async get(key) {
+    try {
+      const cached = await this.getClient().get(key);
+      return cached ? JSON.parse(cached) : null;
+    } catch (error) {
+      logger.debug('Search cache read failed', { error: error.message });
+      return null;
+    }
+  }
+
+  async set(key, results, recency) {
+    try {
+      await this.getClient().set(key, JSON.stringify(results), 'EX', this.ttlSeconds[recency]);
+    } catch (error) {
+      logger.debug('Search cache write failed', { error: error.message });
+    }
+  }
+
+  async recordLookup(provider, hit) {
+    const key = `search-cache:stats:${day(Date.now())}`;
+    try {
+      await this.getClient()
+        .multi()
+        .hincrby(key, `${provider}:${hit ? 'hits' : 'misses'}`, 1)
+        .expire(key, STATS_TTL_SECONDS)
+        .exec();
+    } catch (error) {
+      logger.debug('Search cache stats write failed', { error: error.message });
+    }
+  }
+
+  /**
+   * Hits, misses and hit rate over the last `days` days: in total, per provider and per day
+   */
+  async stats(days = 30) {
+    const dates = Array.from({ length: days }, (_, index) => day(Date.now() - index * DAY_MS));
+    const pipeline = this.getClient().pipeline();
+    dates.forEach((date) => pipeline.hgetall(`search-cache:stats:${date}`));
+    const replies = await pipeline.exec();
+
+    const totals = { hits: 0, misses: 0 };
+    const byProvider = new Map();
+    const byDay = dates.map((date, index) => {
+      const counts = { hits: 0, misses: 0 };
+      Object.entries(replies[index][1] || {}).forEach(([field, value]) => {
+        const [provider, kind] = field.split(':');
+        const providerCounts = byProvider.get(provider) || { provider, hits: 0, misses: 0 };
+        providerCounts[kind] += Number(value);
+        counts[kind] += Number(value);
+        totals[kind] += Number(value);
+        byProvider.set(provider, providerCounts);
+      });
+      return withRate({ date, ...counts });
+    });
+
+    return {
+      enabled: this.config.searchCache.enabled,
+      ...withRate(totals),
+      byProvider: Array.from(byProvider.values()).map(withRate),
+      byDay: byDay.reverse(),
+    };
+  }
+}
+
+let shared = null;
+
+/**
+ * The process-wide cache (one Redis connection however many analyses run)
+ */
+const getSearchCache = (config) => {
+  if (!shared) {
+    shared = new SearchCache(config);
+  }
+  return shared;
+};
+
+module.exports = { SearchCache, getSearchCache, searchCacheKey, recencyOf };
@@ -0,0 +1,52 @@
+/**
+ * Base class for search providers. Every provider returns results in one shape:
+ *
+ *   { url, title, content, score, published_date, provider }
+ *
+ * with score normalized to 0-1, so agents never see provider-specific fields.
+ */
+class SearchProvider {
+  constructor(config, name) {
+    this.config = config;
+    this.name = name;
+    // Pause agents leave between consecutive searches (rate-limited APIs set this)
+    this.requestDelayMs = 0;
+  }
+
+  /**
+   * @param {string} query
+   * @param {Object} [options]
+   * @param {number} [options.maxResults=10]
+   * @param {string} [options.searchDepth] - 'basic' or 'advanced' where supported
+   * @param {string[]} [options.includeDomains]
+   * @param {string[]} [options.excludeDomains]
+   * @param {string} [options.timeRange] - how recent results should be ('recent', '6 months')
+   * @param {AbortSignal} [options.signal]
+   * @returns {Promise<Object[]>} normalized results, best first
+   */
+  async search() {
+    throw new Error(`Search provider ${this.name} does not implement search()`);
+  }
+
+  async healthCheck() {
+    try {
+      await this.search('market trends', { maxResults: 1 });
+      return { status: 'healthy', provider: this.name };
+    } catch (error) {
+      return { status: 'unhealthy', provider: this.name, error: error.message };
+    }
+  }
+
+  normalize(result) {
+    return {
+      url: String(result.url || ''),
+      title: String(result.title || '').substring(0, 200),
+      content: String(result.content || ''),
+      score: Math.min(Math.max(Number(result.score) || 0, 0), 1),
+      published_date: result.published_date || null,
+      provider: this.name,
+    };
+  }
+}
+
+module.exports = SearchProvider;
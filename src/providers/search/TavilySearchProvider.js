@@ -0,0 +1,104 @@
+const SearchProvider = require('./SearchProvider');
+const { logger } = require('../../utils/logger');
+const { ApiError, CancellationError } = require('../../utils/errors');
+const { wait } = require('../../utils/cancellation');
+
+// Network errors and timeouts have no status and are retried too
+const RETRYABLE = (status) => !status || status === 429 || status >= 500;
+
+/**
+ * Tavily search API. Rate limits and server errors are retried with exponential backoff.
+ */
+class TavilySearchProvider extends SearchProvider {
+  constructor(config) {
+    super(config, 'tavily');
+
+    if (!config.apiKeys?.tavily) {
+      throw new Error('Tavily API key is required');
+    }
+
+    this.apiKey = config.apiKeys.tavily;
+    this.baseUrl = 'https://api.tavily.com';
+    this.timeoutMs = config.analysis?.searchTimeout || 30000;
+    this.retryAttempts = 3;
+    this.requestDelayMs = 1000;
+  }
+
+  async search(query, options = {}) {
+    const { signal } = options;
+    let lastError;
+
+    for (let attempt = 1; attempt <= this.retryAttempts; attempt += 1) {
+      try {
+        logger.debug(`Tavily search attempt ${attempt}/${this.retryAttempts}`, {
+          query: query.substring(0, 50),
+        });
+
+        const data = await this.request(query, options);
+        const results = Array.isArray(data.results) ? data.results : [];
+
+        return results.map((result) => this.normalize(result));
+      } catch (error) {
+        if (signal?.aborted) {
+          throw new CancellationError('Search aborted');
+        }
+
+        lastError = error;
+        if (!RETRYABLE(error.statusCode) || attempt === this.retryAttempts) break;
+
+        const waitTime = 2 ** attempt * (error.statusCode === 429 ? 2000 : 1000);
+        logger.warn(`Tavily error ${error.statusCode}, retrying in ${waitTime}ms`, { attempt });
+        await wait(waitTime, signal);
+      }
+    }
+
+    logger.error('Tavily search failed', {
+      query: query.substring(0, 50),
+      error: lastError?.message,
+    });
+
+    if (lastError?.statusCode === 429) {
+      throw new ApiError('Search rate limit exceeded', 429);
+    }
+    throw new ApiError(`Tavily search unavailable: ${lastError?.message}`, 503);
+  }
+
+  async request(query, options) {
+    // Own controller so a slow request times out without cancelling the analysis
+    const controller = new AbortController();
+    const abort = () => controller.abort();
+    const timer = setTimeout(abort, this.timeoutMs);
+    options.signal?.addEventListener('abort', abort, { once: true });
+
+    let response;
+    try {
+      response = await fetch(`${this.baseUrl}/search`, {
+        method: 'POST',
+        signal: controller.signal,
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          api_key: this.apiKey,
+          query: query.trim(),
+          search_depth: options.searchDepth || 'advanced',
+          max_results: options.maxResults || 10,
+          include_answer: false,
+          include_raw_content: false,
+          include_domains: options.includeDomains || [],
+          exclude_domains: options.excludeDomains || [],
+        }),
+      });
+    } finally {
+      clearTimeout(timer);
+      options.signal?.removeEventListener('abort', abort);
+    }
+
+    if (!response.ok) {
+      const errorText = await response.text();
+      throw new ApiError(`Tavily API error ${response.status}: ${errorText}`, response.status);
+    }
+
+    return response.json();
+  }
+}
+
+module.exports = TavilySearchProvider;
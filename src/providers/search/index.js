@@ -0,0 +1,60 @@
+const TavilySearchProvider = require('./TavilySearchProvider');
+const LocalCorpusSearchProvider = require('./LocalCorpusSearchProvider');
+const MergedSearchProvider = require('./MergedSearchProvider');
+const CachedSearchProvider = require('./CachedSearchProvider');
+const { getSearchCache } = require('./SearchCache');
+const SearchProvider = require('./SearchProvider');
+
+const providers = new Map();
+
+const registerSearchProvider = (name, factory) => {
+  providers.set(name, factory);
+};
+
+const hasSearchProvider = (name) => providers.has(name);
+
+const listSearchProviders = () => Array.from(providers.keys());
+
+/**
+ * Provider names in a request: an array, a comma-separated string, or nothing for the default
+ */
+const resolveSearchProviders = (config, names) => {
+  const list = Array.isArray(names) ? names : String(names || '').split(',');
+  const resolved = [...new Set(list.map((name) => String(name).trim()).filter(Boolean))];
+  return resolved.length ? resolved : config.search?.providers || ['tavily'];
+};
+
+/**
+ * Build the named provider, or a MergedSearchProvider when several are named. With a
+ * `cache` (a SearchCache), the providers it caches are served from it where it can.
+ */
+const createSearchProvider = (config, names, { cache } = {}) => {
+  const resolved = resolveSearchProviders(config, names);
+
+  const unknown = resolved.filter((name) => !providers.has(name));
+  if (unknown.length) {
+    throw new Error(
+      `Unknown search provider: ${unknown.join(', ')}. Available providers: ${listSearchProviders().join(', ')}`
+    );
+  }
+
+  const instances = resolved
+    .map((name) => providers.get(name)(config))
+    .map((provider) =>
+      cache?.caches(provider.name) ? new CachedSearchProvider(provider, cache) : provider
+    );
+  return instances.length === 1 ? instances[0] : new MergedSearchProvider(config, instances);
+};
+
+registerSearchProvider('tavily', (config) => new TavilySearchProvider(config));
+registerSearchProvider('local', (config) => new LocalCorpusSearchProvider(config));
+
+module.exports = {
+  SearchProvider,
+  registerSearchProvider,
+  hasSearchProvider,
+  listSearchProviders,
+  resolveSearchProviders,
+  createSearchProvider,
+  getSearchCache,
+};
@@ -1,8 +1,19 @@
 const express = require('express');
 const AnalysisController = require('../controllers/analysis.controller');
+const BatchController = require('../controllers/batch.controller');
 const { authenticate } = require('../middleware/auth');
-const { validateAnalysisRequest, validateQueryParams } = require('../middleware/validation');
-const { rateLimitAnalysis } = require('../middleware/rateLimit');
+const {
+  validateAnalysisRequest,
+  validateQueryParams,
+  validateObjectId,
+  validateRetryRequest,
+  validateAskRequest,
+  validateCompareRequest,
+  validateBatchRequest,
+  validateBatchId,
+} = require('../middleware/validation');
+const { uploadQueryFile } = require('../middleware/upload');
+const { rateLimitAnalysis, rateLimitExport } = require('../middleware/rateLimit');
 
 const router = express.Router();
 
@@ -16,6 +27,26 @@ router.post(
 );
 router.get('/recent', authenticate, validateQueryParams, AnalysisController.getRecentAnalyses);
 router.get('/stats', authenticate, validateQueryParams, AnalysisController.getAnalysisStats);
+router.get('/compare', authenticate, validateCompareRequest, AnalysisController.compareAnalyses);
+
+// Batches of analyses: queries listed in the body or uploaded as CSV (multipart field "file")
+router.post(
+  '/batch',
+  authenticate,
+  uploadQueryFile,
+  validateBatchRequest,
+  rateLimitAnalysis,
+  BatchController.createBatch
+);
+router.get('/batch', authenticate, validateQueryParams, BatchController.getBatches);
+router.get('/batch/:batchId', authenticate, validateBatchId, BatchController.getBatch);
+router.get(
+  '/batch/:batchId/export/:format',
+  authenticate,
+  validateBatchId,
+  rateLimitExport,
+  BatchController.exportBatch
+);
 
 // System and workflow routes
 router.get('/workflow/diagram', authenticate, AnalysisController.getWorkflowDiagram);
@@ -23,9 +54,29 @@ router.get('/system/status', authenticate, AnalysisController.getSystemStatus);
 
 // Individual analysis routes
 router.get('/:queryId/status', authenticate, AnalysisController.getAnalysisStatus);
+router.get(
+  '/:queryId/events',
+  authenticate,
+  validateObjectId,
+  AnalysisController.streamAnalysisEvents
+);
 router.get('/:queryId/results', authenticate, AnalysisController.getAnalysisResults);
 router.delete('/:queryId', authenticate, AnalysisController.cancelAnalysis);
-router.post('/:queryId/retry', authenticate, AnalysisController.retryAnalysis);
+router.post(
+  '/:queryId/retry',
+  authenticate,
+  validateRetryRequest,
+  AnalysisController.retryAnalysis
+);
+
+// Follow-up questions answered from the analysis' stored sources
+router.post('/:queryId/ask', authenticate, validateAskRequest, AnalysisController.askQuestion);
+router.get(
+  '/:queryId/conversation',
+  authenticate,
+  validateObjectId,
+  AnalysisController.getConversation
+);
 
 // User analysis history (placed last to avoid route conflicts)
 router.get('/', authenticate, validateQueryParams, AnalysisController.getUserAnalyses);
@@ -3,6 +3,11 @@ const analysisRoutes = require('./analysis');
 const userRoutes = require('./users');
 const analyticsRoutes = require('./analytics');
 const exportRoutes = require('./export');
+const scheduleRoutes = require('./schedules');
+const templateRoutes = require('./templates');
+const webhookRoutes = require('./webhooks');
+const notificationRoutes = require('./notifications');
+const promptRoutes = require('./prompts');
 
 const router = express.Router();
 
@@ -11,6 +16,11 @@ router.use('/analysis', analysisRoutes);
 router.use('/users', userRoutes);
 router.use('/analytics', analyticsRoutes);
 router.use('/export', exportRoutes);
+router.use('/schedules', scheduleRoutes);
+router.use('/templates', templateRoutes);
+router.use('/webhooks', webhookRoutes);
+router.use('/notifications', notificationRoutes);
+router.use('/prompts', promptRoutes);
 
 // Enhanced API info endpoint
 router.get('/', (req, res) => {
@@ -28,6 +38,11 @@ router.get('/', (req, res) => {
         'AI-powered analysis with OpenAI GPT-4',
         'Professional report generation',
         'Multiple export formats',
+        'Scheduled recurring analyses with change detection',
+        'Signed webhooks for analysis lifecycle events',
+        'Email notifications and a weekly digest',
+        'Analysis templates (SWOT, PESTLE, market sizing, ...) with admin-authored templates',
+        'Versioned prompt registry with percentage rollouts',
         'Advanced analytics and monitoring',
         'User management and authentication',
       ],
@@ -36,6 +51,11 @@ router.get('/', (req, res) => {
         users: '/api/users',
         analytics: '/api/analytics',
         export: '/api/export',
+        schedules: '/api/schedules',
+        templates: '/api/templates',
+        webhooks: '/api/webhooks',
+        notifications: '/api/notifications',
+        prompts: '/api/prompts',
       },
       agents: [
         'PlannerAgent - Search strategy creation',
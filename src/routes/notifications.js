@@ -0,0 +1,24 @@
+const express = require('express');
+const NotificationController = require('../controllers/notification.controller');
+const { authenticate } = require('../middleware/auth');
+const {
+  validateNotificationSettings,
+  validateUnsubscribeRequest,
+} = require('../middleware/validation');
+
+const router = express.Router();
+
+// Email notification settings
+router.get('/settings', authenticate, NotificationController.getSettings);
+router.patch(
+  '/settings',
+  authenticate,
+  validateNotificationSettings,
+  NotificationController.updateSettings
+);
+
+// Unsubscribe links in emails (signed token, no login)
+router.get('/unsubscribe', validateUnsubscribeRequest, NotificationController.unsubscribe);
+router.post('/unsubscribe', validateUnsubscribeRequest, NotificationController.unsubscribe);
+
+module.exports = router;
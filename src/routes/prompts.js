@@ -0,0 +1,52 @@
+const express = require('express');
+const PromptController = require('../controllers/prompt.controller');
+const { authenticate, authorize } = require('../middleware/auth');
+const {
+  validatePromptId,
+  validatePromptVersionRequest,
+  validateRolloutRequest,
+  validatePromoteRequest,
+  validatePromptComparison,
+} = require('../middleware/validation');
+
+const router = express.Router();
+
+// Prompt registry (admin routes)
+router.get('/', authenticate, authorize(['admin']), PromptController.getPrompts);
+router.get(
+  '/:promptId',
+  authenticate,
+  authorize(['admin']),
+  validatePromptId,
+  PromptController.getPrompt
+);
+router.get(
+  '/:promptId/compare',
+  authenticate,
+  authorize(['admin']),
+  validatePromptComparison,
+  PromptController.compareVersions
+);
+router.post(
+  '/:promptId/versions',
+  authenticate,
+  authorize(['admin']),
+  validatePromptVersionRequest,
+  PromptController.createVersion
+);
+router.put(
+  '/:promptId/rollout',
+  authenticate,
+  authorize(['admin']),
+  validateRolloutRequest,
+  PromptController.setRollout
+);
+router.post(
+  '/:promptId/versions/:version/promote',
+  authenticate,
+  authorize(['admin']),
+  validatePromoteRequest,
+  PromptController.promoteVersion
+);
+
+module.exports = router;
@@ -0,0 +1,32 @@
+const express = require('express');
+const ScheduleController = require('../controllers/schedule.controller');
+const { authenticate } = require('../middleware/auth');
+const {
+  validateScheduleRequest,
+  validateScheduleUpdate,
+  validateScheduleId,
+} = require('../middleware/validation');
+const { rateLimitAnalysis } = require('../middleware/rateLimit');
+
+const router = express.Router();
+
+// Recurring analyses
+router.post('/', authenticate, validateScheduleRequest, ScheduleController.createSchedule);
+router.get('/', authenticate, ScheduleController.getSchedules);
+router.get('/:scheduleId', authenticate, validateScheduleId, ScheduleController.getSchedule);
+router.patch(
+  '/:scheduleId',
+  authenticate,
+  validateScheduleUpdate,
+  ScheduleController.updateSchedule
+);
+router.delete('/:scheduleId', authenticate, validateScheduleId, ScheduleController.deleteSchedule);
+router.post(
+  '/:scheduleId/run',
+  authenticate,
+  validateScheduleId,
+  rateLimitAnalysis,
+  ScheduleController.runSchedule
+);
+
+module.exports = router;
@@ -0,0 +1,39 @@
+const express = require('express');
+const TemplateController = require('../controllers/template.controller');
+const { authenticate, authorize } = require('../middleware/auth');
+const {
+  validateTemplateRequest,
+  validateTemplateUpdate,
+  validateTemplateId,
+} = require('../middleware/validation');
+
+const router = express.Router();
+
+// Analysis templates
+router.get('/', authenticate, TemplateController.getTemplates);
+router.get('/:templateId', authenticate, validateTemplateId, TemplateController.getTemplate);
+
+// Admin routes
+router.post(
+  '/',
+  authenticate,
+  authorize(['admin']),
+  validateTemplateRequest,
+  TemplateController.createTemplate
+);
+router.put(
+  '/:templateId',
+  authenticate,
+  authorize(['admin']),
+  validateTemplateUpdate,
+  TemplateController.updateTemplate
+);
+router.delete(
+  '/:templateId',
+  authenticate,
+  authorize(['admin']),
+  validateTemplateId,
+  TemplateController.deleteTemplate
+);
+
+module.exports = router;
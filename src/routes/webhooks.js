@@ -0,0 +1,35 @@
+const express = require('express');
+const WebhookController = require('../controllers/webhook.controller');
+const { authenticate } = require('../middleware/auth');
+const {
+  validateWebhookRequest,
+  validateWebhookUpdate,
+  validateWebhookId,
+  validateDeliveryQuery,
+  validateRedeliverRequest,
+} = require('../middleware/validation');
+
+const router = express.Router();
+
+// Endpoints for analysis lifecycle events
+router.post('/', authenticate, validateWebhookRequest, WebhookController.createWebhook);
+router.get('/', authenticate, WebhookController.getWebhooks);
+router.get('/:webhookId', authenticate, validateWebhookId, WebhookController.getWebhook);
+router.patch('/:webhookId', authenticate, validateWebhookUpdate, WebhookController.updateWebhook);
+router.delete('/:webhookId', authenticate, validateWebhookId, WebhookController.deleteWebhook);
+
+// Delivery log
+router.get(
+  '/:webhookId/deliveries',
+  authenticate,
+  validateDeliveryQuery,
+  WebhookController.getDeliveries
+);
+router.post(
+  '/:webhookId/deliveries/:deliveryId/redeliver',
+  authenticate,
+  validateRedeliverRequest,
+  WebhookController.redeliver
+);
+
+module.exports = router;
@@ -1,6 +1,28 @@
-const LangChainMultiAgent = require('../workflows/LangChainMultiAgent');
+const { createEngine, hasEngine, listEngines } = require('../workflows/engines');
+const { hasSearchProvider, listSearchProviders } = require('../providers/search');
+const { DEFAULT_TEMPLATE } = require('../workflows/templates');
+const { resolveBudget } = require('../workflows/budget');
+const QueueService = require('./queue.service');
+const DispatchService = require('./dispatch.service');
+const CacheService = require('./cache.service');
+const TemplateService = require('./template.service');
+const PromptService = require('./prompt.service');
+const ProgressService = require('./progress.service');
+const WebhookService = require('./webhook.service');
+const NotificationService = require('./notification.service');
 const Query = require('../models/Query');
 const Result = require('../models/Result');
+const Checkpoint = require('../models/Checkpoint');
+const User = require('../models/User');
+const { FixtureSession, stableOutput, saveBundle } = require('../providers/fixtures');
+const { detectChanges, compareResults } = require('../utils/changeDetection');
+const { queryFingerprint } = require('../utils/coalescing');
+const {
+  AnalysisError,
+  CancellationError,
+  NotFoundError,
+  ValidationError,
+} = require('../utils/errors');
 const { logger } = require('../utils/logger');
 const { EventEmitter } = require('events');
 
@@ -8,199 +30,661 @@ class AnalysisService extends EventEmitter {
   constructor(config) {
     super();
     this.config = config;
-    this.multiAgent = new LangChainMultiAgent(config);
+    this.defaultEngine = config.analysis?.engine || 'langchain-multiagent';
+    this.engines = new Map();
+    this.getEngine(this.defaultEngine);
+    this.queue = new QueueService(config);
+    this.dispatcher = new DispatchService(config, this.queue);
+    this.cache = new CacheService(config);
+    this.progress = new ProgressService(config);
+    this.webhooks = new WebhookService(config);
+    this.notifications = new NotificationService(config);
+    this.templates = new TemplateService(config);
+    this.prompts = new PromptService(config);
     this.activeWorkflows = new Map();
-    this.maxConcurrentWorkflows = config.analysis?.maxConcurrent || 5;
+    this.maxConcurrentWorkflows = config.queue?.concurrency || 5;
   }
 
-  async startAnalysis({ userId, query, priority = 1, tags = [] }) {
-    // Check concurrent workflow limit
-    if (this.activeWorkflows?.size >= this.maxConcurrentWorkflows) {
-      throw new Error('Maximum concurrent analyses reached. Please try again later.');
+  /**
+   * Engine instances are built on first use and shared by every analysis after that
+   */
+  getEngine(name = this.defaultEngine) {
+    if (!this.engines.has(name)) {
+      this.engines.set(name, createEngine(this.config, name));
     }
+    return this.engines.get(name);
+  }
 
+  async startAnalysis({
+    userId,
+    query,
+    priority = 1,
+    tags = [],
+    engine = this.defaultEngine,
+    searchProviders = [],
+    template = DEFAULT_TEMPLATE,
+    budget = {},
+    reuse = false,
+    schedule = null,
+    batchId = null,
+  }) {
     try {
+      this.validateOptions({ engine, searchProviders });
+      await this.templates.resolveTemplate(template);
+      const limits = resolveBudget(this.config, await this.planFor(userId), budget);
+      const providers = searchProviders.length ? searchProviders : this.config.search.providers;
+
+      // Scheduled runs always run their own pipeline: each is compared with the previous run
+      const fingerprint = schedule
+        ? null
+        : queryFingerprint({ query, engine, template, searchProviders: providers, budget: limits });
+      const shared = fingerprint && (await this.findShareable(fingerprint, { reuse }));
+      // Picked once, so retries and resumes run with the same prompts (a shared analysis
+      // runs with the versions of the run it shares)
+      const promptVersions = shared
+        ? null
+        : await this.prompts.selectVersions(Object.values(this.getEngine(engine).promptIds));
+
       // Create database record
       const queryRecord = new Query({
         userId,
         queryText: query,
         priority,
         tags,
-        status: 'pending',
-        framework: 'langchain-multiagent',
+        engine,
+        searchProviders,
+        template,
+        budget: limits,
+        ...(promptVersions && { promptVersions }),
+        ...(fingerprint && { fingerprint }),
+        ...(schedule && { scheduleId: schedule.scheduleId, version: schedule.version }),
+        ...(batchId && { batchId }),
+        ...(shared
+          ? {
+              sharedFrom: shared._id,
+              status: shared.status,
+              startedAt: shared.startedAt,
+              ...(shared.status === 'completed' && { completedAt: new Date() }),
+            }
+          : { status: 'pending', dispatch: { queuedAt: new Date() } }),
         createdAt: new Date(),
       });
 
       await queryRecord.save();
       const queryId = queryRecord._id.toString();
 
-      // Track active workflow
-      this.activeWorkflows.set(queryId, {
-        startTime: Date.now(),
-        status: 'running',
-        userId,
-      });
+      if (shared) {
+        logger.info(`Analysis ${queryId} shares identical analysis ${shared._id}`, {
+          status: shared.status,
+        });
+      } else {
+        // Wait for a slot - the dispatcher hands it to the worker, the API process never runs
+        // the workflow itself
+        await this.dispatchQueued();
+      }
 
-      // Start async processing
-      this.processAnalysisAsync(queryId, query, userId, queryRecord);
+      const queue = await this.dispatcher.getPosition(
+        await Query.findById(Query.resultQueryId(queryRecord)).lean()
+      );
+      if (!shared) {
+        await this.progress.publish(queryId, 'queued', { status: 'pending', queue });
+      }
 
       return {
         queryId,
-        status: 'started',
+        status: queryRecord.status === 'pending' ? 'queued' : queryRecord.status,
         estimatedDuration: '2-5 minutes',
-        framework: 'langchain-multiagent',
+        queue,
+        sharedFrom: shared ? shared._id.toString() : null,
+        reused: shared?.status === 'completed',
+        engine,
+        searchProviders: providers,
+        template,
+        budget: limits,
+        framework: engine,
       };
     } catch (error) {
-      logger.error('Failed to start LangChain Multi-Agent analysis:', error);
+      logger.error('Failed to start analysis:', error);
       throw error;
     }
   }
 
-  async processAnalysisAsync(queryId, query, userId, queryRecord) {
+  /**
+   * An identical analysis this one can share (see utils/coalescing): one still queued or
+   * running, or - when the caller opted into reuse - one completed within the freshness
+   * window. Only analyses that ran their own pipeline are shared.
+   */
+  async findShareable(fingerprint, { reuse = false } = {}) {
+    const running = await Query.findOne({
+      fingerprint,
+      sharedFrom: null,
+      status: { $in: ['pending', 'processing'] },
+    })
+      .sort({ createdAt: 1 })
+      .lean();
+    if (running || !reuse) return running;
+
+    return Query.findOne({
+      fingerprint,
+      sharedFrom: null,
+      status: 'completed',
+      completedAt: { $gte: new Date(Date.now() - this.config.coalescing.freshnessMs) },
+    })
+      .sort({ completedAt: -1 })
+      .lean();
+  }
+
+  /**
+   * Subscription plan whose budget the user's analyses run with; users without an account
+   * record (demo users) are on the free plan
+   */
+  async planFor(userId) {
+    const user = await User.findOne({ userId: String(userId) })
+      .select('subscription')
+      .lean();
+    return user?.subscription?.plan || 'free';
+  }
+
+  /**
+   * Reject an unknown engine or search provider before anything is queued
+   */
+  validateOptions({ engine = this.defaultEngine, searchProviders = [] }) {
+    if (!hasEngine(engine)) {
+      throw new ValidationError(
+        `Unknown engine: ${engine}. Available engines: ${listEngines()
+          .map((entry) => entry.name)
+          .join(', ')}`
+      );
+    }
+
+    const unknownProviders = searchProviders.filter((name) => !hasSearchProvider(name));
+    if (unknownProviders.length) {
+      throw new ValidationError(
+        `Unknown search provider: ${unknownProviders.join(', ')}. ` +
+          `Available providers: ${listSearchProviders().join(', ')}`
+      );
+    }
+  }
+
+  /**
+   * Start the queued analyses that have a free slot. Best-effort: the worker sweeps the queue
+   * on an interval, so one that is missed here still starts.
+   */
+  async dispatchQueued() {
+    try {
+      await this.dispatcher.dispatch();
+    } catch (error) {
+      logger.warn('Failed to dispatch queued analyses', { error: error.message });
+    }
+  }
+
+  /**
+   * Start consuming analysis jobs (worker process only)
+   */
+  startWorker() {
+    this.queue.processAnalyses((job) => this.processAnalysis(job));
+    this.queue.onCancellation((queryId) => this.abortWorkflow(queryId));
+    this.dispatcher.start();
+    logger.info('Analysis worker listening for jobs', {
+      queue: this.config.queue.name,
+      concurrency: this.maxConcurrentWorkflows,
+    });
+  }
+
+  /**
+   * Run one queued analysis. Throwing hands the job back to Bull, which retries
+   * it according to the configured attempts/backoff policy.
+   */
+  async processAnalysis(job) {
+    const { queryId, query, userId } = job.data;
+    const attempt = job.attemptsMade + 1;
+    const maxAttempts = job.opts.attempts || 1;
+
+    const queryRecord = await Query.findById(queryId);
+    if (!queryRecord || queryRecord.status === 'cancelled') {
+      logger.info(`Skipping analysis job for query ${queryId}`, {
+        reason: queryRecord ? 'cancelled' : 'query not found',
+      });
+      return { queryId, skipped: true };
+    }
+
+    const abortController = new AbortController();
+    this.activeWorkflows.set(queryId, {
+      startTime: Date.now(),
+      status: 'running',
+      userId,
+      attempt,
+      abortController,
+    });
+
     try {
-      logger.info(`Starting LangChain Multi-Agent analysis for query ${queryId}`);
+      const engine = this.getEngine(queryRecord.engine);
+      const template = await this.templates.getTemplate(queryRecord.template || DEFAULT_TEMPLATE);
+      // Analyses queued before the prompt registry pick their versions now
+      const prompts = await this.prompts.loadPromptSet(
+        queryRecord.promptVersions ||
+          (await this.prompts.selectVersions(Object.values(engine.promptIds)))
+      );
+
+      logger.info(`Starting ${engine.name} analysis for query ${queryId}`, {
+        attempt,
+        maxAttempts,
+      });
 
       // Update status to processing
-      await Query.findByIdAndUpdate(queryId, {
+      const processing = await Query.updateUnlessCancelled(queryId, {
         status: 'processing',
         startedAt: new Date(),
       });
+      if (!processing) {
+        throw new CancellationError();
+      }
+      await this.updateAttached(queryId, { status: 'processing', startedAt: processing.startedAt });
 
-      // Execute Multi-Agent workflow (now includes formatter)
-      const result = await this.multiAgent.execute(query, userId);
+      // Pick up after the last completed agent - a retry, a requested resume or
+      // a job recovered after a worker crash never re-runs finished agents.
+      // A requested fromStep only applies to the first attempt.
+      const fromStep = attempt > 1 ? 'last' : job.data.fromStep;
+      const checkpoints = await this.resolveCheckpoints(engine.pipeline, queryId, fromStep);
+      await Checkpoint.clearFrom(queryId, checkpoints.length);
 
-      if (result.success && result.data) {
-        logger.info('Workflow completed, data should now be clean', {
-          queryId,
-          rawDataType: typeof result.data?.rawData,
-          rawDataIsArray: Array.isArray(result.data?.rawData),
-          rawDataCount: result.data?.rawData?.length || 0,
-        });
+      await this.progress.publish(queryId, 'started', {
+        status: 'processing',
+        attempt,
+        maxAttempts,
+        restoredAgents: checkpoints.map((checkpoint) => checkpoint.agent),
+      });
+      await this.webhooks.notifyAnalysis(queryId, 'analysis.started', {
+        status: 'processing',
+        attempt,
+      });
+
+      // Only a run from the first agent captures everything a replay needs
+      const fixtures =
+        this.config.fixtures?.mode === 'record' && checkpoints.length === 0
+          ? FixtureSession.record()
+          : null;
+
+      const result = await engine.execute(query, userId, {
+        signal: abortController.signal,
+        onEvent: (type, data) => this.recordProgress(queryId, type, data),
+        onCheckpoint: (agent, checkpoint) => this.saveCheckpoint(queryId, agent, checkpoint),
+        checkpoints,
+        searchProviders: queryRecord.searchProviders,
+        template,
+        budget: queryRecord.budget,
+        prompts,
+        fixtures,
+      });
 
-        // Data should now be clean from the formatter agent
-        const cleanRawData = result.data.rawData || [];
+      if (result.cancelled) {
+        throw new CancellationError(result.error);
+      }
 
-        // Verify it's actually an array
-        if (!Array.isArray(cleanRawData)) {
-          logger.error('Data is still not an array after formatting!', {
-            queryId,
-            type: typeof cleanRawData,
-          });
-          throw new Error('Data formatting failed - not an array');
-        }
+      if (!result.success || !result.data) {
+        throw new AnalysisError(result.error || 'Workflow returned no data', 500);
+      }
 
-        // Create result record with clean data
-        const resultRecord = new Result({
-          queryId: queryId,
-
-          searchStrategy: {
-            primaryTerms: result.data.searchPlan?.primaryTerms || [],
-            secondaryTerms: result.data.searchPlan?.secondaryTerms || [],
-            searchCategories: result.data.searchPlan?.searchCategories || [],
-            timeRange: result.data.searchPlan?.timeframe || 'recent',
-          },
-
-          metaData: result,
-          rawData: cleanRawData, // This should now be a clean array
-
-          processedData: {
-            totalSources: result.data.processedData.totalSources || 0,
-            qualityMetrics: {
-              averageRelevanceScore:
-                result.data.processedData.qualityMetrics.averageRelevanceScore || 0,
-              highQualitySources: result.data.processedData.qualityMetrics.highQualitySources || 0,
-              recentSources: result.data.processedData.qualityMetrics.recentSources || 0,
-            },
-            domainDistribution: this.calculateDomainDistribution(cleanRawData),
-          },
-
-          analysisResults: {
-            keyTrends: result.data.analysisResults?.keyTrends || [],
-            marketOpportunities: result.data.analysisResults?.opportunities || [],
-            competitiveLandscape: {
-              majorPlayers: result.data.analysisResults?.keyPlayers || [],
-              marketPosition: result.data.analysisResults?.sentiment || 'neutral',
-            },
-            insights: result.data.analysisResults?.insights || [],
-            recommendations: result.data.analysisResults?.recommendations || [],
-            riskFactors: result.data.analysisResults?.challenges || [],
-            dataConfidence: result.data.analysisResults?.confidence || 'medium',
-            summary: result.data.analysisResults?.summary || 'Analysis completed',
-          },
-
-          finalReport: result.data.finalReport || 'Report generated',
-
-          performance: {
-            searchDuration: 0,
-            analysisDuration: 0,
-            totalDuration: result.metadata?.duration || 0,
-            sourcesProcessed: cleanRawData.length,
-            apiCallsCount: result.data.metadata?.searchTermsUsed || 0,
-          },
-        });
+      if (fixtures) {
+        await this.saveFixtureBundle(fixtures, queryRecord, engine, { template, prompts }, result);
+      }
+
+      // Scheduled runs are compared with the schedule's previous completed run
+      const changes = queryRecord.scheduleId
+        ? await this.detectScheduleChanges(queryRecord, result.output)
+        : null;
+
+      // Every engine hands back the same normalized Result fields
+      const resultRecord = new Result({ queryId, ...result.output, ...(changes && { changes }) });
 
-        // Save to database
-        logger.info('Saving clean result to database', { queryId });
-        await resultRecord.save();
+      // Save to database
+      logger.info('Saving result to database', { queryId, engine: engine.name });
+      await resultRecord.save();
+
+      logger.info('Result saved successfully', {
+        queryId,
+        resultId: resultRecord._id,
+        rawDataCount: resultRecord.rawData.length,
+      });
+
+      // Update query status - a cancellation that landed meanwhile wins
+      const completed = await Query.updateUnlessCancelled(queryId, {
+        status: 'completed',
+        completedAt: new Date(),
+        // Dotted, so the progress recordProgress saved during the run is kept
+        'metadata.resultId': resultRecord._id,
+      });
+      if (!completed) {
+        await Result.deleteOne({ _id: resultRecord._id });
+        throw new CancellationError();
+      }
+
+      await Checkpoint.deleteMany({ queryId });
+      await this.updateAttached(queryId, { status: 'completed', completedAt: new Date() });
+
+      this.emit('analysis_completed', {
+        queryId,
+        userId,
+        status: 'completed',
+        resultId: resultRecord._id,
+      });
+
+      await this.progress.publish(queryId, 'completed', {
+        status: 'completed',
+        resultId: resultRecord._id.toString(),
+        sources: resultRecord.rawData.length,
+        progress: result.data.progress,
+        durationMs: result.metadata?.duration || 0,
+      });
+      await this.webhooks.notifyAnalysis(queryId, 'analysis.completed', {
+        status: 'completed',
+        resultId: resultRecord._id.toString(),
+        sources: resultRecord.rawData.length,
+      });
+      await this.notifications.notifyAnalysis(queryId, 'completed');
 
-        logger.info('Result saved successfully', {
+      return { queryId, resultId: resultRecord._id.toString() };
+    } catch (error) {
+      if (error instanceof CancellationError) {
+        logger.info(`Analysis cancelled for query ${queryId}`);
+
+        this.emit('analysis_cancelled', {
           queryId,
-          resultId: resultRecord._id,
-          rawDataCount: resultRecord.rawData.length,
+          userId,
+          status: 'cancelled',
         });
 
-        // Update query status
-        await Query.findByIdAndUpdate(queryId, {
-          status: 'completed',
-          completedAt: new Date(),
-          metadata: {
-            ...queryRecord.metadata,
-            resultId: resultRecord._id,
-          },
+        // Resolve rather than throw so Bull does not retry a cancelled run
+        return { queryId, cancelled: true };
+      }
+
+      logger.error(`Analysis processing error for query ${queryId}:`, error);
+
+      if (attempt < maxAttempts) {
+        // Back to pending until Bull schedules the next attempt
+        await Query.updateUnlessCancelled(queryId, {
+          status: 'pending',
+          'metadata.retryCount': attempt,
+          'metadata.errorMessage': error.message,
         });
 
-        this.emit('analysis_completed', {
-          queryId,
-          userId,
-          status: 'completed',
-          resultId: resultRecord._id,
+        logger.warn(`Analysis for query ${queryId} will be retried`, {
+          attempt,
+          maxAttempts,
+        });
+
+        await this.progress.publish(queryId, 'retrying', {
+          status: 'pending',
+          attempt,
+          maxAttempts,
+          error: error.message,
         });
       } else {
-        // Handle failure
-        await Query.findByIdAndUpdate(queryId, {
+        await Query.updateUnlessCancelled(queryId, {
           status: 'failed',
-          metadata: {
-            ...queryRecord.metadata,
-            error: result.error,
-          },
+          'metadata.retryCount': attempt - 1,
+          'metadata.errorMessage': error.message,
+        });
+        await this.updateAttached(queryId, {
+          status: 'failed',
+          'metadata.errorMessage': error.message,
         });
 
         this.emit('analysis_failed', {
           queryId,
           userId,
           status: 'failed',
-          error: result.error,
+          error: error.message,
         });
+
+        await this.progress.publish(queryId, 'failed', {
+          status: 'failed',
+          error: error.message,
+        });
+        await this.webhooks.notifyAnalysis(queryId, 'analysis.failed', {
+          status: 'failed',
+          error: error.message,
+        });
+        await this.notifications.notifyAnalysis(queryId, 'failed', { error: error.message });
       }
+
+      throw error;
+    } finally {
+      this.activeWorkflows.delete(queryId);
+      // The slot this run held is free for the next queued analysis
+      await this.dispatchQueued();
+    }
+  }
+
+  /**
+   * Carry a run's status over to the analyses attached to it. Best-effort, like checkpoints.
+   */
+  async updateAttached(queryId, update) {
+    try {
+      await Query.updateMany(
+        { sharedFrom: queryId, status: { $in: ['pending', 'processing'] } },
+        update
+      );
     } catch (error) {
-      logger.error(`Analysis processing error for query ${queryId}:`, error);
+      logger.warn('Failed to update attached analyses', { queryId, error: error.message });
+    }
+  }
 
-      await Query.findByIdAndUpdate(queryId, {
-        status: 'failed',
-        metadata: {
-          ...queryRecord.metadata,
-          error: error.message,
-        },
-      });
+  /**
+   * A cancelled run is not the attached analyses' to lose: the oldest of them is queued to
+   * run in its own right, and the others attach to it instead
+   */
+  async handOverAttached(queryId) {
+    const [heir, ...others] = await Query.find({
+      sharedFrom: queryId,
+      status: { $in: ['pending', 'processing'] },
+    })
+      .sort({ createdAt: 1 })
+      .select('_id createdAt')
+      .lean();
+    if (!heir) return null;
+
+    await Query.updateOne(
+      { _id: heir._id },
+      {
+        status: 'pending',
+        dispatch: { queuedAt: heir.createdAt },
+        $unset: { sharedFrom: 1, startedAt: 1 },
+      }
+    );
+    await Query.updateMany(
+      { _id: { $in: others.map((other) => other._id) } },
+      { sharedFrom: heir._id, status: 'pending', $unset: { startedAt: 1 } }
+    );
+    await this.dispatchQueued();
+
+    logger.info(`Attached analyses of cancelled analysis ${queryId} handed over`, {
+      heir: heir._id.toString(),
+      attached: others.length,
+    });
+    return heir._id.toString();
+  }
 
-      this.emit('analysis_failed', {
-        queryId,
-        userId,
-        status: 'failed',
+  /**
+   * Persist an agent's output. Best-effort: losing a checkpoint only costs a re-run.
+   */
+  async saveCheckpoint(queryId, agent, checkpoint) {
+    try {
+      await Checkpoint.saveForAgent(queryId, agent, checkpoint);
+    } catch (error) {
+      logger.warn('Failed to save agent checkpoint', { queryId, agent, error: error.message });
+    }
+  }
+
+  /**
+   * Write a recorded run to FIXTURE_DIR/<queryId>.json. Best-effort, like checkpoints.
+   */
+  async saveFixtureBundle(fixtures, queryRecord, engine, { template, prompts }, result) {
+    const queryId = queryRecord._id.toString();
+    const bundle = fixtures.toBundle({
+      queryId,
+      query: queryRecord.queryText,
+      userId: queryRecord.userId,
+      engine: engine.name,
+      searchProviders: queryRecord.searchProviders,
+      budget: queryRecord.budget,
+      // The whole definition, so an admin-authored template replays without the database
+      template,
+      // The prompt templates too, so admin-authored versions replay as well
+      prompts: prompts.toJSON(),
+      output: stableOutput(result.output),
+    });
+
+    try {
+      const file = await saveBundle(this.config.fixtures.directory, queryId, bundle);
+      logger.info('Saved fixture bundle', { queryId, file, entries: bundle.entries.length });
+    } catch (error) {
+      logger.warn('Failed to save fixture bundle', { queryId, error: error.message });
+    }
+  }
+
+  /**
+   * "What changed since last run" for a scheduled run. Best-effort: null for a schedule's
+   * first completed run, or when the previous result cannot be read.
+   */
+  async detectScheduleChanges(queryRecord, output) {
+    try {
+      const previousQuery = await Query.findOne({
+        scheduleId: queryRecord.scheduleId,
+        version: { $lt: queryRecord.version },
+        status: 'completed',
+      })
+        .sort({ version: -1 })
+        .lean();
+      if (!previousQuery) return null;
+
+      const previous = await Result.findOne({ queryId: previousQuery._id })
+        .select('analysisResults rawData')
+        .lean();
+      if (!previous) return null;
+
+      return {
+        previousQueryId: previousQuery._id,
+        previousVersion: previousQuery.version,
+        ...detectChanges(previous, output),
+      };
+    } catch (error) {
+      logger.warn('Failed to compare scheduled run with the previous run', {
+        queryId: queryRecord._id.toString(),
         error: error.message,
       });
+      return null;
+    }
+  }
+
+  /**
+   * Checkpoints to restore when resuming at fromStep ('last' = after the last good checkpoint).
+   * Only an unbroken run of checkpoints from the first agent can be restored.
+   */
+  async resolveCheckpoints(pipeline, queryId, fromStep = 'last') {
+    const { sequence } = pipeline;
+    const saved = await Checkpoint.findByQuery(queryId);
+
+    const usable = [];
+    sequence.every((agent) => {
+      const checkpoint = saved.find((entry) => entry.agent === agent);
+      if (checkpoint) usable.push(checkpoint);
+      return Boolean(checkpoint);
+    });
+
+    if (fromStep === 'last') return usable;
+
+    const step = sequence.indexOf(fromStep);
+    if (step === -1) {
+      throw new ValidationError(`Unknown step: ${fromStep}`);
+    }
+    if (step > usable.length) {
+      throw new ValidationError(
+        `Cannot resume from ${fromStep}: the ${sequence[usable.length]} agent has no checkpoint`
+      );
+    }
+
+    return usable.slice(0, step);
+  }
+
+  /**
+   * Forward a workflow event to SSE subscribers and keep the Query's progress current
+   */
+  async recordProgress(queryId, type, data) {
+    await this.progress.publish(queryId, type, data);
+
+    if (type === 'agent_completed') {
+      await Query.updateUnlessCancelled(queryId, {
+        'metadata.progress': data.progress,
+        'metadata.currentStep': data.currentStep,
+      }).catch((error) => {
+        logger.warn('Failed to persist analysis progress', { queryId, error: error.message });
+      });
+      await this.webhooks.notifyAnalysis(queryId, 'analysis.agent_completed', {
+        status: 'processing',
+        agent: data.agent,
+        durationMs: data.durationMs,
+        progress: data.progress,
+      });
+    }
+  }
+
+  /**
+   * Replay and then tail an analysis' progress events until a terminal event,
+   * or until options.signal aborts (client disconnected).
+   */
+  async streamEvents(queryId, { lastEventId = '0', signal, onEvent, onIdle = () => {} }) {
+    // An attached analysis follows the events of the run it shares
+    const attached = await Query.findById(queryId).select('sharedFrom status').lean();
+    const streamId =
+      attached?.sharedFrom && !this.progress.isTerminal(attached.status)
+        ? attached.sharedFrom.toString()
+        : queryId;
+
+    const reader = this.progress.createReader();
+    const closeReader = () => reader.disconnect();
+    signal?.addEventListener('abort', closeReader, { once: true });
+
+    let lastId = lastEventId;
+    let blockMs = null; // first read replays history without blocking
+
+    try {
+      while (!signal?.aborted) {
+        const events = await this.progress.read(reader, streamId, lastId, blockMs);
+
+        for (const event of events) {
+          // The shared run was cancelled and this analysis handed a run of its own: end the
+          // stream without the event, so the client reconnects and follows that one
+          if (streamId !== queryId && event.type === 'cancelled') return;
+          lastId = event.id;
+          onEvent(event);
+          if (this.progress.isTerminal(event.type)) return;
+        }
+
+        if (events.length === 0) {
+          // The stream may have expired, or the run ended before events were recorded
+          const query = await Query.findById(streamId).lean();
+          if (!query || this.progress.isTerminal(query.status)) {
+            onEvent({
+              type: query?.status || 'failed',
+              data: {
+                status: query?.status || 'failed',
+                error: query ? query.metadata?.errorMessage : 'Analysis not found',
+              },
+            });
+            return;
+          }
+          if (blockMs !== null) onIdle();
+        }
+
+        blockMs = this.config.progress.heartbeatMs;
+      }
+    } catch (error) {
+      // Disconnecting the reader rejects the pending XREAD
+      if (!signal?.aborted) throw error;
     } finally {
-      this.activeWorkflows.delete(queryId);
+      signal?.removeEventListener('abort', closeReader);
+      closeReader();
     }
   }
 
@@ -229,7 +713,7 @@ class AnalysisService extends EventEmitter {
         queryId,
         status: query.status,
         query: query.queryText,
-        framework: 'langchain-multiagent',
+        framework: query.engine,
         createdAt: query.createdAt,
         startedAt: query.startedAt,
         completedAt: query.completedAt,
@@ -265,57 +749,6 @@ class AnalysisService extends EventEmitter {
     return agentMap[index] || 'Unknown Agent';
   }
 
-  async cancelAnalysis(queryId, userId) {
-    try {
-      const query = await Query.findOne({ _id: queryId, userId });
-
-      if (!query) {
-        throw new Error('Analysis not found');
-      }
-
-      if (query.status === 'completed') {
-        throw new Error('Cannot cancel completed analysis');
-      }
-
-      // Update status
-      await Query.findByIdAndUpdate(queryId, {
-        status: 'cancelled',
-        completedAt: new Date(),
-      });
-
-      // Remove from active workflows
-      this.activeWorkflows.delete(queryId);
-
-      logger.info(`LangChain Multi-Agent analysis cancelled: ${queryId}`);
-
-      return { success: true };
-    } catch (error) {
-      logger.error('Failed to cancel LangChain Multi-Agent analysis:', error);
-      throw error;
-    }
-  }
-
-  async retryAnalysis(queryId, userId) {
-    try {
-      const originalQuery = await Query.findOne({ _id: queryId, userId });
-
-      if (!originalQuery) {
-        throw new Error('Original analysis not found');
-      }
-
-      // Start new analysis with same parameters
-      return await this.startAnalysis({
-        userId,
-        query: originalQuery.queryText,
-        priority: originalQuery.priority,
-        tags: originalQuery.tags,
-      });
-    } catch (error) {
-      logger.error('Failed to retry LangChain Multi-Agent analysis:', error);
-      throw error;
-    }
-  }
-
   async getUserAnalyses(userId, options = {}) {
     try {
       const { limit = 10, skip = 0, status, sortBy = 'createdAt', sortOrder = 'desc' } = options;
@@ -352,7 +785,9 @@ class AnalysisService extends EventEmitter {
         .sort(sortOptions)
         .limit(sanitizedLimit)
         .skip(sanitizedSkip)
-        .select('_id queryText status priority tags createdAt completedAt error framework')
+        .select(
+          '_id queryText status priority tags createdAt completedAt error engine template scheduleId version sharedFrom'
+        )
         .lean(); // ✅ FIX 5: Add .lean() for better performance and avoid hydration issues
 
       const total = await Query.countDocuments(query);
@@ -362,12 +797,17 @@ class AnalysisService extends EventEmitter {
           queryId: analysis._id.toString(), // ✅ FIX 6: Explicitly convert ObjectId to string
           query: analysis.queryText || '',
           status: analysis.status || 'unknown',
-          framework: analysis.framework || 'langchain-multiagent',
+          engine: analysis.engine || 'langchain-multiagent',
+          framework: analysis.engine || 'langchain-multiagent',
+          template: analysis.template || DEFAULT_TEMPLATE,
           priority: analysis.priority || 'normal',
           tags: Array.isArray(analysis.tags) ? analysis.tags : [],
           createdAt: analysis.createdAt,
           completedAt: analysis.completedAt,
           error: analysis.error || null,
+          scheduleId: analysis.scheduleId ? analysis.scheduleId.toString() : null,
+          version: analysis.version || null,
+          sharedFrom: analysis.sharedFrom ? analysis.sharedFrom.toString() : null,
         })),
         pagination: {
           total,
@@ -395,8 +835,8 @@ class AnalysisService extends EventEmitter {
         return null;
       }
 
-      // Get the result
-      const result = await Result.findOne({ queryId }).populate('queryId');
+      // Get the result - the shared run's for an attached analysis
+      const result = await this.loadResult(Query.resultQueryId(query).toString());
       if (!result) {
         return null;
       }
@@ -412,9 +852,19 @@ class AnalysisService extends EventEmitter {
         processedData: result.processedData,
         analysisResults: result.analysisResults,
         finalReport: result.finalReport,
+        visualizations: result.visualizations,
         performance: result.performance,
+        usage: result.usage || null,
+        budget: result.budget || null,
+        schedule: query.scheduleId
+          ? { scheduleId: query.scheduleId, version: query.version }
+          : null,
+        changes: result.changes || null,
+        sharedFrom: query.sharedFrom ? query.sharedFrom.toString() : null,
         metadata: {
-          framework: 'langchain-multiagent',
+          engine: result.engine,
+          framework: result.engine,
+          template: result.template || DEFAULT_TEMPLATE,
           totalSources: result.processedData?.totalSources || 0,
           dataConfidence: result.analysisResults?.dataConfidence || 'medium',
         },
@@ -425,11 +875,91 @@ class AnalysisService extends EventEmitter {
     }
   }
 
-  getStatus() {
+  /**
+   * A Result is read by every analysis that shares its run, so it is cached once complete
+   */
+  async loadResult(queryId) {
+    // Connected on first use; until Redis is reachable every read misses
+    if (!this.cache.client) {
+      this.cache.connect();
+    }
+
+    const cached = await this.cache.getAnalysisResults(queryId);
+    if (cached) return cached;
+
+    const result = await Result.findOne({ queryId }).lean();
+    if (result) {
+      await this.cache.setAnalysisResults(queryId, result);
+    }
+    return result;
+  }
+
+  /**
+   * Side-by-side comparison of two completed analyses. The first id is the base: the diff
+   * reports what the second analysis adds and drops relative to it.
+   */
+  async compareAnalyses([baseId, comparedId], userId) {
+    const load = async (queryId) => {
+      const query = await Query.findOne({ _id: queryId, userId: String(userId) }).lean();
+      if (!query) {
+        throw new NotFoundError(`Analysis ${queryId} not found`);
+      }
+      if (query.status !== 'completed') {
+        throw new AnalysisError(`Analysis ${queryId} is not completed`, 409);
+      }
+
+      const result = await Result.findOne({ queryId: Query.resultQueryId(query) })
+        .select('analysisResults rawData processedData engine createdAt')
+        .lean();
+      if (!result) {
+        throw new NotFoundError(`Results for analysis ${queryId} not found`);
+      }
+
+      return { query, result };
+    };
+
+    const [base, compared] = await Promise.all([load(baseId), load(comparedId)]);
+
+    const summary = ({ query, result }) => ({
+      queryId: query._id.toString(),
+      query: query.queryText,
+      engine: result.engine,
+      createdAt: query.createdAt,
+      completedAt: query.completedAt,
+      dataConfidence: result.analysisResults?.dataConfidence || null,
+      totalSources: result.processedData?.totalSources || result.rawData?.length || 0,
+    });
+
     return {
-      framework: 'langchain-multiagent',
-      activeWorkflows: this.activeWorkflows.size,
+      base: summary(base),
+      compared: summary(compared),
+      diff: compareResults(base.result, compared.result),
+    };
+  }
+
+  async getStatus() {
+    const queue = await this.queue.getStats().catch((error) => {
+      logger.warn('Failed to read analysis queue stats', { error: error.message });
+      return null;
+    });
+
+    const dispatch = await this.dispatcher.getStats().catch((error) => {
+      logger.warn('Failed to read analysis dispatch stats', { error: error.message });
+      return null;
+    });
+
+    return {
+      framework: this.defaultEngine,
+      defaultEngine: this.defaultEngine,
+      engines: listEngines(),
+      searchProviders: {
+        default: this.config.search.providers,
+        available: listSearchProviders(),
+      },
+      activeWorkflows: queue ? queue.active : this.activeWorkflows.size,
       maxConcurrentWorkflows: this.maxConcurrentWorkflows,
+      queue,
+      dispatch,
       agents: [
         'PlannerAgent - Search strategy creation',
         'SearchAgent - Data gathering via Tavily API',
@@ -441,41 +971,23 @@ class AnalysisService extends EventEmitter {
     };
   }
 
-  calculateAverageRelevance(rawData) {
-    if (!rawData || rawData.length === 0) return 0;
-    const total = rawData.reduce((sum, item) => sum + (item.relevanceScore || item.score || 0), 0);
-    return Math.round((total / rawData.length) * 100) / 100;
-  }
-
-  calculateDomainDistribution(rawData) {
-    if (!rawData || rawData.length === 0) return {};
-
-    const domains = {};
-    rawData.forEach((item) => {
-      if (item.url) {
-        try {
-          const domain = new URL(item.url).hostname;
-          domains[domain] = (domains[domain] || 0) + 1;
-        } catch (error) {
-          // Invalid URL, skip
-        }
-      }
-    });
-
-    return domains;
-  }
-
   async getAnalysisStatus(queryId, userId) {
     try {
       const query = await Query.findOne({ _id: queryId, userId: String(userId) });
       if (!query) return null;
 
+      // An attached analysis reports the progress of the run it shares
+      const run = (query.sharedFrom && (await Query.findById(query.sharedFrom))) || query;
+
       return {
         queryId,
         status: query.status,
-        progress: query.metadata?.progress || { current: 0, total: 5, percentage: 0 },
-        currentStep: query.metadata?.currentStep || 'initializing',
-        framework: 'langchain-multiagent',
+        progress: run.metadata?.progress || { current: 0, total: 5, percentage: 0 },
+        currentStep: run.metadata?.currentStep || 'initializing',
+        queue: query.status === 'pending' ? await this.dispatcher.getPosition(run) : null,
+        sharedFrom: query.sharedFrom ? query.sharedFrom.toString() : null,
+        engine: query.engine,
+        framework: query.engine,
         createdAt: query.createdAt,
         updatedAt: query.updatedAt,
       };
@@ -491,16 +1003,42 @@ class AnalysisService extends EventEmitter {
       if (!query) throw new Error('Analysis not found');
       if (query.status === 'completed') throw new Error('Cannot cancel completed analysis');
 
-      await Query.findByIdAndUpdate(queryId, {
-        status: 'cancelled',
-        completedAt: new Date(),
-      });
+      await Query.findOneAndUpdate(
+        { _id: queryId, status: { $ne: 'completed' } },
+        { status: 'cancelled', completedAt: new Date() }
+      );
 
-      // Remove from active workflows if exists
-      if (this.activeWorkflows) {
-        this.activeWorkflows.delete(queryId);
+      // An attached analysis only detaches; the run it shares goes on for the others
+      if (query.sharedFrom) {
+        await this.progress.publish(queryId, 'cancelled', { status: 'cancelled' });
+        await this.webhooks.notifyAnalysis(
+          queryId,
+          'analysis.cancelled',
+          { status: 'cancelled' },
+          { attached: false }
+        );
+        logger.info(`Attached analysis cancelled: ${queryId}`);
+        return { success: true };
+      }
+
+      // Drop the job if no worker has picked it up yet, otherwise abort the running agents
+      const dequeued = await this.queue.removeAnalysis(queryId);
+      if (!dequeued) {
+        await this.queue.publishCancellation(queryId);
       }
 
+      await this.progress.publish(queryId, 'cancelled', { status: 'cancelled' });
+      // Analyses attached to it are handed over rather than cancelled
+      await this.webhooks.notifyAnalysis(
+        queryId,
+        'analysis.cancelled',
+        { status: 'cancelled' },
+        { attached: false }
+      );
+      await this.handOverAttached(queryId);
+
+      logger.info(`Analysis cancelled: ${queryId}`, { dequeued });
+
       return { success: true };
     } catch (error) {
       logger.error('Failed to cancel analysis:', error);
@@ -508,16 +1046,28 @@ class AnalysisService extends EventEmitter {
     }
   }
 
-  async retryAnalysis(queryId, userId) {
+  /**
+   * Retry an analysis. Without fromStep a brand-new analysis is started; with it the
+   * failed analysis is resumed from a checkpoint ('last' or an agent name).
+   */
+  async retryAnalysis(queryId, userId, { fromStep } = {}) {
     try {
       const originalQuery = await Query.findOne({ _id: queryId, userId: String(userId) });
       if (!originalQuery) throw new Error('Original analysis not found');
 
+      if (fromStep) {
+        return await this.resumeAnalysis(originalQuery, fromStep);
+      }
+
       return await this.startAnalysis({
         userId,
         query: originalQuery.queryText,
         priority: originalQuery.priority,
         tags: originalQuery.tags,
+        engine: originalQuery.engine,
+        searchProviders: originalQuery.searchProviders,
+        template: originalQuery.template,
+        budget: originalQuery.budget,
       });
     } catch (error) {
       logger.error('Failed to retry analysis:', error);
@@ -525,6 +1075,70 @@ class AnalysisService extends EventEmitter {
     }
   }
 
+  async resumeAnalysis(queryRecord, fromStep) {
+    const queryId = queryRecord._id.toString();
+
+    if (queryRecord.status !== 'failed') {
+      throw new AnalysisError('Only failed analyses can be resumed from a checkpoint', 409);
+    }
+
+    // Validate now so a bad fromStep is a 400 rather than a failed job
+    const { pipeline } = this.getEngine(queryRecord.engine);
+    const checkpoints = await this.resolveCheckpoints(pipeline, queryId, fromStep);
+    const resumeFrom = pipeline.resumeAt(checkpoints.length);
+
+    await Query.updateUnlessCancelled(queryId, {
+      status: 'pending',
+      'metadata.errorMessage': null,
+      dispatch: { queuedAt: new Date(), fromStep: resumeFrom || 'last' },
+      // An attached analysis whose shared run failed resumes as a run of its own
+      $unset: { sharedFrom: 1 },
+    });
+
+    await this.progress.clear(queryId);
+    await this.dispatchQueued();
+    const queue = await this.dispatcher.getPosition(await Query.findById(queryId).lean());
+    await this.progress.publish(queryId, 'queued', { status: 'pending', resumeFrom, queue });
+
+    logger.info(`Analysis ${queryId} resumed from checkpoint`, {
+      resumeFrom: resumeFrom || 'all agents restored',
+      restoredAgents: checkpoints.map((checkpoint) => checkpoint.agent),
+    });
+
+    return {
+      queryId,
+      status: 'queued',
+      resumeFrom,
+      queue,
+      restoredAgents: checkpoints.map((checkpoint) => checkpoint.agent),
+      engine: queryRecord.engine,
+      framework: queryRecord.engine,
+    };
+  }
+
+  /**
+   * Abort a workflow running in this process (worker side of cancelAnalysis)
+   */
+  abortWorkflow(queryId) {
+    const workflow = this.activeWorkflows.get(queryId);
+    if (!workflow) return false;
+
+    workflow.abortController.abort();
+    logger.info(`Aborting running analysis ${queryId}`);
+
+    return true;
+  }
+
+  /**
+   * Diagram of an engine's pipeline (default: the configured engine), generated from its definition
+   */
+  getWorkflowDiagram(engineName = this.defaultEngine) {
+    if (!hasEngine(engineName)) {
+      throw new ValidationError(`Unknown engine: ${engineName}`);
+    }
+    return { engine: engineName, ...this.getEngine(engineName).pipeline.toDiagram() };
+  }
+
   async getAnalysisStats(options = {}) {
     try {
       const { userId } = options;
@@ -545,7 +1159,7 @@ class AnalysisService extends EventEmitter {
         failed,
         processing,
         successRate: `${successRate}%`,
-        framework: 'langchain-multiagent',
+        framework: this.defaultEngine,
       };
     } catch (error) {
       logger.error('Failed to get analysis stats:', error);
@@ -1,11 +1,13 @@
 const Query = require('../models/Query');
 const Result = require('../models/Result');
 const User = require('../models/User');
+const { getSearchCache } = require('../providers/search');
 const { logger } = require('../utils/logger');
 const { ApiError } = require('../utils/errors');
 
 class AnalyticsService {
-  constructor() {
+  constructor(config) {
+    this.config = config;
     this.logger = logger;
   }
 
@@ -52,6 +54,16 @@ class AnalyticsService {
         trends: await this.getSystemTrends(dateFilter),
         topQueries: await this.getTopQueries(dateFilter),
         userEngagement: await this.getUserEngagementMetrics(dateFilter),
+        tokenUsage: await this.getTokenUsage(
+          this.buildPeriodFilter(dateFilter.timeframe || '30d'),
+          {
+            byUser: true,
+          }
+        ),
+        searchCache: await this.getSearchCacheStats(dateFilter.timeframe || '30d'),
+        structuredOutput: await this.getStructuredOutputStats(
+          this.buildPeriodFilter(dateFilter.timeframe || '30d')
+        ),
       };
     } catch (error) {
       this.logger.error('Failed to get system analytics', { error: error.message });
@@ -1040,6 +1052,7 @@ class AnalyticsService {
         processingQueries,
         totalUsers,
         apiCallsData,
+        tokenUsage,
         dataProcessedInfo,
         exportStats,
         categoryBreakdown,
@@ -1061,6 +1074,9 @@ class AnalyticsService {
         // API usage from Results collection
         this.getApiCallsUsage(baseQuery),
 
+        // Metered tokens and estimated cost
+        this.getTokenUsage(baseQuery),
+
         // Data processing metrics
         this.getDataProcessedMetrics(baseQuery),
 
@@ -1110,6 +1126,9 @@ class AnalyticsService {
           mostUsedEndpoints: apiCallsData.topEndpoints,
         },
 
+        // Metered LLM and search usage
+        tokenUsage,
+
         // Data processing metrics
         dataProcessing: {
           totalDataProcessed: dataProcessedInfo.totalMB,
@@ -1215,6 +1234,64 @@ class AnalyticsService {
     };
   }
 
+  /**
+   * Search cache hits, misses and hit rate over the period (null while Redis is unreachable)
+   */
+  async getSearchCacheStats(period = '30d') {
+    const { createdAt } = this.buildPeriodFilter(period);
+    const days = Math.max(Math.ceil((createdAt.$lte - createdAt.$gte) / (24 * 60 * 60 * 1000)), 1);
+
+    try {
+      return await getSearchCache(this.config).stats(days);
+    } catch (error) {
+      this.logger.warn('Failed to read search cache stats', { error: error.message });
+      return null;
+    }
+  }
+
+  /**
+   * How often each agent's LLM output matched its schema, was repaired or fell back
+   * (Result.structuredOutput) in the matching queries
+   */
+  async getStructuredOutputStats(baseQuery) {
+    const count = (status) => ({
+      $sum: { $cond: [{ $eq: ['$structuredOutput.status', status] }, 1, 0] },
+    });
+
+    try {
+      const queries = await Query.find(baseQuery).select('_id').lean();
+      if (queries.length === 0) return [];
+
+      const stats = await Result.aggregate([
+        { $match: { queryId: { $in: queries.map((q) => q._id) } } },
+        { $unwind: '$structuredOutput' },
+        {
+          $group: {
+            _id: { agent: '$structuredOutput.agent', schemaName: '$structuredOutput.schemaName' },
+            checks: { $sum: 1 },
+            valid: count('valid'),
+            repaired: count('repaired'),
+            fallback: count('fallback'),
+          },
+        },
+        { $sort: { '_id.agent': 1, '_id.schemaName': 1 } },
+      ]);
+
+      return stats.map(({ _id, checks, valid, repaired, fallback }) => ({
+        agent: _id.agent,
+        schemaName: _id.schemaName,
+        checks,
+        valid,
+        repaired,
+        fallback,
+        fallbackRate: Number(((fallback / checks) * 100).toFixed(2)),
+      }));
+    } catch (error) {
+      this.logger.warn('Failed to get structured output stats', { error: error.message });
+      return [];
+    }
+  }
+
   /**
    * Get API calls usage from Results collection
    */
@@ -1260,6 +1337,137 @@ class AnalyticsService {
     }
   }
 
+  /**
+   * Metered LLM and search usage (Result.usage) of the matching queries: token counts and
+   * estimated cost in total, per agent and per model, and optionally the top users by cost
+   */
+  async getTokenUsage(baseQuery, { byUser = false } = {}) {
+    const empty = {
+      analyses: 0,
+      currency: this.config?.metering?.currency || 'USD',
+      totals: {
+        llmCalls: 0,
+        searchCalls: 0,
+        promptTokens: 0,
+        completionTokens: 0,
+        totalTokens: 0,
+        cost: 0,
+      },
+      avgCostPerAnalysis: 0,
+      byAgent: [],
+      byModel: [],
+      ...(byUser && { topUsers: [] }),
+    };
+
+    try {
+      const queries = await Query.find(baseQuery).select('_id').lean();
+      const queryIds = queries.map((q) => q._id);
+
+      if (queryIds.length === 0) {
+        return empty;
+      }
+
+      const sums = (prefix, fields) =>
+        Object.fromEntries(fields.map((field) => [field, { $sum: `${prefix}.${field}` }]));
+      const tokenFields = ['promptTokens', 'completionTokens', 'totalTokens', 'cost'];
+
+      const [stats] = await Result.aggregate([
+        { $match: { queryId: { $in: queryIds }, usage: { $exists: true } } },
+        {
+          $facet: {
+            totals: [
+              {
+                $group: {
+                  _id: null,
+                  analyses: { $sum: 1 },
+                  currency: { $first: '$usage.currency' },
+                  ...sums('$usage.totals', ['llmCalls', 'searchCalls', ...tokenFields]),
+                },
+              },
+            ],
+            byAgent: [
+              { $unwind: '$usage.byAgent' },
+              {
+                $group: {
+                  _id: '$usage.byAgent.agent',
+                  ...sums('$usage.byAgent', ['llmCalls', 'searchCalls', ...tokenFields]),
+                },
+              },
+              { $sort: { cost: -1 } },
+            ],
+            byModel: [
+              { $unwind: '$usage.byModel' },
+              {
+                $group: {
+                  _id: '$usage.byModel.model',
+                  ...sums('$usage.byModel', ['calls', ...tokenFields]),
+                },
+              },
+              { $sort: { cost: -1 } },
+            ],
+            ...(byUser && {
+              topUsers: [
+                {
+                  $lookup: {
+                    from: Query.collection.name,
+                    localField: 'queryId',
+                    foreignField: '_id',
+                    as: 'query',
+                  },
+                },
+                { $unwind: '$query' },
+                {
+                  $group: {
+                    _id: '$query.userId',
+                    analyses: { $sum: 1 },
+                    totalTokens: { $sum: '$usage.totals.totalTokens' },
+                    cost: { $sum: '$usage.totals.cost' },
+                  },
+                },
+                { $sort: { cost: -1 } },
+                { $limit: 10 },
+              ],
+            }),
+          },
+        },
+      ]);
+
+      const totals = stats.totals[0];
+      if (!totals) {
+        return empty;
+      }
+
+      const roundCost = (value) => Math.round((value || 0) * 10000) / 10000;
+      const named =
+        (key) =>
+        ({ _id, cost, ...rest }) => ({
+          [key]: _id,
+          ...rest,
+          cost: roundCost(cost),
+        });
+
+      return {
+        analyses: totals.analyses,
+        currency: totals.currency,
+        totals: {
+          llmCalls: totals.llmCalls,
+          searchCalls: totals.searchCalls,
+          promptTokens: totals.promptTokens,
+          completionTokens: totals.completionTokens,
+          totalTokens: totals.totalTokens,
+          cost: roundCost(totals.cost),
+        },
+        avgCostPerAnalysis: roundCost(totals.cost / totals.analyses),
+        byAgent: stats.byAgent.map(named('agent')),
+        byModel: stats.byModel.map(named('model')),
+        ...(byUser && { topUsers: stats.topUsers.map(named('userId')) }),
+      };
+    } catch (error) {
+      this.logger.error('Failed to get token usage', { error: error.message });
+      return empty;
+    }
+  }
+
   /**
    * Get data processed metrics
    */
@@ -0,0 +1,200 @@
+const AnalysisService = require('./analysis.service');
+const ExportService = require('./export.service');
+const Batch = require('../models/Batch');
+const Query = require('../models/Query');
+const Result = require('../models/Result');
+const { DEFAULT_TEMPLATE } = require('../workflows/templates');
+const { parseQueryCsv, uniqueQueries, batchProgress } = require('../utils/batch');
+const { NotFoundError, ValidationError } = require('../utils/errors');
+const { logger } = require('../utils/logger');
+
+/**
+ * Batches of related queries (sub-segments of a market, a list of competitors ...) submitted
+ * together. Each query runs as its own queued analysis with the batch's options; the Batch
+ * records its children, and its status, progress and combined export are built from them.
+ */
+class BatchService {
+  constructor(config, analysisService = new AnalysisService(config)) {
+    this.config = config;
+    this.analysisService = analysisService;
+    this.exportService = new ExportService(config);
+  }
+
+  /**
+   * Start one analysis per query of `queries` and of the uploaded CSV file (`csv`, its text)
+   */
+  async createBatch(userId, options) {
+    const {
+      name,
+      queries = [],
+      csv,
+      tags = [],
+      template = DEFAULT_TEMPLATE,
+      engine = this.analysisService.defaultEngine,
+      searchProviders = [],
+      priority = 1,
+    } = options;
+    const { maxQueries } = this.config.batch;
+
+    const texts = uniqueQueries([...queries, ...(csv ? parseQueryCsv(csv) : [])]);
+    if (!texts.length || texts.length > maxQueries) {
+      throw new ValidationError(
+        `A batch runs 1 to ${maxQueries} different queries (got ${texts.length})`
+      );
+    }
+    const invalid = texts.find((text) => text.length < 5 || text.length > 1000);
+    if (invalid) {
+      throw new ValidationError(
+        `Query must be between 5 and 1000 characters: "${invalid.substring(0, 50)}"`
+      );
+    }
+
+    // Check the shared options once, so a bad option cannot leave half a batch behind
+    this.analysisService.validateOptions({ engine, searchProviders });
+    await this.analysisService.templates.resolveTemplate(template);
+
+    const batch = new Batch({
+      userId: String(userId),
+      name: name || texts[0].substring(0, 100),
+      template,
+      engine,
+      searchProviders,
+      priority,
+      tags,
+      queries: [],
+    });
+
+    try {
+      for (const query of texts) {
+        const analysis = await this.analysisService.startAnalysis({
+          userId,
+          query,
+          priority,
+          tags,
+          engine,
+          searchProviders,
+          template,
+          batchId: batch._id,
+        });
+        batch.queries.push({ queryId: analysis.queryId, queryText: query });
+      }
+    } finally {
+      // Record whatever started, even when a later start failed
+      await batch.save();
+    }
+
+    logger.info('Analysis batch created', {
+      batchId: batch._id.toString(),
+      queries: batch.queries.length,
+    });
+
+    return this.getBatch(batch._id, userId);
+  }
+
+  async listBatches(userId, { limit = 20, skip = 0 } = {}) {
+    const batches = await Batch.find({ userId: String(userId) })
+      .sort({ createdAt: -1 })
+      .limit(limit)
+      .skip(skip);
+    const children = await this.loadChildren(batches);
+
+    return batches.map((batch) =>
+      this.toResponse(
+        batch,
+        children.filter((child) => child.batchId.toString() === batch._id.toString())
+      )
+    );
+  }
+
+  /**
+   * A batch with its aggregate progress and each child analysis' status
+   */
+  async getBatch(batchId, userId) {
+    const batch = await this.findBatch(batchId, userId);
+    const children = await this.loadChildren([batch]);
+
+    return {
+      ...this.toResponse(batch, children),
+      analyses: batch.queries.map((entry) => {
+        const child = children.find((item) => item._id.toString() === entry.queryId.toString());
+        return {
+          queryId: entry.queryId.toString(),
+          query: entry.queryText,
+          status: child?.status || 'unknown',
+          progress: child?.metadata?.progress || null,
+          sharedFrom: child?.sharedFrom ? child.sharedFrom.toString() : null,
+          completedAt: child?.completedAt || null,
+        };
+      }),
+    };
+  }
+
+  /**
+   * One report of every completed child's results. Children that have not completed are
+   * listed with their status, so a partial export is still possible.
+   */
+  async exportBatch(batchId, userId, format) {
+    const batch = await this.findBatch(batchId, userId);
+    const children = await this.loadChildren([batch]);
+
+    const completed = children.filter((child) => child.status === 'completed');
+    if (!completed.length) {
+      throw new ValidationError('No analysis of the batch has completed yet');
+    }
+
+    // Attached children export the Result of the run they share
+    const results = await Result.find({
+      queryId: { $in: completed.map((child) => Query.resultQueryId(child)) },
+    }).lean();
+
+    const entries = batch.queries.map((entry) => {
+      const child = children.find((item) => item._id.toString() === entry.queryId.toString());
+      const resultQueryId = child && Query.resultQueryId(child).toString();
+      return {
+        queryId: entry.queryId.toString(),
+        query: entry.queryText,
+        status: child?.status || 'unknown',
+        result:
+          (child?.status === 'completed' &&
+            results.find((result) => result.queryId.toString() === resultQueryId)) ||
+          null,
+      };
+    });
+
+    return this.exportService.generateBatchExport(
+      { batchId: batch._id.toString(), name: batch.name, tags: batch.tags },
+      entries,
+      format
+    );
+  }
+
+  loadChildren(batches) {
+    return Query.find({ batchId: { $in: batches.map((batch) => batch._id) } })
+      .select('_id batchId status sharedFrom completedAt metadata.progress')
+      .lean();
+  }
+
+  async findBatch(batchId, userId) {
+    const batch = await Batch.findForUser(batchId, userId);
+    if (!batch) {
+      throw new NotFoundError('Batch not found');
+    }
+    return batch;
+  }
+
+  toResponse(batch, children) {
+    return {
+      batchId: batch._id.toString(),
+      name: batch.name,
+      template: batch.template,
+      engine: batch.engine,
+      searchProviders: batch.searchProviders,
+      priority: batch.priority,
+      tags: batch.tags,
+      ...batchProgress(children),
+      createdAt: batch.createdAt,
+    };
+  }
+}
+
+module.exports = BatchService;
@@ -0,0 +1,209 @@
+const { createLLMProvider } = require('../providers/llm');
+const { UsageMeter, mergeUsage } = require('../providers/metering');
+const Query = require('../models/Query');
+const Result = require('../models/Result');
+const Conversation = require('../models/Conversation');
+const { AnalysisError, NotFoundError } = require('../utils/errors');
+const { logger } = require('../utils/logger');
+
+const STOP_WORDS = new Set(
+  'the and for with from that this are was what which how who why does did about they'.split(' ')
+);
+
+const tokenize = (text) =>
+  String(text || '')
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter((word) => word.length > 2 && !STOP_WORDS.has(word));
+
+/**
+ * Follow-up questions about a completed analysis. Answers come only from the sources the
+ * analysis stored (Result.rawData), cite them as [n], and build up one conversation thread
+ * per analysis - earlier turns are sent along so "what about them?" still makes sense.
+ * Answers are metered like the analysis' own calls and added to its Result.usage under
+ * the 'followup' agent.
+ */
+class ConversationService {
+  constructor(config) {
+    this.config = config;
+    this.llm = createLLMProvider(config);
+    this.maxSources = 8;
+    this.maxSourceChars = 1500;
+    this.historyMessages = 6;
+  }
+
+  async ask(queryId, userId, question) {
+    const { query, result } = await this.loadAnalysis(queryId, userId);
+    const conversation = await Conversation.findByQuery(queryId);
+    const history = (conversation?.messages || []).slice(-this.historyMessages);
+
+    // Earlier questions help pick sources for short follow-ups
+    const previousQuestion = history.filter((message) => message.role === 'user').pop();
+    const sources = this.selectSources(result.rawData || [], [question, previousQuestion?.content]);
+
+    const meter = new UsageMeter(this.config);
+    const { llm } = meter.forAgent('followup', { llm: this.llm });
+    let response;
+    try {
+      response = await llm.complete({
+        task: 'follow-up',
+        tier: 'fast',
+        temperature: 0.1,
+        maxTokens: 800,
+        messages: this.buildMessages(query, result, sources, history, question),
+      });
+    } finally {
+      await this.recordUsage(result._id, meter);
+    }
+
+    const answer = response.content.trim();
+    const citations = this.extractCitations(answer, sources);
+
+    const thread = await Conversation.appendExchange(queryId, userId, [
+      { role: 'user', content: question },
+      { role: 'assistant', content: answer, citations, model: response.model },
+    ]);
+
+    logger.info('Answered follow-up question', {
+      queryId,
+      sourcesConsidered: sources.length,
+      citations: citations.length,
+      tokens: response.usage?.totalTokens,
+    });
+
+    return {
+      queryId,
+      question,
+      answer,
+      citations,
+      messages: thread.messages,
+    };
+  }
+
+  /**
+   * Add a follow-up's metered calls to the analysis' usage. Best-effort: an answer is never
+   * lost over its accounting.
+   */
+  async recordUsage(resultId, meter) {
+    try {
+      const stored = await Result.findById(resultId).select('usage').lean();
+      await Result.updateOne(
+        { _id: resultId },
+        { $set: { usage: mergeUsage(stored?.usage, meter.summary()) } }
+      );
+    } catch (error) {
+      logger.warn('Failed to record follow-up usage', {
+        resultId: String(resultId),
+        error: error.message,
+      });
+    }
+  }
+
+  async getThread(queryId, userId) {
+    await this.loadAnalysis(queryId, userId);
+    const conversation = await Conversation.findByQuery(queryId);
+
+    return {
+      queryId,
+      messages: conversation?.messages || [],
+    };
+  }
+
+  async loadAnalysis(queryId, userId) {
+    const query = await Query.findOne({ _id: queryId, userId });
+    if (!query) {
+      throw new NotFoundError('Analysis not found');
+    }
+    if (query.status !== 'completed') {
+      throw new AnalysisError('Follow-up questions need a completed analysis', 409);
+    }
+
+    const result = await Result.findOne({ queryId: Query.resultQueryId(query) }).lean();
+    if (!result) {
+      throw new NotFoundError('Analysis results not found');
+    }
+
+    return { query, result };
+  }
+
+  /**
+   * The stored sources most relevant to the question. Each is numbered by its position in
+   * rawData, so a marker means the same source in every turn of the thread. Falls back to
+   * the analysis' own top sources when nothing matches, so the model can say so with context.
+   */
+  selectSources(rawData, texts) {
+    const terms = [...new Set(texts.flatMap(tokenize))];
+
+    const candidates = rawData
+      .map((source, sourceIndex) => ({ source, sourceIndex }))
+      .filter(({ source }) => source && (source.content || source.title));
+
+    const scored = candidates
+      .map((candidate) => {
+        const titleTokens = new Set(tokenize(candidate.source.title));
+        const contentTokens = new Set(tokenize(candidate.source.content));
+        const score = terms.reduce((total, term) => {
+          if (titleTokens.has(term)) return total + 1;
+          if (contentTokens.has(term)) return total + 0.6;
+          return total;
+        }, 0);
+        return { ...candidate, score };
+      })
+      .filter((candidate) => candidate.score > 0)
+      .sort((a, b) => b.score - a.score);
+
+    const selected = (scored.length ? scored : candidates).slice(0, this.maxSources);
+
+    return selected.map(({ source, sourceIndex }) => ({
+      marker: sourceIndex + 1,
+      sourceIndex,
+      url: source.url,
+      title: source.title || source.url || `Source ${sourceIndex + 1}`,
+      content: String(source.content || '').substring(0, this.maxSourceChars),
+    }));
+  }
+
+  buildMessages(query, result, sources, history, question) {
+    const sourceList = sources
+      .map((source) => `[${source.marker}] ${source.title}\nURL: ${source.url}\n${source.content}`)
+      .join('\n\n');
+
+    const system = [
+      `You answer follow-up questions about a market analysis of: ${query.queryText}.`,
+      'Use only the numbered sources below. Cite every claim with its source number in',
+      'square brackets, e.g. [2]. If the sources do not answer the question, say so plainly',
+      'instead of guessing. Keep answers concise.',
+      '',
+      `Analysis summary: ${result.analysisResults?.summary || 'not available'}`,
+      '',
+      'Sources:',
+      sourceList || '(no stored sources)',
+    ].join('\n');
+
+    return [
+      { role: 'system', content: system },
+      ...history.map((message) => ({ role: message.role, content: message.content })),
+      { role: 'user', content: `Question: "${question}"` },
+    ];
+  }
+
+  /**
+   * Citations for the [n] markers the answer actually uses, in order of first use
+   */
+  extractCitations(answer, sources) {
+    const markers = [...answer.matchAll(/\[(\d+)\]/g)].map((match) => Number(match[1]));
+
+    return [...new Set(markers)]
+      .map((marker) => sources.find((source) => source.marker === marker))
+      .filter(Boolean)
+      .map(({ marker, sourceIndex, url, title, content }) => ({
+        marker,
+        sourceIndex,
+        url,
+        title,
+        snippet: content.substring(0, 300),
+      }));
+  }
+}
+
+module.exports = ConversationService;
@@ -0,0 +1,228 @@
+const Query = require('../models/Query');
+const User = require('../models/User');
+const { planQueue } = require('../utils/fairQueue');
+const { logger } = require('../utils/logger');
+
+// Compare-and-delete, so a dispatcher only ever releases its own lock
+const RELEASE_LOCK =
+  "if redis.call('get', KEYS[1]) == ARGV[1] then return redis.call('del', KEYS[1]) end return 0";
+
+/**
+ * Admission of queued analyses into the job queue.
+ *
+ * A new (or resumed) analysis waits as a pending Query until dispatch() hands it to Bull.
+ * Waiting analyses are started in the order of utils/fairQueue - priority, subscription plan,
+ * time waited and what their owner already has running - while at most config.dispatch.capacity
+ * analyses run at once and each user at most their own limit. Both the API process (after
+ * queueing) and the worker (after every run, and on an interval) dispatch; a Redis lock keeps
+ * two dispatchers from starting the same slot twice.
+ */
+class DispatchService {
+  constructor(config, queue) {
+    this.config = config;
+    this.options = config.dispatch;
+    this.queue = queue;
+    this.lockKey = `${config.queue.name}:dispatch-lock`;
+    this.timer = null;
+  }
+
+  /**
+   * Start every waiting analysis that has a free slot. Resolves to the started query ids
+   * (none when another dispatcher holds the lock; it starts them instead).
+   */
+  async dispatch() {
+    const token = `${process.pid}:${Date.now()}:${Math.random()}`;
+    const locked = await this.queue.queue.client.set(
+      this.lockKey,
+      token,
+      'PX',
+      this.options.lockMs,
+      'NX'
+    );
+    if (!locked) return [];
+
+    try {
+      const now = Date.now();
+      const { plan } = await this.plan(now);
+      const started = [];
+
+      for (const entry of plan.filter(({ startAt }) => startAt <= now)) {
+        if (await this.handOff(entry.id)) started.push(entry.id);
+      }
+
+      if (started.length) {
+        logger.info('Dispatched queued analyses', { started });
+      }
+      return started;
+    } finally {
+      await this.queue.queue.client.eval(RELEASE_LOCK, 1, this.lockKey, token);
+    }
+  }
+
+  /**
+   * Hand one waiting analysis to the job queue. False when it was cancelled or dispatched
+   * by someone else meanwhile.
+   */
+  async handOff(queryId) {
+    const query = await Query.findOneAndUpdate(
+      { _id: queryId, status: 'pending', sharedFrom: null, 'dispatch.dispatchedAt': null },
+      { 'dispatch.dispatchedAt': new Date() },
+      { new: true }
+    );
+    if (!query) return false;
+
+    const { fromStep } = query.dispatch || {};
+    const data = {
+      queryId,
+      query: query.queryText,
+      userId: query.userId,
+      ...(fromStep && { fromStep }),
+    };
+
+    try {
+      // A resumed analysis still has its finished job under the same id
+      await (fromStep ? this.queue.requeueAnalysis(data) : this.queue.enqueueAnalysis(data));
+      return true;
+    } catch (error) {
+      await Query.updateOne({ _id: queryId }, { $unset: { 'dispatch.dispatchedAt': 1 } });
+      throw error;
+    }
+  }
+
+  /**
+   * Queue position and estimated start of a pending analysis (null once it is running).
+   * Position 0 means it has been handed to a worker and is about to start.
+   */
+  async getPosition(query) {
+    if (query?.status !== 'pending') return null;
+    if (query.dispatch?.dispatchedAt) {
+      return { position: 0, estimatedStartAt: new Date() };
+    }
+
+    const { plan, waiting } = await this.plan();
+    const entry = plan.find(({ id }) => id === query._id.toString());
+
+    return entry
+      ? { position: entry.position, estimatedStartAt: new Date(entry.startAt) }
+      : { position: waiting + 1, estimatedStartAt: null };
+  }
+
+  /**
+   * The waiting analyses in start order, from what is waiting and running now
+   */
+  async plan(now = Date.now()) {
+    const [waiting, running, durationMs] = await Promise.all([
+      Query.find({ status: 'pending', sharedFrom: null, 'dispatch.dispatchedAt': null })
+        .sort({ priority: -1, createdAt: 1 })
+        .limit(this.options.lookahead)
+        .select('userId priority dispatch createdAt')
+        .lean(),
+      Query.find({
+        status: { $in: ['pending', 'processing'] },
+        'dispatch.dispatchedAt': { $ne: null },
+      })
+        .select('userId startedAt dispatch')
+        .lean(),
+      this.averageDurationMs(),
+    ]);
+    const users = await this.loadUsers([...waiting, ...running].map((query) => query.userId));
+
+    const plan = planQueue({
+      waiting: waiting.map((query) => ({
+        id: query._id.toString(),
+        userId: query.userId,
+        plan: users.get(query.userId)?.plan,
+        priority: query.priority,
+        queuedAt: new Date(query.dispatch?.queuedAt || query.createdAt).getTime(),
+      })),
+      running: running.map((query) => ({
+        id: query._id.toString(),
+        userId: query.userId,
+        // A resumed analysis keeps the startedAt of its earlier run until it starts again
+        startedAt: Math.max(
+          new Date(query.startedAt || 0).getTime(),
+          new Date(query.dispatch.dispatchedAt).getTime()
+        ),
+      })),
+      limits: Object.fromEntries(Array.from(users, ([userId, { limit }]) => [userId, limit])),
+      now,
+      capacity: this.options.capacity,
+      planWeights: this.options.planWeights,
+      agingMs: this.options.agingMs,
+      userPenalty: this.options.userPenalty,
+      durationMs,
+    });
+
+    return { plan, waiting: waiting.length, running: running.length, durationMs };
+  }
+
+  /**
+   * Plan and concurrency limit of each user. The limit is the user's own
+   * settings.maxConcurrentAnalyses, capped by their plan's; users without an account
+   * record (demo users) are on the free plan.
+   */
+  async loadUsers(userIds) {
+    const ids = [...new Set(userIds.map(String))];
+    const records = await User.find({ userId: { $in: ids } })
+      .select('userId subscription settings')
+      .lean();
+
+    return new Map(
+      ids.map((userId) => {
+        const user = records.find((record) => record.userId === userId);
+        const plan = user?.subscription?.plan || 'free';
+        const planLimit = this.options.userLimits[plan] || this.options.userLimits.free;
+        const limit = Math.min(user?.settings?.maxConcurrentAnalyses || planLimit, planLimit);
+        return [userId, { plan, limit: Math.max(limit, 1) }];
+      })
+    );
+  }
+
+  /**
+   * Average run time of the analyses completed in the last day, for start estimates
+   */
+  async averageDurationMs() {
+    const [recent] = await Query.aggregate([
+      {
+        $match: {
+          status: 'completed',
+          startedAt: { $ne: null },
+          completedAt: { $gte: new Date(Date.now() - 24 * 60 * 60 * 1000) },
+        },
+      },
+      {
+        $group: { _id: null, durationMs: { $avg: { $subtract: ['$completedAt', '$startedAt'] } } },
+      },
+    ]);
+    return Math.round(recent?.durationMs) || this.options.durationMs;
+  }
+
+  async getStats() {
+    const { waiting, running, durationMs } = await this.plan();
+    return {
+      capacity: this.options.capacity,
+      running,
+      waiting,
+      averageDurationMs: durationMs,
+    };
+  }
+
+  /**
+   * Sweep the queue on an interval (worker process only), so a slot freed in another
+   * process, or a dispatch skipped while the lock was held, is never left idle
+   */
+  start() {
+    this.timer = setInterval(() => {
+      this.dispatch().catch((error) => {
+        logger.warn('Failed to dispatch queued analyses', { error: error.message });
+      });
+    }, this.options.intervalMs);
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+}
+
+module.exports = DispatchService;
@@ -1,6 +1,12 @@
 const ExcelJS = require('exceljs');
 const PDFDocument = require('pdfkit');
 const { logger } = require('../utils/logger');
+const {
+  buildFootnotes,
+  footnoteText,
+  renderFootnotesHtml,
+  escapeHtml,
+} = require('../utils/citations');
 
 class ExportService {
   async generateExport(result, format) {
@@ -26,39 +32,41 @@ class ExportService {
   }
 
   exportToJSON(result) {
+    const { sources } = this.footnotes(result);
+
     return {
       query: result.query?.queryText,
       analysisResults: result.analysisResults,
       processedData: result.processedData,
       performance: result.performance,
+      // Sources cited by analysisResults.citations, numbered as in the other formats
+      sources,
       generatedAt: new Date().toISOString(),
     };
   }
 
-  exportToCSV(result) {
-    const { analysisResults } = result;
-    let csv = 'Category,Item\n';
+  /**
+   * Cited sections and numbered sources (see utils/citations)
+   */
+  footnotes(result) {
+    return buildFootnotes(result.analysisResults || {}, result.rawData || []);
+  }
 
-    // Key trends
-    if (analysisResults.keyTrends) {
-      analysisResults.keyTrends.forEach((trend) => {
-        csv += `Key Trend,"${trend.replace(/"/g, '""')}"\n`;
-      });
-    }
+  exportToCSV(result) {
+    const { sections, sources } = this.footnotes(result);
+    const quote = (value) => `"${String(value || '').replace(/"/g, '""')}"`;
+    let csv = 'Category,Item,Sources\n';
 
-    // Recommendations
-    if (analysisResults.recommendations) {
-      analysisResults.recommendations.forEach((rec) => {
-        csv += `Recommendation,"${rec.replace(/"/g, '""')}"\n`;
+    sections.forEach((section) => {
+      section.items.forEach((item) => {
+        csv += `${quote(section.title)},${quote(item.text)},${quote(footnoteText(item))}\n`;
       });
-    }
+    });
 
-    // Risk factors
-    if (analysisResults.riskFactors) {
-      analysisResults.riskFactors.forEach((risk) => {
-        csv += `Risk Factor,"${risk.replace(/"/g, '""')}"\n`;
-      });
-    }
+    // Footnotes
+    sources.forEach((source) => {
+      csv += `${quote(`Source [${source.number}]`)},${quote(source.title)},${quote(source.url)}\n`;
+    });
 
     return csv;
   }
@@ -66,46 +74,48 @@ class ExportService {
   async exportToExcel(result) {
     const workbook = new ExcelJS.Workbook();
     const worksheet = workbook.addWorksheet('Market Analysis');
+    const { sections, sources } = this.footnotes(result);
 
     // Add headers
     worksheet.columns = [
       { header: 'Category', key: 'category', width: 20 },
       { header: 'Item', key: 'item', width: 80 },
+      { header: 'Sources', key: 'sources', width: 20 },
     ];
 
     // Add data
-    const { analysisResults } = result;
-
-    if (analysisResults.keyTrends) {
-      analysisResults.keyTrends.forEach((trend) => {
-        worksheet.addRow({ category: 'Key Trend', item: trend });
+    sections.forEach((section) => {
+      section.items.forEach((item) => {
+        worksheet.addRow({ category: section.title, item: item.text, sources: footnoteText(item) });
       });
-    }
-
-    if (analysisResults.recommendations) {
-      analysisResults.recommendations.forEach((rec) => {
-        worksheet.addRow({ category: 'Recommendation', item: rec });
-      });
-    }
+    });
 
-    if (analysisResults.riskFactors) {
-      analysisResults.riskFactors.forEach((risk) => {
-        worksheet.addRow({ category: 'Risk Factor', item: risk });
-      });
-    }
+    const sourceSheet = workbook.addWorksheet('Sources');
+    sourceSheet.columns = [
+      { header: 'Source', key: 'number', width: 10 },
+      { header: 'Title', key: 'title', width: 60 },
+      { header: 'URL', key: 'url', width: 60 },
+    ];
+    sources.forEach((source) => {
+      sourceSheet.addRow({ number: `[${source.number}]`, title: source.title, url: source.url });
+    });
 
-    // Style the header
-    worksheet.getRow(1).font = { bold: true };
-    worksheet.getRow(1).fill = {
-      type: 'pattern',
-      pattern: 'solid',
-      fgColor: { argb: 'FFE0E0E0' },
-    };
+    // Style the headers
+    [worksheet, sourceSheet].forEach((sheet) => {
+      sheet.getRow(1).font = { bold: true };
+      sheet.getRow(1).fill = {
+        type: 'pattern',
+        pattern: 'solid',
+        fgColor: { argb: 'FFE0E0E0' },
+      };
+    });
 
     return await workbook.xlsx.writeBuffer();
   }
 
   async exportToPDF(result) {
+    const { sections, sources } = this.footnotes(result);
+
     return new Promise((resolve, reject) => {
       try {
         const doc = new PDFDocument();
@@ -122,29 +132,20 @@ class ExportService {
         doc.fontSize(12).text(result.query?.queryText || 'N/A');
         doc.moveDown();
 
-        // Key trends
-        if (result.analysisResults?.keyTrends) {
-          doc.fontSize(16).text('Key Trends:', { underline: true });
-          result.analysisResults.keyTrends.forEach((trend) => {
-            doc.fontSize(12).text(`• ${trend}`);
+        // Key trends, insights, recommendations and risk factors with their footnotes
+        sections.forEach((section) => {
+          doc.fontSize(16).text(`${section.title}:`, { underline: true });
+          section.items.forEach((item) => {
+            doc.fontSize(12).text(`• ${item.text} ${footnoteText(item)}`.trim());
           });
           doc.moveDown();
-        }
-
-        // Recommendations
-        if (result.analysisResults?.recommendations) {
-          doc.fontSize(16).text('Recommendations:', { underline: true });
-          result.analysisResults.recommendations.forEach((rec) => {
-            doc.fontSize(12).text(`• ${rec}`);
-          });
-          doc.moveDown();
-        }
+        });
 
-        // Risk factors
-        if (result.analysisResults?.riskFactors) {
-          doc.fontSize(16).text('Risk Factors:', { underline: true });
-          result.analysisResults.riskFactors.forEach((risk) => {
-            doc.fontSize(12).text(`• ${risk}`);
+        // Footnotes
+        if (sources.length) {
+          doc.fontSize(16).text('Sources:', { underline: true });
+          sources.forEach((source) => {
+            doc.fontSize(10).text(`[${source.number}] ${source.title} - ${source.url}`);
           });
         }
 
@@ -168,45 +169,16 @@ class ExportService {
           h1 { color: #2c3e50; border-bottom: 2px solid #3498db; }
           h2 { color: #34495e; margin-top: 30px; }
           ul { line-height: 1.6; }
+          sup a { text-decoration: none; }
+          .unsupported { color: #c0392b; }
           .metadata { background: #f8f9fa; padding: 20px; border-radius: 5px; margin-top: 30px; }
         </style>
       </head>
       <body>
         <h1>Market Intelligence Report</h1>
-        <p><strong>Query:</strong> ${query?.queryText || 'N/A'}</p>
-        
-        ${
-          analysisResults?.keyTrends
-            ? `
-          <h2>Key Trends</h2>
-          <ul>
-            ${analysisResults.keyTrends.map((trend) => `<li>${trend}</li>`).join('')}
-          </ul>
-        `
-            : ''
-        }
+        <p><strong>Query:</strong> ${escapeHtml(query?.queryText || 'N/A')}</p>
         
-        ${
-          analysisResults?.recommendations
-            ? `
-          <h2>Recommendations</h2>
-          <ul>
-            ${analysisResults.recommendations.map((rec) => `<li>${rec}</li>`).join('')}
-          </ul>
-        `
-            : ''
-        }
-        
-        ${
-          analysisResults?.riskFactors
-            ? `
-          <h2>Risk Factors</h2>
-          <ul>
-            ${analysisResults.riskFactors.map((risk) => `<li>${risk}</li>`).join('')}
-          </ul>
-        `
-            : ''
-        }
+        ${renderFootnotesHtml(this.footnotes(result))}
         
         <div class="metadata">
           <p><strong>Generated:</strong> ${new Date().toLocaleString()}</p>
@@ -216,6 +188,233 @@ class ExportService {
       </html>
     `;
   }
+
+  /**
+   * One report of a batch's analyses (see services/batch.service). `entries` lists every
+   * child in submission order - { queryId, query, status, result } - and `result` is null
+   * for the ones that have not completed.
+   */
+  async generateBatchExport(batch, entries, format) {
+    try {
+      switch (format.toLowerCase()) {
+        case 'json':
+          return this.exportBatchToJSON(batch, entries);
+        case 'csv':
+          return this.exportBatchToCSV(entries);
+        case 'xlsx':
+          return await this.exportBatchToExcel(entries);
+        case 'pdf':
+          return await this.exportBatchToPDF(batch, entries);
+        case 'html':
+          return this.exportBatchToHTML(batch, entries);
+        default:
+          throw new Error(`Unsupported export format: ${format}`);
+      }
+    } catch (error) {
+      logger.error('Batch export generation failed:', error);
+      throw error;
+    }
+  }
+
+  exportBatchToJSON(batch, entries) {
+    return {
+      batch,
+      analyses: entries.map(({ queryId, query, status, result }) => ({
+        queryId,
+        query,
+        status,
+        ...(result && {
+          analysisResults: result.analysisResults,
+          performance: result.performance,
+          sources: this.footnotes(result).sources,
+        }),
+      })),
+      generatedAt: new Date().toISOString(),
+    };
+  }
+
+  exportBatchToCSV(entries) {
+    const quote = (value) => `"${String(value || '').replace(/"/g, '""')}"`;
+    let csv = 'Query,Category,Item,Sources\n';
+
+    entries
+      .filter((entry) => entry.result)
+      .forEach(({ query, result }) => {
+        const { sections, sources } = this.footnotes(result);
+        sections.forEach((section) => {
+          section.items.forEach((item) => {
+            csv += `${quote(query)},${quote(section.title)},${quote(item.text)},${quote(footnoteText(item))}\n`;
+          });
+        });
+        sources.forEach((source) => {
+          csv += `${quote(query)},${quote(`Source [${source.number}]`)},${quote(source.title)},${quote(source.url)}\n`;
+        });
+      });
+
+    return csv;
+  }
+
+  async exportBatchToExcel(entries) {
+    const workbook = new ExcelJS.Workbook();
+    const summarySheet = workbook.addWorksheet('Summary');
+    const findingSheet = workbook.addWorksheet('Findings');
+    const sourceSheet = workbook.addWorksheet('Sources');
+
+    summarySheet.columns = [
+      { header: 'Query', key: 'query', width: 60 },
+      { header: 'Status', key: 'status', width: 12 },
+      { header: 'Data Confidence', key: 'confidence', width: 16 },
+      { header: 'Findings', key: 'findings', width: 10 },
+      { header: 'Sources', key: 'sources', width: 10 },
+    ];
+    findingSheet.columns = [
+      { header: 'Query', key: 'query', width: 40 },
+      { header: 'Category', key: 'category', width: 20 },
+      { header: 'Item', key: 'item', width: 80 },
+      { header: 'Sources', key: 'sources', width: 20 },
+    ];
+    sourceSheet.columns = [
+      { header: 'Query', key: 'query', width: 40 },
+      { header: 'Source', key: 'number', width: 10 },
+      { header: 'Title', key: 'title', width: 60 },
+      { header: 'URL', key: 'url', width: 60 },
+    ];
+
+    entries.forEach(({ query, status, result }) => {
+      const { sections, sources } = result ? this.footnotes(result) : { sections: [], sources: [] };
+      const items = sections.flatMap((section) =>
+        section.items.map((item) => ({ category: section.title, item }))
+      );
+
+      summarySheet.addRow({
+        query,
+        status,
+        confidence: result?.analysisResults?.dataConfidence || '',
+        findings: items.length,
+        sources: sources.length,
+      });
+      items.forEach(({ category, item }) => {
+        findingSheet.addRow({ query, category, item: item.text, sources: footnoteText(item) });
+      });
+      sources.forEach((source) => {
+        sourceSheet.addRow({
+          query,
+          number: `[${source.number}]`,
+          title: source.title,
+          url: source.url,
+        });
+      });
+    });
+
+    [summarySheet, findingSheet, sourceSheet].forEach((sheet) => {
+      sheet.getRow(1).font = { bold: true };
+      sheet.getRow(1).fill = {
+        type: 'pattern',
+        pattern: 'solid',
+        fgColor: { argb: 'FFE0E0E0' },
+      };
+    });
+
+    return await workbook.xlsx.writeBuffer();
+  }
+
+  async exportBatchToPDF(batch, entries) {
+    return new Promise((resolve, reject) => {
+      try {
+        const doc = new PDFDocument();
+        const chunks = [];
+
+        doc.on('data', (chunk) => chunks.push(chunk));
+        doc.on('end', () => resolve(Buffer.concat(chunks)));
+
+        doc.fontSize(20).text('Market Intelligence Report', { align: 'center' });
+        doc.fontSize(14).text(batch.name || '', { align: 'center' });
+        doc.moveDown();
+
+        entries.forEach(({ query, status, result }, index) => {
+          if (index > 0) doc.addPage();
+          doc.fontSize(16).text(`${index + 1}. ${query}`, { underline: true });
+          doc.moveDown(0.5);
+
+          if (!result) {
+            doc.fontSize(12).text(`Analysis ${status} - no results`);
+            return;
+          }
+
+          const { sections, sources } = this.footnotes(result);
+          sections.forEach((section) => {
+            doc.fontSize(14).text(`${section.title}:`);
+            section.items.forEach((item) => {
+              doc.fontSize(12).text(`• ${item.text} ${footnoteText(item)}`.trim());
+            });
+            doc.moveDown();
+          });
+
+          if (sources.length) {
+            doc.fontSize(14).text('Sources:');
+            sources.forEach((source) => {
+              doc.fontSize(10).text(`[${source.number}] ${source.title} - ${source.url}`);
+            });
+          }
+        });
+
+        doc.end();
+      } catch (error) {
+        reject(error);
+      }
+    });
+  }
+
+  exportBatchToHTML(batch, entries) {
+    const analysisHtml = entries
+      .map(({ query, status, result }, index) => {
+        const body = result
+          ? `${renderFootnotesHtml(this.footnotes(result), { anchorPrefix: `q${index + 1}-source` })}
+        <p><strong>Data Confidence:</strong> ${result.analysisResults?.dataConfidence || 'N/A'}</p>`
+          : `<p class="unsupported">Analysis ${escapeHtml(status)} - no results</p>`;
+        return `
+        <article id="q${index + 1}">
+        <h2>${index + 1}. ${escapeHtml(query)}</h2>
+        ${body}
+        </article>`;
+      })
+      .join('\n');
+    const contents = entries
+      .map(({ query }, index) => `<li><a href="#q${index + 1}">${escapeHtml(query)}</a></li>`)
+      .join('\n          ');
+    const completed = entries.filter((entry) => entry.result).length;
+
+    return `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <title>Market Intelligence Report - ${escapeHtml(batch.name || '')}</title>
+        <style>
+          body { font-family: Arial, sans-serif; margin: 40px; }
+          h1 { color: #2c3e50; border-bottom: 2px solid #3498db; }
+          h2 { color: #34495e; margin-top: 30px; }
+          ul { line-height: 1.6; }
+          sup a { text-decoration: none; }
+          article { border-top: 1px solid #ddd; margin-top: 40px; }
+          .unsupported { color: #c0392b; }
+          .metadata { background: #f8f9fa; padding: 20px; border-radius: 5px; margin-top: 30px; }
+        </style>
+      </head>
+      <body>
+        <h1>Market Intelligence Report</h1>
+        <p><strong>Batch:</strong> ${escapeHtml(batch.name || 'N/A')}</p>
+        <ol>
+          ${contents}
+        </ol>
+        ${analysisHtml}
+        <div class="metadata">
+          <p><strong>Generated:</strong> ${new Date().toLocaleString()}</p>
+          <p><strong>Analyses:</strong> ${completed} of ${entries.length} completed</p>
+        </div>
+      </body>
+      </html>
+    `;
+  }
 }
 
 module.exports = ExportService;
@@ -0,0 +1,298 @@
+const nodemailer = require('nodemailer');
+const jwt = require('jsonwebtoken');
+const Queue = require('bull');
+const User = require('../models/User');
+const Query = require('../models/Query');
+const Result = require('../models/Result');
+const { renderEmail } = require('../utils/emailTemplates');
+const { NotFoundError, ValidationError } = require('../utils/errors');
+const { logger } = require('../utils/logger');
+
+const EMAIL_JOB = 'email';
+const DIGEST_JOB = 'weekly-digest';
+const WEEK_MS = 7 * 24 * 60 * 60 * 1000;
+const KEY_TRENDS_IN_EMAIL = 5;
+
+/**
+ * Email notifications over SMTP (any server; MailHog for local testing). Analysis emails go
+ * to users whose settings.emailNotifications is on, the weekly digest to those who also turned
+ * settings.weeklyDigest on. Emails are queued on a Bull queue of their own and sent by the
+ * worker process, with retries; every email carries a signed unsubscribe link.
+ */
+class NotificationService {
+  constructor(config) {
+    this.config = config;
+    this.queue = null;
+    this.transporter = null;
+  }
+
+  getQueue() {
+    if (!this.queue) {
+      this.queue = new Queue(`${this.config.queue.name}-notifications`, this.config.redis.url, {
+        defaultJobOptions: {
+          attempts: this.config.email.attempts,
+          backoff: { type: 'exponential', delay: this.config.email.backoffMs },
+          removeOnComplete: true,
+          removeOnFail: 100,
+        },
+      });
+      this.queue.on('error', (error) => {
+        logger.error('Notification queue error:', error);
+      });
+    }
+    return this.queue;
+  }
+
+  getTransporter() {
+    if (!this.transporter) {
+      this.transporter = nodemailer.createTransport(this.config.email.smtp);
+    }
+    return this.transporter;
+  }
+
+  /**
+   * Send queued emails and the weekly digest (worker process only)
+   */
+  async startWorker() {
+    if (!this.config.email.enabled) {
+      logger.info('Email notifications disabled (SMTP_HOST not set)');
+      return;
+    }
+
+    const queue = this.getQueue();
+    queue.process(EMAIL_JOB, (job) => this.sendAnalysisEmail(job.data));
+    queue.process(DIGEST_JOB, () => this.sendDigests());
+
+    // A repeatable job runs once per occurrence, however many workers there are
+    await queue.add(
+      DIGEST_JOB,
+      {},
+      {
+        jobId: DIGEST_JOB,
+        repeat: { cron: this.config.email.digest.cron, tz: this.config.email.digest.timezone },
+      }
+    );
+  }
+
+  /**
+   * Queue the completion or failure email of an analysis, and of the analyses attached to
+   * it, for owners with notifications on. Best-effort: never fails the analysis.
+   */
+  async notifyAnalysis(queryId, kind, { error } = {}) {
+    if (!this.config.email.enabled) return;
+
+    try {
+      const analyses = await Query.find({
+        $or: [{ _id: queryId }, { sharedFrom: queryId, status: { $ne: 'cancelled' } }],
+      })
+        .select('_id userId')
+        .lean();
+      const recipients = await User.find({
+        userId: { $in: analyses.map((analysis) => analysis.userId) },
+        'settings.emailNotifications': { $ne: false },
+      })
+        .select('userId')
+        .lean();
+
+      await Promise.all(
+        analyses
+          .filter((analysis) => recipients.some((user) => user.userId === analysis.userId))
+          .map((analysis) =>
+            this.getQueue().add(EMAIL_JOB, {
+              kind,
+              userId: analysis.userId,
+              queryId: analysis._id.toString(),
+              error,
+            })
+          )
+      );
+    } catch (notifyError) {
+      logger.warn('Failed to queue analysis email', { queryId, error: notifyError.message });
+    }
+  }
+
+  async sendAnalysisEmail({ kind, userId, queryId, error }) {
+    const user = await User.findOne({ userId }).lean();
+    // Notifications may have been turned off since the email was queued
+    if (!user?.email || user.settings?.emailNotifications === false) return { skipped: true };
+
+    const query = await Query.findById(queryId).lean();
+    if (!query) return { skipped: true };
+
+    const result =
+      kind === 'completed'
+        ? await Result.findOne({ queryId: Query.resultQueryId(query) })
+            .select('analysisResults.keyTrends analysisResults.dataConfidence')
+            .lean()
+        : null;
+
+    return this.send(user, kind, {
+      query: query.queryText,
+      resultsUrl: this.resultsUrl(query._id),
+      keyTrends: (result?.analysisResults?.keyTrends || []).slice(0, KEY_TRENDS_IN_EMAIL),
+      dataConfidence: result?.analysisResults?.dataConfidence,
+      error: error || query.metadata?.errorMessage,
+    });
+  }
+
+  /**
+   * Email every digest subscriber the analyses they started in the past week
+   */
+  async sendDigests(now = new Date()) {
+    const since = new Date(now.getTime() - WEEK_MS);
+    const users = await User.find({
+      'settings.weeklyDigest': true,
+      'settings.emailNotifications': { $ne: false },
+    }).lean();
+
+    let sent = 0;
+    for (const user of users) {
+      try {
+        const analyses = await Query.find({ userId: user.userId, createdAt: { $gte: since } })
+          .sort({ createdAt: -1 })
+          .limit(this.config.email.digest.maxAnalyses)
+          .select('_id queryText status sharedFrom')
+          .lean();
+
+        if (analyses.length) {
+          const results = await Result.find({
+            queryId: { $in: analyses.map((analysis) => Query.resultQueryId(analysis)) },
+          })
+            .select('queryId analysisResults.keyTrends')
+            .lean();
+
+          await this.send(user, 'digest', {
+            count: analyses.length,
+            analyses: analyses.map((analysis) => ({
+              query: analysis.queryText,
+              status: analysis.status,
+              url: this.resultsUrl(analysis._id),
+              topTrend: results.find(
+                (result) => result.queryId.toString() === Query.resultQueryId(analysis).toString()
+              )?.analysisResults?.keyTrends?.[0],
+            })),
+          });
+          sent += 1;
+        }
+      } catch (error) {
+        logger.warn('Failed to send weekly digest', { userId: user.userId, error: error.message });
+      }
+    }
+
+    logger.info('Weekly digests sent', { sent, subscribers: users.length });
+    return { sent };
+  }
+
+  async send(user, kind, context) {
+    // The digest unsubscribes from the digest only, the others from all email
+    const list = kind === 'digest' ? 'digest' : 'all';
+    const token = this.unsubscribeToken(user.userId, list);
+    const unsubscribeUrl = `${this.config.email.apiUrl}/api/notifications/unsubscribe?token=${token}`;
+    const email = renderEmail(
+      kind,
+      { name: user.name, ...context, unsubscribeUrl },
+      user.settings?.emailTemplates?.[kind] || {}
+    );
+
+    const info = await this.getTransporter().sendMail({
+      from: this.config.email.from,
+      to: user.email,
+      ...email,
+      headers: {
+        'List-Unsubscribe': `<${unsubscribeUrl}>`,
+        'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click',
+      },
+    });
+
+    logger.info('Notification email sent', {
+      userId: user.userId,
+      kind,
+      messageId: info.messageId,
+    });
+    return { messageId: info.messageId };
+  }
+
+  resultsUrl(queryId) {
+    return `${this.config.email.appUrl}/analysis/${queryId}`;
+  }
+
+  /**
+   * Signed token of an unsubscribe link. It does not expire, so links in old emails keep
+   * working.
+   */
+  unsubscribeToken(userId, list = 'all') {
+    return jwt.sign({ sub: userId, list, purpose: 'unsubscribe' }, this.config.apiKeys.jwt);
+  }
+
+  /**
+   * Turn off the email list a token names: 'digest', or 'all' for every notification
+   */
+  async unsubscribe(token) {
+    let claims;
+    try {
+      claims = jwt.verify(token, this.config.apiKeys.jwt);
+    } catch (error) {
+      throw new ValidationError('Invalid unsubscribe link');
+    }
+    if (claims.purpose !== 'unsubscribe') {
+      throw new ValidationError('Invalid unsubscribe link');
+    }
+
+    const setting =
+      claims.list === 'digest' ? 'settings.weeklyDigest' : 'settings.emailNotifications';
+    const user = await User.findOneAndUpdate({ userId: claims.sub }, { [setting]: false });
+    if (!user) {
+      throw new NotFoundError('User not found');
+    }
+
+    logger.info('User unsubscribed from email', { userId: claims.sub, list: claims.list });
+    return { list: claims.list };
+  }
+
+  async getSettings(userId) {
+    const user = await User.findOne({ userId }).lean();
+    if (!user) {
+      throw new NotFoundError('User not found');
+    }
+    return this.toSettings(user);
+  }
+
+  async updateSettings(userId, updates) {
+    const set = {};
+    ['emailNotifications', 'weeklyDigest'].forEach((field) => {
+      if (updates[field] !== undefined) set[`settings.${field}`] = updates[field];
+    });
+    Object.entries(updates.emailTemplates || {}).forEach(([kind, template]) => {
+      ['subject', 'intro'].forEach((field) => {
+        if (template?.[field] !== undefined) {
+          // An empty value restores the default
+          set[`settings.emailTemplates.${kind}.${field}`] = template[field];
+        }
+      });
+    });
+
+    const user = await User.findOneAndUpdate({ userId }, { $set: set }, { new: true }).lean();
+    if (!user) {
+      throw new NotFoundError('User not found');
+    }
+    return this.toSettings(user);
+  }
+
+  toSettings(user) {
+    return {
+      email: user.email,
+      emailEnabled: this.config.email.enabled,
+      emailNotifications: user.settings?.emailNotifications !== false,
+      weeklyDigest: Boolean(user.settings?.weeklyDigest),
+      emailTemplates: user.settings?.emailTemplates || {},
+    };
+  }
+
+  async close() {
+    if (this.queue) {
+      await this.queue.close();
+    }
+  }
+}
+
+module.exports = NotificationService;
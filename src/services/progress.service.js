@@ -0,0 +1,113 @@
+const Redis = require('ioredis');
+const { logger } = require('../utils/logger');
+
+const TERMINAL_EVENTS = ['completed', 'failed', 'cancelled'];
+
+/**
+ * Per-analysis progress events stored in a Redis stream.
+ * The worker appends, the API tails the stream for SSE clients. Stream entry ids
+ * are used as SSE event ids, so a reconnecting client resumes via Last-Event-ID.
+ */
+class ProgressService {
+  constructor(config) {
+    this.config = config;
+    this.client = null;
+    this.maxEvents = config.progress.maxEvents;
+    this.ttlSeconds = config.progress.ttlSeconds;
+  }
+
+  getClient() {
+    if (!this.client) {
+      this.client = new Redis(this.config.redis.url);
+      this.client.on('error', (error) => {
+        logger.error('Progress event store error:', error);
+      });
+    }
+    return this.client;
+  }
+
+  streamKey(queryId) {
+    return `analysis:events:${queryId}`;
+  }
+
+  /**
+   * Append an event. Publishing is best-effort and never fails the analysis.
+   */
+  async publish(queryId, type, data = {}) {
+    try {
+      const key = this.streamKey(queryId);
+      const payload = JSON.stringify({ ...data, timestamp: new Date().toISOString() });
+
+      const id = await this.getClient()
+        .multi()
+        .xadd(key, 'MAXLEN', '~', this.maxEvents, '*', 'type', type, 'data', payload)
+        .expire(key, this.ttlSeconds)
+        .exec()
+        .then((replies) => replies[0][1]);
+
+      return id;
+    } catch (error) {
+      logger.warn('Failed to publish progress event', { queryId, type, error: error.message });
+      return null;
+    }
+  }
+
+  /**
+   * Open a dedicated connection for one subscriber - XREAD BLOCK ties up the connection
+   */
+  createReader() {
+    return this.getClient().duplicate();
+  }
+
+  /**
+   * Read events after lastId, waiting up to blockMs for new ones (null = don't wait)
+   */
+  async read(reader, queryId, lastId = '0', blockMs = null) {
+    const blockArgs = blockMs === null ? [] : ['BLOCK', blockMs];
+    const response = await reader.xread(...blockArgs, 'STREAMS', this.streamKey(queryId), lastId);
+    if (!response) return [];
+
+    const [, entries] = response[0];
+    return entries.map(([id, fields]) => this.parseEntry(id, fields));
+  }
+
+  parseEntry(id, fields) {
+    const entry = {};
+    for (let i = 0; i < fields.length; i += 2) {
+      entry[fields[i]] = fields[i + 1];
+    }
+
+    let data = {};
+    try {
+      data = JSON.parse(entry.data || '{}');
+    } catch (error) {
+      logger.debug('Malformed progress event payload', { id });
+    }
+
+    return { id, type: entry.type, data };
+  }
+
+  /**
+   * Forget an analysis' events, e.g. before it is run again
+   */
+  async clear(queryId) {
+    try {
+      await this.getClient().del(this.streamKey(queryId));
+    } catch (error) {
+      logger.warn('Failed to clear progress events', { queryId, error: error.message });
+    }
+  }
+
+  isTerminal(type) {
+    return TERMINAL_EVENTS.includes(type);
+  }
+
+  async disconnect() {
+    if (this.client) {
+      this.client.disconnect();
+      this.client = null;
+    }
+  }
+}
+
+module.exports = ProgressService;
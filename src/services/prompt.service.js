@@ -0,0 +1,334 @@
+const crypto = require('crypto');
+const Prompt = require('../models/Prompt');
+const Query = require('../models/Query');
+const Result = require('../models/Result');
+const {
+  hasPrompt,
+  getPrompt,
+  listPrompts,
+  latestBuiltIn,
+  checkTemplate,
+  PromptSet,
+} = require('../workflows/prompts');
+const { AnalysisError, NotFoundError, ValidationError } = require('../utils/errors');
+const { logger } = require('../utils/logger');
+
+const CONFIDENCE_SCORES = { high: 3, medium: 2, low: 1 };
+
+const average = (values) => {
+  const numbers = values.filter((value) => typeof value === 'number' && !Number.isNaN(value));
+  if (!numbers.length) return null;
+  return Number((numbers.reduce((sum, value) => sum + value, 0) / numbers.length).toFixed(2));
+};
+
+const rate = (count, total) => (total ? Number(((count / total) * 100).toFixed(2)) : null);
+
+/**
+ * Prompt versions: the built-in ones from workflows/prompts plus the ones admins add, stored
+ * on the prompt's Prompt document. New analyses run with the active version; a rollout sends
+ * a percentage of them to a candidate version instead, and promoting it makes it the active
+ * one. Analyses keep the versions picked when they started (Query.promptVersions), so a
+ * retry or resume runs with the same prompts.
+ */
+class PromptService {
+  constructor(config) {
+    this.config = config;
+  }
+
+  async listPrompts() {
+    const documents = await Prompt.find().lean();
+    const byId = new Map(documents.map((document) => [document.promptId, document]));
+
+    return listPrompts().map((definition) => {
+      const document = byId.get(definition.id);
+      const versions = this.versionsOf(definition, document);
+      return {
+        id: definition.id,
+        description: definition.description,
+        activeVersion: this.activeVersionOf(definition, document),
+        latestVersion: versions[versions.length - 1].version,
+        rollout: this.rolloutOf(document),
+      };
+    });
+  }
+
+  async getPrompt(promptId) {
+    const definition = this.findDefinition(promptId);
+    const document = await Prompt.findOne({ promptId }).lean();
+    const activeVersion = this.activeVersionOf(definition, document);
+    const rollout = this.rolloutOf(document);
+
+    const statusOf = (version) => {
+      if (version === activeVersion) return 'active';
+      if (version === rollout?.version) return 'rollout';
+      return null;
+    };
+
+    return {
+      id: definition.id,
+      description: definition.description,
+      variables: definition.variables,
+      required: definition.required || [],
+      activeVersion,
+      rollout,
+      promotedAt: document?.promotedAt || null,
+      versions: this.versionsOf(definition, document).map((version) => ({
+        ...version,
+        status: statusOf(version.version),
+      })),
+    };
+  }
+
+  /**
+   * A new version is only stored; it runs once it is rolled out or promoted
+   */
+  async createVersion(promptId, { template, changelog = '' }, userId) {
+    const definition = this.findDefinition(promptId);
+    const problems = checkTemplate(promptId, template);
+    if (problems.length) {
+      throw new ValidationError(
+        'Invalid prompt template',
+        400,
+        problems.map((message) => ({ field: 'template', message }))
+      );
+    }
+
+    const document = (await Prompt.findOne({ promptId })) || new Prompt({ promptId });
+    const versions = this.versionsOf(definition, document);
+    const version = versions[versions.length - 1].version + 1;
+
+    document.versions.push({
+      version,
+      template,
+      changelog,
+      createdBy: String(userId),
+      createdAt: new Date(),
+    });
+    await document.save();
+
+    logger.info('Prompt version created', { promptId, version, userId });
+    return this.getPrompt(promptId);
+  }
+
+  /**
+   * Send `percentage` of new analyses to `version`; 0 stops the rollout
+   */
+  async setRollout(promptId, { version, percentage }, userId) {
+    const definition = this.findDefinition(promptId);
+    const document = (await Prompt.findOne({ promptId })) || new Prompt({ promptId });
+
+    if (!percentage) {
+      document.rollout = undefined;
+    } else {
+      this.findVersion(definition, document, version);
+      if (version === this.activeVersionOf(definition, document)) {
+        throw new AnalysisError(`Version ${version} of ${promptId} is already active`, 409);
+      }
+      document.rollout = {
+        version,
+        percentage,
+        startedAt: new Date(),
+        startedBy: String(userId),
+      };
+    }
+    await document.save();
+
+    logger.info('Prompt rollout updated', { promptId, version, percentage, userId });
+    return this.getPrompt(promptId);
+  }
+
+  /**
+   * Make `version` the one new analyses run with, ending any rollout
+   */
+  async promote(promptId, version, userId) {
+    const definition = this.findDefinition(promptId);
+    const document = (await Prompt.findOne({ promptId })) || new Prompt({ promptId });
+    this.findVersion(definition, document, version);
+
+    document.activeVersion = version;
+    document.promotedAt = new Date();
+    document.promotedBy = String(userId);
+    document.rollout = undefined;
+    await document.save();
+
+    logger.info('Prompt version promoted', { promptId, version, userId });
+    return this.getPrompt(promptId);
+  }
+
+  /**
+   * Versions a new analysis runs with, { promptId: version }: each prompt's active version,
+   * or its rollout candidate for the rollout's share of analyses
+   */
+  async selectVersions(promptIds) {
+    const documents = await Prompt.find({ promptId: { $in: promptIds } }).lean();
+    const byId = new Map(documents.map((document) => [document.promptId, document]));
+
+    return Object.fromEntries(
+      promptIds.map((promptId) => {
+        const document = byId.get(promptId);
+        const rollout = this.rolloutOf(document);
+        const version =
+          rollout && crypto.randomInt(100) < rollout.percentage
+            ? rollout.version
+            : this.activeVersionOf(getPrompt(promptId), document);
+        return [promptId, version];
+      })
+    );
+  }
+
+  /**
+   * PromptSet (execute() option `prompts`) for the versions an analysis was started with. A
+   * version that no longer exists falls back to the prompt's active one.
+   */
+  async loadPromptSet(versions = {}) {
+    const promptIds = Object.keys(versions).filter(hasPrompt);
+    const documents = await Prompt.find({ promptId: { $in: promptIds } }).lean();
+    const byId = new Map(documents.map((document) => [document.promptId, document]));
+
+    const selection = Object.fromEntries(
+      promptIds.map((promptId) => {
+        const definition = getPrompt(promptId);
+        const document = byId.get(promptId);
+        const available = this.versionsOf(definition, document);
+        const find = (version) => available.find((entry) => entry.version === version);
+
+        let entry = find(versions[promptId]);
+        if (!entry) {
+          logger.warn('Prompt version not found, using the active version', {
+            promptId,
+            version: versions[promptId],
+          });
+          entry = find(this.activeVersionOf(definition, document));
+        }
+        return [promptId, { version: entry.version, template: entry.template }];
+      })
+    );
+
+    return new PromptSet(selection);
+  }
+
+  /**
+   * How the analyses started within `period` fared per version of the prompt, to judge a
+   * rollout before promoting it. Shared analyses are left out: they did not run a pipeline.
+   */
+  async compareVersions(promptId, { period = '30d' } = {}) {
+    const definition = this.findDefinition(promptId);
+    const days = parseInt(period, 10) || 30;
+    const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+
+    const [document, queries] = await Promise.all([
+      Prompt.findOne({ promptId }).lean(),
+      Query.find({
+        createdAt: { $gte: since },
+        sharedFrom: null,
+        [`promptVersions.${promptId}`]: { $exists: true },
+      })
+        .select('status promptVersions')
+        .lean(),
+    ]);
+    const results = await Result.find({
+      queryId: { $in: queries.filter((q) => q.status === 'completed').map((q) => q._id) },
+    })
+      .select(
+        'queryId promptVersions structuredOutput analysisResults.dataConfidence performance usage.totals'
+      )
+      .lean();
+    const resultByQuery = new Map(results.map((result) => [result.queryId.toString(), result]));
+
+    const activeVersion = this.activeVersionOf(definition, document);
+    const rollout = this.rolloutOf(document);
+    const byVersion = new Map();
+    queries.forEach((query) => {
+      const version = query.promptVersions[promptId];
+      byVersion.set(version, [...(byVersion.get(version) || []), query]);
+    });
+
+    const versions = Array.from(byVersion, ([version, versionQueries]) => {
+      const completed = versionQueries
+        .map((query) => resultByQuery.get(query._id.toString()))
+        .filter(Boolean);
+      const failed = versionQueries.filter((query) => query.status === 'failed').length;
+      const checks = completed
+        .map((result) => {
+          const agent = (result.promptVersions || []).find(
+            (entry) => entry.promptId === promptId
+          )?.agent;
+          return (result.structuredOutput || []).find((check) => check.agent === agent);
+        })
+        .filter(Boolean);
+
+      return {
+        version,
+        status:
+          (version === activeVersion && 'active') ||
+          (version === rollout?.version && 'rollout') ||
+          null,
+        analyses: versionQueries.length,
+        completed: completed.length,
+        failed,
+        failureRate: rate(failed, completed.length + failed),
+        avgConfidence: average(
+          completed.map(
+            (result) =>
+              CONFIDENCE_SCORES[String(result.analysisResults?.dataConfidence).toLowerCase()]
+          )
+        ),
+        schemaFallbackRate: checks.length
+          ? rate(checks.filter((check) => check.status === 'fallback').length, checks.length)
+          : null,
+        avgSources: average(completed.map((result) => result.performance?.sourcesProcessed)),
+        avgTokens: average(completed.map((result) => result.usage?.totals?.totalTokens)),
+        avgCost: average(completed.map((result) => result.usage?.totals?.cost)),
+        avgDurationMs: average(completed.map((result) => result.performance?.totalDuration)),
+      };
+    }).sort((a, b) => a.version - b.version);
+
+    return { promptId, period: `${days}d`, activeVersion, rollout, versions };
+  }
+
+  findDefinition(promptId) {
+    if (!hasPrompt(promptId)) {
+      throw new NotFoundError(`Prompt ${promptId} not found`);
+    }
+    return getPrompt(promptId);
+  }
+
+  findVersion(definition, document, version) {
+    const entry = this.versionsOf(definition, document).find((v) => v.version === version);
+    if (!entry) {
+      throw new NotFoundError(`Version ${version} of prompt ${definition.id} not found`);
+    }
+    return entry;
+  }
+
+  versionsOf(definition, document) {
+    return [
+      ...definition.versions.map(({ version, template, changelog }) => ({
+        version,
+        template,
+        changelog,
+        builtIn: true,
+      })),
+      ...(document?.versions || []).map(
+        ({ version, template, changelog, createdBy, createdAt }) => ({
+          version,
+          template,
+          changelog: changelog || '',
+          builtIn: false,
+          createdBy,
+          createdAt,
+        })
+      ),
+    ];
+  }
+
+  activeVersionOf(definition, document) {
+    return document?.activeVersion || latestBuiltIn(definition.id).version;
+  }
+
+  rolloutOf(document) {
+    return document?.rollout?.percentage ? document.rollout : null;
+  }
+}
+
+module.exports = PromptService;
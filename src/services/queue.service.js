@@ -0,0 +1,134 @@
+const Queue = require('bull');
+const Redis = require('ioredis');
+const { logger } = require('../utils/logger');
+const { AnalysisError } = require('../utils/errors');
+
+const ANALYSIS_JOB = 'analysis';
+
+/**
+ * Persistent analysis job queue backed by Redis (Bull).
+ * The API process only enqueues; worker.js consumes.
+ */
+class QueueService {
+  constructor(config) {
+    this.config = config;
+    this.cancelChannel = `${config.queue.name}:cancel`;
+    this.subscriber = null;
+    this.queue = new Queue(config.queue.name, config.redis.url, {
+      defaultJobOptions: {
+        attempts: config.queue.attempts,
+        backoff: config.queue.backoff,
+        removeOnComplete: config.queue.keepCompleted,
+        removeOnFail: false,
+      },
+    });
+
+    this.queue.on('error', (error) => {
+      logger.error('Analysis queue error:', error);
+    });
+
+    this.queue.on('stalled', (job) => {
+      logger.warn('Analysis job stalled, it will be reprocessed', { jobId: job.id });
+    });
+  }
+
+  /**
+   * Enqueue an analysis. The queryId doubles as the job id so a query
+   * can never be queued twice and can be looked up later.
+   */
+  async enqueueAnalysis(data, options = {}) {
+    const job = await this.queue.add(ANALYSIS_JOB, data, {
+      jobId: data.queryId,
+      ...options,
+    });
+
+    logger.info('Analysis job enqueued', { jobId: job.id, queryId: data.queryId });
+
+    return job;
+  }
+
+  /**
+   * Enqueue an analysis that has run before. Its finished job still holds the
+   * query's job id, so it is removed first.
+   */
+  async requeueAnalysis(data, options = {}) {
+    const job = await this.queue.getJob(data.queryId);
+
+    if (job) {
+      const state = await job.getState();
+      if (!['completed', 'failed'].includes(state)) {
+        throw new AnalysisError('Analysis is already queued or running', 409);
+      }
+      await job.remove();
+    }
+
+    return this.enqueueAnalysis(data, options);
+  }
+
+  /**
+   * Register the analysis job handler (worker process only)
+   */
+  processAnalyses(handler, concurrency = this.config.queue.concurrency) {
+    this.queue.process(ANALYSIS_JOB, concurrency, handler);
+  }
+
+  async getJob(queryId) {
+    return this.queue.getJob(queryId);
+  }
+
+  /**
+   * Drop a job that has not been picked up by a worker yet
+   */
+  async removeAnalysis(queryId) {
+    const job = await this.queue.getJob(queryId);
+    if (!job) return false;
+
+    const state = await job.getState();
+    if (['waiting', 'delayed', 'paused'].includes(state)) {
+      await job.remove();
+      return true;
+    }
+
+    return false;
+  }
+
+  /**
+   * Tell whichever worker is running the query to abort it
+   */
+  async publishCancellation(queryId) {
+    await this.queue.client.publish(this.cancelChannel, String(queryId));
+  }
+
+  /**
+   * Subscribe to cancellation requests (worker process only)
+   */
+  onCancellation(handler) {
+    if (!this.subscriber) {
+      this.subscriber = new Redis(this.config.redis.url);
+      this.subscriber.on('error', (error) => {
+        logger.error('Cancellation subscriber error:', error);
+      });
+      this.subscriber.subscribe(this.cancelChannel);
+    }
+
+    this.subscriber.on('message', (channel, queryId) => {
+      if (channel === this.cancelChannel) {
+        handler(queryId);
+      }
+    });
+  }
+
+  async getStats() {
+    return this.queue.getJobCounts();
+  }
+
+  async close() {
+    if (this.subscriber) {
+      this.subscriber.disconnect();
+    }
+    await this.queue.close();
+    logger.info('Analysis queue closed');
+  }
+}
+
+module.exports = QueueService;
@@ -0,0 +1,315 @@
+const { Agenda } = require('agenda');
+const AnalysisService = require('./analysis.service');
+const Schedule = require('../models/Schedule');
+const Query = require('../models/Query');
+const Result = require('../models/Result');
+const { AnalysisError, NotFoundError, ValidationError } = require('../utils/errors');
+const { logger } = require('../utils/logger');
+
+const SCHEDULED_ANALYSIS = 'scheduled-analysis';
+
+/**
+ * Recurring analyses. A Schedule stores the query and its options; an Agenda job per schedule
+ * (worker process only) starts a normal queued analysis each time it fires. Runs are Queries
+ * linked to the schedule by scheduleId and version, and each completed run's Result carries
+ * what changed since the previous one (see AnalysisService.detectScheduleChanges).
+ */
+class ScheduleService {
+  constructor(config, analysisService = new AnalysisService(config)) {
+    this.config = config;
+    this.analysisService = analysisService;
+    // Connected on first use - the API process only creates and cancels jobs
+    this.agenda = new Agenda({
+      name: `${config.queue.name}-scheduler`,
+      processEvery: config.scheduler.processEvery,
+    });
+    this.ready = null;
+  }
+
+  connect() {
+    if (!this.ready) {
+      this.ready = new Promise((resolve, reject) => {
+        this.agenda.database(
+          this.config.database.uri,
+          this.config.scheduler.collection,
+          {},
+          (error) => (error ? reject(error) : resolve())
+        );
+      }).catch((error) => {
+        this.ready = null;
+        throw error;
+      });
+    }
+    return this.ready;
+  }
+
+  /**
+   * Run scheduled analyses as their jobs come due (worker process only)
+   */
+  async startWorker() {
+    this.agenda.define(SCHEDULED_ANALYSIS, async (job) => {
+      const schedule = await Schedule.findById(job.attrs.data.scheduleId);
+      if (!schedule || !schedule.enabled) {
+        logger.info('Skipping scheduled analysis', {
+          scheduleId: job.attrs.data.scheduleId,
+          reason: schedule ? 'disabled' : 'schedule not found',
+        });
+        return;
+      }
+
+      await this.runSchedule(schedule, { nextRunAt: job.attrs.nextRunAt });
+    });
+
+    await this.connect();
+    await this.agenda.start();
+
+    logger.info('Analysis scheduler started', {
+      collection: this.config.scheduler.collection,
+      processEvery: this.config.scheduler.processEvery,
+    });
+  }
+
+  async createSchedule(userId, options) {
+    const {
+      name,
+      query,
+      interval,
+      timezone,
+      enabled = true,
+      engine = this.analysisService.defaultEngine,
+      searchProviders = [],
+      priority = 1,
+      tags = [],
+    } = options;
+
+    const count = await Schedule.countDocuments({ userId: String(userId) });
+    if (count >= this.config.scheduler.maxSchedulesPerUser) {
+      throw new AnalysisError(
+        `Schedule limit reached (${this.config.scheduler.maxSchedulesPerUser} per user)`,
+        409
+      );
+    }
+
+    this.analysisService.validateOptions({ engine, searchProviders });
+    const nextRunAt = this.computeNextRun(interval, timezone);
+
+    const schedule = new Schedule({
+      userId: String(userId),
+      name: name || query.substring(0, 100),
+      queryText: query,
+      interval,
+      timezone,
+      enabled,
+      engine,
+      searchProviders,
+      priority,
+      tags,
+      nextRunAt: enabled ? nextRunAt : null,
+    });
+    await schedule.save();
+
+    await this.syncJob(schedule);
+    logger.info('Analysis schedule created', {
+      scheduleId: schedule._id.toString(),
+      interval,
+      timezone,
+    });
+
+    return this.toResponse(schedule);
+  }
+
+  async listSchedules(userId) {
+    const schedules = await Schedule.find({ userId: String(userId) }).sort({ createdAt: -1 });
+    return schedules.map((schedule) => this.toResponse(schedule));
+  }
+
+  /**
+   * A schedule with its runs, newest first, and each run's change summary
+   */
+  async getSchedule(scheduleId, userId, { limit = 20 } = {}) {
+    const schedule = await this.findSchedule(scheduleId, userId);
+
+    const runs = await Query.find({ scheduleId: schedule._id })
+      .sort({ version: -1 })
+      .limit(limit)
+      .select('_id version status createdAt completedAt')
+      .lean();
+    const results = await Result.find({ queryId: { $in: runs.map((run) => run._id) } })
+      .select('queryId changes')
+      .lean();
+
+    return {
+      ...this.toResponse(schedule),
+      runs: runs.map((run) => ({
+        queryId: run._id.toString(),
+        version: run.version,
+        status: run.status,
+        createdAt: run.createdAt,
+        completedAt: run.completedAt,
+        changes:
+          results.find((result) => result.queryId.toString() === run._id.toString())?.changes ||
+          null,
+      })),
+    };
+  }
+
+  async updateSchedule(scheduleId, userId, updates) {
+    const schedule = await this.findSchedule(scheduleId, userId);
+
+    ['name', 'interval', 'timezone', 'enabled', 'priority', 'tags'].forEach((field) => {
+      if (updates[field] !== undefined) schedule[field] = updates[field];
+    });
+    if (updates.query !== undefined) schedule.queryText = updates.query;
+    if (updates.engine !== undefined || updates.searchProviders !== undefined) {
+      this.analysisService.validateOptions({
+        engine: updates.engine ?? schedule.engine,
+        searchProviders: updates.searchProviders ?? schedule.searchProviders,
+      });
+      schedule.engine = updates.engine ?? schedule.engine;
+      schedule.searchProviders = updates.searchProviders ?? schedule.searchProviders;
+    }
+
+    const nextRunAt = this.computeNextRun(schedule.interval, schedule.timezone);
+    schedule.nextRunAt = schedule.enabled ? nextRunAt : null;
+    await schedule.save();
+
+    await this.syncJob(schedule);
+    return this.toResponse(schedule);
+  }
+
+  /**
+   * Stop a schedule for good. Its past runs stay in the user's analysis history.
+   */
+  async deleteSchedule(scheduleId, userId) {
+    const schedule = await this.findSchedule(scheduleId, userId);
+
+    await this.cancelJob(schedule._id);
+    await Schedule.deleteOne({ _id: schedule._id });
+
+    logger.info('Analysis schedule deleted', { scheduleId: schedule._id.toString() });
+    return { scheduleId: schedule._id.toString(), deleted: true };
+  }
+
+  /**
+   * Start a run now, outside the schedule. The regular schedule is unaffected.
+   */
+  async runNow(scheduleId, userId) {
+    const schedule = await this.findSchedule(scheduleId, userId);
+    return this.runSchedule(schedule);
+  }
+
+  /**
+   * Queue the schedule's next version as a normal analysis
+   */
+  async runSchedule(schedule, { nextRunAt } = {}) {
+    const claimed = await Schedule.startRun(schedule._id);
+    if (!claimed) {
+      throw new NotFoundError('Schedule not found');
+    }
+
+    const run = await this.analysisService.startAnalysis({
+      userId: claimed.userId,
+      query: claimed.queryText,
+      priority: claimed.priority,
+      tags: claimed.tags,
+      engine: claimed.engine,
+      searchProviders: claimed.searchProviders,
+      schedule: { scheduleId: claimed._id, version: claimed.runCount },
+    });
+
+    await Schedule.updateOne(
+      { _id: claimed._id },
+      { lastQueryId: run.queryId, ...(nextRunAt && { nextRunAt }) }
+    );
+
+    logger.info('Scheduled analysis queued', {
+      scheduleId: claimed._id.toString(),
+      version: claimed.runCount,
+      queryId: run.queryId,
+    });
+
+    return { ...run, scheduleId: claimed._id.toString(), version: claimed.runCount };
+  }
+
+  /**
+   * Next run time for a cron expression or interval, as Agenda will compute it
+   */
+  computeNextRun(interval, timezone) {
+    const job = this.agenda.create(SCHEDULED_ANALYSIS);
+    job.repeatEvery(interval, { timezone, skipImmediate: true });
+
+    if (!job.attrs.nextRunAt) {
+      throw new ValidationError('Invalid schedule', 400, [
+        {
+          field: 'interval',
+          message:
+            `Cannot schedule "${interval}"${timezone ? ` in ${timezone}` : ''}: ` +
+            'use a cron expression such as "0 9 * * 1" or an interval such as "1 week"',
+          value: interval,
+        },
+      ]);
+    }
+
+    return job.attrs.nextRunAt;
+  }
+
+  /**
+   * Create, update or remove the schedule's Agenda job to match the schedule
+   */
+  async syncJob(schedule) {
+    await this.connect();
+
+    if (!schedule.enabled) {
+      await this.cancelJob(schedule._id);
+      return;
+    }
+
+    const scheduleId = schedule._id.toString();
+    const job = this.agenda.create(SCHEDULED_ANALYSIS, { scheduleId });
+    job.repeatEvery(schedule.interval, { timezone: schedule.timezone, skipImmediate: true });
+    job.unique({ name: SCHEDULED_ANALYSIS, 'data.scheduleId': scheduleId });
+    await job.save();
+  }
+
+  async cancelJob(scheduleId) {
+    await this.connect();
+    await this.agenda.cancel({ name: SCHEDULED_ANALYSIS, 'data.scheduleId': String(scheduleId) });
+  }
+
+  async findSchedule(scheduleId, userId) {
+    const schedule = await Schedule.findForUser(scheduleId, userId);
+    if (!schedule) {
+      throw new NotFoundError('Schedule not found');
+    }
+    return schedule;
+  }
+
+  toResponse(schedule) {
+    return {
+      scheduleId: schedule._id.toString(),
+      name: schedule.name,
+      query: schedule.queryText,
+      interval: schedule.interval,
+      timezone: schedule.timezone || null,
+      enabled: schedule.enabled,
+      engine: schedule.engine,
+      searchProviders: schedule.searchProviders,
+      priority: schedule.priority,
+      tags: schedule.tags,
+      runCount: schedule.runCount,
+      lastRunAt: schedule.lastRunAt || null,
+      lastQueryId: schedule.lastQueryId ? schedule.lastQueryId.toString() : null,
+      nextRunAt: schedule.nextRunAt || null,
+      createdAt: schedule.createdAt,
+    };
+  }
+
+  async close() {
+    if (this.ready) {
+      await this.agenda.stop();
+      await this.agenda.close();
+    }
+  }
+}
+
+module.exports = ScheduleService;
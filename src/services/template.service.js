@@ -0,0 +1,145 @@
+const AnalysisTemplate = require('../models/AnalysisTemplate');
+const {
+  DEFAULT_TEMPLATE,
+  hasTemplate,
+  getTemplate,
+  listTemplates,
+  validateTemplate,
+} = require('../workflows/templates');
+const { AnalysisError, NotFoundError, ValidationError } = require('../utils/errors');
+const { logger } = require('../utils/logger');
+
+const EDITABLE_FIELDS = [
+  'name',
+  'description',
+  'plannerGuidance',
+  'searchCategories',
+  'outputFields',
+  'reportSections',
+];
+
+/**
+ * Analysis templates: the built-in ones from workflows/templates plus the ones admins author,
+ * stored as AnalysisTemplate documents. Built-in templates are read-only.
+ */
+class TemplateService {
+  constructor(config) {
+    this.config = config;
+  }
+
+  async listTemplates() {
+    const custom = await AnalysisTemplate.find().sort({ name: 1 });
+    return [...listTemplates(), ...custom.map((template) => template.toDefinition())];
+  }
+
+  async getTemplate(templateId) {
+    if (hasTemplate(templateId)) return getTemplate(templateId);
+
+    const template = await AnalysisTemplate.findOne({ templateId });
+    if (!template) {
+      throw new NotFoundError(`Template ${templateId} not found`);
+    }
+    return template.toDefinition();
+  }
+
+  /**
+   * Definition an analysis runs with. An unknown template is a validation error when the
+   * analysis is started, so it is rejected before anything is queued.
+   */
+  async resolveTemplate(templateId = DEFAULT_TEMPLATE) {
+    try {
+      return await this.getTemplate(templateId);
+    } catch (error) {
+      if (!(error instanceof NotFoundError)) throw error;
+
+      const available = (await this.listTemplates()).map((template) => template.id);
+      throw new ValidationError('Invalid template', 400, [
+        {
+          field: 'template',
+          message: `Unknown template: ${templateId}. Available templates: ${available.join(', ')}`,
+          value: templateId,
+        },
+      ]);
+    }
+  }
+
+  async createTemplate(data, userId) {
+    const definition = this.checkDefinition({ ...this.pick(data), id: data.id });
+
+    if (hasTemplate(definition.id)) {
+      throw new AnalysisError(`${definition.id} is a built-in template`, 409);
+    }
+    if (await AnalysisTemplate.exists({ templateId: definition.id })) {
+      throw new AnalysisError(`Template ${definition.id} already exists`, 409);
+    }
+
+    const template = new AnalysisTemplate({
+      ...this.pick(definition),
+      templateId: definition.id,
+      createdBy: String(userId),
+      updatedBy: String(userId),
+    });
+    await template.save();
+
+    logger.info('Analysis template created', { templateId: definition.id, userId });
+    return template.toDefinition();
+  }
+
+  async updateTemplate(templateId, updates, userId) {
+    const template = await this.findCustomTemplate(templateId);
+
+    const definition = this.checkDefinition({
+      ...template.toDefinition(),
+      ...this.pick(updates),
+    });
+    Object.assign(template, this.pick(definition), { updatedBy: String(userId) });
+    await template.save();
+
+    logger.info('Analysis template updated', { templateId, userId });
+    return template.toDefinition();
+  }
+
+  /**
+   * Queued analyses that use the template fail when they start once it is gone
+   */
+  async deleteTemplate(templateId, userId) {
+    const template = await this.findCustomTemplate(templateId);
+    await template.deleteOne();
+
+    logger.info('Analysis template deleted', { templateId, userId });
+    return { templateId, deleted: true };
+  }
+
+  async findCustomTemplate(templateId) {
+    if (hasTemplate(templateId)) {
+      throw new AnalysisError(`Built-in template ${templateId} cannot be changed`, 409);
+    }
+
+    const template = await AnalysisTemplate.findOne({ templateId });
+    if (!template) {
+      throw new NotFoundError(`Template ${templateId} not found`);
+    }
+    return template;
+  }
+
+  pick(data = {}) {
+    return Object.fromEntries(
+      EDITABLE_FIELDS.filter((field) => data[field] !== undefined).map((field) => [
+        field,
+        data[field],
+      ])
+    );
+  }
+
+  checkDefinition(definition) {
+    try {
+      return validateTemplate(definition);
+    } catch (error) {
+      throw new ValidationError('Invalid template', 400, [
+        { field: 'template', message: error.message, value: definition.id },
+      ]);
+    }
+  }
+}
+
+module.exports = TemplateService;
@@ -1,10 +1,12 @@
 const { User } = require('../models/User');
+const AnalyticsService = require('./analytics.service');
 const { logger } = require('../utils/logger');
 const { ApiError } = require('../utils/errors');
 
 class UserService {
-  constructor() {
+  constructor(config) {
     this.logger = logger;
+    this.analytics = new AnalyticsService(config);
   }
 
   async createUser(userData) {
@@ -201,6 +203,14 @@ class UserService {
     }
   }
 
+  /**
+   * Usage of the user's analyses over a timeframe ('7d', '30d', ...), with the metered
+   * tokens and estimated cost under `tokenUsage`
+   */
+  async getUserUsage(userId, timeframe = '30d') {
+    return this.analytics.getUsageStats({ userId, period: timeframe });
+  }
+
   async getAllUsers(options = {}) {
     try {
       const {
@@ -0,0 +1,376 @@
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+const axios = require('axios');
+const Queue = require('bull');
+const Webhook = require('../models/Webhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const Query = require('../models/Query');
+const {
+  WEBHOOK_EVENTS,
+  generateSecret,
+  signPayload,
+  DESTINATION_REFUSED,
+  publicLookup,
+  checkDestination,
+} = require('../utils/webhooks');
+const { AnalysisError, NotFoundError } = require('../utils/errors');
+const { logger } = require('../utils/logger');
+
+const DELIVERY_JOB = 'webhook-delivery';
+
+/**
+ * Webhook endpoints and the delivery of analysis lifecycle events to them. An event creates
+ * a WebhookDelivery per subscribed endpoint and a job on a Bull queue of its own; the worker
+ * process POSTs it, signed with the endpoint's secret (see utils/webhooks), and Bull retries
+ * failed attempts with exponential backoff. Every attempt is kept in the delivery log.
+ * Endpoints at non-public addresses are refused (see utils/webhooks), so the delivery log
+ * cannot be used to probe the worker's network.
+ */
+class WebhookService {
+  constructor(config) {
+    this.config = config;
+    // Created on first use - most API requests never send an event
+    this.queue = null;
+    this.agents = null;
+  }
+
+  getQueue() {
+    if (!this.queue) {
+      this.queue = new Queue(`${this.config.queue.name}-webhooks`, this.config.redis.url, {
+        defaultJobOptions: {
+          attempts: this.config.webhooks.attempts,
+          backoff: { type: 'exponential', delay: this.config.webhooks.backoffMs },
+          removeOnComplete: true,
+          removeOnFail: true,
+        },
+      });
+      this.queue.on('error', (error) => {
+        logger.error('Webhook queue error:', error);
+      });
+    }
+    return this.queue;
+  }
+
+  /**
+   * HTTP(S) agents whose connections only go to public addresses
+   */
+  getAgents() {
+    if (!this.agents) {
+      const lookup = publicLookup(this.config.webhooks.allowedHosts);
+      this.agents = {
+        httpAgent: new http.Agent({ lookup }),
+        httpsAgent: new https.Agent({ lookup }),
+      };
+    }
+    return this.agents;
+  }
+
+  /**
+   * Send queued deliveries (worker process only)
+   */
+  startWorker() {
+    this.getQueue().process(DELIVERY_JOB, this.config.webhooks.concurrency, (job) =>
+      this.deliver(job.data.deliveryId, job.attemptsMade + 1, job.opts.attempts)
+    );
+  }
+
+  async createWebhook(userId, { url, events = WEBHOOK_EVENTS, description, enabled = true }) {
+    const count = await Webhook.countDocuments({ userId: String(userId) });
+    if (count >= this.config.webhooks.maxPerUser) {
+      throw new AnalysisError(
+        `Webhook limit reached (${this.config.webhooks.maxPerUser} per user)`,
+        409
+      );
+    }
+
+    const webhook = new Webhook({
+      userId: String(userId),
+      url,
+      events,
+      description,
+      enabled,
+      secret: generateSecret(),
+    });
+    await webhook.save();
+
+    logger.info('Webhook created', { webhookId: webhook._id.toString(), events });
+
+    // The only response that includes the secret
+    return { ...this.toResponse(webhook), secret: webhook.secret };
+  }
+
+  async listWebhooks(userId) {
+    const webhooks = await Webhook.find({ userId: String(userId) }).sort({ createdAt: -1 });
+    return webhooks.map((webhook) => this.toResponse(webhook));
+  }
+
+  async getWebhook(webhookId, userId) {
+    return this.toResponse(await this.findWebhook(webhookId, userId));
+  }
+
+  async updateWebhook(webhookId, userId, updates) {
+    const webhook = await this.findWebhook(webhookId, userId);
+
+    ['url', 'events', 'description', 'enabled'].forEach((field) => {
+      if (updates[field] !== undefined) webhook[field] = updates[field];
+    });
+    await webhook.save();
+
+    return this.toResponse(webhook);
+  }
+
+  /**
+   * Remove an endpoint and its delivery log. Deliveries still queued are dropped when due.
+   */
+  async deleteWebhook(webhookId, userId) {
+    const webhook = await this.findWebhook(webhookId, userId);
+
+    await Webhook.deleteOne({ _id: webhook._id });
+    await WebhookDelivery.deleteMany({ webhookId: webhook._id });
+
+    logger.info('Webhook deleted', { webhookId: webhook._id.toString() });
+    return { webhookId: webhook._id.toString(), deleted: true };
+  }
+
+  /**
+   * The endpoint's deliveries, newest first, with every attempt
+   */
+  async listDeliveries(webhookId, userId, { limit = 20, skip = 0, status } = {}) {
+    const webhook = await this.findWebhook(webhookId, userId);
+    const filter = { webhookId: webhook._id, ...(status && { status }) };
+
+    const [deliveries, total] = await Promise.all([
+      WebhookDelivery.find(filter).sort({ createdAt: -1 }).limit(limit).skip(skip).lean(),
+      WebhookDelivery.countDocuments(filter),
+    ]);
+
+    return {
+      deliveries: deliveries.map((delivery) => this.toDeliveryResponse(delivery)),
+      pagination: { total, limit, skip, hasMore: skip + deliveries.length < total },
+    };
+  }
+
+  /**
+   * Send a delivery's event again, as a new delivery with the same event id
+   */
+  async redeliver(webhookId, deliveryId, userId) {
+    const webhook = await this.findWebhook(webhookId, userId);
+    const original = await WebhookDelivery.findOne({ _id: deliveryId, webhookId: webhook._id });
+    if (!original) {
+      throw new NotFoundError('Delivery not found');
+    }
+
+    const delivery = await WebhookDelivery.create({
+      webhookId: webhook._id,
+      userId: webhook.userId,
+      eventId: original.eventId,
+      event: original.event,
+      payload: original.payload,
+      redeliveryOf: original._id,
+    });
+    await this.enqueue(delivery);
+
+    logger.info('Webhook event redelivered', {
+      webhookId: webhook._id.toString(),
+      deliveryId: delivery._id.toString(),
+      redeliveryOf: original._id.toString(),
+    });
+
+    return this.toDeliveryResponse(delivery);
+  }
+
+  /**
+   * Send an analysis event to its owner's endpoints, and by default to the owners of the
+   * analyses attached to it, which share its run. Best-effort: never fails the analysis.
+   */
+  async notifyAnalysis(queryId, event, data = {}, { attached = true } = {}) {
+    try {
+      const analyses = await Query.find(
+        attached
+          ? { $or: [{ _id: queryId }, { sharedFrom: queryId, status: { $ne: 'cancelled' } }] }
+          : { _id: queryId }
+      )
+        .select('_id userId queryText sharedFrom')
+        .lean();
+
+      await Promise.all(
+        analyses.map((analysis) =>
+          this.notify(analysis.userId, event, {
+            queryId: analysis._id.toString(),
+            query: analysis.queryText,
+            ...(analysis.sharedFrom && { sharedFrom: analysis.sharedFrom.toString() }),
+            ...data,
+          })
+        )
+      );
+    } catch (error) {
+      logger.warn('Failed to send webhook event', { queryId, event, error: error.message });
+    }
+  }
+
+  /**
+   * Queue one delivery of the event per enabled endpoint of the user subscribed to it
+   */
+  async notify(userId, event, data) {
+    const webhooks = await Webhook.find({ userId: String(userId), enabled: true, events: event })
+      .select('_id userId')
+      .lean();
+    if (!webhooks.length) return [];
+
+    const payload = {
+      id: `evt_${crypto.randomBytes(12).toString('hex')}`,
+      type: event,
+      createdAt: new Date().toISOString(),
+      data,
+    };
+
+    return Promise.all(
+      webhooks.map(async (webhook) => {
+        const delivery = await WebhookDelivery.create({
+          webhookId: webhook._id,
+          userId: webhook.userId,
+          eventId: payload.id,
+          event,
+          payload,
+        });
+        await this.enqueue(delivery);
+        return delivery;
+      })
+    );
+  }
+
+  async enqueue(delivery) {
+    await this.getQueue().add(
+      DELIVERY_JOB,
+      { deliveryId: delivery._id.toString() },
+      { jobId: delivery._id.toString() }
+    );
+  }
+
+  /**
+   * POST one attempt of a delivery. A failed attempt throws, so Bull schedules the next one,
+   * until the last attempt marks the delivery failed. An endpoint at a non-public address
+   * fails the delivery at once.
+   */
+  async deliver(deliveryId, attempt = 1, maxAttempts = this.config.webhooks.attempts) {
+    const delivery = await WebhookDelivery.findById(deliveryId);
+    if (!delivery || delivery.status !== 'pending') return { deliveryId, skipped: true };
+
+    const webhook = await Webhook.findById(delivery.webhookId).select('+secret');
+    if (!webhook || !webhook.enabled) {
+      delivery.status = 'failed';
+      delivery.attempts.push({ attempt, at: new Date(), error: 'Endpoint deleted or disabled' });
+      await delivery.save();
+      return { deliveryId, skipped: true };
+    }
+
+    // Signed and sent as this exact string
+    const body = JSON.stringify(delivery.payload);
+    const startedAt = Date.now();
+    let statusCode;
+    let error;
+    let refused = false;
+
+    try {
+      checkDestination(webhook.url, this.config.webhooks.allowedHosts);
+      const response = await axios.post(webhook.url, body, {
+        ...this.getAgents(),
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'TavSearch-Webhooks/1.0',
+          'X-TavSearch-Event': delivery.event,
+          'X-TavSearch-Delivery': delivery._id.toString(),
+          'X-TavSearch-Signature': signPayload(webhook.secret, body),
+        },
+        timeout: this.config.webhooks.timeoutMs,
+        maxRedirects: 0,
+        transformRequest: [(data) => data],
+        validateStatus: () => true,
+      });
+      statusCode = response.status;
+      if (statusCode < 200 || statusCode >= 300) {
+        error = `Endpoint responded with HTTP ${statusCode}`;
+      }
+    } catch (requestError) {
+      error = requestError.message;
+      refused = requestError.code === DESTINATION_REFUSED;
+    }
+
+    const retrying = Boolean(error) && !refused && attempt < maxAttempts;
+    delivery.attempts.push({
+      attempt,
+      at: new Date(startedAt),
+      statusCode,
+      error,
+      durationMs: Date.now() - startedAt,
+    });
+    if (!error) {
+      delivery.status = 'succeeded';
+      delivery.deliveredAt = new Date();
+    } else if (!retrying) {
+      delivery.status = 'failed';
+    }
+    // Bull's exponential backoff: backoffMs, then doubled on every further attempt
+    delivery.nextAttemptAt = retrying
+      ? new Date(Date.now() + this.config.webhooks.backoffMs * 2 ** (attempt - 1))
+      : undefined;
+    await delivery.save();
+    await Webhook.updateOne(
+      { _id: webhook._id },
+      { lastDeliveryAt: new Date(), lastDeliveryStatus: delivery.status }
+    );
+
+    if (retrying) {
+      throw new Error(`Webhook delivery ${deliveryId} failed: ${error}`);
+    }
+    if (error) {
+      logger.warn('Webhook delivery failed for good', { deliveryId, attempts: attempt, error });
+    }
+    return { deliveryId, status: delivery.status };
+  }
+
+  async findWebhook(webhookId, userId) {
+    const webhook = await Webhook.findForUser(webhookId, userId);
+    if (!webhook) {
+      throw new NotFoundError('Webhook not found');
+    }
+    return webhook;
+  }
+
+  toResponse(webhook) {
+    return {
+      webhookId: webhook._id.toString(),
+      url: webhook.url,
+      description: webhook.description || null,
+      events: webhook.events,
+      enabled: webhook.enabled,
+      lastDeliveryAt: webhook.lastDeliveryAt || null,
+      lastDeliveryStatus: webhook.lastDeliveryStatus || null,
+      createdAt: webhook.createdAt,
+    };
+  }
+
+  toDeliveryResponse(delivery) {
+    return {
+      deliveryId: delivery._id.toString(),
+      eventId: delivery.eventId,
+      event: delivery.event,
+      status: delivery.status,
+      attempts: delivery.attempts,
+      nextAttemptAt: delivery.nextAttemptAt || null,
+      deliveredAt: delivery.deliveredAt || null,
+      redeliveryOf: delivery.redeliveryOf ? delivery.redeliveryOf.toString() : null,
+      payload: delivery.payload,
+      createdAt: delivery.createdAt,
+    };
+  }
+
+  async close() {
+    if (this.queue) {
+      await this.queue.close();
+    }
+  }
+}
+
+module.exports = WebhookService;
@@ -0,0 +1,116 @@
+/**
+ * Batches of analyses (see services/batch.service): reading the submitted queries, and the
+ * batch status and progress derived from its child analyses.
+ */
+
+const TERMINAL = ['completed', 'failed', 'cancelled'];
+
+// Split CSV text into rows of fields; quoted fields may hold commas, quotes ("") and newlines
+const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let index = 0; index < text.length; index += 1) {
+    const char = text[index];
+    if (quoted) {
+      if (char === '"' && text[index + 1] === '"') {
+        field += '"';
+        index += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[index + 1] === '\n') index += 1;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows;
+};
+
+/**
+ * Queries of an uploaded CSV file: the "query" column when the first row is a header naming
+ * one, otherwise the first column. Blank rows are skipped.
+ */
+const parseQueryCsv = (text) => {
+  const rows = parseCsv(String(text || '').replace(/^\uFEFF/, ''));
+  if (!rows.length) return [];
+
+  const header = rows[0].map((cell) => cell.trim().toLowerCase());
+  const column = header.indexOf('query');
+  const dataRows = column === -1 ? rows : rows.slice(1);
+
+  return dataRows.map((row) => (row[Math.max(column, 0)] || '').trim()).filter(Boolean);
+};
+
+/**
+ * The batch's queries in submission order, once each (case and spacing aside)
+ */
+const uniqueQueries = (queries) => {
+  const seen = new Set();
+  return queries
+    .map((text) => String(text).replace(/\s+/g, ' ').trim())
+    .filter((text) => {
+      const key = text.toLowerCase();
+      if (!text || seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+};
+
+/**
+ * Aggregate progress of a batch's child analyses ({ status, metadata.progress })
+ *
+ * @returns {Object} status ('queued', 'processing', 'completed', 'partial' when some failed
+ *   or were cancelled, or 'failed' when none completed), counts per child status and the
+ *   mean percentage complete, finished children counting as 100
+ */
+const batchProgress = (children = []) => {
+  const counts = { pending: 0, processing: 0, completed: 0, failed: 0, cancelled: 0 };
+  children.forEach((child) => {
+    counts[child.status] = (counts[child.status] || 0) + 1;
+  });
+
+  const total = children.length;
+  const finished = children.filter((child) => TERMINAL.includes(child.status)).length;
+  const percentage = total
+    ? Math.round(
+        children.reduce(
+          (sum, child) =>
+            sum +
+            (TERMINAL.includes(child.status) ? 100 : child.metadata?.progress?.percentage || 0),
+          0
+        ) / total
+      )
+    : 0;
+
+  let status = 'processing';
+  if (finished === total) {
+    if (counts.completed === total) status = 'completed';
+    else status = counts.completed ? 'partial' : 'failed';
+  } else if (counts.pending === total) {
+    status = 'queued';
+  }
+
+  return { status, total, finished, counts, percentage };
+};
+
+module.exports = { parseQueryCsv, uniqueQueries, batchProgress };
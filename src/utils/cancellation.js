@@ -0,0 +1,27 @@
+const { CancellationError } = require('./errors');
+
+const throwIfCancelled = (signal) => {
+  if (signal?.aborted) {
+    throw new CancellationError();
+  }
+};
+
+/**
+ * Cancellable delay
+ */
+const wait = (ms, signal) =>
+  new Promise((resolve, reject) => {
+    throwIfCancelled(signal);
+
+    const timer = setTimeout(resolve, ms);
+    signal?.addEventListener(
+      'abort',
+      () => {
+        clearTimeout(timer);
+        reject(new CancellationError());
+      },
+      { once: true }
+    );
+  });
+
+module.exports = { throwIfCancelled, wait };
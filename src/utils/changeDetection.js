@@ -0,0 +1,190 @@
+/**
+ * Differences between two analysis results: "what changed since last run" for scheduled
+ * analyses, and the side-by-side comparison of any two completed analyses.
+ *
+ * Trends, risks and recommendations are free text that the model rewords from run to run, so
+ * two items count as the same when most of their significant words overlap. Players are
+ * matched by name and sources by URL.
+ */
+
+const SAME_TREND_SIMILARITY = 0.6;
+const CONFIDENCE_LEVELS = ['low', 'medium', 'high'];
+
+const words = (text) =>
+  new Set(
+    String(text || '')
+      .toLowerCase()
+      .split(/[^a-z0-9]+/)
+      .filter((word) => word.length > 2)
+  );
+
+// Dice coefficient of the two texts' word sets
+const similarity = (a, b) => {
+  const left = words(a);
+  const right = words(b);
+  if (!left.size || !right.size) return 0;
+
+  const shared = [...left].filter((word) => right.has(word)).length;
+  return (2 * shared) / (left.size + right.size);
+};
+
+const missingTrends = (trends, others) =>
+  trends.filter(
+    (trend) => !others.some((other) => similarity(trend, other) >= SAME_TREND_SIMILARITY)
+  );
+
+const missingNames = (names, others) => {
+  const known = new Set(others.map((name) => String(name).trim().toLowerCase()));
+  return names.filter((name) => !known.has(String(name).trim().toLowerCase()));
+};
+
+const trends = (result) => result.analysisResults?.keyTrends || [];
+const players = (result) => result.analysisResults?.competitiveLandscape?.majorPlayers || [];
+const urls = (result) =>
+  new Set((result.rawData || []).map((source) => source?.url).filter(Boolean));
+
+const domainOf = (url) => {
+  try {
+    return new URL(url).hostname.replace(/^www\./, '');
+  } catch (error) {
+    return null;
+  }
+};
+
+// Jaccard index of two sets, 0..1
+const overlap = (a, b) => {
+  const shared = [...a].filter((item) => b.has(item)).length;
+  const union = new Set([...a, ...b]).size;
+  return union ? Math.round((shared / union) * 100) / 100 : 0;
+};
+
+const plural = (count, noun) => `${count} ${noun}${count === 1 ? '' : 's'}`;
+
+const summarize = (changes) => {
+  const parts = [];
+  if (changes.newTrends.length) parts.push(plural(changes.newTrends.length, 'new trend'));
+  if (changes.droppedTrends.length) {
+    parts.push(`${plural(changes.droppedTrends.length, 'trend')} no longer reported`);
+  }
+  if (changes.newPlayers.length) parts.push(`new players: ${changes.newPlayers.join(', ')}`);
+  if (changes.droppedPlayers.length) {
+    parts.push(`dropped players: ${changes.droppedPlayers.join(', ')}`);
+  }
+  if (changes.newSources.length) parts.push(plural(changes.newSources.length, 'new source'));
+
+  return parts.length
+    ? `Since the last run: ${parts.join('; ')}.`
+    : 'No changes since the last run.';
+};
+
+/**
+ * @param {Object} previous - the previous run's Result (analysisResults, rawData)
+ * @param {Object} current - this run's Result fields
+ */
+const detectChanges = (previous, current) => {
+  const previousUrls = urls(previous);
+  const currentUrls = urls(current);
+  const seen = new Set(previousUrls);
+  const newSources = [];
+  (current.rawData || []).forEach((source) => {
+    if (!source?.url || seen.has(source.url)) return;
+    seen.add(source.url);
+    newSources.push({ url: source.url, title: source.title || source.url });
+  });
+
+  const changes = {
+    newTrends: missingTrends(trends(current), trends(previous)),
+    droppedTrends: missingTrends(trends(previous), trends(current)),
+    newPlayers: missingNames(players(current), players(previous)),
+    droppedPlayers: missingNames(players(previous), players(current)),
+    newSources,
+    droppedSources: [...previousUrls].filter((url) => !currentUrls.has(url)).length,
+  };
+
+  return { ...changes, summary: summarize(changes) };
+};
+
+// Compared lists: how to read them from a Result and how to tell which items are missing
+const COMPARED_SECTIONS = {
+  trends: { items: trends, missing: missingTrends },
+  players: { items: players, missing: missingNames },
+  risks: { items: (result) => result.analysisResults?.riskFactors || [], missing: missingTrends },
+  recommendations: {
+    items: (result) => result.analysisResults?.recommendations || [],
+    missing: missingTrends,
+  },
+};
+
+const compareConfidence = (base, compared) => {
+  const from = base.analysisResults?.dataConfidence || null;
+  const to = compared.analysisResults?.dataConfidence || null;
+  const fromLevel = CONFIDENCE_LEVELS.indexOf(String(from).toLowerCase());
+  const toLevel = CONFIDENCE_LEVELS.indexOf(String(to).toLowerCase());
+  const change = fromLevel === -1 || toLevel === -1 ? null : toLevel - fromLevel;
+
+  let direction = 'unknown';
+  if (change !== null) {
+    if (change > 0) direction = 'increased';
+    else if (change < 0) direction = 'decreased';
+    else direction = 'unchanged';
+  }
+
+  return { from, to, change, direction };
+};
+
+const compareSources = (base, compared) => {
+  const baseUrls = urls(base);
+  const comparedUrls = urls(compared);
+  const shared = [...comparedUrls].filter((url) => baseUrls.has(url)).length;
+
+  const domains = (set) => new Set([...set].map(domainOf).filter(Boolean));
+  const baseDomains = domains(baseUrls);
+  const comparedDomains = domains(comparedUrls);
+
+  return {
+    base: baseUrls.size,
+    compared: comparedUrls.size,
+    shared,
+    onlyInBase: baseUrls.size - shared,
+    onlyInCompared: comparedUrls.size - shared,
+    overlap: overlap(baseUrls, comparedUrls),
+    domains: {
+      shared: [...comparedDomains].filter((domain) => baseDomains.has(domain)).sort(),
+      overlap: overlap(baseDomains, comparedDomains),
+    },
+  };
+};
+
+/**
+ * Structured diff of two results: what `compared` adds to and drops from `base` per list,
+ * the change in data confidence, and how much their sources overlap.
+ *
+ * @param {Object} base - Result (analysisResults, rawData) compared against
+ * @param {Object} compared - Result whose additions and removals are reported
+ */
+const compareResults = (base, compared) => {
+  const sections = {};
+  Object.entries(COMPARED_SECTIONS).forEach(([key, { items, missing }]) => {
+    const before = items(base);
+    const after = items(compared);
+    const added = missing(after, before);
+
+    sections[key] = {
+      added,
+      removed: missing(before, after),
+      shared: after.length - added.length,
+    };
+  });
+
+  return {
+    ...sections,
+    confidence: compareConfidence(base, compared),
+    sources: compareSources(base, compared),
+  };
+};
+
+module.exports = {
+  detectChanges,
+  compareResults,
+  similarity,
+};
@@ -0,0 +1,208 @@
+/**
+ * Source citations for analysis items.
+ *
+ * Analyzer prompts number their sources [1]..[n] and ask for every trend, insight,
+ * recommendation and risk as { "text", "sources": [n, ...] }. resolveCitations turns the
+ * markers into source URLs straight away (the numbering only exists in that prompt), and
+ * normalizeResult maps the URLs onto positions in Result.rawData. Items that no source backs
+ * are kept but flagged `supported: false`.
+ */
+
+// Result field -> analyzer fields that feed it, in the precedence normalizeResult uses
+const CITED_SECTIONS = {
+  keyTrends: { title: 'Key Trends', fields: ['keyTrends'] },
+  insights: { title: 'Key Insights', fields: ['insights'] },
+  recommendations: { title: 'Recommendations', fields: ['recommendations'] },
+  riskFactors: { title: 'Risk Factors', fields: ['riskFactors', 'challenges'] },
+};
+
+const CITATION_INSTRUCTIONS = `Every item of keyTrends, insights, recommendations and riskFactors (or challenges)
+must cite its evidence: write it as {"text": "...", "sources": [1, 3]} with the numbers of
+the sources above that support it. Use "sources": [] only when no source supports the item -
+it will be flagged as unsupported.`;
+
+const MARKER = /\[(\d+(?:\s*,\s*\d+)*)\]/g;
+
+const itemText = (item) => {
+  if (item === null || item === undefined) return '';
+  if (typeof item === 'string') return item;
+  if (typeof item === 'object') {
+    return String(item.text || item.title || item.name || item.description || '');
+  }
+  return String(item);
+};
+
+/**
+ * One item's text without inline [n] markers, and the URLs its markers point at
+ */
+const resolveItem = (item, sourceUrls) => {
+  const text = itemText(item);
+  const declared = item && typeof item === 'object' ? item.sources || item.citations || [] : [];
+  const inline = [...text.matchAll(MARKER)].flatMap((match) => match[1].split(','));
+
+  const urls = [...(Array.isArray(declared) ? declared : [declared]), ...inline]
+    .map((reference) => {
+      const value = String(reference).trim();
+      if (/^https?:\/\//.test(value)) return sourceUrls.includes(value) ? value : null;
+      const number = parseInt(value.replace(/\D/g, ''), 10);
+      return sourceUrls[number - 1] || null;
+    })
+    .filter(Boolean);
+
+  return {
+    text: text
+      .replace(MARKER, '')
+      .replace(/\s{2,}/g, ' ')
+      .trim(),
+    urls: [...new Set(urls)],
+  };
+};
+
+/**
+ * Replace cited items with their text and add `citations` ({ section: [{ urls }] },
+ * aligned with the items) to an analyzer's parsed output.
+ *
+ * @param {Object} analysis - parsed analyzer JSON
+ * @param {string[]} sourceUrls - URLs of the sources in prompt order ([1] is sourceUrls[0])
+ */
+const resolveCitations = (analysis, sourceUrls) => {
+  const resolved = { ...analysis };
+  const citations = {};
+
+  Object.entries(CITED_SECTIONS).forEach(([section, { fields }]) => {
+    fields.forEach((field) => {
+      if (!Array.isArray(analysis[field])) return;
+
+      const items = analysis[field].map((item) => resolveItem(item, sourceUrls));
+      resolved[field] = items.map((item) => item.text);
+      if (!citations[section]) {
+        citations[section] = items.map(({ urls }) => ({ urls }));
+      }
+    });
+  });
+
+  return { ...resolved, citations };
+};
+
+/**
+ * Citations for one normalized section, as positions in rawData. `citations` holds the
+ * analyzer's URL citations for the section, aligned with `items`.
+ */
+const citationsForItems = (items, citations = [], rawData = []) => {
+  const positions = new Map();
+  rawData.forEach((source, index) => {
+    if (source?.url && !positions.has(source.url)) positions.set(source.url, index);
+  });
+
+  return items.map((_, index) => {
+    const urls = (citations[index]?.urls || []).filter((url) => positions.has(url));
+    return {
+      sourceIndexes: urls.map((url) => positions.get(url)),
+      urls,
+      supported: urls.length > 0,
+    };
+  });
+};
+
+/**
+ * Footnote view of a Result's cited sections: sources are numbered 1..n in order of first
+ * citation, shared by the HTML report, exports and anything else that prints them.
+ * `supported` is null for results analysed before citations existed.
+ */
+const buildFootnotes = (analysisResults = {}, rawData = []) => {
+  const cited = Object.keys(analysisResults.citations || {}).length > 0;
+  const numbers = new Map();
+  const sources = [];
+
+  const footnoteFor = (sourceIndex) => {
+    if (!numbers.has(sourceIndex)) {
+      const source = rawData[sourceIndex] || {};
+      numbers.set(sourceIndex, sources.length + 1);
+      sources.push({
+        number: sources.length + 1,
+        sourceIndex,
+        url: source.url,
+        title: source.title || source.url || `Source ${sourceIndex + 1}`,
+      });
+    }
+    return numbers.get(sourceIndex);
+  };
+
+  const sections = Object.entries(CITED_SECTIONS)
+    .map(([key, { title }]) => ({
+      key,
+      title,
+      items: (analysisResults[key] || []).map((text, index) => {
+        const citation = analysisResults.citations?.[key]?.[index];
+        const footnotes = (citation?.sourceIndexes || []).map(footnoteFor);
+        return { text, footnotes, supported: cited ? footnotes.length > 0 : null };
+      }),
+    }))
+    .filter((section) => section.items.length > 0);
+
+  return { sections, sources };
+};
+
+const escapeHtml = (text) =>
+  String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+/**
+ * Footnote markers for plain-text outputs: "[1][3]", "(unsupported)" or ''
+ */
+const footnoteText = ({ footnotes, supported }) => {
+  if (supported === false) return '(unsupported)';
+  return footnotes.map((number) => `[${number}]`).join('');
+};
+
+/**
+ * Evidence section with footnote links and the numbered source list, for HTML reports.
+ * `anchorPrefix` keeps the links of several analyses in one report apart.
+ */
+const renderFootnotesHtml = ({ sections, sources }, { anchorPrefix = 'source' } = {}) => {
+  if (!sections.length) return '';
+
+  const footnoteHtml = ({ footnotes, supported }) => {
+    if (supported === false) return ' <em class="unsupported">(unsupported - no source cited)</em>';
+    if (!footnotes.length) return '';
+    return ` <sup>${footnotes.map((n) => `<a href="#${anchorPrefix}-${n}">[${n}]</a>`).join('')}</sup>`;
+  };
+
+  const itemHtml = (item) => `<li>${escapeHtml(item.text)}${footnoteHtml(item)}</li>`;
+  const sectionHtml = sections
+    .map(
+      (section) => `
+    <h3>${escapeHtml(section.title)}</h3>
+    <ul>
+      ${section.items.map(itemHtml).join('\n      ')}
+    </ul>`
+    )
+    .join('\n');
+
+  const sourceLink = (source) =>
+    `<a href="${escapeHtml(source.url || '#')}">${escapeHtml(source.title)}</a>`;
+  const sourceHtml = sources
+    .map((source) => `<li id="${anchorPrefix}-${source.number}">${sourceLink(source)}</li>`)
+    .join('\n      ');
+
+  return `
+  <section class="citations">
+    <h2>Evidence</h2>
+    ${sectionHtml}
+    ${sources.length ? `<h2>Sources</h2>\n    <ol>\n      ${sourceHtml}\n    </ol>` : ''}
+  </section>`;
+};
+
+module.exports = {
+  CITED_SECTIONS,
+  CITATION_INSTRUCTIONS,
+  resolveCitations,
+  citationsForItems,
+  buildFootnotes,
+  footnoteText,
+  renderFootnotesHtml,
+  escapeHtml,
+};
@@ -0,0 +1,39 @@
+const crypto = require('crypto');
+
+/**
+ * Matching of identical analyses, so a request can attach to one that is already running, or
+ * reuse one that completed recently, instead of paying for the same pipeline again.
+ *
+ * Two requests are identical when their queries read the same once normalized - case,
+ * punctuation and spacing aside - and they run with the same engine, template, search
+ * providers and budget.
+ */
+
+const normalizeQuery = (text) =>
+  String(text || '')
+    .normalize('NFKC')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim();
+
+/**
+ * Fingerprint stored on Query.fingerprint. `searchProviders` is the resolved list, so asking
+ * for the default providers by name matches asking for none.
+ */
+const queryFingerprint = ({ query, engine, template, searchProviders = [], budget = {} }) =>
+  crypto
+    .createHash('sha256')
+    .update(
+      JSON.stringify([
+        normalizeQuery(query),
+        engine,
+        template,
+        [...searchProviders].sort(),
+        Object.keys(budget)
+          .sort()
+          .map((limit) => [limit, budget[limit]]),
+      ])
+    )
+    .digest('hex');
+
+module.exports = { normalizeQuery, queryFingerprint };
@@ -0,0 +1,115 @@
+const { escapeHtml } = require('./citations');
+
+/**
+ * Notification emails (see services/notification.service): analysis completed, analysis
+ * failed and the weekly digest. A user may replace a template's subject and intro line in
+ * User.settings.emailTemplates; both take {{placeholders}} from the email's context, e.g.
+ * {{name}}, {{query}} or {{count}}. The rest of the email - key trends, links, the
+ * unsubscribe footer - is always included.
+ */
+
+const EMAIL_TEMPLATES = {
+  completed: {
+    subject: 'Your analysis is ready: {{query}}',
+    intro: 'Hi {{name}}, your analysis of "{{query}}" has completed.',
+  },
+  failed: {
+    subject: 'Your analysis failed: {{query}}',
+    intro: 'Hi {{name}}, your analysis of "{{query}}" could not be completed.',
+  },
+  digest: {
+    subject: 'Your week in TavSearch: {{count}} analyses',
+    intro: 'Hi {{name}}, here are your analyses from the past week.',
+  },
+};
+
+const fill = (template, values, escape = (value) => value) =>
+  template.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, key) =>
+    values[key] === undefined || values[key] === null ? '' : escape(String(values[key]))
+  );
+
+const link = (url, label) => `<a href="${escapeHtml(url)}">${escapeHtml(label)}</a>`;
+
+// Body of each email as plain text lines and HTML, from its context
+const BODIES = {
+  completed: (context) => {
+    const trends = context.keyTrends.map((trend) => `<li>${escapeHtml(trend)}</li>`).join('');
+    return {
+      text: [
+        context.keyTrends.length ? 'Key trends:' : '',
+        ...context.keyTrends.map((trend) => `- ${trend}`),
+        '',
+        `Data confidence: ${context.dataConfidence || 'N/A'}`,
+        `See the full results: ${context.resultsUrl}`,
+      ],
+      html: `
+      ${trends ? `<h3>Key trends</h3><ul>${trends}</ul>` : ''}
+      <p><strong>Data confidence:</strong> ${escapeHtml(context.dataConfidence || 'N/A')}</p>
+      <p>${link(context.resultsUrl, 'See the full results')}</p>`,
+    };
+  },
+  failed: (context) => ({
+    text: [`Error: ${context.error || 'unknown'}`, '', `Retry it here: ${context.resultsUrl}`],
+    html: `
+      <p><strong>Error:</strong> ${escapeHtml(context.error || 'unknown')}</p>
+      <p>${link(context.resultsUrl, 'Open the analysis to retry it')}</p>`,
+  }),
+  digest: (context) => ({
+    text: context.analyses.flatMap((analysis) => [
+      `- ${analysis.query} (${analysis.status}): ${analysis.url}`,
+      ...(analysis.topTrend ? [`  ${analysis.topTrend}`] : []),
+    ]),
+    html: `
+      <ul>${context.analyses
+        .map(
+          (analysis) =>
+            `<li>${link(analysis.url, analysis.query)} - ${escapeHtml(analysis.status)}${
+              analysis.topTrend ? `<br><em>${escapeHtml(analysis.topTrend)}</em>` : ''
+            }</li>`
+        )
+        .join('')}</ul>`,
+  }),
+};
+
+/**
+ * @param {string} kind - 'completed', 'failed' or 'digest'
+ * @param {Object} context - values of the email, with unsubscribeUrl
+ * @param {Object} overrides - the user's { subject, intro } for this kind, if any
+ * @returns {Object} { subject, text, html }
+ */
+const renderEmail = (kind, context, overrides = {}) => {
+  const template = { ...EMAIL_TEMPLATES[kind] };
+  ['subject', 'intro'].forEach((field) => {
+    if (overrides[field]) template[field] = overrides[field];
+  });
+
+  const values = { ...context, name: context.name || 'there' };
+  const body = BODIES[kind](values);
+  const footer = 'You receive this email because notifications are on in your TavSearch settings.';
+
+  return {
+    subject: fill(template.subject, values).replace(/\s+/g, ' ').trim().substring(0, 200),
+    text: [
+      fill(template.intro, values),
+      '',
+      ...body.text,
+      '',
+      '--',
+      footer,
+      `Unsubscribe: ${context.unsubscribeUrl}`,
+    ].join('\n'),
+    html: `<!DOCTYPE html>
+<html>
+  <body style="font-family: Arial, sans-serif; color: #2c3e50;">
+    <p>${fill(escapeHtml(template.intro), values, escapeHtml)}</p>
+    ${body.html}
+    <hr>
+    <p style="font-size: 12px; color: #7f8c8d;">
+      ${escapeHtml(footer)} ${link(context.unsubscribeUrl, 'Unsubscribe')}
+    </p>
+  </body>
+</html>`,
+  };
+};
+
+module.exports = { EMAIL_TEMPLATES, renderEmail };
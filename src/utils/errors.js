@@ -44,10 +44,30 @@ class RateLimitError extends Error {
   }
 }
 
+class NotFoundError extends Error {
+  constructor(message = 'Resource not found', statusCode = 404) {
+    super(message);
+    this.name = 'NotFoundError';
+    this.statusCode = statusCode;
+    Error.captureStackTrace(this, this.constructor);
+  }
+}
+
+class CancellationError extends Error {
+  constructor(message = 'Analysis cancelled', statusCode = 409) {
+    super(message);
+    this.name = 'CancellationError';
+    this.statusCode = statusCode;
+    Error.captureStackTrace(this, this.constructor);
+  }
+}
+
 module.exports = {
   ApiError,
   ValidationError,
   AnalysisError,
   AuthError,
-  RateLimitError
+  RateLimitError,
+  NotFoundError,
+  CancellationError
 };
@@ -0,0 +1,339 @@
+/**
+ * Scores of an analysis result against a golden-set case, and the comparison of two
+ * configurations' runs over the set (see scripts/evaluate.js).
+ *
+ * Each metric is 0..1, or null when the case gives it nothing to check:
+ *
+ *   schemaCompleteness  result fields (the template's included) that are filled in, and
+ *                       agents whose JSON output did not fall back (see utils/structuredOutput)
+ *   citationValidity    cited-section items backed by at least one source that exists in
+ *                       rawData and shares words with the item (see utils/citations)
+ *   entityCoverage      the case's expected entities named in the analysis or the report
+ *   referenceAgreement  the case's reference answers found in the analysis; free text counts
+ *                       as found when most of its words overlap, as in utils/changeDetection
+ *
+ * `overall` is the mean of the metrics a case has.
+ */
+
+const { CITED_SECTIONS } = require('./citations');
+const { similarity } = require('./changeDetection');
+
+const METRICS = ['schemaCompleteness', 'citationValidity', 'entityCoverage', 'referenceAgreement'];
+
+const METRIC_LABELS = {
+  schemaCompleteness: 'Schema completeness',
+  citationValidity: 'Citation validity',
+  entityCoverage: 'Entity coverage',
+  referenceAgreement: 'Reference agreement',
+  overall: 'Overall',
+};
+
+const REQUIRED_FIELDS = [
+  'searchStrategy.primaryTerms',
+  'analysisResults.keyTrends',
+  'analysisResults.marketOpportunities',
+  'analysisResults.competitiveLandscape.majorPlayers',
+  'analysisResults.insights',
+  'analysisResults.recommendations',
+  'analysisResults.riskFactors',
+  'analysisResults.summary',
+  'finalReport',
+];
+
+// What normalizeResult fills in when an engine left a field out
+const PLACEHOLDERS = ['Analysis completed', 'Report generated'];
+
+// Lower than change detection's: references are written by people, not reworded by the model
+const REFERENCE_SIMILARITY = 0.4;
+
+// A case whose overall score moves by less than this counts as unchanged
+const TOLERANCE = 0.05;
+
+const round = (value) => (value === null ? null : Math.round(value * 1000) / 1000);
+
+const mean = (values) => {
+  const numbers = values.filter((value) => typeof value === 'number');
+  return numbers.length
+    ? round(numbers.reduce((sum, value) => sum + value, 0) / numbers.length)
+    : null;
+};
+
+const ratio = (count, total) => (total ? round(count / total) : null);
+
+const valueAt = (object, path) => path.split('.').reduce((value, key) => value?.[key], object);
+
+const isFilled = (value) => {
+  if (Array.isArray(value)) return value.some((item) => String(item || '').trim());
+  const text = String(value ?? '').trim();
+  return Boolean(text) && !PLACEHOLDERS.some((placeholder) => text.startsWith(placeholder));
+};
+
+const plainText = (html) =>
+  String(html || '')
+    .replace(/<[^>]+>/g, ' ')
+    .replace(/\s+/g, ' ');
+
+const schemaCompleteness = (output, template) => {
+  const fields = [
+    ...REQUIRED_FIELDS,
+    ...(template?.outputFields || []).map(({ key }) => `analysisResults.templateOutput.${key}`),
+  ];
+  const missingFields = fields.filter((field) => !isFilled(valueAt(output, field)));
+  const checks = output.structuredOutput || [];
+  const fallbacks = checks.filter((check) => check.status === 'fallback').map(({ agent }) => agent);
+
+  return {
+    score: ratio(
+      fields.length - missingFields.length + checks.length - fallbacks.length,
+      fields.length + checks.length
+    ),
+    missingFields,
+    fallbacks,
+  };
+};
+
+const citationValidity = (output) => {
+  const analysis = output.analysisResults || {};
+  const rawData = output.rawData || [];
+  const uncited = [];
+  const invalidCitations = [];
+  let items = 0;
+
+  Object.keys(CITED_SECTIONS).forEach((section) => {
+    (analysis[section] || []).forEach((text, index) => {
+      items += 1;
+      const sourceIndexes = analysis.citations?.[section]?.[index]?.sourceIndexes || [];
+      const valid = sourceIndexes.filter((sourceIndex) => {
+        const source = rawData[sourceIndex];
+        const grounded =
+          source?.url && similarity(text, `${source.title || ''} ${source.content || ''}`) > 0;
+        if (!grounded) invalidCitations.push({ section, index, sourceIndex });
+        return grounded;
+      });
+      if (!valid.length) uncited.push({ section, text });
+    });
+  });
+
+  return { score: ratio(items - uncited.length, items), uncited, invalidCitations };
+};
+
+/**
+ * @param {Array} expected - entity names; an array lists one entity's alternative names
+ */
+const entityCoverage = (output, expected = []) => {
+  const text = `${plainText(output.finalReport)} ${JSON.stringify(
+    output.analysisResults || {}
+  )}`.toLowerCase();
+  const missingEntities = expected.filter((entity) =>
+    [].concat(entity).every((name) => !text.includes(String(name).toLowerCase()))
+  );
+
+  return {
+    score: ratio(expected.length - missingEntities.length, expected.length),
+    missingEntities: missingEntities.map((entity) => [].concat(entity)[0]),
+  };
+};
+
+const analysisList = (analysis, field) =>
+  field === 'majorPlayers'
+    ? analysis.competitiveLandscape?.majorPlayers || []
+    : [].concat(analysis[field] || []);
+
+const matchesReference = (reference, items) => {
+  const name = String(reference).trim().toLowerCase();
+  return items.some(
+    (item) =>
+      similarity(reference, item) >= REFERENCE_SIMILARITY ||
+      String(item).toLowerCase().includes(name)
+  );
+};
+
+/**
+ * @param {Object} reference - analysis field -> expected items (or value, for dataConfidence)
+ */
+const referenceAgreement = (output, reference = {}) => {
+  const analysis = output.analysisResults || {};
+  const missedReferences = {};
+  let total = 0;
+
+  Object.entries(reference).forEach(([field, expected]) => {
+    const items = analysisList(analysis, field);
+    const missed = []
+      .concat(expected)
+      .filter((value) =>
+        Array.isArray(expected)
+          ? !matchesReference(value, items)
+          : String(value).toLowerCase() !== String(items[0] || '').toLowerCase()
+      );
+    total += [].concat(expected).length;
+    if (missed.length) missedReferences[field] = missed;
+  });
+
+  const missed = Object.values(missedReferences).reduce((sum, list) => sum + list.length, 0);
+  return { score: ratio(total - missed, total), missedReferences };
+};
+
+/**
+ * @param {Object} output - an engine run's normalized result (see workflows/engines)
+ * @param {Object} testCase - golden-set case: { expectedEntities, reference }
+ * @param {Object} [template] - the analysis template the case ran with
+ * @returns {Object} { scores: { ...METRICS, overall }, details }
+ */
+const scoreOutput = (output, testCase, template) => {
+  const schema = schemaCompleteness(output, template);
+  const citations = citationValidity(output);
+  const entities = entityCoverage(output, testCase.expectedEntities);
+  const agreement = referenceAgreement(output, testCase.reference);
+
+  const scores = {
+    schemaCompleteness: schema.score,
+    citationValidity: citations.score,
+    entityCoverage: entities.score,
+    referenceAgreement: agreement.score,
+  };
+
+  return {
+    scores: { ...scores, overall: mean(Object.values(scores)) },
+    details: {
+      missingFields: schema.missingFields,
+      fallbacks: schema.fallbacks,
+      uncited: citations.uncited,
+      invalidCitations: citations.invalidCitations,
+      missingEntities: entities.missingEntities,
+      missedReferences: agreement.missedReferences,
+    },
+  };
+};
+
+/**
+ * Mean scores of a run's cases. A failed case scores 0 overall, so a configuration cannot
+ * improve its overall score by failing its hard cases.
+ */
+const summarizeRun = (cases) => ({
+  cases: cases.length,
+  failed: cases.filter((entry) => !entry.success).length,
+  ...Object.fromEntries(
+    METRICS.map((metric) => [metric, mean(cases.map((entry) => entry.scores?.[metric]))])
+  ),
+  overall: mean(cases.map((entry) => (entry.success ? entry.scores.overall : 0))),
+  avgTokens: mean(cases.map((entry) => entry.usage?.totalTokens)),
+  avgCost: mean(cases.map((entry) => entry.usage?.cost)),
+  avgDurationMs: mean(cases.map((entry) => entry.durationMs)),
+});
+
+const caseOverall = (entry) => (entry?.success ? entry.scores.overall : 0);
+
+/**
+ * Candidate run against the baseline run: the change of every metric and of each case's
+ * overall score, with the cases that got worse or better by more than the tolerance
+ */
+const compareRuns = (baseline, candidate, { tolerance = TOLERANCE } = {}) => {
+  const metrics = Object.fromEntries(
+    [...METRICS, 'overall', 'avgTokens', 'avgCost', 'avgDurationMs'].map((metric) => {
+      const before = baseline.summary[metric];
+      const after = candidate.summary[metric];
+      const delta = before === null || after === null ? null : round(after - before);
+      return [metric, { baseline: before, candidate: after, delta }];
+    })
+  );
+
+  const cases = baseline.cases.map((entry) => {
+    const other = candidate.cases.find((candidateCase) => candidateCase.caseId === entry.caseId);
+    const before = caseOverall(entry);
+    const after = caseOverall(other);
+    return {
+      caseId: entry.caseId,
+      baseline: before,
+      candidate: after,
+      delta: round(after - before),
+    };
+  });
+
+  const overallDelta = metrics.overall.delta || 0;
+  let verdict = 'unchanged';
+  if (overallDelta > tolerance) verdict = 'better';
+  if (overallDelta < -tolerance) verdict = 'worse';
+
+  return {
+    baseline: baseline.configuration,
+    candidate: candidate.configuration,
+    verdict,
+    metrics,
+    cases,
+    regressions: cases.filter((entry) => entry.delta < -tolerance),
+    improvements: cases.filter((entry) => entry.delta > tolerance),
+  };
+};
+
+const formatScore = (value) => (value === null || value === undefined ? '-' : value.toFixed(2));
+
+const formatDelta = (value) => {
+  if (value === null || value === undefined) return '-';
+  return value > 0 ? `+${value.toFixed(2)}` : value.toFixed(2);
+};
+
+/**
+ * Markdown summary of an evaluation report ({ runs, comparison })
+ */
+const formatReport = ({ golden, runs, comparison }) => {
+  const lines = [`# Evaluation of ${golden}`, ''];
+  const metrics = [...METRICS, 'overall'];
+
+  if (comparison) {
+    lines.push(
+      `| Metric | ${comparison.baseline} | ${comparison.candidate} | Change |`,
+      '| --- | --- | --- | --- |',
+      ...metrics.map((metric) => {
+        const { baseline, candidate, delta } = comparison.metrics[metric];
+        return `| ${METRIC_LABELS[metric]} | ${formatScore(baseline)} | ${formatScore(
+          candidate
+        )} | ${formatDelta(delta)} |`;
+      }),
+      '',
+      `Verdict: ${comparison.candidate} is ${comparison.verdict} than ${comparison.baseline}.`
+    );
+    [
+      ['Regressions', comparison.regressions],
+      ['Improvements', comparison.improvements],
+    ].forEach(([title, cases]) => {
+      if (!cases.length) return;
+      lines.push(
+        '',
+        `${title}:`,
+        ...cases.map(
+          (entry) =>
+            `- ${entry.caseId}: ${formatScore(entry.baseline)} -> ${formatScore(entry.candidate)}`
+        )
+      );
+    });
+  } else {
+    const [run] = runs;
+    lines.push(
+      `| Metric | ${run.configuration} |`,
+      '| --- | --- |',
+      ...metrics.map(
+        (metric) => `| ${METRIC_LABELS[metric]} | ${formatScore(run.summary[metric])} |`
+      )
+    );
+  }
+
+  runs.forEach((run) => {
+    const failed = run.cases.filter((entry) => !entry.success);
+    if (!failed.length) return;
+    lines.push(
+      '',
+      `Failed cases (${run.configuration}):`,
+      ...failed.map((entry) => `- ${entry.caseId}: ${entry.error}`)
+    );
+  });
+
+  return lines.join('\n');
+};
+
+module.exports = {
+  METRICS,
+  scoreOutput,
+  summarizeRun,
+  compareRuns,
+  formatReport,
+};
@@ -0,0 +1,94 @@
+/**
+ * Ordering of queued analyses. Pure functions: the dispatcher (services/dispatch.service)
+ * loads the waiting and running analyses and decides with planQueue which to start now, and
+ * the same plan gives every waiting analysis its queue position and estimated start.
+ *
+ * A waiting analysis scores its Query.priority (1-10), plus its owner's plan weight, plus one
+ * point per `agingMs` it has waited (so low priorities never starve), minus `userPenalty` per
+ * analysis its owner already has running (so one user's backlog cannot crowd out everyone
+ * else's). At most `capacity` analyses run at once, and at most the owner's limit per user.
+ */
+
+const DEFAULTS = {
+  capacity: 5,
+  planWeights: { free: 0, premium: 2, enterprise: 4 },
+  agingMs: 300000,
+  userPenalty: 1,
+  durationMs: 180000,
+};
+
+const score = (entry, time, busy, options) =>
+  (entry.priority || 1) +
+  (options.planWeights[entry.plan] || 0) +
+  Math.max(time - entry.queuedAt, 0) / options.agingMs -
+  busy * options.userPenalty;
+
+/**
+ * Simulate the queue from `now`: slots free up as running analyses are estimated to finish,
+ * and each free slot goes to the best-scoring waiting analysis whose owner is under their
+ * limit.
+ *
+ * @param {Object} input
+ * @param {Array} input.waiting - { id, userId, plan, priority, queuedAt (ms) }
+ * @param {Array} input.running - { id, userId, startedAt (ms) }
+ * @param {Object} input.limits - per-user concurrency limit by userId (default 1)
+ * @returns {Array} the waiting analyses in start order: { id, userId, position, startAt };
+ *   the ones with startAt <= now have a free slot now
+ */
+const planQueue = ({ waiting = [], running = [], limits = {}, now = Date.now(), ...rest }) => {
+  const options = { ...DEFAULTS, ...rest };
+  const limitFor = (userId) => limits[userId] || 1;
+
+  // Estimated finish of every run, including the ones this plan starts. A run past its
+  // estimate still holds its slot, and is expected to finish any moment.
+  const runs = running.map(({ userId, startedAt }) => ({
+    userId,
+    endsAt: Math.max((startedAt || now) + options.durationMs, now + 1),
+  }));
+  const slots = runs
+    .map((run) => run.endsAt)
+    .sort((a, b) => a - b)
+    .slice(0, options.capacity);
+  while (slots.length < options.capacity) slots.unshift(now);
+
+  const busy = (userId, time) =>
+    runs.filter((run) => run.userId === userId && run.endsAt > time).length;
+
+  const remaining = [...waiting];
+  const plan = [];
+
+  while (remaining.length && options.capacity > 0) {
+    slots.sort((a, b) => a - b);
+    const time = slots[0];
+
+    const eligible = remaining.filter((entry) => busy(entry.userId, time) < limitFor(entry.userId));
+    if (!eligible.length) {
+      // Every waiting owner is at their limit: the slot idles until one of their runs ends
+      const waitingUsers = new Set(remaining.map((entry) => entry.userId));
+      slots[0] = Math.min(
+        ...runs
+          .filter((run) => waitingUsers.has(run.userId) && run.endsAt > time)
+          .map((run) => run.endsAt)
+      );
+      continue;
+    }
+
+    const [next] = eligible
+      .map((entry) => ({ entry, score: score(entry, time, busy(entry.userId, time), options) }))
+      .sort((a, b) => b.score - a.score || a.entry.queuedAt - b.entry.queuedAt);
+
+    remaining.splice(remaining.indexOf(next.entry), 1);
+    runs.push({ userId: next.entry.userId, endsAt: time + options.durationMs });
+    slots[0] = time + options.durationMs;
+    plan.push({
+      id: next.entry.id,
+      userId: next.entry.userId,
+      position: plan.length + 1,
+      startAt: time,
+    });
+  }
+
+  return plan;
+};
+
+module.exports = { DEFAULTS, planQueue };
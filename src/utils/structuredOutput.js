@@ -0,0 +1,130 @@
+const Ajv = require('ajv');
+const { logger } = require('./logger');
+
+/**
+ * JSON output of LLM calls, validated against a JSON Schema (see workflows/outputSchemas).
+ *
+ * A response that is not JSON, or does not match the schema, is sent back to the model once
+ * with the validation errors and asked for a corrected answer. When that fails too the agent
+ * uses its fallback output. Each call's outcome is a check - { schemaName, status, attempts,
+ * issues }, status 'valid', 'repaired' or 'fallback' - that the engines keep per agent in
+ * state.metadata.structuredOutput and store on Result.structuredOutput.
+ */
+
+const REPAIR_ATTEMPTS = 1;
+const MAX_ERRORS = 10;
+
+const ajv = new Ajv({ allErrors: true, strict: false });
+const validators = new WeakMap();
+
+const validatorFor = (schema) => {
+  if (!validators.has(schema)) validators.set(schema, ajv.compile(schema));
+  return validators.get(schema);
+};
+
+/**
+ * The JSON object of a response, with or without ```json fences or text around it
+ */
+const parseJson = (text) => {
+  const content = String(text || '').trim();
+  const fenced = content.match(/```(?:json)?\s*([\s\S]*?)```/i);
+  const body = fenced ? fenced[1].trim() : content;
+
+  const start = body.indexOf('{');
+  const end = body.lastIndexOf('}');
+  if (start === -1 || end < start) {
+    throw new SyntaxError('no JSON object found');
+  }
+  return JSON.parse(body.slice(start, end + 1));
+};
+
+/**
+ * @returns {Object} { data, errors } - errors empty when the response matches the schema
+ */
+const validateOutput = (schema, text) => {
+  let data;
+  try {
+    data = parseJson(text);
+  } catch (error) {
+    return { data: null, errors: [`response is not a JSON object: ${error.message}`] };
+  }
+
+  const validate = validatorFor(schema);
+  if (validate(data)) return { data, errors: [] };
+
+  return {
+    data,
+    errors: validate.errors
+      .slice(0, MAX_ERRORS)
+      .map((error) => `${error.instancePath || '(root)'} ${error.message}`),
+  };
+};
+
+const repairPrompt = (schema, errors) =>
+  [
+    'Your answer did not match the required JSON format:',
+    ...errors.map((error) => `- ${error}`),
+    '',
+    'It must be a JSON object valid against this JSON Schema:',
+    JSON.stringify(schema),
+    '',
+    'Return only the corrected JSON object, no other text.',
+  ].join('\n');
+
+/**
+ * An llm.complete() call whose answer must match `schema`
+ *
+ * @param {LLMProvider} llm - see providers/llm
+ * @param {Object} request - as for llm.complete
+ * @param {Object} schema - JSON Schema with a `title`
+ * @returns {Object} { data, check } - data is null when the agent should fall back
+ */
+const completeStructured = async (llm, request, schema, { repairs = REPAIR_ATTEMPTS } = {}) => {
+  const messages = [...request.messages];
+  let errors = [];
+
+  for (let attempt = 1; attempt <= repairs + 1; attempt += 1) {
+    const response = await llm.complete({ ...request, messages });
+    const validation = validateOutput(schema, response.content);
+
+    if (!validation.errors.length) {
+      return {
+        data: validation.data,
+        check: {
+          schemaName: schema.title,
+          status: attempt > 1 ? 'repaired' : 'valid',
+          attempts: attempt,
+          issues: errors,
+        },
+      };
+    }
+
+    errors = validation.errors;
+    logger.warn('LLM output does not match its schema', { schema: schema.title, attempt, errors });
+    messages.push(
+      { role: 'assistant', content: response.content },
+      { role: 'user', content: repairPrompt(schema, errors) }
+    );
+  }
+
+  return {
+    data: null,
+    check: {
+      schemaName: schema.title,
+      status: 'fallback',
+      attempts: repairs + 1,
+      issues: errors,
+    },
+  };
+};
+
+/**
+ * Run metadata (which may not exist yet) with an agent's check added (a re-run agent
+ * replaces its earlier one)
+ */
+const withOutputCheck = (metadata, agent, check) => ({
+  ...metadata,
+  structuredOutput: { ...metadata?.structuredOutput, [agent]: check },
+});
+
+module.exports = { parseJson, validateOutput, completeStructured, withOutputCheck };
@@ -0,0 +1,144 @@
+const crypto = require('crypto');
+const dns = require('dns');
+const net = require('net');
+
+/**
+ * Webhook events and signatures (see services/webhook.service).
+ *
+ * Every delivery is a POST of a JSON event with an `X-TavSearch-Signature` header of the form
+ * `t=<unix seconds>,v1=<hex>`, where v1 is the HMAC-SHA256, keyed with the endpoint's secret, of
+ * `<t>.<raw request body>`. Receivers recompute it and reject old timestamps, so a captured
+ * delivery cannot be replayed later.
+ *
+ * Endpoints are only reached at public addresses: a URL whose host is, or resolves to, a
+ * loopback, private, link-local or otherwise internal address is refused when the delivery is
+ * sent, unless the host is in config.webhooks.allowedHosts.
+ */
+
+const WEBHOOK_EVENTS = [
+  'analysis.started',
+  'analysis.agent_completed',
+  'analysis.completed',
+  'analysis.failed',
+  'analysis.cancelled',
+  'analysis.exported',
+];
+
+const generateSecret = () => `whsec_${crypto.randomBytes(24).toString('hex')}`;
+
+const signPayload = (secret, body, timestamp = Math.floor(Date.now() / 1000)) => {
+  const signature = crypto
+    .createHmac('sha256', secret)
+    .update(`${timestamp}.${body}`)
+    .digest('hex');
+  return `t=${timestamp},v1=${signature}`;
+};
+
+/**
+ * Check a signature header against the raw body, as a receiver would
+ *
+ * @param {number} options.toleranceSeconds - oldest timestamp accepted (default 5 minutes)
+ */
+const verifySignature = (
+  secret,
+  body,
+  header,
+  { toleranceSeconds = 300, now = Date.now() } = {}
+) => {
+  const parts = Object.fromEntries(
+    String(header || '')
+      .split(',')
+      .map((part) => part.trim().split('='))
+  );
+  const timestamp = Number(parts.t);
+  if (!timestamp || !parts.v1) return false;
+  if (Math.abs(now / 1000 - timestamp) > toleranceSeconds) return false;
+
+  const expected = Buffer.from(signPayload(secret, body, timestamp).split('v1=')[1]);
+  const actual = Buffer.from(parts.v1);
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+};
+
+// Addresses a webhook may not be delivered to
+const NON_PUBLIC = new net.BlockList();
+[
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10],
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15],
+  ['224.0.0.0', 4],
+  ['240.0.0.0', 4],
+].forEach(([network, prefix]) => NON_PUBLIC.addSubnet(network, prefix, 'ipv4'));
+[
+  ['::', 128],
+  ['::1', 128],
+  ['64:ff9b::', 96],
+  ['fc00::', 7],
+  ['fe80::', 10],
+  ['ff00::', 8],
+].forEach(([network, prefix]) => NON_PUBLIC.addSubnet(network, prefix, 'ipv6'));
+
+const isPublicAddress = (address) => {
+  const family = net.isIP(address);
+  if (!family) return false;
+  return !NON_PUBLIC.check(address, family === 6 ? 'ipv6' : 'ipv4');
+};
+
+// Error code of a refused destination
+const DESTINATION_REFUSED = 'EWEBHOOKDESTINATION';
+
+const destinationError = (host) =>
+  Object.assign(
+    new Error(`Webhook host ${host} is not a public address and is not in the allowed hosts`),
+    { code: DESTINATION_REFUSED }
+  );
+
+/**
+ * dns.lookup for webhook requests (http.Agent option `lookup`) that refuses non-public
+ * addresses. The check runs as the connection is made, so a host cannot pass it with one
+ * address and then be reached at another.
+ */
+const publicLookup =
+  (allowedHosts = []) =>
+  (hostname, options, callback) => {
+    dns.lookup(hostname, options, (error, address, family) => {
+      if (error) return callback(error);
+
+      const addresses = Array.isArray(address) ? address : [{ address, family }];
+      if (
+        !allowedHosts.includes(hostname.toLowerCase()) &&
+        addresses.some((entry) => !isPublicAddress(entry.address))
+      ) {
+        return callback(destinationError(hostname));
+      }
+      return callback(null, address, family);
+    });
+  };
+
+/**
+ * Refuse a URL whose host is a non-public IP address. Such hosts are connected to without a
+ * DNS lookup, so publicLookup never sees them.
+ */
+const checkDestination = (url, allowedHosts = []) => {
+  const host = new URL(url).hostname.replace(/^\[|\]$/g, '').toLowerCase();
+  if (allowedHosts.includes(host)) return;
+  if (net.isIP(host) && !isPublicAddress(host)) {
+    throw destinationError(host);
+  }
+};
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  generateSecret,
+  signPayload,
+  verifySignature,
+  DESTINATION_REFUSED,
+  isPublicAddress,
+  publicLookup,
+  checkDestination,
+};
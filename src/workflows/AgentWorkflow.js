@@ -0,0 +1,206 @@
+const { v4: uuidv4 } = require('uuid');
+const SearchAgent = require('../agents/SearchAgent');
+const AnalysisAgent = require('../agents/AnalysisAgent');
+const SynthesisAgent = require('../agents/SynthesisAgent');
+const { logger } = require('../utils/logger');
+const { CancellationError } = require('../utils/errors');
+const PipelineEngine = require('./PipelineEngine');
+const { getPipeline } = require('./pipelines');
+const { createLLMProvider } = require('../providers/llm');
+const { resolveSearchProviders } = require('../providers/search');
+const { createRunProviders } = require('../providers');
+const { getTemplate } = require('./templates');
+const { withOutputCheck } = require('../utils/structuredOutput');
+
+// Registry prompt of each agent (see ./prompts)
+const PROMPTS = {
+  planner: 'search-strategy',
+  analyzer: 'market-analysis',
+  synthesizer: 'report',
+};
+
+/**
+ * Market intelligence workflow built on the standalone agents in src/agents
+ * (formerly WorkflowService). Runs the 'agent-workflow' pipeline.
+ */
+class AgentWorkflow {
+  constructor(config) {
+    this.config = config;
+    this.llm = createLLMProvider(config);
+    this.searchAgent = new SearchAgent(this.llm);
+    this.analysisAgent = new AnalysisAgent(this.llm);
+    this.synthesisAgent = new SynthesisAgent(this.llm);
+    this.pipeline = new PipelineEngine(getPipeline('agent-workflow'), this);
+    this.promptIds = PROMPTS;
+  }
+
+  createInitialState() {
+    return {
+      query: '',
+      template: null,
+      searchPlan: null,
+      rawData: [],
+      processedData: null,
+      analysisResults: null,
+      finalReport: '',
+      visualizations: [],
+      metadata: {},
+      errors: [],
+      currentStep: 'initializing',
+      progress: { current: 0, total: 4, percentage: 0 },
+    };
+  }
+
+  /**
+   * Same options as LangChainMultiAgent.execute (signal, onEvent, onCheckpoint, checkpoints,
+   * searchProviders, fixtures, template, meter, budget, prompts)
+   */
+  async execute(query, userId, options = {}) {
+    const workflowId = uuidv4();
+    const checkpoints = options.checkpoints || [];
+    const searchProviders = resolveSearchProviders(this.config, options.searchProviders);
+
+    logger.info(`Starting agent workflow ${workflowId}`, { query, userId });
+
+    const state = this.pipeline.restore(
+      {
+        ...this.createInitialState(),
+        query: query.trim(),
+        template: options.template || getTemplate(),
+        metadata: {
+          workflowId,
+          userId,
+          searchProviders,
+          startTime: new Date().toISOString(),
+        },
+      },
+      checkpoints
+    );
+
+    try {
+      const currentState = await this.pipeline.run(state, {
+        signal: options.signal,
+        onEvent: options.onEvent,
+        onCheckpoint: options.onCheckpoint,
+        context: createRunProviders(this.config, {
+          llm: this.llm,
+          searchProviders,
+          fixtures: options.fixtures,
+          meter: options.meter,
+          budget: options.budget,
+          prompts: options.prompts,
+        }),
+        startAt: this.pipeline.resumeAt(checkpoints.length),
+      });
+
+      return {
+        success: true,
+        workflowId,
+        data: currentState,
+        metadata: {
+          ...currentState.metadata,
+          endTime: new Date().toISOString(),
+          duration: new Date() - new Date(currentState.metadata.startTime),
+        },
+      };
+    } catch (error) {
+      if (error instanceof CancellationError) {
+        logger.info(`Workflow cancelled`, { workflowId });
+        return { success: false, cancelled: true, workflowId, error: error.message };
+      }
+
+      logger.error(`Agent workflow failed`, { workflowId, error: error.message });
+      return { success: false, workflowId, error: error.message };
+    }
+  }
+
+  async planSearch(state, signal, { llm, prompts }) {
+    let check;
+    const searchPlan = await this.searchAgent.planSearchStrategy(state.query, {
+      llm,
+      prompts,
+      template: state.template,
+      signal,
+      onOutputCheck: (outputCheck) => {
+        check = outputCheck;
+      },
+    });
+
+    return {
+      ...state,
+      searchPlan,
+      currentStep: 'planning_complete',
+      progress: { current: 1, total: 4, percentage: 25 },
+      metadata: check ? withOutputCheck(state.metadata, 'planner', check) : state.metadata,
+    };
+  }
+
+  async gatherData(state, signal, { search, budget }) {
+    const rawData = await this.searchAgent.gatherData(state.searchPlan, {
+      search,
+      signal,
+      budget,
+    });
+
+    return {
+      ...state,
+      rawData,
+      currentStep: 'search_complete',
+      progress: { current: 2, total: 4, percentage: 50 },
+      metadata: {
+        ...state.metadata,
+        totalSources: rawData.length,
+        searchTermsUsed:
+          (state.searchPlan?.primaryTerms?.length || 0) +
+          (state.searchPlan?.secondaryTerms?.length || 0),
+      },
+    };
+  }
+
+  async analyzeData(state, signal, { llm, prompts }) {
+    const processedData = await this.analysisAgent.processData(state.rawData);
+    let check;
+    const analysisResults = await this.analysisAgent.analyzeMarketTrends(
+      processedData,
+      state.query,
+      {
+        llm,
+        prompts,
+        template: state.template,
+        signal,
+        onOutputCheck: (outputCheck) => {
+          check = outputCheck;
+        },
+      }
+    );
+
+    return {
+      ...state,
+      processedData,
+      analysisResults,
+      currentStep: 'analysis_complete',
+      progress: { current: 3, total: 4, percentage: 75 },
+      metadata: check ? withOutputCheck(state.metadata, 'analyzer', check) : state.metadata,
+    };
+  }
+
+  async writeReport(state, signal, { llm, prompts }) {
+    const finalReport = await this.synthesisAgent.generateReport(
+      state.analysisResults,
+      state.processedData,
+      state.query,
+      { llm, prompts, template: state.template, signal }
+    );
+    const visualizations = await this.synthesisAgent.createVisualizations(state.analysisResults);
+
+    return {
+      ...state,
+      finalReport,
+      visualizations,
+      currentStep: 'synthesis_complete',
+      progress: { current: 4, total: 4, percentage: 100 },
+    };
+  }
+}
+
+module.exports = AgentWorkflow;
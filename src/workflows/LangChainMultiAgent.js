@@ -1,110 +1,50 @@
-const { ChatOpenAI } = require('@langchain/openai');
 const { HumanMessage, AIMessage } = require('@langchain/core/messages');
 const { v4: uuidv4 } = require('uuid');
 const { logger } = require('../utils/logger');
-
-/**
- * Direct Tavily API implementation to replace broken LangChain wrapper
- */
-class TavilySearchTool {
-  constructor(apiKey) {
-    if (!apiKey) {
-      throw new Error('Tavily API key is required');
-    }
-    this.apiKey = apiKey;
-    this.baseUrl = 'https://api.tavily.com';
-  }
-
-  async search(query, options = {}) {
-    try {
-      logger.debug('Tavily API call', { query: query.substring(0, 50) });
-
-      const response = await fetch(`${this.baseUrl}/search`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({
-          api_key: this.apiKey,
-          query: query.trim(),
-          search_depth: options.search_depth || 'advanced',
-          max_results: options.max_results || 10,
-          include_answer: false,
-          include_raw_content: false,
-          include_domains: options.include_domains || [],
-          exclude_domains: options.exclude_domains || [],
-        }),
-      });
-
-      if (!response.ok) {
-        const errorText = await response.text();
-        logger.error('Tavily API error', {
-          status: response.status,
-          error: errorText,
-          query: query.substring(0, 50),
-        });
-        return []; // ✅ Return empty array on error
-      }
-
-      // ✅ Parse JSON response
-      const data = await response.json();
-
-      // ✅ Extract results array - Tavily returns { results: [...] }
-      const results = data.results || [];
-
-      // ✅ Verify it's an array before returning
-      if (!Array.isArray(results)) {
-        logger.error('Tavily returned non-array results', {
-          type: typeof results,
-          data: JSON.stringify(data).substring(0, 200),
-        });
-        return [];
-      }
-
-      logger.debug('Tavily search successful', {
-        query: query.substring(0, 50),
-        resultCount: results.length,
-        isArray: Array.isArray(results),
-      });
-
-      return results; // ✅ Return actual array
-    } catch (error) {
-      logger.error('Tavily search failed', {
-        query: query.substring(0, 50),
-        error: error.message,
-      });
-      return []; // ✅ Return empty array on error
-    }
-  }
-}
+const { CancellationError } = require('../utils/errors');
+const { CITATION_INSTRUCTIONS, resolveCitations } = require('../utils/citations');
+const { throwIfCancelled, wait } = require('../utils/cancellation');
+const { completeStructured, withOutputCheck } = require('../utils/structuredOutput');
+const PipelineEngine = require('./PipelineEngine');
+const { getPipeline } = require('./pipelines');
+const { createLLMProvider } = require('../providers/llm');
+const { resolveSearchProviders } = require('../providers/search');
+const { createRunProviders } = require('../providers');
+const { getTemplate, plannerGuidance, outputInstructions, reportSections } = require('./templates');
+const { OUTPUT_SCHEMAS } = require('./outputSchemas');
+
+// Registry prompt of each agent (see ./prompts)
+const PROMPTS = {
+  planner: 'multiagent-planner',
+  analyzer: 'multiagent-analyzer',
+  synthesizer: 'multiagent-report',
+};
+
+const REPORT_SECTIONS = [
+  'Executive Summary',
+  'Key Findings',
+  'Market Trends',
+  'Competitive Landscape',
+  'Challenges & Opportunities',
+  'Recommendations',
+  'Data Sources Summary',
+];
 
 class LangChainMultiAgent {
   constructor(config) {
     this.config = config;
 
-    // Validate required API keys
-    if (!config.apiKeys.openai) {
-      throw new Error('OpenAI API key is required');
-    }
-    if (!config.apiKeys.tavily) {
-      throw new Error('Tavily API key is required');
-    }
-
-    this.llm = new ChatOpenAI({
-      openAIApiKey: config.apiKeys.openai,
-      modelName: 'gpt-4',
-      temperature: 0.3,
-      maxTokens: 2000,
-    });
-
-    // Use direct Tavily implementation instead of broken LangChain wrapper
-    this.searchTool = new TavilySearchTool(config.apiKeys.tavily);
+    // Providers check their own API keys; search providers are chosen per analysis
+    this.llm = createLLMProvider(config);
+    this.pipeline = new PipelineEngine(getPipeline(config.analysis?.pipeline), this);
+    this.promptIds = PROMPTS;
     this.workflowState = this.createInitialState();
   }
 
   createInitialState() {
     return {
       query: '',
+      template: null,
       searchPlan: null,
       rawData: [],
       processedData: null,
@@ -119,64 +59,66 @@ class LangChainMultiAgent {
   }
 
   /**
-   * Main workflow execution - orchestrates all agents
+   * Main workflow execution - orchestrates all agents.
+   * Aborting options.signal stops the run between agents and cancels in-flight calls;
+   * options.onEvent(type, data) is notified as each agent starts and finishes.
+   * options.onCheckpoint(agent, checkpoint) receives each agent's output as it completes,
+   * and options.checkpoints (in agent order) restores earlier agents instead of re-running them.
+   * options.searchProviders names the search providers to use (merged when several), and
+   * options.fixtures (a FixtureSession) records or replays the run's LLM and search traffic.
+   * options.template is the analysis template definition (default: the general template),
+   * options.meter (a UsageMeter) meters each agent's LLM and search calls,
+   * options.budget (a Budget) tells the agents when to skip optional work, and
+   * options.prompts (a PromptSet, see ./prompts) holds the prompt versions to run with.
    */
-  async execute(query, userId) {
+  async execute(query, userId, options = {}) {
+    const run = {
+      signal: options.signal,
+      onEvent: options.onEvent || (() => {}),
+      onCheckpoint: options.onCheckpoint || (() => {}),
+    };
+    const checkpoints = options.checkpoints || [];
+    const searchProviders = resolveSearchProviders(this.config, options.searchProviders);
     const workflowId = uuidv4();
 
-    logger.info(`Starting LangChain Multi-Agent workflow ${workflowId}`, { query, userId });
+    logger.info(`Starting LangChain Multi-Agent workflow ${workflowId}`, {
+      query,
+      userId,
+      restoredAgents: checkpoints.map((checkpoint) => checkpoint.agent),
+    });
 
     // Initialize state
-    const state = {
-      ...this.createInitialState(),
-      query: query.trim(),
-      metadata: {
-        workflowId,
-        userId,
-        startTime: new Date().toISOString(),
+    const state = this.pipeline.restore(
+      {
+        ...this.createInitialState(),
+        query: query.trim(),
+        template: options.template || getTemplate(),
+        metadata: {
+          workflowId,
+          userId,
+          searchProviders,
+          startTime: new Date().toISOString(),
+        },
+        messages: [new HumanMessage(`Starting analysis for: ${query}`)],
       },
-      messages: [new HumanMessage(`Starting analysis for: ${query}`)],
-    };
+      checkpoints
+    );
 
     try {
-      let currentState = state;
-
-      // Agent 1: Planner
-      currentState = await this.executeAgent('planner', currentState);
-
-      // Agent 2: Searcher
-      currentState = await this.executeAgent('searcher', currentState);
-
-      // ✅ CRITICAL DEBUG: Check data type after search
-      logger.info('POST-SEARCH DEBUG CHECK', {
-        rawDataType: typeof currentState.rawData,
-        rawDataIsArray: Array.isArray(currentState.rawData),
-        rawDataLength: currentState.rawData?.length || 0,
-        rawDataConstructor: currentState.rawData?.constructor?.name || 'unknown',
-        // Log first few characters if it's a string
-        rawDataPreview:
-          typeof currentState.rawData === 'string'
-            ? currentState.rawData.substring(0, 100)
-            : 'not-string',
+      // Agent order, retries and the quality loop all come from the pipeline definition
+      const currentState = await this.pipeline.run(state, {
+        ...run,
+        context: createRunProviders(this.config, {
+          llm: this.llm,
+          searchProviders,
+          fixtures: options.fixtures,
+          meter: options.meter,
+          budget: options.budget,
+          prompts: options.prompts,
+        }),
+        startAt: this.pipeline.resumeAt(checkpoints.length),
       });
 
-      // ✅ EMERGENCY FIX: If rawData is somehow a string, parse it
-      if (typeof currentState.rawData === 'string') {
-        logger.error('EMERGENCY: rawData is a string after searchAgent!');
-        try {
-          currentState.rawData = JSON.parse(currentState.rawData);
-          logger.info('Emergency parse successful');
-        } catch (e) {
-          logger.error('Emergency parse failed, using empty array');
-          currentState.rawData = [];
-        }
-      }
-
-      // Continue with other agents
-      currentState = await this.executeAgent('analyzer', currentState);
-      currentState = await this.executeAgent('synthesizer', currentState);
-      currentState = await this.executeAgent('validator', currentState);
-
       return {
         success: true,
         workflowId,
@@ -188,6 +130,16 @@ class LangChainMultiAgent {
         },
       };
     } catch (error) {
+      if (error instanceof CancellationError) {
+        logger.info(`Workflow cancelled`, { workflowId });
+        return {
+          success: false,
+          cancelled: true,
+          workflowId,
+          error: error.message,
+        };
+      }
+
       logger.error(`Workflow failed`, { workflowId, error: error.message });
       return {
         success: false,
@@ -197,82 +149,31 @@ class LangChainMultiAgent {
     }
   }
 
-  /**
-   * Execute individual agent with error isolation
-   */
-  async executeAgent(agentName, state) {
-    try {
-      logger.info(`Executing ${agentName} agent`);
-
-      switch (agentName) {
-        case 'planner':
-          return await this.plannerAgent(state);
-        case 'searcher':
-          return await this.searchAgent(state);
-        case 'analyzer':
-          return await this.analysisAgent(state);
-        case 'synthesizer':
-          return await this.synthesisAgent(state);
-        case 'validator':
-          return await this.validatorAgent(state);
-        default:
-          throw new Error(`Unknown agent: ${agentName}`);
-      }
-    } catch (error) {
-      logger.error(`Agent ${agentName} failed:`, error);
-      return {
-        ...state,
-        errors: [
-          ...(state.errors || []),
-          {
-            agent: agentName,
-            error: error.message,
-            timestamp: new Date().toISOString(),
-          },
-        ],
-      };
-    }
-  }
-
   /**
    * Agent 1: Planner Agent - Creates search strategy
    */
-  async plannerAgent(state) {
+  async plannerAgent(state, signal, { llm, prompts }) {
     logger.info('PlannerAgent: Creating search strategy', { query: state.query });
 
     const messages = [
-      new HumanMessage(`You are a strategic market research planner. 
-      
-      Analyze this query and create a comprehensive search strategy:
-      Query: "${state.query}"
-      
-      Return ONLY a JSON object with:
-      {
-        "primaryTerms": ["3-5 most important search terms"],
-        "secondaryTerms": ["2-3 supporting search terms"], 
-        "searchCategories": ["market trends", "competitor analysis"],
-        "timeframe": "recent",
-        "priority": "high"
-      }
-      
-      Focus on creating targeted searches for market intelligence. Return only JSON, no other text.`),
+      new HumanMessage(
+        prompts.render(PROMPTS.planner, {
+          query: state.query,
+          plannerGuidance: plannerGuidance(state.template),
+        })
+      ),
     ];
 
-    const response = await this.llm.invoke(messages);
-    let searchPlan;
-
-    try {
-      // Extract JSON from response
-      const jsonMatch = response.content.match(/\{[\s\S]*\}/);
-      if (jsonMatch) {
-        searchPlan = JSON.parse(jsonMatch[0]);
-      }
-    } catch (error) {
-      logger.warn('Failed to parse search plan JSON, using fallback');
-    }
+    const { data, check } = await completeStructured(
+      llm,
+      { task: 'search-plan', messages, signal },
+      OUTPUT_SCHEMAS.searchPlan
+    );
+    let searchPlan = data;
 
     // Fallback search plan
     if (!searchPlan) {
+      logger.warn('Search plan did not match its schema, using fallback', { issues: check.issues });
       const queryWords = state.query.split(' ').filter((word) => word.length > 2);
       searchPlan = {
         primaryTerms: [
@@ -293,7 +194,7 @@ class LangChainMultiAgent {
       currentStep: 'planning_complete',
       progress: { current: 1, total: 5, percentage: 20 },
       metadata: {
-        ...state.metadata,
+        ...withOutputCheck(state.metadata, 'planner', check),
         plannerTimestamp: new Date().toISOString(),
         searchTermsCount:
           (searchPlan.primaryTerms?.length || 0) + (searchPlan.secondaryTerms?.length || 0),
@@ -302,7 +203,7 @@ class LangChainMultiAgent {
     };
   }
 
-  async searchAgent(state) {
+  async searchAgent(state, signal, { search, budget }) {
     logger.info('SearchAgent: Gathering data', {
       primaryTerms: state.searchPlan?.primaryTerms?.length || 0,
     });
@@ -324,14 +225,17 @@ class LangChainMultiAgent {
       };
     }
 
-    const allSearchTerms = [
-      ...(searchPlan.primaryTerms || []),
-      ...(searchPlan.secondaryTerms || []),
-    ];
+    const isValidTerm = (term) => term && typeof term === 'string' && term.trim().length > 0;
+    const primaryTerms = (searchPlan.primaryTerms || []).filter(isValidTerm).slice(0, 6);
+    const secondaryTerms = (searchPlan.secondaryTerms || [])
+      .filter(isValidTerm)
+      .slice(0, 6 - primaryTerms.length);
 
-    const validTerms = allSearchTerms
-      .filter((term) => term && typeof term === 'string' && term.trim().length > 0)
-      .slice(0, 6);
+    // Over budget, secondary (then primary) terms are skipped instead of searched
+    const planned = budget
+      ? budget.planSearches({ primary: primaryTerms, secondary: secondaryTerms })
+      : { primary: primaryTerms, secondary: secondaryTerms };
+    const validTerms = [...planned.primary, ...planned.secondary];
 
     if (validTerms.length === 0) {
       return {
@@ -355,37 +259,27 @@ class LangChainMultiAgent {
 
     // Execute searches sequentially to avoid rate limits
     for (const [index, term] of validTerms.entries()) {
+      // A limit reached mid-loop skips the terms left
+      if (budget && !budget.allow(`${validTerms.length - index} search term(s)`)) break;
+
       try {
         // Add delay between requests
         if (index > 0) {
-          await new Promise((resolve) => setTimeout(resolve, 1000));
+          await wait(search.requestDelayMs, signal);
         }
 
         const searchQuery = `${term} ${state.query}`.substring(0, 400).trim();
         logger.debug(`Executing search ${index + 1}/${validTerms.length}: ${searchQuery}`);
 
-        // Call Tavily API directly
-        const searchResults = await this.searchTool.search(searchQuery, {
-          search_depth: 'advanced',
-          max_results: 5,
-          exclude_domains: ['reddit.com', 'twitter.com', 'facebook.com'],
+        // Providers return normalized results: url, title, content, score, published_date
+        const results = await search.search(searchQuery, {
+          searchDepth: 'advanced',
+          maxResults: 5,
+          excludeDomains: ['reddit.com', 'twitter.com', 'facebook.com'],
+          timeRange: searchPlan.timeframe,
+          signal,
         });
 
-        // ✅ CRITICAL: Ensure searchResults is an array
-        let results = [];
-        if (Array.isArray(searchResults)) {
-          results = searchResults;
-        } else if (
-          searchResults &&
-          typeof searchResults === 'object' &&
-          Array.isArray(searchResults.results)
-        ) {
-          results = searchResults.results;
-        } else {
-          logger.warn(`Search ${index + 1} returned non-array:`, typeof searchResults);
-          results = [];
-        }
-
         // ✅ Process each result individually and add to rawData array
         for (const result of results) {
           if (result && typeof result === 'object' && result.title && result.content) {
@@ -395,10 +289,12 @@ class LangChainMultiAgent {
               url: String(result.url || ''),
               content: String(result.content).substring(0, 1000), // Limit content
               score: Number(result.score || 0),
+              published_date: result.published_date,
+              provider: result.provider,
               searchTerm: String(term),
               retrievedAt: new Date().toISOString(),
               relevanceScore: this.calculateRelevanceScore(result, state.query),
-              type: 'web_search',
+              type: result.provider === 'local' ? 'local_document' : 'web_search',
             };
 
             // ✅ Push individual object to array (NOT stringify)
@@ -409,6 +305,8 @@ class LangChainMultiAgent {
         successfulSearches++;
         logger.debug(`Search ${index + 1} completed: ${results.length} results added`);
       } catch (error) {
+        if (error instanceof CancellationError) throw error;
+
         failedSearches++;
         logger.warn(`Search ${index + 1} failed for term: ${term}`, { error: error.message });
         // Continue with next search instead of breaking
@@ -513,7 +411,7 @@ class LangChainMultiAgent {
   /**
    * Agent 3: Analysis Agent - Processes and analyzes data
    */
-  async analysisAgent(state) {
+  async analysisAgent(state, signal, { llm, prompts }) {
     logger.info('AnalysisAgent: Processing data', {
       sourcesCount: state.rawData?.length || 0,
     });
@@ -557,52 +455,43 @@ class LangChainMultiAgent {
       };
     }
 
-    // Prepare data summary for analysis (limit to prevent token overflow)
-    const dataSummary = rawData
-      .slice(0, 10)
+    // Prepare data summary for analysis (limit to prevent token overflow); the
+    // numbers are what the analysis cites
+    const sources = rawData.slice(0, 10);
+    const dataSummary = sources
       .map(
-        (item, index) => `Source ${index + 1}: ${item.title}\n${item.content?.substring(0, 300)}...`
+        (item, index) =>
+          `[${index + 1}] ${item.title} (${item.url})\n${item.content?.substring(0, 300)}...`
       )
       .join('\n\n');
 
     const messages = [
-      new HumanMessage(`You are a senior market analyst. Analyze the following data and provide insights.
-
-      Query: "${state.query}"
-      
-      Data Sources (${rawData.length} sources):
-      ${dataSummary}
-
-      Provide analysis in JSON format only:
-      {
-        "keyTrends": ["trend1", "trend2"],
-        "marketSize": "estimated market size if available",
-        "growthRate": "growth rate if available", 
-        "keyPlayers": ["company1", "company2"],
-        "challenges": ["challenge1", "challenge2"],
-        "opportunities": ["opportunity1", "opportunity2"],
-        "sentiment": "positive|negative|neutral",
-        "confidence": "high|medium|low",
-        "dataQuality": "high|medium|low"
-      }
-
-      Return only JSON, no other text.`),
+      new HumanMessage(
+        prompts.render(PROMPTS.analyzer, {
+          query: state.query,
+          sourceCount: rawData.length,
+          dataSummary,
+          citationInstructions: CITATION_INSTRUCTIONS,
+          outputInstructions: outputInstructions(state.template),
+        })
+      ),
     ];
 
-    const response = await this.llm.invoke(messages);
-    let analysisResults;
-
-    try {
-      const jsonMatch = response.content.match(/\{[\s\S]*\}/);
-      if (jsonMatch) {
-        analysisResults = JSON.parse(jsonMatch[0]);
-      }
-    } catch (error) {
-      logger.warn('Failed to parse analysis JSON, using fallback');
-    }
+    const { data, check } = await completeStructured(
+      llm,
+      { task: 'market-analysis', messages, signal },
+      OUTPUT_SCHEMAS.marketAnalysis
+    );
+    let analysisResults =
+      data &&
+      resolveCitations(
+        data,
+        sources.map((item) => item.url)
+      );
 
     // Fallback analysis
     if (!analysisResults) {
+      logger.warn('Analysis did not match its schema, using fallback', { issues: check.issues });
       analysisResults = {
         keyTrends: ['Market analysis in progress'],
         marketSize: 'Data being processed',
@@ -638,7 +527,7 @@ class LangChainMultiAgent {
       currentStep: 'analysis_complete',
       progress: { current: 3, total: 5, percentage: 60 },
       metadata: {
-        ...state.metadata,
+        ...withOutputCheck(state.metadata, 'analyzer', check),
         analysisTimestamp: new Date().toISOString(),
       },
       messages: [...state.messages, new AIMessage('Data analysis completed')],
@@ -648,32 +537,23 @@ class LangChainMultiAgent {
   /**
    * Agent 4: Synthesis Agent - Generates final report
    */
-  async synthesisAgent(state) {
+  async synthesisAgent(state, signal, { llm, prompts }) {
     logger.info('SynthesisAgent: Generating report');
 
     const { query, analysisResults, processedData } = state;
 
     const messages = [
-      new HumanMessage(`You are a professional market intelligence report writer.
-      
-      Create a comprehensive report for this query: "${query}"
-      
-      Analysis Results: ${JSON.stringify(analysisResults, null, 2)}
-      Data Quality: ${processedData?.totalSources || 0} sources analyzed
-
-      Generate a professional HTML report with:
-      1. Executive Summary
-      2. Key Findings  
-      3. Market Trends
-      4. Competitive Landscape
-      5. Challenges & Opportunities
-      6. Recommendations
-      7. Data Sources Summary
-
-      Use proper HTML structure with inline CSS styling. Make it comprehensive and actionable.`),
+      new HumanMessage(
+        prompts.render(PROMPTS.synthesizer, {
+          query,
+          analysisResults: JSON.stringify(analysisResults, null, 2),
+          sourceCount: processedData?.totalSources || 0,
+          reportSections: reportSections(state.template, REPORT_SECTIONS),
+        })
+      ),
     ];
 
-    const response = await this.llm.invoke(messages);
+    const response = await llm.complete({ task: 'report', messages, signal });
 
     return {
       ...state,
@@ -692,9 +572,11 @@ class LangChainMultiAgent {
   /**
    * Agent 5: Validator Agent - Quality control
    */
-  async validatorAgent(state) {
+  async validatorAgent(state, signal) {
     logger.info('ValidatorAgent: Validating results');
 
+    throwIfCancelled(signal);
+
     const { finalReport, analysisResults, processedData } = state;
 
     // Validation criteria
@@ -729,16 +611,6 @@ class LangChainMultiAgent {
       ],
     };
   }
-
-  /**
-   * Check if reprocessing is needed
-   */
-  shouldReprocess(state) {
-    const errors = state.errors || [];
-    const dataQuality = state.processedData?.qualityMetrics?.averageRelevanceScore || 0;
-
-    return errors.length > 3 || dataQuality < 2;
-  }
 }
 
 module.exports = LangChainMultiAgent;
@@ -1,8 +1,33 @@
-const { ChatOpenAI } = require('@langchain/openai');
-const { TavilySearchResults } = require('@langchain/community/tools/tavily_search');
 const { HumanMessage, AIMessage } = require('@langchain/core/messages');
 const { v4: uuidv4 } = require('uuid');
 const { logger } = require('../utils/logger');
+const { CancellationError } = require('../utils/errors');
+const { CITATION_INSTRUCTIONS, resolveCitations } = require('../utils/citations');
+const { completeStructured, withOutputCheck } = require('../utils/structuredOutput');
+const PipelineEngine = require('./PipelineEngine');
+const { getPipeline } = require('./pipelines');
+const { createLLMProvider } = require('../providers/llm');
+const { resolveSearchProviders } = require('../providers/search');
+const { createRunProviders } = require('../providers');
+const { getTemplate, plannerGuidance, outputInstructions, reportSections } = require('./templates');
+const { OUTPUT_SCHEMAS } = require('./outputSchemas');
+
+// Registry prompt of each agent (see ./prompts)
+const PROMPTS = {
+  planner: 'graph-planner',
+  analyzer: 'graph-analyzer',
+  synthesizer: 'graph-report',
+};
+
+const REPORT_SECTIONS = [
+  'Executive Summary',
+  'Key Findings',
+  'Market Trends',
+  'Competitive Landscape',
+  'Challenges & Opportunities',
+  'Recommendations',
+  'Data Sources Summary',
+];
 
 /**
  * Multi-Agent Market Intelligence System using LangChain
@@ -12,24 +37,16 @@ const { logger } = require('../utils/logger');
 class LangChainMultiAgent {
   constructor(config) {
     this.config = config;
-    this.llm = new ChatOpenAI({
-      openAIApiKey: config.apiKeys.openai,
-      modelName: 'gpt-4',
-      temperature: 0.3,
-      maxTokens: 2000,
-    });
-
-    this.searchTool = new TavilySearchResults({
-      apiKey: config.apiKeys.tavily,
-      maxResults: 10,
-    });
-
+    this.llm = createLLMProvider(config);
+    this.pipeline = new PipelineEngine(getPipeline(config.analysis?.pipeline), this);
+    this.promptIds = PROMPTS;
     this.workflowState = this.createInitialState();
   }
 
   createInitialState() {
     return {
       query: '',
+      template: null,
       searchPlan: null,
       rawData: [],
       processedData: null,
@@ -44,68 +61,55 @@ class LangChainMultiAgent {
   }
 
   /**
-   * Main workflow execution - orchestrates all agents
+   * Main workflow execution - orchestrates all agents.
+   * Takes the same options as LangChainMultiAgent.execute (signal, onEvent,
+   * onCheckpoint, checkpoints, searchProviders, fixtures, template, meter, budget,
+   * prompts); cancellation is checked between agents.
    */
-  async execute(query, userId) {
+  async execute(query, userId, options = {}) {
     const workflowId = uuidv4();
+    const checkpoints = options.checkpoints || [];
+    const searchProviders = resolveSearchProviders(this.config, options.searchProviders);
 
     logger.info(`Starting LangChain Multi-Agent workflow ${workflowId}`, { query, userId });
 
     // Initialize state
-    const state = {
-      ...this.createInitialState(),
-      query: query.trim(),
-      metadata: {
-        workflowId,
-        userId,
-        startTime: new Date().toISOString(),
+    const state = this.pipeline.restore(
+      {
+        ...this.createInitialState(),
+        query: query.trim(),
+        template: options.template || getTemplate(),
+        metadata: {
+          workflowId,
+          userId,
+          searchProviders,
+          startTime: new Date().toISOString(),
+        },
+        messages: [new HumanMessage(`Starting analysis for: ${query}`)],
       },
-      messages: [new HumanMessage(`Starting analysis for: ${query}`)],
-    };
+      checkpoints
+    );
 
     try {
-      // Execute agents in sequence with error handling
-      let currentState = state;
-
-      // Agent 1: Planner
-      currentState = await this.executeAgent('planner', currentState);
-      if (currentState.errors.length > 0) {
-        logger.warn('Planner agent had errors, continuing...');
-      }
-
-      // Agent 2: Searcher
-      currentState = await this.executeAgent('searcher', currentState);
-      if (currentState.errors.length > 1) {
-        logger.warn('Search agent had errors, continuing...');
-      }
-
-      // Agent 3: Analyzer
-      currentState = await this.executeAgent('analyzer', currentState);
-      if (currentState.errors.length > 2) {
-        logger.warn('Analysis agent had errors, continuing...');
-      }
-
-      // Agent 4: Synthesizer
-      currentState = await this.executeAgent('synthesizer', currentState);
-      if (currentState.errors.length > 3) {
-        logger.warn('Synthesis agent had errors, continuing...');
-      }
-
-      // Agent 5: Validator
-      currentState = await this.executeAgent('validator', currentState);
-
-      // Check if reprocessing is needed
-      if (this.shouldReprocess(currentState)) {
-        logger.info('Reprocessing analysis for better quality...');
-        currentState.metadata.retryCount = (currentState.metadata.retryCount || 0) + 1;
-        currentState = await this.executeAgent('analyzer', currentState);
-        currentState = await this.executeAgent('synthesizer', currentState);
-        currentState = await this.executeAgent('validator', currentState);
-      }
+      // Agent order and the quality retry come from the shared pipeline definition
+      const currentState = await this.pipeline.run(state, {
+        signal: options.signal,
+        onEvent: options.onEvent,
+        onCheckpoint: options.onCheckpoint,
+        context: createRunProviders(this.config, {
+          llm: this.llm,
+          searchProviders,
+          fixtures: options.fixtures,
+          meter: options.meter,
+          budget: options.budget,
+          prompts: options.prompts,
+        }),
+        startAt: this.pipeline.resumeAt(checkpoints.length),
+      });
 
       logger.info(`LangChain Multi-Agent workflow completed`, {
         workflowId,
-        totalSteps: 5,
+        totalSteps: this.pipeline.sequence.length,
         errors: currentState.errors?.length || 0,
       });
 
@@ -120,6 +124,11 @@ class LangChainMultiAgent {
         },
       };
     } catch (error) {
+      if (error instanceof CancellationError) {
+        logger.info(`Workflow cancelled`, { workflowId });
+        return { success: false, cancelled: true, workflowId, error: error.message };
+      }
+
       logger.error(`LangChain Multi-Agent workflow failed`, { workflowId, error: error.message });
 
       return {
@@ -137,70 +146,30 @@ class LangChainMultiAgent {
     }
   }
 
-  /**
-   * Execute individual agent
-   */
-  async executeAgent(agentName, state) {
-    try {
-      switch (agentName) {
-        case 'planner':
-          return await this.plannerAgent(state);
-        case 'searcher':
-          return await this.searchAgent(state);
-        case 'analyzer':
-          return await this.analysisAgent(state);
-        case 'synthesizer':
-          return await this.synthesisAgent(state);
-        case 'validator':
-          return await this.validatorAgent(state);
-        default:
-          throw new Error(`Unknown agent: ${agentName}`);
-      }
-    } catch (error) {
-      logger.error(`Agent ${agentName} failed:`, error);
-      return {
-        ...state,
-        errors: [...state.errors, { agent: agentName, error: error.message }],
-      };
-    }
-  }
-
   /**
    * Agent 1: Planner Agent - Creates search strategy
    */
-  async plannerAgent(state) {
+  async plannerAgent(state, signal, { llm, prompts }) {
     logger.info('PlannerAgent: Creating search strategy', { query: state.query });
 
     const messages = [
-      new HumanMessage(`You are a strategic market research planner. 
-      
-      Analyze this query and create a comprehensive search strategy:
-      Query: "${state.query}"
-      
-      Return a JSON object with:
-      {
-        "primaryTerms": ["most important search terms"],
-        "secondaryTerms": ["supporting search terms"], 
-        "searchCategories": ["market trends", "competitor analysis", etc.],
-        "expectedSources": ["industry reports", "news articles", etc.],
-        "timeframe": "recent|historical|both",
-        "priority": "high|medium|low"
-      }
-      
-      Focus on creating targeted searches for market intelligence.`),
+      new HumanMessage(
+        prompts.render(PROMPTS.planner, {
+          query: state.query,
+          plannerGuidance: plannerGuidance(state.template),
+        })
+      ),
     ];
 
-    const response = await this.llm.invoke(messages);
-    let searchPlan;
-
-    try {
-      const jsonMatch = response.content.match(/\{[\s\S]*\}/);
-      searchPlan = jsonMatch ? JSON.parse(jsonMatch[0]) : null;
-    } catch (error) {
-      logger.warn('Failed to parse search plan JSON, using fallback');
-    }
+    const { data, check } = await completeStructured(
+      llm,
+      { task: 'search-plan', messages, signal },
+      OUTPUT_SCHEMAS.searchPlan
+    );
+    let searchPlan = data;
 
     if (!searchPlan) {
+      logger.warn('Search plan did not match its schema, using fallback', { issues: check.issues });
       searchPlan = {
         primaryTerms: state.query.split(' ').slice(0, 3),
         secondaryTerms: ['market analysis', 'trends', 'insights'],
@@ -217,7 +186,7 @@ class LangChainMultiAgent {
       currentStep: 'planning_complete',
       progress: { current: 1, total: 5, percentage: 20 },
       metadata: {
-        ...state.metadata,
+        ...withOutputCheck(state.metadata, 'planner', check),
         plannerTimestamp: new Date().toISOString(),
         searchTermsCount:
           (searchPlan.primaryTerms?.length || 0) + (searchPlan.secondaryTerms?.length || 0),
@@ -227,35 +196,41 @@ class LangChainMultiAgent {
   }
 
   /**
-   * Agent 2: Search Agent - Gathers data using Tavily API
+   * Agent 2: Search Agent - Gathers data from the analysis' search providers
    */
-  async searchAgent(state) {
+  async searchAgent(state, signal, { search, budget }) {
     logger.info('SearchAgent: Gathering data', {
       primaryTerms: state.searchPlan?.primaryTerms?.length || 0,
     });
 
     const searchPlan = state.searchPlan;
-    const allSearchTerms = [
-      ...(searchPlan.primaryTerms || []),
-      ...(searchPlan.secondaryTerms || []),
-    ];
+    const primaryTerms = (searchPlan.primaryTerms || []).slice(0, 6);
+    const secondaryTerms = (searchPlan.secondaryTerms || []).slice(0, 6 - primaryTerms.length);
 
-    const searchPromises = allSearchTerms.slice(0, 6).map(async (term) => {
+    // Over budget, secondary (then primary) terms are skipped instead of searched
+    const planned = budget
+      ? budget.planSearches({ primary: primaryTerms, secondary: secondaryTerms })
+      : { primary: primaryTerms, secondary: secondaryTerms };
+    const allSearchTerms = [...planned.primary, ...planned.secondary];
+
+    const searchPromises = allSearchTerms.map(async (term) => {
       try {
         const searchQuery = `${term} ${state.query}`.substring(0, 400);
-        const results = await this.searchTool.invoke({
-          query: searchQuery,
+        const results = await search.search(searchQuery, {
+          maxResults: 10,
+          timeRange: searchPlan.timeframe,
+          signal,
         });
 
-        return Array.isArray(results)
-          ? results.map((result) => ({
-              ...result,
-              searchTerm: term,
-              retrievedAt: new Date().toISOString(),
-              relevanceScore: this.calculateRelevanceScore(result, state.query),
-            }))
-          : [];
+        return results.map((result) => ({
+          ...result,
+          searchTerm: term,
+          retrievedAt: new Date().toISOString(),
+          relevanceScore: this.calculateRelevanceScore(result, state.query),
+        }));
       } catch (error) {
+        if (error instanceof CancellationError) throw error;
+
         logger.warn(`Search failed for term: ${term}`, error);
         return [];
       }
@@ -290,55 +265,48 @@ class LangChainMultiAgent {
   /**
    * Agent 3: Analysis Agent - Processes and analyzes data
    */
-  async analysisAgent(state) {
+  async analysisAgent(state, signal, { llm, prompts }) {
     logger.info('AnalysisAgent: Processing data', {
       sourcesCount: state.rawData?.length || 0,
     });
 
     const rawData = state.rawData || [];
 
-    // Prepare data summary for analysis
-    const dataSummary = rawData
-      .slice(0, 10)
+    // Prepare data summary for analysis; the numbers are what the analysis cites
+    const sources = rawData.slice(0, 10);
+    const dataSummary = sources
       .map(
         (item, index) =>
-          `Source ${index + 1}: ${item.title || 'Unknown'}\n${item.content?.substring(0, 300)}...`
+          `[${index + 1}] ${item.title || 'Unknown'} (${item.url})\n${item.content?.substring(0, 300)}...`
       )
       .join('\n\n');
 
     const messages = [
-      new HumanMessage(`You are a senior market analyst. Analyze the following data and provide insights.
-
-      Query: "${state.query}"
-      
-      Data Sources (${rawData.length} sources):
-      ${dataSummary}
-
-      Provide analysis in JSON format:
-      {
-        "keyTrends": ["trend1", "trend2", ...],
-        "marketSize": "estimated market size if available",
-        "growthRate": "growth rate if available", 
-        "keyPlayers": ["company1", "company2", ...],
-        "challenges": ["challenge1", "challenge2", ...],
-        "opportunities": ["opportunity1", "opportunity2", ...],
-        "sentiment": "positive|negative|neutral",
-        "confidence": "high|medium|low",
-        "dataQuality": "high|medium|low"
-      }`),
+      new HumanMessage(
+        prompts.render(PROMPTS.analyzer, {
+          query: state.query,
+          sourceCount: rawData.length,
+          dataSummary,
+          citationInstructions: CITATION_INSTRUCTIONS,
+          outputInstructions: outputInstructions(state.template),
+        })
+      ),
     ];
 
-    const response = await this.llm.invoke(messages);
-    let analysisResults;
-
-    try {
-      const jsonMatch = response.content.match(/\{[\s\S]*\}/);
-      analysisResults = jsonMatch ? JSON.parse(jsonMatch[0]) : null;
-    } catch (error) {
-      logger.warn('Failed to parse analysis JSON, using fallback');
-    }
+    const { data, check } = await completeStructured(
+      llm,
+      { task: 'market-analysis', messages, signal },
+      OUTPUT_SCHEMAS.marketAnalysis
+    );
+    let analysisResults =
+      data &&
+      resolveCitations(
+        data,
+        sources.map((item) => item.url)
+      );
 
     if (!analysisResults) {
+      logger.warn('Analysis did not match its schema, using fallback', { issues: check.issues });
       analysisResults = {
         keyTrends: ['Data processing completed'],
         marketSize: 'Analysis in progress',
@@ -368,7 +336,7 @@ class LangChainMultiAgent {
       currentStep: 'analysis_complete',
       progress: { current: 3, total: 5, percentage: 60 },
       metadata: {
-        ...state.metadata,
+        ...withOutputCheck(state.metadata, 'analyzer', check),
         analysisTimestamp: new Date().toISOString(),
         analysisConfidence: analysisResults.confidence,
         dataQuality: analysisResults.dataQuality,
@@ -380,31 +348,23 @@ class LangChainMultiAgent {
   /**
    * Agent 4: Synthesis Agent - Generates comprehensive report
    */
-  async synthesisAgent(state) {
+  async synthesisAgent(state, signal, { llm, prompts }) {
     logger.info('SynthesisAgent: Generating report');
 
     const { analysisResults, processedData, query } = state;
 
     const messages = [
-      new HumanMessage(`You are an expert market intelligence report writer. Create a comprehensive report.
-
-      Query: "${query}"
-      Analysis Results: ${JSON.stringify(analysisResults, null, 2)}
-      Processed Data: ${JSON.stringify(processedData, null, 2)}
-
-      Generate a professional market intelligence report in HTML format with:
-      1. Executive Summary
-      2. Key Findings  
-      3. Market Trends
-      4. Competitive Landscape
-      5. Challenges & Opportunities
-      6. Recommendations
-      7. Data Sources Summary
-
-      Use proper HTML structure with professional styling. Make it comprehensive and actionable.`),
+      new HumanMessage(
+        prompts.render(PROMPTS.synthesizer, {
+          query,
+          analysisResults: JSON.stringify(analysisResults, null, 2),
+          processedData: JSON.stringify(processedData, null, 2),
+          reportSections: reportSections(state.template, REPORT_SECTIONS),
+        })
+      ),
     ];
 
-    const response = await this.llm.invoke(messages);
+    const response = await llm.complete({ task: 'report', messages, signal });
 
     return {
       ...state,
@@ -461,16 +421,6 @@ class LangChainMultiAgent {
     };
   }
 
-  /**
-   * Determine if reprocessing is needed
-   */
-  shouldReprocess(state) {
-    const validation = state.metadata?.validation;
-    const retryCount = state.metadata?.retryCount || 0;
-
-    return validation?.overallQuality === 'low' && retryCount < 1;
-  }
-
   /**
    * Helper methods
    */
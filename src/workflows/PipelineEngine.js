@@ -0,0 +1,333 @@
+const { logger } = require('../utils/logger');
+const { AnalysisError, CancellationError } = require('../utils/errors');
+const { throwIfCancelled, wait } = require('../utils/cancellation');
+
+// Guards against a definition whose conditional edges never stop looping
+const MAX_STEPS = 50;
+
+/**
+ * Executes a declarative pipeline definition (see workflows/pipelines) against a
+ * host object that provides the agent methods named by each node's `handler`.
+ *
+ * After a node completes, its conditional edges are checked in order and the first
+ * whose condition holds (and whose maxTraversals is not used up) is followed;
+ * otherwise the node's unconditional edge is followed. A node without a matching
+ * edge ends the run. An `optional` conditional edge (extra work such as a quality retry)
+ * is only followed while the run's budget allows it (see workflows/budget).
+ */
+class PipelineEngine {
+  constructor(definition, host) {
+    this.definition = definition;
+    this.host = host;
+    this.nodes = new Map(definition.nodes.map((node) => [node.id, node]));
+
+    definition.nodes.forEach((node) => {
+      if (typeof host[node.handler] !== 'function') {
+        throw new Error(
+          `Pipeline "${definition.id}" node "${node.id}" needs a ${node.handler}() agent method`
+        );
+      }
+    });
+  }
+
+  get id() {
+    return this.definition.id;
+  }
+
+  /**
+   * Node ids in definition order - the order checkpoints are restored in
+   */
+  get sequence() {
+    return this.definition.nodes.map((node) => node.id);
+  }
+
+  /**
+   * Node to start at once the first `restored` nodes of the sequence have been
+   * restored from checkpoints (null when nothing is left to run)
+   */
+  resumeAt(restored = 0) {
+    if (!restored) return this.definition.entry;
+    return this.sequence[restored] || null;
+  }
+
+  /**
+   * Run from run.startAt (default: the entry node) until no edge is left to follow.
+   * run.onEvent(type, data) sees agent lifecycle events, run.onCheckpoint(agent, checkpoint)
+   * each completed agent's output. Aborting run.signal cancels the run. run.context holds
+   * per-run services (e.g. the search provider) handed to every agent but never checkpointed;
+   * with a run.context.meter, each agent's calls are metered against it, and a
+   * run.context.budget decides whether optional edges are followed.
+   */
+  async run(state, run = {}) {
+    const traversals = new Map();
+    let currentState = state;
+    let nodeId = run.startAt === undefined ? this.definition.entry : run.startAt;
+    let steps = 0;
+
+    while (nodeId) {
+      steps += 1;
+      if (steps > MAX_STEPS) {
+        throw new AnalysisError(`Pipeline ${this.id} exceeded ${MAX_STEPS} steps`, 500);
+      }
+
+      currentState = await this.runNode(this.nodes.get(nodeId), currentState, run);
+      nodeId = this.nextNode(nodeId, currentState, traversals, run.context?.budget);
+    }
+
+    return currentState;
+  }
+
+  nextNode(nodeId, state, traversals, budget) {
+    const outgoing = this.definition.edges.filter((edge) => edge.from === nodeId);
+
+    const conditional = outgoing.find((edge) => {
+      if (!edge.condition) return false;
+
+      const taken = traversals.get(edge) || 0;
+      if (edge.maxTraversals !== undefined && taken >= edge.maxTraversals) return false;
+
+      if (!this.definition.conditions[edge.condition](state)) return false;
+
+      if (edge.optional && budget && !budget.allow(edge.label || `${edge.from} -> ${edge.to}`)) {
+        logger.info(`Pipeline ${this.id} skipping optional edge over budget`, {
+          from: edge.from,
+          to: edge.to,
+        });
+        return false;
+      }
+      return true;
+    });
+
+    if (conditional) {
+      traversals.set(conditional, (traversals.get(conditional) || 0) + 1);
+      logger.info(`Pipeline ${this.id} following conditional edge`, {
+        from: conditional.from,
+        to: conditional.to,
+        condition: conditional.condition,
+      });
+      return conditional.to;
+    }
+
+    const next = outgoing.find((edge) => !edge.condition);
+    return next ? next.to : null;
+  }
+
+  /**
+   * Run one node with its retry and timeout policy. Failures are isolated - the
+   * error is recorded on the state and the pipeline continues - unless the node
+   * sets onError: 'fail'. Cancellation is never isolated.
+   */
+  async runNode(node, state, run = {}) {
+    const { signal, onEvent = () => {}, onCheckpoint = () => {} } = run;
+    const attempts = node.retry?.attempts || 1;
+    const { meter, budget } = run.context || {};
+    const context = meter ? meter.forAgent(node.id, run.context) : run.context;
+    throwIfCancelled(signal);
+
+    const startedAt = Date.now();
+    await onEvent('agent_started', { agent: node.id, progress: state.progress });
+
+    let lastError;
+    for (let attempt = 1; attempt <= attempts; attempt += 1) {
+      try {
+        logger.info(`Executing ${node.id} agent`, { attempt, attempts });
+
+        const nextState = await this.invoke(node, state, signal, context);
+
+        const durationMs = Date.now() - startedAt;
+        await onCheckpoint(
+          node.id,
+          this.createCheckpoint(node, nextState, durationMs, {
+            usage: meter?.agentUsage(node.id),
+            budget: budget?.constraints,
+          })
+        );
+
+        await onEvent('agent_completed', {
+          agent: node.id,
+          durationMs,
+          currentStep: nextState.currentStep,
+          progress: nextState.progress,
+          sources: Array.isArray(nextState.rawData) ? nextState.rawData.length : 0,
+        });
+
+        return nextState;
+      } catch (error) {
+        if (signal?.aborted) {
+          throw new CancellationError(`Analysis cancelled during ${node.id} agent`);
+        }
+
+        lastError = error;
+
+        if (attempt < attempts) {
+          logger.warn(`Agent ${node.id} failed, retrying`, { attempt, error: error.message });
+          await onEvent('agent_retrying', { agent: node.id, attempt, error: error.message });
+          await wait(node.retry.delayMs || 0, signal);
+        }
+      }
+    }
+
+    logger.error(`Agent ${node.id} failed:`, lastError);
+    await onEvent('agent_failed', {
+      agent: node.id,
+      durationMs: Date.now() - startedAt,
+      error: lastError.message,
+      progress: state.progress,
+    });
+
+    if (node.onError === 'fail') {
+      throw lastError;
+    }
+
+    return {
+      ...state,
+      errors: [
+        ...(state.errors || []),
+        {
+          agent: node.id,
+          error: lastError.message,
+          timestamp: new Date().toISOString(),
+        },
+      ],
+    };
+  }
+
+  /**
+   * Call the node's agent method. With a timeoutMs the agent gets its own signal,
+   * aborted on timeout as well as on cancellation of the whole run.
+   */
+  async invoke(node, state, signal, context = {}) {
+    const handler = this.host[node.handler].bind(this.host);
+    if (!node.timeoutMs) {
+      return handler(state, signal, context);
+    }
+
+    const controller = new AbortController();
+    const abort = () => controller.abort();
+    signal?.addEventListener('abort', abort, { once: true });
+
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+      timer = setTimeout(() => {
+        controller.abort();
+        reject(new AnalysisError(`${node.id} agent timed out after ${node.timeoutMs}ms`, 504));
+      }, node.timeoutMs);
+    });
+
+    const work = Promise.resolve().then(() => handler(state, controller.signal, context));
+    // The agent may still reject after losing the race - don't let that go unhandled
+    work.catch(() => {});
+
+    try {
+      return await Promise.race([work, timeout]);
+    } finally {
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', abort);
+    }
+  }
+
+  /**
+   * Rebuild run state from saved checkpoints (in sequence order), ready for
+   * run({ startAt: resumeAt(checkpoints.length) })
+   */
+  restore(state, checkpoints = []) {
+    if (!checkpoints.length) return state;
+
+    const restored = checkpoints.reduce(
+      (acc, checkpoint) => ({
+        ...acc,
+        ...checkpoint.outputs,
+        currentStep: checkpoint.state?.currentStep || acc.currentStep,
+        progress: checkpoint.state?.progress || acc.progress,
+        metadata: { ...acc.metadata, ...checkpoint.state?.metadata },
+        errors: checkpoint.state?.errors || acc.errors,
+      }),
+      state
+    );
+
+    return {
+      ...restored,
+      // This run gets its own id and timing, the restored agents keep their output
+      metadata: {
+        ...restored.metadata,
+        workflowId: state.metadata?.workflowId,
+        startTime: state.metadata?.startTime,
+        resumedFrom: this.resumeAt(checkpoints.length),
+      },
+    };
+  }
+
+  /**
+   * Snapshot of what an agent produced, enough to resume the pipeline after it, what its
+   * calls used (see providers/metering) and what the budget skipped so far
+   */
+  createCheckpoint(node, state, durationMs, { usage = [], budget = [] } = {}) {
+    const outputs = {};
+    (node.outputs || []).forEach((field) => {
+      outputs[field] = state[field];
+    });
+
+    return {
+      step: this.sequence.indexOf(node.id),
+      outputs,
+      state: {
+        currentStep: state.currentStep,
+        progress: state.progress,
+        metadata: state.metadata,
+        errors: state.errors || [],
+      },
+      durationMs,
+      usage,
+      budget,
+    };
+  }
+
+  /**
+   * Diagram of the pipeline, generated from the definition
+   */
+  toDiagram() {
+    const { id, name, description, entry, nodes, edges } = this.definition;
+
+    return {
+      id,
+      name,
+      description,
+      entry,
+      nodes: nodes.map((node) => ({
+        id: node.id,
+        label: node.label || node.id,
+        type: 'agent',
+        description: node.description,
+        status: 'active',
+        retry: node.retry || null,
+        timeoutMs: node.timeoutMs || null,
+      })),
+      edges: edges.map((edge) => ({
+        from: edge.from,
+        to: edge.to,
+        type: edge.condition ? 'conditional' : 'sequential',
+        label: edge.label,
+        ...(edge.condition && { condition: edge.condition, maxTraversals: edge.maxTraversals }),
+      })),
+      mermaid: this.toMermaid(),
+    };
+  }
+
+  toMermaid() {
+    const lines = ['flowchart TD'];
+
+    this.definition.nodes.forEach((node) => {
+      lines.push(`  ${node.id}["${node.label || node.id}"]`);
+    });
+
+    this.definition.edges.forEach((edge) => {
+      const arrow = edge.condition ? '-.->' : '-->';
+      const label = edge.label || edge.condition;
+      lines.push(`  ${edge.from} ${arrow}${label ? `|${label}|` : ''} ${edge.to}`);
+    });
+
+    return lines.join('\n');
+  }
+}
+
+module.exports = PipelineEngine;
@@ -0,0 +1,179 @@
+const { escapeHtml } = require('../utils/citations');
+
+/**
+ * Per-analysis budgets. An analysis runs with its plan's limits (config.budgets), which
+ * its request may lower but never raise:
+ *
+ *   maxSearchCalls   search calls, counted by the run's UsageMeter
+ *   maxLLMTokens     prompt + completion tokens, counted by the run's UsageMeter
+ *   maxDurationMs    wall-clock time of the run
+ *
+ * Reaching a limit never fails the analysis. The agents consult the Budget in their
+ * pipeline context and skip optional work instead - secondary search terms, searches
+ * beyond the limit, the quality retry - and each skip is recorded, so the result and its
+ * report say which limits constrained it.
+ */
+
+// Each limit, how the report names it and what it is measured against in used()
+const LIMITS = {
+  maxSearchCalls: { label: 'Search calls', used: 'searchCalls' },
+  maxLLMTokens: { label: 'LLM tokens', used: 'llmTokens' },
+  maxDurationMs: { label: 'Time (ms)', used: 'durationMs' },
+};
+
+const pickLimits = (limits = {}) =>
+  Object.fromEntries(
+    Object.keys(LIMITS)
+      .filter((limit) => Number(limits[limit]) > 0)
+      .map((limit) => [limit, Number(limits[limit])])
+  );
+
+/**
+ * Limits an analysis runs with: the plan's, lowered by the ones requested
+ */
+const resolveBudget = (config, plan, requested = {}) => {
+  const plans = { ...config.budgets?.plans, ...config.budgets?.overrides };
+  const planLimits = pickLimits(plans[plan] || plans.free);
+  const requestedLimits = pickLimits(requested);
+
+  return Object.fromEntries(
+    Object.keys(LIMITS)
+      .filter((limit) => planLimits[limit] || requestedLimits[limit])
+      .map((limit) => [
+        limit,
+        Math.min(planLimits[limit] || Infinity, requestedLimits[limit] || Infinity),
+      ])
+  );
+};
+
+class Budget {
+  /**
+   * @param {Object} limits - from resolveBudget; a missing limit is unlimited
+   * @param {UsageMeter} meter - the run's meter, which counts calls and tokens
+   */
+  constructor(limits, meter) {
+    this.limits = pickLimits(limits);
+    this.meter = meter;
+    this.startedAt = Date.now();
+    this.constraints = [];
+  }
+
+  used() {
+    const { totals } = this.meter.summary();
+    return {
+      searchCalls: totals.searchCalls,
+      llmTokens: totals.totalTokens,
+      durationMs: Date.now() - this.startedAt,
+    };
+  }
+
+  /**
+   * Limits that have been reached
+   */
+  reached() {
+    const used = this.used();
+    return Object.keys(this.limits).filter(
+      (limit) => used[LIMITS[limit].used] >= this.limits[limit]
+    );
+  }
+
+  /**
+   * Whether optional work may run; when not, it is recorded as skipped under every
+   * limit that has been reached
+   */
+  allow(skipped) {
+    const reached = this.reached();
+    reached.forEach((limit) => this.constrain(limit, skipped));
+    return reached.length === 0;
+  }
+
+  /**
+   * The search terms to run. Primary terms are cut to the search calls left, and none run
+   * once time is up; secondary terms are optional and go first, and entirely once any
+   * limit has been reached. The searchers still check allow() before each search, since a
+   * limit can be reached while the planned terms run.
+   */
+  planSearches({ primary = [], secondary = [] }) {
+    const reached = this.reached();
+    const callsLeft = this.limits.maxSearchCalls
+      ? Math.max(this.limits.maxSearchCalls - this.used().searchCalls, 0)
+      : Infinity;
+
+    const primaryLimit = reached.includes('maxDurationMs') ? 0 : callsLeft;
+    const allowedPrimary = primary.slice(0, primaryLimit);
+    const allowedSecondary = reached.length
+      ? []
+      : secondary.slice(0, Math.max(callsLeft - allowedPrimary.length, 0));
+
+    const skip = (terms, allowed, kind) => {
+      const count = terms.length - allowed.length;
+      if (!count) return;
+      const limits = reached.length ? reached : ['maxSearchCalls'];
+      limits.forEach((limit) => this.constrain(limit, `${count} ${kind} search term(s)`));
+    };
+    skip(primary, allowedPrimary, 'primary');
+    skip(secondary, allowedSecondary, 'secondary');
+
+    return { primary: allowedPrimary, secondary: allowedSecondary };
+  }
+
+  constrain(limit, skipped) {
+    const exists = this.constraints.some(
+      (constraint) => constraint.limit === limit && constraint.skipped === skipped
+    );
+    if (!exists) {
+      this.constraints.push({ limit, skipped });
+    }
+  }
+
+  /**
+   * Take over what the budget skipped before the agents restored from checkpoints, and the
+   * time they took, so a resumed run does not start with a full wall-clock budget
+   */
+  restore(checkpoints = []) {
+    const last = checkpoints[checkpoints.length - 1];
+    (last?.budget || []).forEach(({ limit, skipped }) => this.constrain(limit, skipped));
+    this.startedAt -= checkpoints.reduce((spent, { durationMs }) => spent + (durationMs || 0), 0);
+    return this;
+  }
+
+  /**
+   * Budget as stored on Result.budget
+   */
+  report() {
+    return {
+      limits: this.limits,
+      used: this.used(),
+      constrainedBy: this.constraints.map(({ limit, skipped }) => ({
+        limit,
+        value: this.limits[limit],
+        skipped,
+      })),
+    };
+  }
+}
+
+/**
+ * Report section listing the limits that constrained the analysis ('' when none did)
+ */
+const renderBudgetHtml = (budget) => {
+  if (!budget?.constrainedBy?.length) return '';
+
+  const items = budget.constrainedBy
+    .map(
+      ({ limit, value, skipped }) =>
+        `<li>${escapeHtml(LIMITS[limit]?.label || limit)} (limit ${value}): skipped ${escapeHtml(skipped)}</li>`
+    )
+    .join('\n      ');
+
+  return `
+  <section class="analysis-limits">
+    <h2>Analysis Limits</h2>
+    <p>This analysis reached its budget and skipped work to stay within it:</p>
+    <ul>
+      ${items}
+    </ul>
+  </section>`;
+};
+
+module.exports = { LIMITS, resolveBudget, Budget, renderBudgetHtml };
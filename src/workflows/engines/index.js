@@ -0,0 +1,113 @@
+const LangChainMultiAgent = require('../LangChainMultiAgent');
+const MarketIntelligenceGraph = require('../MarketIntelligenceGraph');
+const AgentWorkflow = require('../AgentWorkflow');
+const { normalizeResult } = require('./normalizeResult');
+const { UsageMeter } = require('../../providers/metering');
+const { Budget } = require('../budget');
+const { PromptSet } = require('../prompts');
+
+const DEFAULT_ENGINE = 'langchain-multiagent';
+
+/**
+ * Engine contract. A workflow registered here must expose:
+ *
+ *   pipeline                         PipelineEngine - sequence, resumeAt() and toDiagram()
+ *   promptIds                        { agent: promptId } - registry prompts (workflows/prompts)
+ *   execute(query, userId, options)  options: { signal, onEvent, onCheckpoint, checkpoints,
+ *                                              searchProviders, fixtures, template, meter,
+ *                                              budget, prompts }
+ *                                    resolves { success, cancelled?, error?, workflowId, data, metadata }
+ *
+ * Engine wraps it so every successful run also carries `output`, the normalized
+ * Result fields (see normalizeResult), including the run's metered `usage` and its
+ * `budget`. Engine.execute takes the analysis' budget limits as option `budget` and hands
+ * the workflow a Budget instead. Option `prompts` is the run's PromptSet (latest built-in
+ * versions when left out); the versions it used become `output.promptVersions`.
+ */
+class Engine {
+  constructor(name, workflow, config) {
+    this.name = name;
+    this.workflow = workflow;
+    this.config = config;
+  }
+
+  get pipeline() {
+    return this.workflow.pipeline;
+  }
+
+  get promptIds() {
+    return this.workflow.promptIds;
+  }
+
+  /**
+   * Restored agents' usage comes from their checkpoints, so a resumed run reports the
+   * whole analysis
+   */
+  async execute(query, userId, options = {}) {
+    const meter = new UsageMeter(this.config).restore(options.checkpoints);
+    const budget = new Budget(options.budget, meter).restore(options.checkpoints);
+    const prompts = options.prompts || new PromptSet();
+    const result = await this.workflow.execute(query, userId, {
+      ...options,
+      meter,
+      budget,
+      prompts,
+    });
+    if (!result.success || !result.data) return result;
+
+    return {
+      ...result,
+      output: normalizeResult(result.data, {
+        engine: this.name,
+        workflowId: result.workflowId,
+        duration: result.metadata?.duration || 0,
+        usage: meter.summary(),
+        budget: budget.report(),
+        promptVersions: prompts.versionsFor(this.promptIds),
+      }),
+    };
+  }
+}
+
+const engines = new Map();
+
+const registerEngine = (name, { description, create }) => {
+  engines.set(name, { name, description, create });
+};
+
+const hasEngine = (name) => engines.has(name);
+
+const createEngine = (config, name = DEFAULT_ENGINE) => {
+  const entry = engines.get(name);
+  if (!entry) {
+    throw new Error(`Unknown engine: ${name}`);
+  }
+  return new Engine(name, entry.create(config), config);
+};
+
+const listEngines = () =>
+  Array.from(engines.values()).map(({ name, description }) => ({ name, description }));
+
+registerEngine('langchain-multiagent', {
+  description: 'LangChain planner/search/analysis/synthesis/validator agents with a quality loop',
+  create: (config) => new LangChainMultiAgent(config),
+});
+
+registerEngine('langgraph', {
+  description: 'MarketIntelligenceGraph agents on the market-intelligence pipeline',
+  create: (config) => new MarketIntelligenceGraph(config),
+});
+
+registerEngine('agent-workflow', {
+  description: 'Standalone Search, Analysis and Synthesis agents',
+  create: (config) => new AgentWorkflow(config),
+});
+
+module.exports = {
+  DEFAULT_ENGINE,
+  Engine,
+  registerEngine,
+  hasEngine,
+  createEngine,
+  listEngines,
+};
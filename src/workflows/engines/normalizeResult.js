@@ -0,0 +1,212 @@
+/**
+ * Map an engine's final state onto the Result document shape, so history, exports
+ * and analytics read the same fields whichever engine ran.
+ *
+ * Engines disagree on analysis vocabulary: the standalone agents already use the
+ * Result names (marketOpportunities, competitiveLandscape, riskFactors,
+ * dataConfidence), the LangChain pipelines use opportunities, keyPlayers,
+ * sentiment, challenges and confidence. Both are accepted.
+ *
+ * Analyzer citations (URLs, see utils/citations) become `analysisResults.citations`,
+ * positions in rawData aligned with each cited list, and a footnoted Evidence section at
+ * the end of the report.
+ *
+ * The analysis template's own fields (see workflows/templates) become
+ * `analysisResults.templateOutput`.
+ *
+ * The run's metered calls (providers/metering) become `usage`; performance counts and
+ * times the calls from it. The run's budget (workflows/budget) becomes `budget`, and the
+ * limits that made it skip work are listed in an Analysis Limits section of the report.
+ *
+ * How each agent's JSON output fared against its schema (state.metadata.structuredOutput,
+ * see utils/structuredOutput) becomes `structuredOutput`, one entry per agent.
+ *
+ * The registry prompt versions the agents ran with (see workflows/prompts) become
+ * `promptVersions`.
+ */
+
+const { citationsForItems, buildFootnotes, renderFootnotesHtml } = require('../../utils/citations');
+const { DEFAULT_TEMPLATE, templateOutput } = require('../templates');
+const { renderBudgetHtml } = require('../budget');
+
+const MAX_REPORT_LENGTH = 50000;
+
+const toText = (item) => {
+  if (item === null || item === undefined) return '';
+  if (typeof item === 'string') return item;
+  if (typeof item === 'object') {
+    return String(item.title || item.name || item.description || item.text || JSON.stringify(item));
+  }
+  return String(item);
+};
+
+const toTextList = (items) => (Array.isArray(items) ? items.map(toText).filter(Boolean) : []);
+
+const calculateDomainDistribution = (rawData) => {
+  const domains = {};
+  rawData.forEach((item) => {
+    if (item?.url) {
+      try {
+        const domain = new URL(item.url).hostname;
+        domains[domain] = (domains[domain] || 0) + 1;
+      } catch (error) {
+        // Invalid URL, skip
+      }
+    }
+  });
+
+  return domains;
+};
+
+/**
+ * A cited list as text, keeping each item's citations aligned when empty items drop out
+ */
+const citedList = (items, citations, rawData) => {
+  const kept = (Array.isArray(items) ? items : [])
+    .map((item, index) => ({ text: toText(item), citation: citations?.[index] }))
+    .filter(({ text }) => Boolean(text));
+
+  const texts = kept.map(({ text }) => text);
+  return {
+    texts,
+    citations: citationsForItems(
+      texts,
+      kept.map(({ citation }) => citation),
+      rawData
+    ),
+  };
+};
+
+const normalizeAnalysisResults = (analysis = {}, rawData = []) => {
+  const landscape = analysis.competitiveLandscape || {};
+  const cited = {
+    keyTrends: citedList(analysis.keyTrends, analysis.citations?.keyTrends, rawData),
+    insights: citedList(analysis.insights, analysis.citations?.insights, rawData),
+    recommendations: citedList(
+      analysis.recommendations,
+      analysis.citations?.recommendations,
+      rawData
+    ),
+    riskFactors: citedList(
+      analysis.riskFactors || analysis.challenges,
+      analysis.citations?.riskFactors,
+      rawData
+    ),
+  };
+
+  return {
+    keyTrends: cited.keyTrends.texts,
+    marketOpportunities: toTextList(analysis.marketOpportunities || analysis.opportunities),
+    competitiveLandscape: {
+      majorPlayers: toTextList(landscape.majorPlayers || analysis.keyPlayers),
+      marketPosition: toText(landscape.marketPosition || analysis.sentiment || 'neutral'),
+    },
+    insights: cited.insights.texts,
+    recommendations: cited.recommendations.texts,
+    riskFactors: cited.riskFactors.texts,
+    dataConfidence: toText(analysis.dataConfidence || analysis.confidence || 'medium'),
+    summary: toText(analysis.summary || 'Analysis completed'),
+    citations: Object.fromEntries(
+      Object.entries(cited).map(([section, { citations }]) => [section, citations])
+    ),
+  };
+};
+
+/**
+ * Report with the Evidence and Analysis Limits sections appended (inside <body> when the
+ * report has one); the report is shortened rather than losing them
+ */
+const withAppendix = (report, analysisResults, rawData, budget) => {
+  const appendix =
+    renderFootnotesHtml(buildFootnotes(analysisResults, rawData)) + renderBudgetHtml(budget);
+  const text = String(report).slice(0, MAX_REPORT_LENGTH - appendix.length);
+  if (!appendix) return text;
+
+  const bodyEnd = text.lastIndexOf('</body>');
+  return bodyEnd === -1
+    ? `${text}\n${appendix}`
+    : `${text.slice(0, bodyEnd)}${appendix}\n${text.slice(bodyEnd)}`;
+};
+
+/**
+ * @param {Object} state - final pipeline state
+ * @param {Object} run - { engine, workflowId, duration, usage, budget, promptVersions }
+ * @returns {Object} fields for `new Result({ queryId, ...fields })`
+ */
+const normalizeResult = (
+  state,
+  { engine, workflowId, duration = 0, usage, budget, promptVersions = [] } = {}
+) => {
+  const rawData = Array.isArray(state.rawData) ? state.rawData : [];
+  const { structuredOutput = {}, ...metadata } = state.metadata || {};
+  const searchPlan = state.searchPlan || {};
+  const qualityMetrics = state.processedData?.qualityMetrics || {};
+  const highQuality =
+    qualityMetrics.highQualitySources ?? qualityMetrics.scoreDistribution?.high ?? 0;
+  const analysisResults = {
+    ...normalizeAnalysisResults(state.analysisResults || {}, rawData),
+    templateOutput: templateOutput(state.template, state.analysisResults),
+  };
+
+  return {
+    engine,
+    template: state.template?.id || DEFAULT_TEMPLATE,
+
+    searchStrategy: {
+      primaryTerms: toTextList(searchPlan.primaryTerms),
+      secondaryTerms: toTextList(searchPlan.secondaryTerms),
+      searchCategories: toTextList(searchPlan.searchCategories),
+      timeRange: searchPlan.timeframe || searchPlan.timeRange || 'recent',
+    },
+
+    rawData,
+
+    processedData: {
+      totalSources: state.processedData?.totalSources ?? rawData.length,
+      qualityMetrics: {
+        averageRelevanceScore: qualityMetrics.averageRelevanceScore || 0,
+        highQualitySources: highQuality,
+        recentSources: qualityMetrics.recentSources || 0,
+      },
+      domainDistribution: calculateDomainDistribution(rawData),
+    },
+
+    analysisResults,
+
+    finalReport: withAppendix(
+      state.finalReport || 'Report generated',
+      analysisResults,
+      rawData,
+      budget
+    ),
+    visualizations: Array.isArray(state.visualizations) ? state.visualizations : [],
+
+    performance: {
+      searchDuration: usage?.totals.searchLatencyMs || 0,
+      analysisDuration: usage?.totals.llmLatencyMs || 0,
+      totalDuration: duration,
+      sourcesProcessed: rawData.length,
+      apiCallsCount: usage
+        ? usage.totals.llmCalls + usage.totals.searchCalls
+        : state.metadata?.searchTermsUsed || 0,
+    },
+
+    ...(usage && { usage }),
+    ...(budget && Object.keys(budget.limits).length && { budget }),
+
+    structuredOutput: Object.entries(structuredOutput).map(([agent, check]) => ({
+      agent,
+      ...check,
+    })),
+    promptVersions,
+
+    metaData: {
+      ...metadata,
+      engine,
+      workflowId,
+      errors: state.errors || [],
+    },
+  };
+};
+
+module.exports = { normalizeResult, calculateDomainDistribution };
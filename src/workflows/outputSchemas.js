@@ -0,0 +1,121 @@
+/**
+ * JSON Schemas of the agents' LLM output (see utils/structuredOutput). A response that
+ * does not match gets one repair round-trip with the validation errors before the agent
+ * falls back to its generic output.
+ *
+ * The schemas hold what the agents read; extra properties are allowed, since prompts ask
+ * for more than that (and templates for a `templateOutput` object).
+ */
+
+const termList = { type: 'array', items: { type: 'string', minLength: 1 } };
+const textList = { type: 'array', items: { type: 'string' } };
+const level = { type: 'string', enum: ['high', 'medium', 'low'] };
+
+// A list item as plain text or, as the citation instructions ask, { text, sources }
+const citedList = {
+  type: 'array',
+  items: {
+    anyOf: [
+      { type: 'string', minLength: 1 },
+      {
+        type: 'object',
+        required: ['text'],
+        properties: {
+          text: { type: 'string', minLength: 1 },
+          sources: { type: 'array', items: { type: 'integer', minimum: 1 } },
+        },
+      },
+    ],
+  },
+};
+
+const templateOutput = { type: 'object' };
+
+// Planner of the LangChain engines
+const searchPlan = {
+  title: 'searchPlan',
+  type: 'object',
+  required: ['primaryTerms'],
+  properties: {
+    primaryTerms: { ...termList, minItems: 1 },
+    secondaryTerms: termList,
+    searchCategories: textList,
+    timeframe: { type: 'string' },
+    priority: level,
+  },
+};
+
+// SearchAgent.planSearchStrategy
+const searchStrategy = {
+  title: 'searchStrategy',
+  type: 'object',
+  required: ['primaryTerms'],
+  properties: {
+    primaryTerms: { ...termList, minItems: 1 },
+    secondaryTerms: termList,
+    domains: textList,
+    timeRange: { type: 'string' },
+    searchDepth: { type: 'string', enum: ['basic', 'advanced'] },
+    expectedSources: { type: 'integer', minimum: 1 },
+    industryKeywords: textList,
+    competitorKeywords: textList,
+  },
+};
+
+// Analyzer of the LangChain engines
+const marketAnalysis = {
+  title: 'marketAnalysis',
+  type: 'object',
+  required: ['keyTrends', 'keyPlayers', 'challenges', 'opportunities', 'confidence'],
+  properties: {
+    keyTrends: { ...citedList, minItems: 1 },
+    marketSize: { type: 'string' },
+    growthRate: { type: 'string' },
+    keyPlayers: textList,
+    challenges: citedList,
+    opportunities: textList,
+    sentiment: { type: 'string', enum: ['positive', 'negative', 'neutral'] },
+    confidence: level,
+    dataQuality: level,
+    templateOutput,
+  },
+};
+
+// AnalysisAgent.analyzeMarketTrends
+const agentAnalysis = {
+  title: 'agentAnalysis',
+  type: 'object',
+  required: [
+    'keyTrends',
+    'marketOpportunities',
+    'competitiveLandscape',
+    'insights',
+    'recommendations',
+    'riskFactors',
+    'summary',
+  ],
+  properties: {
+    keyTrends: { ...citedList, minItems: 1 },
+    marketOpportunities: textList,
+    competitiveLandscape: {
+      type: 'object',
+      required: ['majorPlayers'],
+      properties: {
+        majorPlayers: textList,
+        marketPosition: { type: 'string' },
+        competitiveAdvantages: textList,
+        marketConcentration: level,
+      },
+    },
+    insights: citedList,
+    recommendations: citedList,
+    riskFactors: citedList,
+    dataConfidence: level,
+    summary: { type: 'string', minLength: 1 },
+    templateOutput,
+  },
+};
+
+const OUTPUT_SCHEMAS = { searchPlan, searchStrategy, marketAnalysis, agentAnalysis };
+
+module.exports = { OUTPUT_SCHEMAS };
@@ -0,0 +1,57 @@
+/**
+ * Pipeline for the standalone Search/Analysis/Synthesis agents in src/agents:
+ * plan -> search -> analyze -> report. Handlers live on AgentWorkflow. Only the
+ * planner may fail without failing the run (see the market-intelligence pipeline).
+ */
+module.exports = {
+  id: 'agent-workflow',
+  name: 'Agent Workflow',
+  description: 'Market Intelligence Analysis with the Search, Analysis and Synthesis agents',
+  entry: 'planner',
+
+  nodes: [
+    {
+      id: 'planner',
+      label: 'Search Planning',
+      description: 'Plans primary and secondary search terms',
+      handler: 'planSearch',
+      outputs: ['searchPlan'],
+      timeoutMs: 60000,
+    },
+    {
+      id: 'searcher',
+      label: 'Data Collection',
+      description: 'Gathers and de-duplicates search provider results',
+      handler: 'gatherData',
+      onError: 'fail',
+      outputs: ['rawData'],
+      timeoutMs: 300000,
+    },
+    {
+      id: 'analyzer',
+      label: 'Market Analysis',
+      description: 'Processes sources and analyzes market trends',
+      handler: 'analyzeData',
+      onError: 'fail',
+      outputs: ['processedData', 'analysisResults'],
+      timeoutMs: 120000,
+    },
+    {
+      id: 'synthesizer',
+      label: 'Report & Visualizations',
+      description: 'Writes the HTML report and chart definitions',
+      handler: 'writeReport',
+      onError: 'fail',
+      outputs: ['finalReport', 'visualizations'],
+      timeoutMs: 180000,
+    },
+  ],
+
+  edges: [
+    { from: 'planner', to: 'searcher', label: 'Search Strategy' },
+    { from: 'searcher', to: 'analyzer', label: 'Raw Data' },
+    { from: 'analyzer', to: 'synthesizer', label: 'Analysis Results' },
+  ],
+
+  conditions: {},
+};
@@ -0,0 +1,74 @@
+const marketIntelligence = require('./marketIntelligence');
+const agentWorkflow = require('./agentWorkflow');
+
+const DEFAULT_PIPELINE = marketIntelligence.id;
+
+const pipelines = new Map();
+
+/**
+ * Check a definition's internal references so mistakes fail at startup, not mid-analysis
+ */
+const validatePipeline = (definition) => {
+  const { id, entry, nodes = [], edges = [], conditions = {} } = definition;
+  const problems = [];
+
+  if (!id) problems.push('missing id');
+  if (!nodes.length) problems.push('no nodes');
+
+  const nodeIds = new Set();
+  nodes.forEach((node) => {
+    if (!node.id) problems.push('node without id');
+    if (nodeIds.has(node.id)) problems.push(`duplicate node "${node.id}"`);
+    if (!node.handler) problems.push(`node "${node.id}" has no handler`);
+    nodeIds.add(node.id);
+  });
+
+  if (!nodeIds.has(entry)) problems.push(`entry "${entry}" is not a node`);
+
+  edges.forEach((edge) => {
+    if (!nodeIds.has(edge.from)) problems.push(`edge from unknown node "${edge.from}"`);
+    if (!nodeIds.has(edge.to)) problems.push(`edge to unknown node "${edge.to}"`);
+    if (edge.condition && typeof conditions[edge.condition] !== 'function') {
+      problems.push(`edge ${edge.from} -> ${edge.to} uses unknown condition "${edge.condition}"`);
+    }
+  });
+
+  nodeIds.forEach((nodeId) => {
+    const unconditional = edges.filter((edge) => edge.from === nodeId && !edge.condition);
+    if (unconditional.length > 1) {
+      problems.push(`node "${nodeId}" has more than one unconditional edge`);
+    }
+  });
+
+  if (problems.length) {
+    throw new Error(`Invalid pipeline "${id || 'unknown'}": ${problems.join(', ')}`);
+  }
+
+  return definition;
+};
+
+const registerPipeline = (definition) => {
+  pipelines.set(definition.id, validatePipeline(definition));
+  return definition;
+};
+
+const getPipeline = (id = DEFAULT_PIPELINE) => {
+  const definition = pipelines.get(id);
+  if (!definition) {
+    throw new Error(`Unknown pipeline: ${id}`);
+  }
+  return definition;
+};
+
+const listPipelines = () => Array.from(pipelines.keys());
+
+registerPipeline(marketIntelligence);
+registerPipeline(agentWorkflow);
+
+module.exports = {
+  DEFAULT_PIPELINE,
+  registerPipeline,
+  getPipeline,
+  listPipelines,
+  validatePipeline,
+};
@@ -0,0 +1,84 @@
+/**
+ * Market intelligence pipeline: plan -> search -> analyze -> synthesize -> validate,
+ * with one quality retry from the validator back to the analyzer.
+ *
+ * Each node runs the agent method named by `handler`. `outputs` are the state fields
+ * the agent produces, which is what gets checkpointed when it completes. The quality
+ * retry is `optional`: it is skipped once the analysis' budget is used up. The search,
+ * analysis and synthesis agents are required (onError: 'fail'): when one fails the run
+ * fails with its earlier agents' checkpoints kept, so a retry can resume from it.
+ */
+module.exports = {
+  id: 'market-intelligence',
+  name: 'Market Intelligence Analysis',
+  description: 'Market Intelligence Analysis with 5 Specialized Agents',
+  entry: 'planner',
+
+  nodes: [
+    {
+      id: 'planner',
+      label: 'Planner Agent',
+      description: 'Creates comprehensive search strategy',
+      handler: 'plannerAgent',
+      outputs: ['searchPlan'],
+      retry: { attempts: 2, delayMs: 2000 },
+      timeoutMs: 60000,
+    },
+    {
+      id: 'searcher',
+      label: 'Search Agent',
+      description: 'Gathers data from the selected search providers',
+      handler: 'searchAgent',
+      onError: 'fail',
+      outputs: ['rawData'],
+      timeoutMs: 300000,
+    },
+    {
+      id: 'analyzer',
+      label: 'Analysis Agent',
+      description: 'Processes and analyzes market data using GPT-4',
+      handler: 'analysisAgent',
+      onError: 'fail',
+      outputs: ['processedData', 'analysisResults'],
+      retry: { attempts: 2, delayMs: 2000 },
+      timeoutMs: 120000,
+    },
+    {
+      id: 'synthesizer',
+      label: 'Synthesis Agent',
+      description: 'Generates professional HTML reports',
+      handler: 'synthesisAgent',
+      onError: 'fail',
+      outputs: ['finalReport'],
+      retry: { attempts: 2, delayMs: 2000 },
+      timeoutMs: 120000,
+    },
+    {
+      id: 'validator',
+      label: 'Validator Agent',
+      description: 'Quality control and validation with retry logic',
+      handler: 'validatorAgent',
+      outputs: [],
+      timeoutMs: 30000,
+    },
+  ],
+
+  edges: [
+    { from: 'planner', to: 'searcher', label: 'Search Strategy' },
+    { from: 'searcher', to: 'analyzer', label: 'Raw Data' },
+    { from: 'analyzer', to: 'synthesizer', label: 'Analysis Results' },
+    { from: 'synthesizer', to: 'validator', label: 'Report' },
+    {
+      from: 'validator',
+      to: 'analyzer',
+      condition: 'lowQuality',
+      maxTraversals: 1,
+      optional: true,
+      label: 'Quality Retry',
+    },
+  ],
+
+  conditions: {
+    lowQuality: (state) => state.metadata?.validation?.overallQuality === 'low',
+  },
+};
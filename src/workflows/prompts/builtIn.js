@@ -0,0 +1,374 @@
+/**
+ * Built-in prompts, one definition per agent prompt (see ./index for the shape). The agents
+ * compute the variables; a version's template only decides how they are worded around
+ * them. New versions are added by admins (models/Prompt) rather than here, except when a
+ * prompt needs a new variable.
+ */
+
+const ANALYSIS_VARIABLES = {
+  query: 'The analysis query',
+  sourceCount: 'Number of sources found',
+  dataSummary: 'The top sources, numbered [1], [2] ... with title, URL and an excerpt',
+  citationInstructions: 'How to cite the numbered sources',
+  outputInstructions: "The analysis template's extra output fields, if any",
+};
+
+const REPORT_VARIABLES = {
+  query: 'The analysis query',
+  analysisResults: 'The analysis, as JSON',
+  reportSections: 'Numbered report sections of the analysis template or the engine',
+};
+
+module.exports = [
+  {
+    id: 'multiagent-planner',
+    description: 'Search plan of the LangChain multi-agent planner',
+    variables: {
+      query: 'The analysis query',
+      plannerGuidance: "The analysis template's guidance for the planner, if any",
+    },
+    required: ['query'],
+    versions: [
+      {
+        version: 1,
+        changelog: 'Initial version',
+        template: `You are a strategic market research planner.
+
+Analyze this query and create a comprehensive search strategy:
+Query: "{{query}}"
+{{plannerGuidance}}
+Return ONLY a JSON object with:
+{
+  "primaryTerms": ["3-5 most important search terms"],
+  "secondaryTerms": ["2-3 supporting search terms"],
+  "searchCategories": ["market trends", "competitor analysis"],
+  "timeframe": "recent",
+  "priority": "high"
+}
+
+Focus on creating targeted searches for market intelligence. Return only JSON, no other text.`,
+      },
+    ],
+  },
+  {
+    id: 'multiagent-analyzer',
+    description: 'Market analysis of the LangChain multi-agent analyzer',
+    variables: ANALYSIS_VARIABLES,
+    required: ['query', 'dataSummary'],
+    versions: [
+      {
+        version: 1,
+        changelog: 'Initial version',
+        template: `You are a senior market analyst. Analyze the following data and provide insights.
+
+Query: "{{query}}"
+
+Data Sources ({{sourceCount}} sources):
+{{dataSummary}}
+
+Provide analysis in JSON format only:
+{
+  "keyTrends": [{"text": "trend1", "sources": [1, 2]}, {"text": "trend2", "sources": [3]}],
+  "marketSize": "estimated market size if available",
+  "growthRate": "growth rate if available",
+  "keyPlayers": ["company1", "company2"],
+  "challenges": [{"text": "challenge1", "sources": [2]}],
+  "opportunities": ["opportunity1", "opportunity2"],
+  "sentiment": "positive|negative|neutral",
+  "confidence": "high|medium|low",
+  "dataQuality": "high|medium|low"
+}
+
+{{citationInstructions}}
+{{outputInstructions}}
+
+Return only JSON, no other text.`,
+      },
+    ],
+  },
+  {
+    id: 'multiagent-report',
+    description: 'HTML report of the LangChain multi-agent synthesizer',
+    variables: { ...REPORT_VARIABLES, sourceCount: 'Number of sources analyzed' },
+    required: ['query', 'analysisResults'],
+    versions: [
+      {
+        version: 1,
+        changelog: 'Initial version',
+        template: `You are a professional market intelligence report writer.
+
+Create a comprehensive report for this query: "{{query}}"
+
+Analysis Results: {{analysisResults}}
+Data Quality: {{sourceCount}} sources analyzed
+
+Generate a professional HTML report with:
+{{reportSections}}
+
+Use proper HTML structure with inline CSS styling. Make it comprehensive and actionable.`,
+      },
+    ],
+  },
+  {
+    id: 'graph-planner',
+    description: 'Search plan of the MarketIntelligenceGraph planner',
+    variables: {
+      query: 'The analysis query',
+      plannerGuidance: "The analysis template's guidance for the planner, if any",
+    },
+    required: ['query'],
+    versions: [
+      {
+        version: 1,
+        changelog: 'Initial version',
+        template: `You are a strategic market research planner.
+
+Analyze this query and create a comprehensive search strategy:
+Query: "{{query}}"
+{{plannerGuidance}}
+Return a JSON object with:
+{
+  "primaryTerms": ["most important search terms"],
+  "secondaryTerms": ["supporting search terms"],
+  "searchCategories": ["market trends", "competitor analysis", etc.],
+  "expectedSources": ["industry reports", "news articles", etc.],
+  "timeframe": "recent|historical|both",
+  "priority": "high|medium|low"
+}
+
+Focus on creating targeted searches for market intelligence.`,
+      },
+    ],
+  },
+  {
+    id: 'graph-analyzer',
+    description: 'Market analysis of the MarketIntelligenceGraph analyzer',
+    variables: ANALYSIS_VARIABLES,
+    required: ['query', 'dataSummary'],
+    versions: [
+      {
+        version: 1,
+        changelog: 'Initial version',
+        template: `You are a senior market analyst. Analyze the following data and provide insights.
+
+Query: "{{query}}"
+
+Data Sources ({{sourceCount}} sources):
+{{dataSummary}}
+
+Provide analysis in JSON format:
+{
+  "keyTrends": [{"text": "trend1", "sources": [1, 2]}, ...],
+  "marketSize": "estimated market size if available",
+  "growthRate": "growth rate if available",
+  "keyPlayers": ["company1", "company2", ...],
+  "challenges": [{"text": "challenge1", "sources": [3]}, ...],
+  "opportunities": ["opportunity1", "opportunity2", ...],
+  "sentiment": "positive|negative|neutral",
+  "confidence": "high|medium|low",
+  "dataQuality": "high|medium|low"
+}
+
+{{citationInstructions}}
+{{outputInstructions}}`,
+      },
+    ],
+  },
+  {
+    id: 'graph-report',
+    description: 'HTML report of the MarketIntelligenceGraph synthesizer',
+    variables: { ...REPORT_VARIABLES, processedData: 'Source statistics, as JSON' },
+    required: ['query', 'analysisResults'],
+    versions: [
+      {
+        version: 1,
+        changelog: 'Initial version',
+        template: `You are an expert market intelligence report writer. Create a comprehensive report.
+
+Query: "{{query}}"
+Analysis Results: {{analysisResults}}
+Processed Data: {{processedData}}
+
+Generate a professional market intelligence report in HTML format with:
+{{reportSections}}
+
+Use proper HTML structure with professional styling. Make it comprehensive and actionable.`,
+      },
+    ],
+  },
+  {
+    id: 'search-strategy',
+    description: 'Search strategy of SearchAgent (agent-workflow engine)',
+    variables: {
+      query: 'The analysis query',
+      plannerGuidance: "The analysis template's guidance for the planner, if any",
+    },
+    required: ['query'],
+    versions: [
+      {
+        version: 1,
+        changelog: 'Initial version',
+        template:
+          'You are a market intelligence search strategist. Analyze this query and create a ' +
+          `comprehensive search strategy: "{{query}}"
+{{plannerGuidance}}
+Generate a JSON response with:
+{
+  "primaryTerms": ["3-5 key search phrases for main research"],
+  "secondaryTerms": ["2-3 deeper analysis terms"],
+  "domains": ["preferred domain types like news, reports, financial"],
+  "timeRange": "relevance time frame",
+  "searchDepth": "basic or advanced",
+  "expectedSources": 15,
+  "industryKeywords": ["industry-specific terms"],
+  "competitorKeywords": ["competitor analysis terms"]
+}
+
+Focus on business intelligence, market trends, and competitive analysis.
+Make terms specific and actionable for market research.
+Return only valid JSON without any explanation.`,
+      },
+    ],
+  },
+  {
+    id: 'market-analysis',
+    description: 'Market analysis of AnalysisAgent (agent-workflow engine)',
+    variables: {
+      query: 'The analysis query',
+      dataOverview: 'Source count and quality metrics',
+      topContent: 'The top sources, numbered [1], [2] ... with URL, score, domain and a snippet',
+      sourceDistribution: 'Sources per domain, with type and credibility',
+      topicClusters: 'Topics mentioned across the sources',
+      temporalAnalysis: 'How recent the sources are',
+      sentimentOverview: 'Overall sentiment of the sources',
+      citationInstructions: 'How to cite the numbered sources',
+      outputInstructions: "The analysis template's extra output fields, if any",
+    },
+    required: ['query', 'topContent'],
+    versions: [
+      {
+        version: 1,
+        changelog: 'Initial version',
+        template: `Conduct a comprehensive market intelligence analysis for: "{{query}}"
+
+=== DATA OVERVIEW ===
+{{dataOverview}}
+
+=== TOP CONTENT ANALYSIS (numbered sources) ===
+{{topContent}}
+
+=== SOURCE DISTRIBUTION ===
+{{sourceDistribution}}
+
+=== TOPIC CLUSTERS ===
+{{topicClusters}}
+
+=== TEMPORAL ANALYSIS ===
+{{temporalAnalysis}}
+
+=== SENTIMENT OVERVIEW ===
+{{sentimentOverview}}
+
+Generate a comprehensive market analysis in JSON format:
+{
+  "keyTrends": [{"text": "specific trend 1", "sources": [1, 4]}, {"text": "specific trend 2", "sources": [2]}],
+  "marketOpportunities": ["actionable opportunity 1", "actionable opportunity 2", "actionable opportunity 3"],
+  "competitiveLandscape": {
+    "majorPlayers": ["identified company 1", "identified company 2", "identified company 3"],
+    "marketPosition": "detailed current market state description",
+    "competitiveAdvantages": ["advantage 1", "advantage 2"],
+    "marketConcentration": "high|medium|low"
+  },
+  "insights": [{"text": "data-driven insight 1", "sources": [3]}, {"text": "data-driven insight 2", "sources": [1, 5]}],
+  "recommendations": [{"text": "strategic recommendation 1", "sources": [2, 6]}],
+  "riskFactors": [{"text": "specific risk 1", "sources": [7]}],
+  "marketDynamics": {
+    "growthDrivers": ["driver 1", "driver 2", "driver 3"],
+    "challenges": ["challenge 1", "challenge 2"],
+    "disruptiveForces": ["disruption 1", "disruption 2"]
+  },
+  "financialIndicators": {
+    "marketSize": "size estimate if available",
+    "growthRate": "growth rate if discernible",
+    "investmentActivity": "investment level assessment"
+  },
+  "technologicalFactors": ["tech factor 1", "tech factor 2"],
+  "regulatoryEnvironment": "regulatory assessment",
+  "futureOutlook": "comprehensive 12-24 month outlook",
+  "dataConfidence": "high|medium|low",
+  "keyQuestions": ["strategic question 1", "strategic question 2"],
+  "summary": "comprehensive executive summary (3-4 sentences)"
+}
+
+Give 4-5 key trends and insights and about 3 recommendations and risk factors.
+{{citationInstructions}}
+{{outputInstructions}}
+
+Base all analysis on the provided data. Make insights specific and actionable for business decision-making.
+Return only valid JSON.`,
+      },
+    ],
+  },
+  {
+    id: 'report',
+    description: 'Executive HTML report of SynthesisAgent (agent-workflow engine)',
+    variables: {
+      query: 'The analysis query',
+      executiveSummary: 'Key findings, opportunities, risks and confidence, as JSON',
+      analysisResults: 'The analysis, as JSON',
+      dataOverview: 'Source count, quality, recency and diversity',
+      sourceDistribution: 'Sources per domain, with type, credibility and score',
+      temporalIntelligence: 'How recent the sources are',
+      contentHighlights: 'The top sources, numbered, with score, domain and search type',
+      reportSections: "The report's sections: the analysis template's or the full executive layout",
+    },
+    required: ['query', 'analysisResults'],
+    versions: [
+      {
+        version: 1,
+        changelog: 'Initial version',
+        template: `Create a comprehensive, executive-level market intelligence report for: "{{query}}"
+
+=== EXECUTIVE SUMMARY DATA ===
+{{executiveSummary}}
+
+=== DETAILED ANALYSIS RESULTS ===
+{{analysisResults}}
+
+=== DATA INTELLIGENCE OVERVIEW ===
+{{dataOverview}}
+
+=== SOURCE DISTRIBUTION ANALYSIS ===
+{{sourceDistribution}}
+
+=== TEMPORAL INTELLIGENCE ===
+{{temporalIntelligence}}
+
+=== CONTENT ANALYSIS HIGHLIGHTS ===
+{{contentHighlights}}
+
+{{reportSections}}
+
+FORMATTING REQUIREMENTS:
+- Use professional HTML structure with semantic elements
+- Include CSS for executive presentation quality
+- Add confidence indicators throughout
+- Use data visualization placeholders where charts enhance understanding
+- Include executive summary callout boxes
+- Add strategic recommendation highlight boxes
+- Ensure mobile-responsive design
+- Include print-friendly styles
+
+CONTENT REQUIREMENTS:
+- Base ALL conclusions on provided data
+- Include specific data points and statistics
+- Quantify insights where possible
+- Maintain professional, analytical tone
+- Focus on actionable business intelligence
+- Include confidence levels for key assertions
+
+Return complete HTML document with embedded CSS styling.`,
+      },
+    ],
+  },
+];
@@ -0,0 +1,121 @@
+const builtInPrompts = require('./builtIn');
+
+/**
+ * Prompt registry. Every LLM prompt of the agents is a definition here:
+ *
+ *   id           slug, e.g. 'multiagent-analyzer'
+ *   description  what the prompt is for
+ *   variables    { name: description } filled in by the agent, used in templates as {{name}}
+ *   required     variables every version must use
+ *   versions     [{ version, template, changelog }] built into the code
+ *
+ * Admins add versions (models/Prompt, see services/prompt.service), roll one out to a share
+ * of new analyses and promote it once it compares well. An analysis runs with the versions
+ * picked when it was started (Query.promptVersions), handed to the engine as a PromptSet
+ * (execute() option `prompts`), and its result records them (Result.promptVersions).
+ */
+
+const PLACEHOLDER = /\{\{\s*(\w+)\s*\}\}/g;
+const MAX_TEMPLATE_LENGTH = 20000;
+
+const prompts = new Map();
+
+const registerPrompt = (definition) => {
+  prompts.set(definition.id, definition);
+  return definition;
+};
+
+const hasPrompt = (id) => prompts.has(id);
+
+const getPrompt = (id) => {
+  const prompt = prompts.get(id);
+  if (!prompt) {
+    throw new Error(`Unknown prompt: ${id}`);
+  }
+  return prompt;
+};
+
+const listPrompts = () => Array.from(prompts.values());
+
+const latestBuiltIn = (id) => {
+  const { versions } = getPrompt(id);
+  return versions[versions.length - 1];
+};
+
+/**
+ * What is wrong with a template for the prompt (empty when nothing): variables the prompt
+ * does not have and required ones it leaves out
+ */
+const checkTemplate = (id, template) => {
+  const prompt = getPrompt(id);
+  const text = String(template || '');
+  if (!text.trim()) return ['template is empty'];
+  if (text.length > MAX_TEMPLATE_LENGTH) {
+    return [`template is longer than ${MAX_TEMPLATE_LENGTH} characters`];
+  }
+
+  const used = new Set([...text.matchAll(PLACEHOLDER)].map((match) => match[1]));
+  return [
+    ...[...used]
+      .filter((name) => !prompt.variables[name])
+      .map((name) => `unknown variable {{${name}}}`),
+    ...(prompt.required || [])
+      .filter((name) => !used.has(name))
+      .map((name) => `missing required variable {{${name}}}`),
+  ];
+};
+
+const renderPrompt = (template, variables = {}) =>
+  template.replace(PLACEHOLDER, (match, name) =>
+    variables[name] === undefined || variables[name] === null ? '' : String(variables[name])
+  );
+
+/**
+ * The prompt versions of one analysis run: { [promptId]: { version, template } }. Prompts
+ * it does not name use their latest built-in version.
+ */
+class PromptSet {
+  constructor(selection = {}) {
+    this.selection = selection;
+  }
+
+  get(promptId) {
+    if (this.selection[promptId]) return this.selection[promptId];
+
+    const { version, template } = latestBuiltIn(promptId);
+    return { version, template };
+  }
+
+  render(promptId, variables) {
+    return renderPrompt(this.get(promptId).template, variables);
+  }
+
+  /**
+   * Versions behind a workflow's prompts ({ agent: promptId }), as stored on
+   * Result.promptVersions
+   */
+  versionsFor(agentPrompts = {}) {
+    return Object.entries(agentPrompts).map(([agent, promptId]) => ({
+      agent,
+      promptId,
+      version: this.get(promptId).version,
+    }));
+  }
+
+  toJSON() {
+    return this.selection;
+  }
+}
+
+builtInPrompts.forEach(registerPrompt);
+
+module.exports = {
+  registerPrompt,
+  hasPrompt,
+  getPrompt,
+  listPrompts,
+  latestBuiltIn,
+  checkTemplate,
+  renderPrompt,
+  PromptSet,
+};
@@ -0,0 +1,192 @@
+/**
+ * Built-in analysis templates. `general` is the default and adds nothing to the engines'
+ * own prompts; the others steer the planner, ask the analyst for extra output fields and
+ * replace the report's section list (see ./index for the definition shape).
+ */
+module.exports = [
+  {
+    id: 'general',
+    name: 'General Market Research',
+    description: 'Trends, players, challenges and opportunities for any market question',
+  },
+
+  {
+    id: 'competitor-deep-dive',
+    name: 'Competitor Deep-Dive',
+    description: 'Profiles the leading competitors, their products, pricing and positioning',
+    plannerGuidance:
+      'Identify the main competitors named or implied by the query and plan searches for each: ' +
+      'company profiles, product lines, pricing, funding, partnerships and recent strategic moves.',
+    searchCategories: ['competitor profiles', 'pricing', 'product comparison', 'funding news'],
+    outputFields: [
+      {
+        key: 'competitorProfiles',
+        type: 'list',
+        description: 'one entry per competitor: name, positioning, strengths and weaknesses',
+      },
+      {
+        key: 'pricingComparison',
+        type: 'text',
+        description: 'how the competitors price their offerings relative to each other',
+      },
+      {
+        key: 'differentiators',
+        type: 'list',
+        description: 'what sets each competitor apart',
+      },
+      {
+        key: 'competitiveThreats',
+        type: 'list',
+        description: 'moves by competitors that threaten the others',
+      },
+    ],
+    reportSections: [
+      'Executive Summary',
+      'Competitor Profiles',
+      'Product & Pricing Comparison',
+      'Positioning & Differentiation',
+      'Competitive Threats',
+      'Recommendations',
+      'Data Sources Summary',
+    ],
+  },
+
+  {
+    id: 'market-sizing',
+    name: 'Market Sizing',
+    description: 'Estimates total, serviceable and obtainable market with growth drivers',
+    plannerGuidance:
+      'Plan searches for market size estimates, forecasts and CAGR figures from research firms, ' +
+      'industry associations and public filings, plus the segment and regional breakdowns needed ' +
+      'to size the serviceable market.',
+    searchCategories: ['market size', 'market forecast', 'industry reports', 'segment breakdown'],
+    outputFields: [
+      {
+        key: 'totalAddressableMarket',
+        type: 'text',
+        description: 'TAM with currency, year and the source of the estimate',
+      },
+      {
+        key: 'serviceableMarket',
+        type: 'text',
+        description: 'SAM: the part of the TAM the query is about',
+      },
+      {
+        key: 'obtainableMarket',
+        type: 'text',
+        description: 'SOM: a realistic share for a new or existing player',
+      },
+      { key: 'growthDrivers', type: 'list', description: 'what drives the forecast growth' },
+      {
+        key: 'assumptions',
+        type: 'list',
+        description: 'assumptions behind the estimates, and where sources disagree',
+      },
+    ],
+    reportSections: [
+      'Executive Summary',
+      'Market Definition',
+      'TAM, SAM and SOM',
+      'Growth Rate & Drivers',
+      'Assumptions & Methodology',
+      'Recommendations',
+      'Data Sources Summary',
+    ],
+  },
+
+  {
+    id: 'swot',
+    name: 'SWOT Analysis',
+    description: 'Strengths, weaknesses, opportunities and threats of a company or product',
+    plannerGuidance:
+      'Plan searches that cover the subject from the inside (capabilities, financials, product ' +
+      'quality, customer feedback) and the outside (market shifts, competitors, regulation).',
+    searchCategories: ['company performance', 'customer reviews', 'market trends', 'competitors'],
+    outputFields: [
+      { key: 'strengths', type: 'list', description: 'internal strengths of the subject' },
+      { key: 'weaknesses', type: 'list', description: 'internal weaknesses of the subject' },
+      { key: 'opportunities', type: 'list', description: 'external opportunities it can use' },
+      { key: 'threats', type: 'list', description: 'external threats it faces' },
+    ],
+    reportSections: [
+      'Executive Summary',
+      'Strengths',
+      'Weaknesses',
+      'Opportunities',
+      'Threats',
+      'Strategic Implications',
+      'Data Sources Summary',
+    ],
+  },
+
+  {
+    id: 'pestle',
+    name: 'PESTLE Analysis',
+    description: 'Political, economic, social, technological, legal and environmental factors',
+    plannerGuidance:
+      'Plan at least one search per PESTLE factor - political, economic, social, technological, ' +
+      'legal and environmental - scoped to the market and regions in the query.',
+    searchCategories: ['policy', 'economic outlook', 'consumer trends', 'technology', 'regulation'],
+    outputFields: [
+      { key: 'political', type: 'list', description: 'government policy, stability, trade' },
+      { key: 'economic', type: 'list', description: 'growth, inflation, costs, investment' },
+      { key: 'social', type: 'list', description: 'demographics, attitudes, behaviour' },
+      { key: 'technological', type: 'list', description: 'innovation, adoption, disruption' },
+      { key: 'legal', type: 'list', description: 'laws, regulation, compliance' },
+      { key: 'environmental', type: 'list', description: 'climate, sustainability, resources' },
+    ],
+    reportSections: [
+      'Executive Summary',
+      'Political Factors',
+      'Economic Factors',
+      'Social Factors',
+      'Technological Factors',
+      'Legal Factors',
+      'Environmental Factors',
+      'Implications & Recommendations',
+      'Data Sources Summary',
+    ],
+  },
+
+  {
+    id: 'product-launch-scan',
+    name: 'Product Launch Scan',
+    description: 'Recent launches in a category, how they were received and the gaps they leave',
+    plannerGuidance:
+      'Plan searches for product launches, announcements and reviews from the last 12 months in ' +
+      'the category of the query, including launch coverage, pricing at launch and early ' +
+      'customer reception.',
+    searchCategories: ['product launches', 'product reviews', 'press releases'],
+    outputFields: [
+      {
+        key: 'recentLaunches',
+        type: 'list',
+        description: 'one entry per launch: product, company, date and headline features',
+      },
+      {
+        key: 'customerReception',
+        type: 'text',
+        description: 'how customers and reviewers received the launches',
+      },
+      {
+        key: 'featureGaps',
+        type: 'list',
+        description: 'needs the launched products leave unmet',
+      },
+      {
+        key: 'launchTiming',
+        type: 'text',
+        description: 'patterns in when launches happen and what that means for timing a new one',
+      },
+    ],
+    reportSections: [
+      'Executive Summary',
+      'Recent Launches',
+      'Customer Reception',
+      'Feature Gaps & White Space',
+      'Go-To-Market Considerations',
+      'Recommendations',
+      'Data Sources Summary',
+    ],
+  },
+];
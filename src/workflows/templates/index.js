@@ -0,0 +1,155 @@
+const builtInTemplates = require('./builtIn');
+
+/**
+ * Analysis templates tailor one analysis to a kind of research (SWOT, market sizing, ...).
+ * A definition is plain data, so admin-authored templates (models/AnalysisTemplate) have
+ * the same shape as the built-in ones:
+ *
+ *   id                slug, e.g. 'swot'
+ *   name, description shown when picking a template
+ *   plannerGuidance   extra instructions for the search planner
+ *   searchCategories  categories the plan should cover
+ *   outputFields      [{ key, type: 'list'|'text', description }] the analyst returns under
+ *                     `templateOutput`, stored on Result as analysisResults.templateOutput
+ *   reportSections    section titles the report is written with (default: the engine's own)
+ *
+ * Engines receive the resolved definition as execute() option `template` and build their
+ * prompts with the helpers below.
+ */
+
+const DEFAULT_TEMPLATE = 'general';
+const TEMPLATE_ID_PATTERN = /^[a-z0-9][a-z0-9-]{1,48}$/;
+const FIELD_KEY_PATTERN = /^[a-zA-Z][a-zA-Z0-9]{0,49}$/;
+const FIELD_TYPES = ['list', 'text'];
+
+const templates = new Map();
+
+/**
+ * Check a definition so a bad template is rejected when it is saved, not mid-analysis
+ */
+const validateTemplate = (definition) => {
+  const { id, name, outputFields = [], reportSections = [], searchCategories = [] } = definition;
+  const problems = [];
+
+  if (!TEMPLATE_ID_PATTERN.test(id || '')) {
+    problems.push('id must be 2-49 lowercase letters, digits or dashes');
+  }
+  if (!name) problems.push('missing name');
+  if (!Array.isArray(searchCategories)) problems.push('searchCategories must be a list');
+  if (!Array.isArray(reportSections)) problems.push('reportSections must be a list');
+
+  if (!Array.isArray(outputFields)) {
+    problems.push('outputFields must be a list');
+  } else {
+    const keys = new Set();
+    outputFields.forEach((field) => {
+      if (!FIELD_KEY_PATTERN.test(field?.key || '')) {
+        problems.push(`output field "${field?.key}" must be a camelCase key`);
+      }
+      if (keys.has(field?.key)) problems.push(`duplicate output field "${field.key}"`);
+      if (!FIELD_TYPES.includes(field?.type)) {
+        problems.push(`output field "${field?.key}" must be of type ${FIELD_TYPES.join(' or ')}`);
+      }
+      keys.add(field?.key);
+    });
+  }
+
+  if (problems.length) {
+    throw new Error(`Invalid template "${id || 'unknown'}": ${problems.join(', ')}`);
+  }
+
+  return definition;
+};
+
+const registerTemplate = (definition) => {
+  templates.set(definition.id, { builtIn: true, ...validateTemplate(definition) });
+  return definition;
+};
+
+const hasTemplate = (id) => templates.has(id);
+
+const getTemplate = (id = DEFAULT_TEMPLATE) => {
+  const definition = templates.get(id);
+  if (!definition) {
+    throw new Error(`Unknown template: ${id}`);
+  }
+  return definition;
+};
+
+const listTemplates = () => Array.from(templates.values());
+
+builtInTemplates.forEach(registerTemplate);
+
+// Prompt fragments. Each is empty for a template that leaves that part alone, so the
+// general template runs the engines' prompts unchanged.
+
+const plannerGuidance = (template) => {
+  if (!template?.plannerGuidance && !template?.searchCategories?.length) return '';
+
+  const lines = [`Analysis template: ${template.name}`];
+  if (template.plannerGuidance) lines.push(template.plannerGuidance);
+  if (template.searchCategories?.length) {
+    lines.push(`Cover these search categories: ${template.searchCategories.join(', ')}`);
+  }
+  return lines.join('\n');
+};
+
+const outputInstructions = (template) => {
+  if (!template?.outputFields?.length) return '';
+
+  const fields = template.outputFields.map(
+    ({ key, type, description }) =>
+      `"${key}": ${type === 'list' ? '["..."]' : '"..."'}${description ? ` (${description})` : ''}`
+  );
+  return [
+    `This is a ${template.name}. Also include a "templateOutput" object in the JSON with:`,
+    ...fields,
+  ].join('\n');
+};
+
+// Numbered section list for the report prompt; `sections` are the engine's own, used when
+// the template does not set any
+const reportSections = (template, sections = []) =>
+  (template?.reportSections?.length ? template.reportSections : sections)
+    .map((section, index) => `${index + 1}. ${section}`)
+    .join('\n');
+
+const toText = (value) => {
+  if (value === null || value === undefined) return '';
+  if (typeof value === 'object') {
+    return String(value.text || value.name || value.title || JSON.stringify(value));
+  }
+  return String(value);
+};
+
+/**
+ * The template's fields from the analyst's `templateOutput`, lists as text lists and text
+ * as text; fields the analyst left out come back empty
+ */
+const templateOutput = (template, analysisResults = {}) => {
+  const output = analysisResults?.templateOutput || {};
+
+  return Object.fromEntries(
+    (template?.outputFields || []).map(({ key, type }) => {
+      const value = output[key];
+      if (type === 'list') {
+        const items = Array.isArray(value) ? value : [value];
+        return [key, items.map(toText).filter(Boolean)];
+      }
+      return [key, Array.isArray(value) ? value.map(toText).join('; ') : toText(value)];
+    })
+  );
+};
+
+module.exports = {
+  DEFAULT_TEMPLATE,
+  validateTemplate,
+  registerTemplate,
+  hasTemplate,
+  getTemplate,
+  listTemplates,
+  plannerGuidance,
+  outputInstructions,
+  reportSections,
+  templateOutput,
+};
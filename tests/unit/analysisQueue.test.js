@@ -0,0 +1,151 @@
+// The analysis service builds its engine from the shared config; no LLM key here
+process.env.LLM_PROVIDER = 'fake';
+
+const config = require('../../src/config');
+const QueueService = require('../../src/services/queue.service');
+const AnalysisService = require('../../src/services/analysis.service');
+const Query = require('../../src/models/Query');
+const Checkpoint = require('../../src/models/Checkpoint');
+const { getTemplate, DEFAULT_TEMPLATE } = require('../../src/workflows/templates');
+const { PromptSet } = require('../../src/workflows/prompts');
+
+// Bull keeps one job per job id: adding an id that exists returns the existing job
+jest.mock('bull', () => {
+  class FakeJob {
+    constructor(queue, data, opts) {
+      this.queue = queue;
+      this.id = opts.jobId;
+      this.data = data;
+      this.opts = opts;
+      this.attemptsMade = 0;
+      this.state = 'waiting';
+    }
+
+    async getState() {
+      return this.state;
+    }
+
+    async remove() {
+      this.queue.jobs.delete(this.id);
+    }
+  }
+
+  return class FakeQueue {
+    constructor(name, url, { defaultJobOptions }) {
+      this.defaultJobOptions = defaultJobOptions;
+      this.jobs = new Map();
+    }
+
+    on() {}
+
+    process(name, concurrency, handler) {
+      this.handler = handler;
+    }
+
+    async add(name, data, opts) {
+      if (!this.jobs.has(opts.jobId)) {
+        this.jobs.set(opts.jobId, new FakeJob(this, data, { ...this.defaultJobOptions, ...opts }));
+      }
+      return this.jobs.get(opts.jobId);
+    }
+
+    async getJob(jobId) {
+      return this.jobs.get(jobId) || null;
+    }
+  };
+});
+
+jest.mock('ioredis', () => class FakeRedis {});
+
+const data = { queryId: 'query-1', query: 'EV charging market', userId: 'user-1' };
+
+describe('analysis queue', () => {
+  it('should queue a query once, under its own id', async () => {
+    const queue = new QueueService(config);
+
+    const first = await queue.enqueueAnalysis(data);
+    const second = await queue.enqueueAnalysis(data);
+
+    expect(first.id).toBe('query-1');
+    expect(second).toBe(first);
+    expect(queue.queue.jobs.size).toBe(1);
+  });
+
+  it('should requeue a finished job but refuse one still queued or running', async () => {
+    const queue = new QueueService(config);
+    const job = await queue.enqueueAnalysis(data);
+
+    job.state = 'active';
+    await expect(queue.requeueAnalysis(data)).rejects.toMatchObject({ statusCode: 409 });
+
+    job.state = 'failed';
+    const requeued = await queue.requeueAnalysis({ ...data, fromStep: 'analyzer' });
+    expect(requeued).not.toBe(job);
+    expect(requeued.data.fromStep).toBe('analyzer');
+  });
+});
+
+describe('analysis worker', () => {
+  let service;
+  let query;
+
+  beforeEach(() => {
+    query = { _id: 'query-1', userId: 'user-1', status: 'pending', metadata: {} };
+
+    jest.spyOn(Query, 'findById').mockImplementation(async () => query);
+    jest.spyOn(Query, 'findOneAndUpdate').mockImplementation(async (filter, update) => {
+      Object.assign(query, update);
+      return query;
+    });
+    jest.spyOn(Query, 'updateMany').mockResolvedValue({});
+    jest.spyOn(Checkpoint, 'findByQuery').mockResolvedValue([]);
+    jest.spyOn(Checkpoint, 'clearFrom').mockResolvedValue({});
+
+    service = new AnalysisService(config);
+    jest.spyOn(service.queue, 'onCancellation').mockImplementation(() => {});
+    jest.spyOn(service.dispatcher, 'start').mockImplementation(() => {});
+    jest.spyOn(service, 'dispatchQueued').mockResolvedValue();
+    jest.spyOn(service.templates, 'getTemplate').mockResolvedValue(getTemplate(DEFAULT_TEMPLATE));
+    jest.spyOn(service.prompts, 'selectVersions').mockResolvedValue({});
+    jest.spyOn(service.prompts, 'loadPromptSet').mockResolvedValue(new PromptSet());
+    jest.spyOn(service.progress, 'publish').mockResolvedValue();
+    jest.spyOn(service.webhooks, 'notifyAnalysis').mockResolvedValue();
+    jest.spyOn(service.notifications, 'notifyAnalysis').mockResolvedValue();
+    jest
+      .spyOn(service.getEngine(), 'execute')
+      .mockResolvedValue({ success: false, error: 'LLM unavailable' });
+
+    service.startWorker();
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  const runJob = async (attemptsMade) => {
+    const job = await service.queue.enqueueAnalysis(data);
+    job.attemptsMade = attemptsMade;
+    return service.queue.queue.handler(job);
+  };
+
+  it('should hand a failed attempt back to Bull while attempts are left', async () => {
+    await expect(runJob(0)).rejects.toThrow('LLM unavailable');
+
+    expect(query).toMatchObject({ status: 'pending', 'metadata.retryCount': 1 });
+    expect(service.progress.publish).toHaveBeenCalledWith(
+      'query-1',
+      'retrying',
+      expect.objectContaining({ attempt: 1 })
+    );
+  });
+
+  it('should mark the query failed when its last attempt fails', async () => {
+    await expect(runJob(config.queue.attempts - 1)).rejects.toThrow('LLM unavailable');
+
+    expect(query).toMatchObject({
+      status: 'failed',
+      'metadata.errorMessage': 'LLM unavailable',
+    });
+    expect(service.notifications.notifyAnalysis).toHaveBeenCalledWith('query-1', 'failed', {
+      error: 'LLM unavailable',
+    });
+  });
+});
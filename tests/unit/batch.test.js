@@ -0,0 +1,36 @@
+const { parseQueryCsv, uniqueQueries, batchProgress } = require('../../src/utils/batch');
+
+describe('batch queries', () => {
+  it('reads the query column of a CSV upload, or its first column without a header', () => {
+    const withHeader =
+      'segment,query\r\nfleet,"EV fleet charging, Europe"\r\nhome,"Home ""smart"" chargers"\r\n\r\n';
+    expect(parseQueryCsv(withHeader)).toEqual([
+      'EV fleet charging, Europe',
+      'Home "smart" chargers',
+    ]);
+    expect(parseQueryCsv('Solar inverters market\nHeat pump market\n')).toEqual([
+      'Solar inverters market',
+      'Heat pump market',
+    ]);
+    expect(uniqueQueries(['Heat pump market', ' heat  pump market ', 'Solar market'])).toEqual([
+      'Heat pump market',
+      'Solar market',
+    ]);
+  });
+
+  it('derives the batch status and progress from its analyses', () => {
+    const running = batchProgress([
+      { status: 'completed' },
+      { status: 'processing', metadata: { progress: { percentage: 50 } } },
+      { status: 'pending' },
+    ]);
+    expect(running).toMatchObject({ status: 'processing', total: 3, finished: 1, percentage: 50 });
+    expect(running.counts).toMatchObject({ completed: 1, processing: 1, pending: 1 });
+
+    expect(batchProgress([{ status: 'completed' }, { status: 'failed' }])).toMatchObject({
+      status: 'partial',
+      percentage: 100,
+    });
+    expect(batchProgress([{ status: 'pending' }]).status).toBe('queued');
+  });
+});
@@ -0,0 +1,124 @@
+const PipelineEngine = require('../../src/workflows/PipelineEngine');
+const SearchAgent = require('../../src/agents/SearchAgent');
+const { UsageMeter } = require('../../src/providers/metering');
+const { Budget, resolveBudget } = require('../../src/workflows/budget');
+
+const config = {
+  budgets: {
+    plans: {
+      free: { maxSearchCalls: 10, maxLLMTokens: 60000, maxDurationMs: 300000 },
+      premium: { maxSearchCalls: 25, maxLLMTokens: 200000 },
+    },
+  },
+};
+
+const meterWith = ({ searchCalls = 0, tokens = 0 } = {}) => {
+  const meter = new UsageMeter({});
+  for (let call = 0; call < searchCalls; call += 1) {
+    meter.recordSearch('searcher', { provider: 'local', latencyMs: 1 });
+  }
+  if (tokens) {
+    meter.recordLLM('planner', { model: 'fake', usage: { promptTokens: tokens }, latencyMs: 1 });
+  }
+  return meter;
+};
+
+describe('Budget', () => {
+  it("should run with the plan's limits, lowered but never raised by the request", () => {
+    expect(resolveBudget(config, 'premium', { maxSearchCalls: 5, maxLLMTokens: 900000 })).toEqual({
+      maxSearchCalls: 5,
+      maxLLMTokens: 200000,
+    });
+    expect(resolveBudget(config, 'unknown', { maxDurationMs: 60000 })).toEqual({
+      maxSearchCalls: 10,
+      maxLLMTokens: 60000,
+      maxDurationMs: 60000,
+    });
+  });
+
+  it('should skip secondary terms first and record the limit that cut them', () => {
+    const budget = new Budget({ maxSearchCalls: 4 }, meterWith({ searchCalls: 1 }));
+
+    const planned = budget.planSearches({ primary: ['a', 'b'], secondary: ['c', 'd', 'e'] });
+
+    expect(planned).toEqual({ primary: ['a', 'b'], secondary: ['c'] });
+    expect(budget.report().constrainedBy).toEqual([
+      { limit: 'maxSearchCalls', value: 4, skipped: '2 secondary search term(s)' },
+    ]);
+  });
+
+  it('should drop all optional searches once the token budget is spent', () => {
+    const budget = new Budget({ maxLLMTokens: 1000 }, meterWith({ tokens: 1500 }));
+
+    expect(budget.planSearches({ primary: ['a'], secondary: ['b'] })).toEqual({
+      primary: ['a'],
+      secondary: [],
+    });
+    expect(budget.report().constrainedBy[0].limit).toBe('maxLLMTokens');
+  });
+
+  it('should not follow an optional edge over budget', async () => {
+    const calls = [];
+    const definition = {
+      id: 'budget-pipeline',
+      entry: 'write',
+      nodes: [
+        { id: 'write', handler: 'write', outputs: [] },
+        { id: 'check', handler: 'check', outputs: [] },
+      ],
+      edges: [
+        { from: 'write', to: 'check' },
+        { from: 'check', to: 'write', condition: 'low', optional: true, label: 'Rework' },
+      ],
+      conditions: { low: () => true },
+    };
+    const agent = (name) => async (state) => {
+      calls.push(name);
+      return state;
+    };
+    const host = { write: agent('write'), check: agent('check') };
+    const budget = new Budget({ maxSearchCalls: 1 }, meterWith({ searchCalls: 1 }));
+
+    await new PipelineEngine(definition, host).run({}, { context: { budget } });
+
+    expect(calls).toEqual(['write', 'check']);
+    expect(budget.report().constrainedBy).toEqual([
+      { limit: 'maxSearchCalls', value: 1, skipped: 'Rework' },
+    ]);
+  });
+
+  it('should stop the planned searches once a limit is reached mid-loop', async () => {
+    const meter = meterWith();
+    const budget = new Budget({ maxLLMTokens: 1000 }, meter);
+    const content = 'Charging networks keep expanding across highways and city centres alike.';
+    const search = {
+      requestDelayMs: 0,
+      search: jest.fn(async (term) => {
+        // The first search's follow-up LLM work spends the token budget
+        meter.recordLLM('searcher', { model: 'fake', usage: { promptTokens: 1500 }, latencyMs: 1 });
+        return [{ url: `https://example.com/${term.length}`, title: term, content, score: 0.5 }];
+      }),
+    };
+
+    await new SearchAgent(null, search).gatherData(
+      { primaryTerms: ['a', 'b', 'c'], secondaryTerms: ['d'], expectedSources: 3 },
+      { budget }
+    );
+
+    expect(search.search).toHaveBeenCalledTimes(1);
+    expect(budget.report().constrainedBy).toEqual([
+      { limit: 'maxLLMTokens', value: 1000, skipped: '2 primary search term(s)' },
+      { limit: 'maxLLMTokens', value: 1000, skipped: '1 secondary search term(s)' },
+    ]);
+  });
+
+  it("should count the restored agents' time against the time limit", () => {
+    const budget = new Budget({ maxDurationMs: 60000 }, meterWith()).restore([
+      { durationMs: 40000, budget: [] },
+      { durationMs: 25000, budget: [] },
+    ]);
+
+    expect(budget.used().durationMs).toBeGreaterThanOrEqual(65000);
+    expect(budget.reached()).toEqual(['maxDurationMs']);
+  });
+});
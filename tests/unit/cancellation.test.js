@@ -0,0 +1,139 @@
+const baseConfig = require('../../src/config');
+const AnalysisService = require('../../src/services/analysis.service');
+const Query = require('../../src/models/Query');
+const Checkpoint = require('../../src/models/Checkpoint');
+const { getTemplate, DEFAULT_TEMPLATE } = require('../../src/workflows/templates');
+const { PromptSet } = require('../../src/workflows/prompts');
+
+// Cancellations travel over Redis pub/sub: every subscriber hears what any client publishes
+jest.mock('ioredis', () => {
+  const { EventEmitter } = require('events');
+  const channels = new EventEmitter();
+
+  return class FakeRedis extends EventEmitter {
+    async subscribe(channel) {
+      channels.on(channel, (message) => this.emit('message', channel, message));
+    }
+
+    async publish(channel, message) {
+      const subscribers = channels.listenerCount(channel);
+      channels.emit(channel, message);
+      return subscribers;
+    }
+
+    disconnect() {}
+  };
+});
+
+jest.mock('bull', () => {
+  const Redis = require('ioredis');
+
+  return class FakeQueue {
+    constructor(name) {
+      this.name = name;
+      this.client = new Redis();
+      this.jobs = new Map();
+    }
+
+    on() {}
+
+    process(name, concurrency, handler) {
+      this.handler = handler;
+    }
+
+    async getJob(jobId) {
+      return this.jobs.get(jobId) || null;
+    }
+  };
+});
+
+const config = {
+  ...baseConfig,
+  llm: { ...baseConfig.llm, provider: 'fake' },
+  search: { ...baseConfig.search, providers: ['local'] },
+  searchCache: { ...baseConfig.searchCache, enabled: false },
+  fixtures: { mode: 'off' },
+};
+
+describe('cancelling a running analysis', () => {
+  const queryId = 'query-1';
+  const userId = 'user-1';
+  let service;
+  let query;
+  let saved;
+
+  beforeEach(() => {
+    query = { _id: queryId, userId, status: 'pending', engine: 'langchain-multiagent' };
+    saved = [];
+
+    jest.spyOn(Query, 'findById').mockImplementation(async () => query);
+    jest.spyOn(Query, 'findOne').mockImplementation(async () => query);
+    jest.spyOn(Query, 'findOneAndUpdate').mockImplementation(async (filter, update) => {
+      if (filter.status?.$ne === query.status) return null;
+      Object.assign(query, update);
+      return query;
+    });
+    jest.spyOn(Query, 'updateMany').mockResolvedValue({});
+    jest.spyOn(Query, 'find').mockReturnValue({
+      sort: () => ({ select: () => ({ lean: async () => [] }) }),
+    });
+    jest.spyOn(Checkpoint, 'findByQuery').mockResolvedValue([]);
+    jest.spyOn(Checkpoint, 'clearFrom').mockResolvedValue({});
+    jest.spyOn(Checkpoint, 'deleteMany').mockResolvedValue({});
+    jest
+      .spyOn(Checkpoint, 'saveForAgent')
+      .mockImplementation(async (id, agent) => saved.push(agent));
+
+    service = new AnalysisService(config);
+    jest.spyOn(service.dispatcher, 'start').mockImplementation(() => {});
+    jest.spyOn(service, 'dispatchQueued').mockResolvedValue();
+    jest.spyOn(service.templates, 'getTemplate').mockResolvedValue(getTemplate(DEFAULT_TEMPLATE));
+    jest.spyOn(service.prompts, 'selectVersions').mockResolvedValue({});
+    jest.spyOn(service.prompts, 'loadPromptSet').mockResolvedValue(new PromptSet());
+    jest.spyOn(service.progress, 'publish').mockResolvedValue();
+    jest.spyOn(service.webhooks, 'notifyAnalysis').mockResolvedValue();
+    jest.spyOn(service.notifications, 'notifyAnalysis').mockResolvedValue();
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it('should abort the in-flight agent over the cancel channel and keep its checkpoints', async () => {
+    const engine = service.getEngine('langchain-multiagent');
+    let searchStarted;
+    const searching = new Promise((resolve) => {
+      searchStarted = resolve;
+    });
+    // The search only ends when the run's signal aborts
+    engine.workflow.searchAgent = jest.fn(
+      (state, signal) =>
+        new Promise((resolve, reject) => {
+          signal.addEventListener('abort', () => reject(new Error('request aborted')));
+          searchStarted();
+        })
+    );
+
+    service.startWorker();
+    const job = {
+      id: queryId,
+      data: { queryId, query: 'EV charging market', userId },
+      opts: { attempts: 3 },
+      attemptsMade: 0,
+      getState: async () => 'active',
+    };
+    service.queue.queue.jobs.set(queryId, job);
+    const run = service.queue.queue.handler(job);
+
+    await searching;
+    await service.cancelAnalysis(queryId, userId);
+
+    await expect(run).resolves.toEqual({ queryId, cancelled: true });
+    expect(query.status).toBe('cancelled');
+    expect(saved).toEqual(['planner']);
+    expect(Checkpoint.deleteMany).not.toHaveBeenCalled();
+    expect(service.progress.publish).toHaveBeenCalledWith(queryId, 'cancelled', {
+      status: 'cancelled',
+    });
+    expect(service.progress.publish).not.toHaveBeenCalledWith(queryId, 'failed', expect.anything());
+    expect(service.activeWorkflows.has(queryId)).toBe(false);
+  });
+});
@@ -0,0 +1,70 @@
+const { detectChanges, compareResults } = require('../../src/utils/changeDetection');
+
+const result = (keyTrends, majorPlayers, urls) => ({
+  analysisResults: { keyTrends, competitiveLandscape: { majorPlayers } },
+  rawData: urls.map((url) => ({ url, title: `Title of ${url}` })),
+});
+
+describe('detectChanges', () => {
+  it('should report new trends, dropped players and new sources between two runs', () => {
+    const previous = result(
+      ['Fast charging prices are falling across Germany', 'Grid capacity limits new hubs'],
+      ['Ionity', 'Allego', 'Fastned'],
+      ['https://example.com/a', 'https://example.com/b']
+    );
+    const current = result(
+      ['Fast charging prices keep falling across Germany', 'Fleet depots adopt overnight charging'],
+      ['ionity', 'Fastned', 'Tesla'],
+      ['https://example.com/b', 'https://example.com/c', 'https://example.com/c']
+    );
+
+    const changes = detectChanges(previous, current);
+
+    expect(changes).toMatchObject({
+      newTrends: ['Fleet depots adopt overnight charging'],
+      droppedTrends: ['Grid capacity limits new hubs'],
+      newPlayers: ['Tesla'],
+      droppedPlayers: ['Allego'],
+      newSources: [{ url: 'https://example.com/c', title: 'Title of https://example.com/c' }],
+      droppedSources: 1,
+    });
+    expect(changes.summary).toBe(
+      'Since the last run: 1 new trend; 1 trend no longer reported; new players: Tesla; dropped players: Allego; 1 new source.'
+    );
+  });
+
+  it('should say so when nothing changed', () => {
+    const run = result(['Steady growth'], ['Ionity'], ['https://example.com/a']);
+
+    expect(detectChanges(run, run).summary).toBe('No changes since the last run.');
+  });
+});
+
+describe('compareResults', () => {
+  it('should diff each list and report confidence change and source overlap', () => {
+    const base = result(['Prices fall'], ['Ionity'], ['https://a.com/1', 'https://b.com/1']);
+    base.analysisResults.riskFactors = ['Grid capacity'];
+    base.analysisResults.dataConfidence = 'medium';
+
+    const compared = result(['Prices fall', 'Fleet depots grow'], ['Tesla'], ['https://b.com/1']);
+    compared.analysisResults.recommendations = ['Partner with fleets'];
+    compared.analysisResults.dataConfidence = 'high';
+
+    expect(compareResults(base, compared)).toEqual({
+      trends: { added: ['Fleet depots grow'], removed: [], shared: 1 },
+      players: { added: ['Tesla'], removed: ['Ionity'], shared: 0 },
+      risks: { added: [], removed: ['Grid capacity'], shared: 0 },
+      recommendations: { added: ['Partner with fleets'], removed: [], shared: 0 },
+      confidence: { from: 'medium', to: 'high', change: 1, direction: 'increased' },
+      sources: {
+        base: 2,
+        compared: 1,
+        shared: 1,
+        onlyInBase: 1,
+        onlyInCompared: 0,
+        overlap: 0.5,
+        domains: { shared: ['b.com'], overlap: 0.5 },
+      },
+    });
+  });
+});
@@ -0,0 +1,78 @@
+const {
+  resolveCitations,
+  buildFootnotes,
+  renderFootnotesHtml,
+} = require('../../src/utils/citations');
+const { normalizeResult } = require('../../src/workflows/engines/normalizeResult');
+
+const rawData = [
+  { url: 'https://example.com/ionity', title: 'Ionity pricing update' },
+  { url: 'https://example.com/allego', title: 'Allego network' },
+  { url: 'https://example.com/grid', title: 'Grid capacity report' },
+];
+
+describe('citations', () => {
+  it('should resolve numbered source markers to URLs and strip them from the text', () => {
+    const analysis = resolveCitations(
+      {
+        keyTrends: [{ text: 'Fast charging prices fall', sources: [1, 2] }, 'Hubs expand [2]'],
+        challenges: [
+          { text: 'Grid capacity', sources: [] },
+          { text: 'Permits', sources: [7] },
+        ],
+      },
+      ['https://example.com/ionity', 'https://example.com/allego']
+    );
+
+    expect(analysis.keyTrends).toEqual(['Fast charging prices fall', 'Hubs expand']);
+    expect(analysis.challenges).toEqual(['Grid capacity', 'Permits']);
+    expect(analysis.citations).toEqual({
+      keyTrends: [
+        { urls: ['https://example.com/ionity', 'https://example.com/allego'] },
+        { urls: ['https://example.com/allego'] },
+      ],
+      riskFactors: [{ urls: [] }, { urls: [] }],
+    });
+  });
+
+  it('should number cited sources as footnotes and flag unsupported items', () => {
+    const analysis = resolveCitations(
+      {
+        keyTrends: [{ text: 'Hubs expand', sources: [2] }],
+        challenges: [{ text: 'Grid capacity', sources: [] }],
+      },
+      rawData.map((source) => source.url)
+    );
+    const output = normalizeResult(
+      { rawData, analysisResults: analysis, finalReport: '<html><body>Report</body></html>' },
+      { engine: 'langgraph', workflowId: 'wf-1', duration: 10 }
+    );
+
+    expect(output.analysisResults.citations.keyTrends).toEqual([
+      { sourceIndexes: [1], urls: ['https://example.com/allego'], supported: true },
+    ]);
+
+    const footnotes = buildFootnotes(output.analysisResults, rawData);
+    expect(footnotes.sources).toEqual([
+      { number: 1, sourceIndex: 1, url: 'https://example.com/allego', title: 'Allego network' },
+    ]);
+    expect(footnotes.sections.find((section) => section.key === 'riskFactors').items).toEqual([
+      { text: 'Grid capacity', footnotes: [], supported: false },
+    ]);
+
+    const html = renderFootnotesHtml(footnotes);
+    expect(html).toContain('Hubs expand <sup><a href="#source-1">[1]</a></sup>');
+    expect(html).toContain('(unsupported - no source cited)');
+    expect(output.finalReport).toContain('<section class="citations">');
+    expect(output.finalReport.endsWith('</body></html>')).toBe(true);
+  });
+
+  it('should leave results analysed before citations unflagged', () => {
+    const footnotes = buildFootnotes({ keyTrends: ['Older trend'] }, rawData);
+
+    expect(footnotes.sections[0].items).toEqual([
+      { text: 'Older trend', footnotes: [], supported: null },
+    ]);
+    expect(footnotes.sources).toEqual([]);
+  });
+});
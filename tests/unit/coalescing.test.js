@@ -0,0 +1,35 @@
+const { normalizeQuery, queryFingerprint } = require('../../src/utils/coalescing');
+
+const options = {
+  engine: 'langchain-multiagent',
+  template: 'general',
+  searchProviders: ['tavily', 'local'],
+  budget: { maxSearchCalls: 10, maxLLMTokens: 60000 },
+};
+
+describe('Query coalescing', () => {
+  it('should match queries that differ only in case, punctuation and spacing', () => {
+    expect(normalizeQuery('  EV charging market -- in Europe? ')).toBe(
+      'ev charging market in europe'
+    );
+    expect(queryFingerprint({ ...options, query: 'EV charging market in Europe?' })).toBe(
+      queryFingerprint({
+        ...options,
+        query: 'ev charging  market in europe',
+        searchProviders: ['local', 'tavily'],
+        budget: { maxLLMTokens: 60000, maxSearchCalls: 10 },
+      })
+    );
+  });
+
+  it('should keep analyses with different run options apart', () => {
+    const fingerprint = queryFingerprint({ ...options, query: 'EV charging market' });
+
+    expect(
+      queryFingerprint({ ...options, query: 'EV charging market', template: 'swot' })
+    ).not.toBe(fingerprint);
+    expect(
+      queryFingerprint({ ...options, query: 'EV charging market', budget: { maxSearchCalls: 4 } })
+    ).not.toBe(fingerprint);
+  });
+});
@@ -0,0 +1,63 @@
+const ConversationService = require('../../src/services/conversation.service');
+
+const config = { llm: { provider: 'fake', models: { default: 'fake', fast: 'fake' } } };
+
+const rawData = [
+  {
+    url: 'https://example.com/solar',
+    title: 'Rooftop solar demand',
+    content: 'Residential solar installs grew.',
+  },
+  {
+    url: 'https://example.com/ionity',
+    title: 'Ionity pricing update',
+    content: 'Ionity cut fast charging prices across Germany.',
+  },
+  {
+    url: 'https://example.com/allego',
+    title: 'Allego network',
+    content: 'Allego expands charging hubs; pricing stays flat.',
+  },
+];
+
+describe('ConversationService', () => {
+  const service = new ConversationService(config);
+
+  it('should number the stored sources most relevant to the question by their position', () => {
+    const sources = service.selectSources(rawData, ['How did charging pricing change?']);
+
+    expect(sources.map((source) => [source.marker, source.sourceIndex])).toEqual([
+      [2, 1],
+      [3, 2],
+    ]);
+  });
+
+  it("should keep a source's marker across questions", () => {
+    const pricing = service.selectSources(rawData, ['Allego pricing']);
+    const solar = service.selectSources(rawData, ['What about Allego and solar?']);
+
+    const allegoMarker = (sources) =>
+      sources.find((source) => source.url.endsWith('allego')).marker;
+    expect(allegoMarker(pricing)).toBe(3);
+    expect(allegoMarker(solar)).toBe(3);
+    expect(solar[0].sourceIndex).not.toBe(pricing[0].sourceIndex);
+  });
+
+  it('should answer from the numbered sources and cite only markers that exist', async () => {
+    const query = { queryText: 'EV charging market in Europe' };
+    const result = { analysisResults: { summary: 'Growing market' } };
+    const sources = service.selectSources(rawData, ['Ionity pricing']);
+
+    const response = await service.llm.complete({
+      task: 'follow-up',
+      messages: service.buildMessages(query, result, sources, [], 'Ionity pricing'),
+    });
+    const citations = service.extractCitations(`${response.content} [9]`, sources);
+
+    expect(response.content).toContain('[2]');
+    expect(citations).toEqual([
+      expect.objectContaining({ marker: 2, sourceIndex: 1, url: 'https://example.com/ionity' }),
+      expect.objectContaining({ marker: 3, sourceIndex: 2, url: 'https://example.com/allego' }),
+    ]);
+  });
+});
@@ -0,0 +1,39 @@
+const { renderEmail } = require('../../src/utils/emailTemplates');
+
+describe('notification emails', () => {
+  const context = {
+    name: 'Sam',
+    query: 'EV charging <Europe>',
+    keyTrends: ['Fleet charging grows fastest', 'Tariffs fall'],
+    dataConfidence: 'high',
+    resultsUrl: 'http://localhost:3001/analysis/q1',
+    unsubscribeUrl: 'http://localhost:3000/api/notifications/unsubscribe?token=abc',
+  };
+
+  it('summarizes key trends with links to the results and to unsubscribe', () => {
+    const email = renderEmail('completed', context);
+
+    expect(email.subject).toBe('Your analysis is ready: EV charging <Europe>');
+    expect(email.text).toContain('- Fleet charging grows fastest');
+    expect(email.text).toContain(context.resultsUrl);
+    expect(email.text).toContain(`Unsubscribe: ${context.unsubscribeUrl}`);
+    expect(email.html).toContain('EV charging &lt;Europe&gt;');
+    expect(email.html).not.toContain('<Europe>');
+  });
+
+  it("uses the user's own subject and intro", () => {
+    const email = renderEmail(
+      'failed',
+      { ...context, name: undefined, error: 'Timed out' },
+      {
+        subject: '[TavSearch] {{query}} failed',
+        intro: 'Hello {{name}}: <b>{{query}}</b> needs a retry.',
+      }
+    );
+
+    expect(email.subject).toBe('[TavSearch] EV charging <Europe> failed');
+    expect(email.text).toMatch(/^Hello there: <b>EV charging <Europe><\/b> needs a retry\./);
+    expect(email.html).toContain('&lt;b&gt;EV charging &lt;Europe&gt;&lt;/b&gt;');
+    expect(email.text).toContain('Error: Timed out');
+  });
+});
@@ -0,0 +1,122 @@
+const path = require('path');
+const {
+  scoreOutput,
+  summarizeRun,
+  compareRuns,
+  formatReport,
+} = require('../../src/utils/evaluation');
+const { loadGoldenSet, loadConfiguration, runConfiguration } = require('../../scripts/evaluate');
+
+const evals = path.join(__dirname, '../../evals');
+
+const output = {
+  searchStrategy: { primaryTerms: ['EV charging Europe'] },
+  rawData: [
+    {
+      url: 'https://example.com/ionity',
+      title: 'Ionity expands fast charging corridors',
+      content: 'Ionity adds high-power chargers along European highways.',
+    },
+  ],
+  analysisResults: {
+    keyTrends: ['Fast charging corridors expand along highways', 'Battery prices fall'],
+    marketOpportunities: ['Charging hubs at retail parks'],
+    competitiveLandscape: { majorPlayers: ['Ionity', 'Allego'] },
+    insights: [],
+    recommendations: ['Partner with highway operators'],
+    riskFactors: [],
+    summary: 'Analysis completed',
+    citations: {
+      keyTrends: [{ sourceIndexes: [0] }, { sourceIndexes: [0] }],
+      recommendations: [{ sourceIndexes: [3] }],
+    },
+  },
+  finalReport: '<h1>EV charging</h1><p>Fastned is growing.</p>',
+  structuredOutput: [
+    { agent: 'planner', status: 'valid' },
+    { agent: 'analyzer', status: 'fallback' },
+  ],
+};
+
+const run = (configuration, overall) => {
+  const cases = overall.map((score, index) => ({
+    caseId: `case-${index + 1}`,
+    success: score !== null,
+    ...(score === null ? { error: 'LLM timed out' } : { scores: { overall: score } }),
+  }));
+  return { configuration, cases, summary: summarizeRun(cases) };
+};
+
+describe('Evaluation harness', () => {
+  it('should score completeness, citations, entities and agreement with the reference', () => {
+    const { scores, details } = scoreOutput(output, {
+      expectedEntities: ['Ionity', 'Fastned', ['Tesla Supercharger', 'Tesla']],
+      reference: {
+        keyTrends: ['Fast charging corridors expanding along European highways'],
+        majorPlayers: ['Ionity', 'Tesla'],
+        dataConfidence: 'high',
+      },
+    });
+
+    // 6 of 9 fields filled, 1 of 2 agents without fallback
+    expect(scores.schemaCompleteness).toBe(0.636);
+    expect(details.missingFields).toEqual([
+      'analysisResults.insights',
+      'analysisResults.riskFactors',
+      'analysisResults.summary',
+    ]);
+    expect(details.fallbacks).toEqual(['analyzer']);
+
+    // The second trend cites a source it shares no words with, the recommendation a missing one
+    expect(scores.citationValidity).toBe(0.333);
+    expect(details.invalidCitations).toEqual([
+      { section: 'keyTrends', index: 1, sourceIndex: 0 },
+      { section: 'recommendations', index: 0, sourceIndex: 3 },
+    ]);
+
+    expect(scores.entityCoverage).toBe(0.667);
+    expect(details.missingEntities).toEqual(['Tesla Supercharger']);
+
+    expect(scores.referenceAgreement).toBe(0.5);
+    expect(details.missedReferences).toEqual({ majorPlayers: ['Tesla'], dataConfidence: ['high'] });
+    expect(scores.overall).toBe(0.534);
+  });
+
+  it('should compare two runs case by case and count failed cases as zero', () => {
+    const comparison = compareRuns(
+      run('baseline', [0.6, 0.5, 0.7]),
+      run('candidate', [0.8, 0.48, null])
+    );
+
+    expect(comparison.metrics.overall).toEqual({ baseline: 0.6, candidate: 0.427, delta: -0.173 });
+    expect(comparison.verdict).toBe('worse');
+    expect(comparison.regressions.map((entry) => entry.caseId)).toEqual(['case-3']);
+    expect(comparison.improvements.map((entry) => entry.caseId)).toEqual(['case-1']);
+
+    const report = formatReport({
+      golden: 'evals/golden.json',
+      runs: [run('baseline', [0.6]), run('candidate', [null])],
+      comparison,
+    });
+    expect(report).toContain('| Overall | 0.60 | 0.43 | -0.17 |');
+    expect(report).toContain('Verdict: candidate is worse than baseline.');
+    expect(report).toContain('- case-1: LLM timed out');
+  });
+
+  it('should run the golden set against its frozen sources with a configuration', async () => {
+    const golden = await loadGoldenSet(path.join(evals, 'golden.json'));
+    const configuration = await loadConfiguration(path.join(evals, 'configs/baseline.json'));
+
+    const result = await runConfiguration(configuration, golden, {
+      llm: { models: { default: 'fake', fast: 'fake' } },
+      search: {},
+    });
+
+    expect(result.summary).toMatchObject({ cases: golden.cases.length, failed: 0 });
+    result.cases.forEach((entry) => {
+      expect(entry.scores.overall).toBeGreaterThan(0);
+      expect(entry.scores.overall).toBeLessThanOrEqual(1);
+      expect(entry.promptVersions.map(({ promptId }) => promptId)).toContain('multiagent-analyzer');
+    });
+  });
+});
@@ -0,0 +1,57 @@
+const { planQueue } = require('../../src/utils/fairQueue');
+
+const now = Date.parse('2025-01-15T10:00:00Z');
+const minutes = (count) => count * 60 * 1000;
+
+const waiting = (id, userId, { priority = 1, plan = 'free', waited = 0 } = {}) => ({
+  id,
+  userId,
+  plan,
+  priority,
+  queuedAt: now - minutes(waited),
+});
+
+describe('planQueue', () => {
+  it('should start by priority and plan, and queue the rest with estimated starts', () => {
+    const plan = planQueue({
+      waiting: [
+        waiting('low', 'ann'),
+        waiting('urgent', 'bob', { priority: 5 }),
+        waiting('premium', 'cat', { plan: 'premium' }),
+      ],
+      limits: { ann: 2, bob: 2, cat: 2 },
+      now,
+      capacity: 2,
+      durationMs: minutes(3),
+    });
+
+    expect(plan).toEqual([
+      { id: 'urgent', userId: 'bob', position: 1, startAt: now },
+      { id: 'premium', userId: 'cat', position: 2, startAt: now },
+      { id: 'low', userId: 'ann', position: 3, startAt: now + minutes(3) },
+    ]);
+  });
+
+  it("should hold a user's analyses at their limit and share slots across users", () => {
+    const plan = planQueue({
+      waiting: [
+        waiting('ann-1', 'ann', { priority: 3, waited: 2 }),
+        waiting('ann-2', 'ann', { priority: 3, waited: 1 }),
+        waiting('bob-1', 'bob', { priority: 3 }),
+      ],
+      running: [{ id: 'ann-0', userId: 'ann', startedAt: now - minutes(1) }],
+      limits: { ann: 2, bob: 2 },
+      now,
+      capacity: 3,
+      durationMs: minutes(3),
+    });
+
+    // ann's running analysis costs them a point, so bob's later analysis starts first;
+    // ann-2 waits for one of her two slots to free up
+    expect(plan.map(({ id, startAt }) => [id, startAt])).toEqual([
+      ['bob-1', now],
+      ['ann-1', now],
+      ['ann-2', now + minutes(2)],
+    ]);
+  });
+});
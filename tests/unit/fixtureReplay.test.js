@@ -0,0 +1,80 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createEngine } = require('../../src/workflows/engines');
+const { FixtureSession, stableOutput, diffOutputs } = require('../../src/providers/fixtures');
+
+const writeCorpus = () => {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'corpus-'));
+  fs.writeFileSync(
+    path.join(directory, 'reports.json'),
+    JSON.stringify([
+      {
+        url: 'https://example.com/ev-market',
+        title: 'EV charging market growth',
+        content: 'Charging networks across Europe keep expanding as EV sales rise.',
+      },
+      {
+        url: 'https://example.com/ev-competitors',
+        title: 'EV charging competitors',
+        content: 'Ionity and Allego compete on fast charging market share.',
+      },
+    ])
+  );
+  return directory;
+};
+
+const config = {
+  llm: { provider: 'fake', models: { default: 'fake', fast: 'fake' } },
+  search: { providers: ['local'], corpusDir: writeCorpus() },
+};
+
+const record = async (query) => {
+  const fixtures = FixtureSession.record();
+  const result = await createEngine(config, 'langchain-multiagent').execute(query, 'user-1', {
+    fixtures,
+  });
+  return { result, bundle: fixtures.toBundle({ output: stableOutput(result.output) }) };
+};
+
+const replay = (bundle, query) => {
+  const fixtures = FixtureSession.replay(JSON.parse(JSON.stringify(bundle)));
+  // No search provider behind the replay: a corpus lookup would fail the run
+  const offline = { ...config, search: { providers: ['local'], corpusDir: '/nonexistent' } };
+  return createEngine(offline, 'langchain-multiagent')
+    .execute(query, 'user-1', { fixtures })
+    .then((result) => ({ result, fixtures }));
+};
+
+describe('Fixture record/replay', () => {
+  const query = 'EV charging market in Europe';
+
+  it('should replay a recorded analysis to an identical result', async () => {
+    const { result, bundle } = await record(query);
+    expect(result.success).toBe(true);
+    expect(bundle.entries.some((entry) => entry.kind === 'search')).toBe(true);
+    expect(bundle.entries.some((entry) => entry.kind === 'llm')).toBe(true);
+
+    const { result: replayed, fixtures } = await replay(bundle, query);
+
+    expect(replayed.success).toBe(true);
+    expect(diffOutputs(bundle.output, stableOutput(replayed.output))).toEqual([]);
+    expect(fixtures.drift).toEqual([]);
+    expect(fixtures.misses).toEqual([]);
+  });
+
+  it('should report changed requests as drift and missing calls as misses', async () => {
+    const { bundle } = await record(query);
+    const llmEntry = bundle.entries.find((entry) => entry.channel === 'llm:market-analysis');
+    llmEntry.requestHash = 'changed-prompt';
+
+    const { fixtures } = await replay(bundle, query);
+    expect(fixtures.drift).toEqual([
+      expect.objectContaining({ channel: 'llm:market-analysis', index: 0 }),
+    ]);
+
+    bundle.entries = bundle.entries.filter((entry) => entry.kind !== 'llm');
+    const { fixtures: missing } = await replay(bundle, query);
+    expect(missing.misses[0]).toEqual(expect.objectContaining({ channel: 'llm:search-plan' }));
+  }, 15000); // the synthesizer's retry waits 2s before failing
+});
@@ -0,0 +1,31 @@
+const { createLLMProvider } = require('../../src/providers/llm');
+
+const config = {
+  apiKeys: {},
+  llm: { provider: 'fake', models: { default: 'gpt-4', fast: 'gpt-3.5-turbo' } },
+};
+
+describe('LLM providers', () => {
+  it('should answer each task with parseable, repeatable output from the fake provider', async () => {
+    const llm = createLLMProvider(config);
+    const messages = [{ role: 'user', content: 'Analyze this query: "EV charging"' }];
+
+    const first = await llm.complete({ task: 'market-analysis', messages });
+    const second = await llm.complete({ task: 'market-analysis', messages });
+    const plan = await llm.complete({ task: 'search-plan', messages, tier: 'fast' });
+
+    expect(first).toEqual(second);
+    expect(JSON.parse(first.content)).toMatchObject({
+      keyTrends: expect.any(Array),
+      competitiveLandscape: { majorPlayers: expect.any(Array) },
+      dataConfidence: 'medium',
+    });
+    expect(JSON.parse(plan.content).primaryTerms[0]).toBe('EV charging');
+    expect(plan.model).toBe('fake-fast');
+  });
+
+  it('should reject unknown providers and an OpenAI provider without a key', () => {
+    expect(() => createLLMProvider(config, 'nope')).toThrow(/Unknown LLM provider: nope/);
+    expect(() => createLLMProvider(config, 'openai')).toThrow(/API key is required/);
+  });
+});
@@ -0,0 +1,83 @@
+const { UsageMeter, mergeUsage } = require('../../src/providers/metering');
+
+const config = {
+  metering: {
+    currency: 'USD',
+    prices: {
+      llm: { 'gpt-4': { input: 0.03, output: 0.06 }, 'gpt-4o': { input: 0.0025, output: 0.01 } },
+      search: { tavily: 0.008, local: 0 },
+    },
+    overrides: { llm: { 'gpt-4o': { input: 0.005, output: 0.015 } } },
+  },
+};
+
+const context = {
+  llm: {
+    config,
+    name: 'test',
+    resolveModel: () => 'gpt-4o',
+    complete: async () => ({
+      content: '{}',
+      model: 'gpt-4o-2024-08-06',
+      usage: { promptTokens: 1000, completionTokens: 500, totalTokens: 1500 },
+    }),
+  },
+  search: { config, name: 'tavily+local', requestDelayMs: 0, search: async () => [] },
+};
+
+describe('UsageMeter', () => {
+  it('should meter calls per agent and price them from the price table', async () => {
+    const meter = new UsageMeter(config);
+    const planner = meter.forAgent('planner', context);
+    const searcher = meter.forAgent('searcher', context);
+
+    await planner.llm.complete({ task: 'search-plan', messages: [] });
+    await searcher.search.search('ev charging');
+    await searcher.search.search('charging networks');
+
+    const usage = meter.summary();
+    expect(usage.totals).toMatchObject({
+      llmCalls: 1,
+      searchCalls: 2,
+      promptTokens: 1000,
+      completionTokens: 500,
+      totalTokens: 1500,
+      cost: 0.0285,
+    });
+    expect(usage.byAgent.map(({ agent, cost }) => [agent, cost])).toEqual([
+      ['planner', 0.0125],
+      ['searcher', 0.016],
+    ]);
+    expect(usage.byModel[0]).toMatchObject({ model: 'gpt-4o-2024-08-06', cost: 0.0125 });
+    expect(usage.unpriced).toEqual([]);
+  });
+
+  it('should carry restored agents over from their checkpoints', async () => {
+    const first = new UsageMeter(config);
+    await first.forAgent('planner', context).llm.complete({ messages: [] });
+
+    const resumed = new UsageMeter(config).restore([{ usage: first.agentUsage('planner') }]);
+    await resumed.forAgent('analyzer', context).llm.complete({ messages: [] });
+
+    expect(resumed.summary().totals).toMatchObject({ llmCalls: 2, totalTokens: 3000, cost: 0.025 });
+  });
+
+  it('should add later calls, such as follow-up answers, to a stored summary', async () => {
+    const analysis = new UsageMeter(config);
+    await analysis.forAgent('analyzer', context).llm.complete({ messages: [] });
+    const followup = new UsageMeter(config);
+    await followup.forAgent('followup', context).llm.complete({ messages: [] });
+
+    const usage = mergeUsage(analysis.summary(), followup.summary());
+
+    expect(usage.totals).toMatchObject({ llmCalls: 2, totalTokens: 3000, cost: 0.025 });
+    expect(usage.byAgent.map(({ agent, llmCalls }) => [agent, llmCalls])).toEqual([
+      ['analyzer', 1],
+      ['followup', 1],
+    ]);
+    expect(usage.byModel).toEqual([
+      expect.objectContaining({ model: 'gpt-4o-2024-08-06', calls: 2, totalTokens: 3000 }),
+    ]);
+    expect(mergeUsage(null, followup.summary())).toEqual(followup.summary());
+  });
+});
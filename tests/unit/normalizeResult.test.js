@@ -0,0 +1,57 @@
+const { normalizeResult } = require('../../src/workflows/engines/normalizeResult');
+
+describe('normalizeResult', () => {
+  it('should map the LangChain analysis vocabulary onto Result fields', () => {
+    const output = normalizeResult(
+      {
+        searchPlan: { primaryTerms: ['ev charging'], timeframe: '2024' },
+        rawData: [{ url: 'https://example.com/a' }, { url: 'https://example.com/b' }],
+        analysisResults: {
+          opportunities: ['Fleet charging'],
+          keyPlayers: [{ name: 'Ionity' }],
+          challenges: ['Grid capacity'],
+          confidence: 'high',
+        },
+        metadata: { searchTermsUsed: 4 },
+      },
+      { engine: 'langchain-multiagent', workflowId: 'wf-1', duration: 1200 }
+    );
+
+    expect(output.engine).toBe('langchain-multiagent');
+    expect(output.searchStrategy.timeRange).toBe('2024');
+    expect(output.analysisResults).toMatchObject({
+      marketOpportunities: ['Fleet charging'],
+      competitiveLandscape: { majorPlayers: ['Ionity'], marketPosition: 'neutral' },
+      riskFactors: ['Grid capacity'],
+      dataConfidence: 'high',
+    });
+    expect(output.processedData.domainDistribution).toEqual({ 'example.com': 2 });
+    expect(output.performance).toMatchObject({ totalDuration: 1200, apiCallsCount: 4 });
+  });
+
+  it('should keep Result-shaped analysis from the standalone agents as is', () => {
+    const output = normalizeResult(
+      {
+        rawData: 'not an array',
+        processedData: { totalSources: 7, qualityMetrics: { scoreDistribution: { high: 3 } } },
+        analysisResults: {
+          marketOpportunities: ['Retrofits'],
+          competitiveLandscape: { majorPlayers: ['Tesla'], marketPosition: 'fragmented' },
+          dataConfidence: 'low',
+        },
+      },
+      { engine: 'agent-workflow' }
+    );
+
+    expect(output.rawData).toEqual([]);
+    expect(output.processedData).toMatchObject({
+      totalSources: 7,
+      qualityMetrics: { highQualitySources: 3 },
+    });
+    expect(output.analysisResults.competitiveLandscape).toEqual({
+      majorPlayers: ['Tesla'],
+      marketPosition: 'fragmented',
+    });
+    expect(output.analysisResults.dataConfidence).toBe('low');
+  });
+});
@@ -0,0 +1,235 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const PipelineEngine = require('../../src/workflows/PipelineEngine');
+const { validatePipeline } = require('../../src/workflows/pipelines');
+const { createEngine } = require('../../src/workflows/engines');
+
+const definition = {
+  id: 'test-pipeline',
+  entry: 'first',
+  nodes: [
+    { id: 'first', handler: 'firstAgent', outputs: ['plan'] },
+    { id: 'second', handler: 'secondAgent', outputs: ['report'] },
+    { id: 'check', handler: 'checkAgent', outputs: [] },
+  ],
+  edges: [
+    { from: 'first', to: 'second' },
+    { from: 'second', to: 'check' },
+    { from: 'check', to: 'second', condition: 'needsRework', maxTraversals: 1 },
+  ],
+  conditions: {
+    needsRework: (state) => state.quality === 'low',
+  },
+};
+
+const createHost = (overrides = {}) => {
+  const calls = [];
+  const host = {
+    calls,
+    firstAgent: async (state) => {
+      calls.push('first');
+      return { ...state, plan: 'plan' };
+    },
+    secondAgent: async (state) => {
+      calls.push('second');
+      return { ...state, report: `report ${calls.length}` };
+    },
+    checkAgent: async (state) => {
+      calls.push('check');
+      return { ...state, quality: 'high' };
+    },
+    ...overrides,
+  };
+  return host;
+};
+
+const engineConfig = () => {
+  const corpusDir = fs.mkdtempSync(path.join(os.tmpdir(), 'corpus-'));
+  fs.writeFileSync(
+    path.join(corpusDir, 'reports.json'),
+    JSON.stringify([
+      {
+        url: 'https://example.com/ev-market',
+        title: 'EV charging market growth',
+        content: 'Charging networks across Europe keep expanding as EV sales rise.',
+      },
+    ])
+  );
+  return {
+    llm: { provider: 'fake', models: { default: 'fake', fast: 'fake' } },
+    search: { providers: ['local'], corpusDir },
+  };
+};
+
+describe('PipelineEngine', () => {
+  it('should run nodes along the edges from the entry node', async () => {
+    const host = createHost();
+    const engine = new PipelineEngine(definition, host);
+
+    const state = await engine.run({ errors: [] });
+
+    expect(host.calls).toEqual(['first', 'second', 'check']);
+    expect(state.plan).toBe('plan');
+  });
+
+  it('should follow a conditional edge at most maxTraversals times', async () => {
+    const host = createHost({
+      checkAgent: async (state) => {
+        host.calls.push('check');
+        return { ...state, quality: 'low' };
+      },
+    });
+    const engine = new PipelineEngine(definition, host);
+
+    await engine.run({ errors: [] });
+
+    expect(host.calls).toEqual(['first', 'second', 'check', 'second', 'check']);
+  });
+
+  it('should retry a failing node and record the error once attempts run out', async () => {
+    const secondAgent = jest.fn().mockRejectedValue(new Error('LLM unavailable'));
+    const host = createHost({ secondAgent });
+    const engine = new PipelineEngine(
+      {
+        ...definition,
+        nodes: definition.nodes.map((node) =>
+          node.id === 'second' ? { ...node, retry: { attempts: 2, delayMs: 0 } } : node
+        ),
+      },
+      host
+    );
+
+    const state = await engine.run({ errors: [] });
+
+    expect(secondAgent).toHaveBeenCalledTimes(2);
+    expect(state.errors).toHaveLength(1);
+    expect(state.errors[0]).toMatchObject({ agent: 'second', error: 'LLM unavailable' });
+    expect(host.calls).toContain('check');
+  });
+
+  it('should time out a node that takes longer than timeoutMs', async () => {
+    const host = createHost({
+      firstAgent: (state, signal) =>
+        new Promise((resolve, reject) => {
+          signal.addEventListener('abort', () => reject(new Error('aborted')));
+        }),
+    });
+    const engine = new PipelineEngine(
+      {
+        ...definition,
+        nodes: definition.nodes.map((node) =>
+          node.id === 'first' ? { ...node, timeoutMs: 20 } : node
+        ),
+      },
+      host
+    );
+
+    const state = await engine.run({ errors: [] });
+
+    expect(state.errors[0].error).toMatch(/timed out/);
+  });
+
+  it('should checkpoint each completed node and resume after restored nodes', async () => {
+    const host = createHost();
+    const engine = new PipelineEngine(definition, host);
+    const onCheckpoint = jest.fn();
+
+    await engine.run({ errors: [] }, { onCheckpoint });
+
+    expect(onCheckpoint).toHaveBeenCalledWith(
+      'first',
+      expect.objectContaining({ step: 0, outputs: { plan: 'plan' } })
+    );
+    expect(engine.resumeAt(0)).toBe('first');
+    expect(engine.resumeAt(1)).toBe('second');
+    expect(engine.resumeAt(3)).toBeNull();
+  });
+
+  it('should stop with a cancellation when the signal is aborted', async () => {
+    const controller = new AbortController();
+    const host = createHost({
+      firstAgent: async () => {
+        controller.abort();
+        throw new Error('request aborted');
+      },
+    });
+    const engine = new PipelineEngine(definition, host);
+
+    await expect(engine.run({ errors: [] }, { signal: controller.signal })).rejects.toMatchObject({
+      name: 'CancellationError',
+    });
+  });
+
+  it('should fail the run when a required agent fails and resume from its checkpoint', async () => {
+    const engine = createEngine(engineConfig(), 'langchain-multiagent');
+    const { synthesisAgent } = engine.workflow;
+    const saved = [];
+
+    engine.workflow.synthesisAgent = jest.fn().mockRejectedValue(new Error('LLM unavailable'));
+    const failed = await engine.execute('EV charging market', 'user-1', {
+      onCheckpoint: (agent, checkpoint) => saved.push({ agent, ...checkpoint }),
+    });
+
+    expect(failed).toMatchObject({ success: false, error: 'LLM unavailable' });
+    expect(engine.workflow.synthesisAgent).toHaveBeenCalledTimes(2);
+    expect(saved.map((checkpoint) => checkpoint.agent)).toEqual([
+      'planner',
+      'searcher',
+      'analyzer',
+    ]);
+
+    // What resolveCheckpoints hands a retry with fromStep 'synthesizer'
+    const checkpoints = saved.slice(0, engine.pipeline.sequence.indexOf('synthesizer'));
+    engine.workflow.searchAgent = jest.fn();
+    engine.workflow.synthesisAgent = jest.fn(synthesisAgent);
+    const resumed = await engine.execute('EV charging market', 'user-1', { checkpoints });
+
+    expect(resumed.success).toBe(true);
+    expect(resumed.data.metadata.resumedFrom).toBe('synthesizer');
+    expect(engine.workflow.searchAgent).not.toHaveBeenCalled();
+    expect(engine.workflow.synthesisAgent).toHaveBeenCalled();
+    expect(resumed.output.rawData).toHaveLength(saved[1].outputs.rawData.length);
+  });
+
+  it('should abort an agent-workflow LLM call when the run is cancelled', async () => {
+    const engine = createEngine(engineConfig(), 'agent-workflow');
+    const { llm } = engine.workflow;
+    const complete = llm.complete.bind(llm);
+    const controller = new AbortController();
+
+    // The analysis call only ends when its request is aborted
+    llm.complete = jest.fn((request) => {
+      if (request.task !== 'market-analysis') return complete(request);
+      setTimeout(() => controller.abort(), 10);
+      return new Promise((resolve, reject) => {
+        request.signal.addEventListener('abort', () => reject(new Error('request aborted')));
+      });
+    });
+
+    const result = await engine.execute('EV charging market', 'user-1', {
+      signal: controller.signal,
+    });
+
+    expect(result).toMatchObject({ success: false, cancelled: true });
+    expect(llm.complete).toHaveBeenCalledWith(
+      expect.objectContaining({ task: 'market-analysis', signal: expect.any(AbortSignal) })
+    );
+  });
+
+  it('should generate the diagram from the definition', () => {
+    const engine = new PipelineEngine(definition, createHost());
+
+    const diagram = engine.toDiagram();
+
+    expect(diagram.nodes.map((node) => node.id)).toEqual(['first', 'second', 'check']);
+    expect(diagram.edges[2]).toMatchObject({ type: 'conditional', condition: 'needsRework' });
+    expect(diagram.mermaid).toContain('check -.->|needsRework| second');
+  });
+
+  it('should reject definitions with dangling references', () => {
+    expect(() =>
+      validatePipeline({ ...definition, edges: [{ from: 'first', to: 'missing' }] })
+    ).toThrow(/unknown node "missing"/);
+  });
+});
@@ -0,0 +1,130 @@
+// The controller builds its services from the shared config as it loads; no LLM key here
+process.env.LLM_PROVIDER = 'fake';
+
+const config = require('../../src/config');
+const ProgressService = require('../../src/services/progress.service');
+const AnalysisService = require('../../src/services/analysis.service');
+const AnalysisController = require('../../src/controllers/analysis.controller');
+const Query = require('../../src/models/Query');
+
+// Redis streams in memory: XADD appends with increasing ids, XREAD returns entries after an id
+jest.mock('ioredis', () => {
+  const streams = new Map();
+  let sequence = 0;
+  const after = (id, lastId) => {
+    const [ms, seq] = id.split('-').map(Number);
+    const [lastMs, lastSeq] = lastId.split('-').map(Number);
+    return ms > lastMs || (ms === lastMs && seq > (lastSeq || 0));
+  };
+
+  return class FakeRedis {
+    on() {}
+
+    multi() {
+      const replies = [];
+      const chain = {
+        xadd: (key, ...args) => {
+          sequence += 1;
+          const id = `${1700000000000 + sequence}-0`;
+          const fields = args.slice(args.indexOf('*') + 1);
+          streams.set(key, [...(streams.get(key) || []), [id, fields]]);
+          replies.push([null, id]);
+          return chain;
+        },
+        expire: () => {
+          replies.push([null, 1]);
+          return chain;
+        },
+        exec: async () => replies,
+      };
+      return chain;
+    }
+
+    async xread(...args) {
+      const [key, lastId] = args.slice(args.indexOf('STREAMS') + 1);
+      const entries = (streams.get(key) || []).filter(([id]) => after(id, lastId));
+      return entries.length ? [[key, entries]] : null;
+    }
+
+    duplicate() {
+      return new FakeRedis();
+    }
+
+    disconnect() {}
+  };
+});
+
+jest.mock(
+  'bull',
+  () =>
+    class FakeQueue {
+      on() {}
+    }
+);
+
+describe('analysis progress stream', () => {
+  const queryId = 'query-1';
+  const progress = new ProgressService(config);
+  let ids;
+
+  beforeAll(async () => {
+    ids = [
+      await progress.publish(queryId, 'started', { status: 'processing' }),
+      await progress.publish(queryId, 'agent_completed', { agent: 'planner' }),
+      await progress.publish(queryId, 'completed', { status: 'completed' }),
+    ];
+  });
+
+  beforeEach(() => {
+    const query = { _id: queryId, userId: 'user-1', status: 'processing' };
+    jest.spyOn(Query, 'findOne').mockResolvedValue(query);
+    jest.spyOn(Query, 'findById').mockReturnValue({ select: () => ({ lean: async () => query }) });
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it('should replay only the events after Last-Event-ID', async () => {
+    const events = [];
+
+    await new AnalysisService(config).streamEvents(queryId, {
+      lastEventId: ids[0],
+      onEvent: (event) => events.push(event),
+    });
+
+    expect(events.map(({ id, type }) => [id, type])).toEqual([
+      [ids[1], 'agent_completed'],
+      [ids[2], 'completed'],
+    ]);
+    expect(events[0].data).toMatchObject({ agent: 'planner', timestamp: expect.any(String) });
+  });
+
+  it('should frame each event with its id and type, and end after a terminal event', async () => {
+    const written = [];
+    const ended = new Promise((resolve, reject) => {
+      const req = {
+        params: { queryId },
+        query: {},
+        user: { userId: 'user-1' },
+        get: (header) => (header === 'Last-Event-ID' ? ids[0] : undefined),
+        on: () => {},
+      };
+      const res = {
+        set: () => {},
+        flushHeaders: () => {},
+        write: (chunk) => written.push(chunk),
+        end: resolve,
+      };
+      AnalysisController.streamAnalysisEvents(req, res, reject);
+    });
+    await ended;
+
+    const frames = written.join('').split('\n\n').filter(Boolean);
+    expect(frames[0]).toBe('retry: 3000');
+    expect(frames.slice(1).map((frame) => frame.split('\n').slice(0, 2))).toEqual([
+      [`id: ${ids[1]}`, 'event: agent_completed'],
+      [`id: ${ids[2]}`, 'event: completed'],
+    ]);
+    const data = JSON.parse(frames[1].split('\n')[2].replace(/^data: /, ''));
+    expect(data).toMatchObject({ queryId, agent: 'planner' });
+  });
+});
@@ -0,0 +1,69 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createEngine } = require('../../src/workflows/engines');
+const { FixtureSession } = require('../../src/providers/fixtures');
+const { checkTemplate, renderPrompt, PromptSet } = require('../../src/workflows/prompts');
+
+const writeCorpus = () => {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'corpus-'));
+  fs.writeFileSync(
+    path.join(directory, 'reports.json'),
+    JSON.stringify([
+      {
+        url: 'https://example.com/ev-market',
+        title: 'EV charging market growth',
+        content: 'Charging networks across Europe keep expanding as EV sales rise.',
+      },
+    ])
+  );
+  return directory;
+};
+
+const config = {
+  llm: { provider: 'fake', models: { default: 'fake', fast: 'fake' } },
+  search: { providers: ['local'], corpusDir: writeCorpus() },
+};
+
+describe('Prompt registry', () => {
+  it('should check the variables a template uses and fill them in', () => {
+    expect(checkTemplate('multiagent-planner', 'Plan "{{query}}" {{plannerGuidance}}')).toEqual([]);
+    expect(checkTemplate('multiagent-planner', 'Plan {{topic}}')).toEqual([
+      'unknown variable {{topic}}',
+      'missing required variable {{query}}',
+    ]);
+    expect(checkTemplate('multiagent-planner', '  ')).toEqual(['template is empty']);
+    expect(() => checkTemplate('no-such-prompt', 'x')).toThrow(/Unknown prompt/);
+
+    expect(renderPrompt('Plan "{{ query }}"{{plannerGuidance}}', { query: 'EV charging' })).toBe(
+      'Plan "EV charging"'
+    );
+  });
+
+  it('should run the selected versions and record them on the result', async () => {
+    const prompts = new PromptSet({
+      'multiagent-planner': {
+        version: 2,
+        template: 'Plan the market research for "{{query}}" as a JSON search plan.',
+      },
+    });
+    const fixtures = FixtureSession.record();
+
+    const result = await createEngine(config, 'langchain-multiagent').execute(
+      'EV charging market',
+      'user-1',
+      { prompts, fixtures }
+    );
+
+    expect(result.success).toBe(true);
+    const planner = fixtures.entries.find((entry) => entry.channel === 'llm:search-plan');
+    expect(planner.request.messages[0].content).toBe(
+      'Plan the market research for "EV charging market" as a JSON search plan.'
+    );
+    expect(result.output.promptVersions).toEqual([
+      { agent: 'planner', promptId: 'multiagent-planner', version: 2 },
+      { agent: 'analyzer', promptId: 'multiagent-analyzer', version: 1 },
+      { agent: 'synthesizer', promptId: 'multiagent-report', version: 1 },
+    ]);
+  });
+});
@@ -0,0 +1,75 @@
+const CachedSearchProvider = require('../../src/providers/search/CachedSearchProvider');
+const { searchCacheKey, recencyOf } = require('../../src/providers/search/SearchCache');
+const { UsageMeter } = require('../../src/providers/metering');
+
+const config = { metering: { prices: { search: { tavily: 0.008 } } } };
+
+// In-memory stand-in for the Redis-backed SearchCache
+const memoryCache = () => {
+  const entries = new Map();
+  const lookups = [];
+  return {
+    lookups,
+    get: async (key) => entries.get(key) || null,
+    set: async (key, results) => {
+      entries.set(key, results);
+    },
+    recordLookup: async (provider, hit) => lookups.push([provider, hit]),
+  };
+};
+
+describe('Search cache', () => {
+  it('should key searches by term and options, whatever their case, spacing and order', () => {
+    const key = searchCacheKey('tavily', 'EV  market size', {
+      searchDepth: 'advanced',
+      excludeDomains: ['reddit.com', 'twitter.com'],
+    });
+
+    expect(
+      searchCacheKey('tavily', 'ev market size ', {
+        searchDepth: 'advanced',
+        excludeDomains: ['twitter.com', 'reddit.com'],
+      })
+    ).toBe(key);
+    expect(searchCacheKey('tavily', 'EV market size', { searchDepth: 'basic' })).not.toBe(key);
+    expect(searchCacheKey('local', 'EV market size', { searchDepth: 'advanced' })).not.toBe(key);
+  });
+
+  it('should keep news for less time than market sizes', () => {
+    expect(recencyOf('EV charging latest news')).toBe('realtime');
+    expect(recencyOf('EV charging market', { timeRange: '6 months' })).toBe('recent');
+    expect(recencyOf('EV charging market size')).toBe('stable');
+  });
+
+  it('should serve a repeated search from the cache, free of charge', async () => {
+    const cache = memoryCache();
+    let networkCalls = 0;
+    const tavily = {
+      config,
+      name: 'tavily',
+      requestDelayMs: 0,
+      search: async () => {
+        networkCalls += 1;
+        return [{ url: 'https://example.com', title: 'EV', content: 'EV market', score: 0.9 }];
+      },
+    };
+    const meter = new UsageMeter(config);
+    const { search } = meter.forAgent('searcher', {
+      search: new CachedSearchProvider(tavily, cache),
+    });
+
+    const first = await search.search('EV market size');
+    const second = await search.search('EV market size');
+
+    expect(second).toEqual(first);
+    expect(networkCalls).toBe(1);
+    expect(cache.lookups).toEqual([
+      ['tavily', false],
+      ['tavily', true],
+    ]);
+    expect(meter.summary().bySearchProvider).toEqual([
+      { provider: 'tavily', calls: 1, latencyMs: expect.any(Number), cost: 0.008 },
+      { provider: 'cache', calls: 1, latencyMs: expect.any(Number), cost: 0 },
+    ]);
+  });
+});
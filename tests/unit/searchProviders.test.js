@@ -0,0 +1,78 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createSearchProvider } = require('../../src/providers/search');
+const SearchProvider = require('../../src/providers/search/SearchProvider');
+const MergedSearchProvider = require('../../src/providers/search/MergedSearchProvider');
+
+const writeCorpus = () => {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'corpus-'));
+  fs.writeFileSync(
+    path.join(directory, 'reports.json'),
+    JSON.stringify([
+      {
+        url: 'https://example.com/ev-market',
+        title: 'EV charging market outlook',
+        content: 'Charging networks across Europe keep expanding.',
+        published_date: '2024-05-01',
+      },
+      { url: 'https://example.com/solar', title: 'Solar panels', content: 'Rooftop solar demand.' },
+    ])
+  );
+  fs.writeFileSync(
+    path.join(directory, 'page.html'),
+    '<html><head><title>Charging competitors</title>' +
+      '<link rel="canonical" href="https://news.example.net/ev"></head>' +
+      '<body><script>ignored()</script><p>Ionity &amp; Allego expand EV charging.</p></body></html>'
+  );
+  return directory;
+};
+
+describe('Search providers', () => {
+  it('should rank local corpus documents and return the normalized result shape', async () => {
+    const config = { search: { corpusDir: writeCorpus() } };
+    const search = createSearchProvider(config, 'local');
+
+    const results = await search.search('EV charging market', { maxResults: 5 });
+
+    expect(results.map((result) => result.url)).toEqual([
+      'https://example.com/ev-market',
+      'https://news.example.net/ev',
+    ]);
+    expect(results[0]).toEqual({
+      url: 'https://example.com/ev-market',
+      title: 'EV charging market outlook',
+      content: 'Charging networks across Europe keep expanding.',
+      score: 1,
+      published_date: '2024-05-01',
+      provider: 'local',
+    });
+    expect(results[1].content).toBe('Charging competitors Ionity & Allego expand EV charging.');
+  });
+
+  it('should merge providers, keep the best duplicate and survive one failing', async () => {
+    const config = { search: { corpusDir: writeCorpus() } };
+    class FailingProvider extends SearchProvider {
+      async search() {
+        throw new Error('offline');
+      }
+    }
+    const merged = new MergedSearchProvider(config, [
+      createSearchProvider(config, 'local'),
+      createSearchProvider(config, 'local'),
+      new FailingProvider(config, 'failing'),
+    ]);
+
+    const results = await merged.search('EV charging market');
+
+    expect(merged.name).toBe('local+local+failing');
+    expect(results).toHaveLength(2);
+    expect(results[0].score).toBeGreaterThanOrEqual(results[1].score);
+  });
+
+  it('should reject unknown providers', () => {
+    expect(() => createSearchProvider({}, ['local', 'bing'])).toThrow(
+      /Unknown search provider: bing/
+    );
+  });
+});
@@ -0,0 +1,115 @@
+const { createLLMProvider } = require('../../src/providers/llm');
+const { parseJson, completeStructured } = require('../../src/utils/structuredOutput');
+const { OUTPUT_SCHEMAS } = require('../../src/workflows/outputSchemas');
+const SearchAgent = require('../../src/agents/SearchAgent');
+const AnalysisAgent = require('../../src/agents/AnalysisAgent');
+
+// Answers each call with the next of `contents`, keeping the messages it was sent
+const scriptedLLM = (contents) => {
+  const calls = [];
+  return {
+    calls,
+    complete: async ({ messages }) => {
+      calls.push(messages);
+      return { content: contents[calls.length - 1], model: 'scripted' };
+    },
+  };
+};
+
+describe('Structured LLM output', () => {
+  it('should read JSON in fences or surrounded by text and accept every agent answer of the fake provider', async () => {
+    expect(parseJson('```json\n{"a": 1}\n```')).toEqual({ a: 1 });
+    expect(parseJson('Here you go: {"a": {"b": 2}} Hope it helps.')).toEqual({ a: { b: 2 } });
+    expect(() => parseJson('no json')).toThrow(/no JSON object/);
+
+    const llm = createLLMProvider({ apiKeys: {}, llm: { provider: 'fake', models: {} } });
+    const messages = [{ role: 'user', content: 'Analyze "EV charging" using [1] a source' }];
+    const checks = await Promise.all(
+      [
+        ['search-plan', 'searchPlan'],
+        ['search-plan', 'searchStrategy'],
+        ['market-analysis', 'marketAnalysis'],
+        ['market-analysis', 'agentAnalysis'],
+      ].map(([task, schema]) =>
+        completeStructured(llm, { task, messages }, OUTPUT_SCHEMAS[schema]).then(
+          ({ check }) => check.status
+        )
+      )
+    );
+    expect(checks).toEqual(['valid', 'valid', 'valid', 'valid']);
+  });
+
+  it('should send validation errors back to the model and use the repaired answer', async () => {
+    const llm = scriptedLLM([
+      '{"primaryTerms": [], "priority": "urgent"}',
+      '{"primaryTerms": ["EV charging"], "priority": "high"}',
+    ]);
+
+    const { data, check } = await completeStructured(
+      llm,
+      { task: 'search-plan', messages: [{ role: 'user', content: 'Plan' }] },
+      OUTPUT_SCHEMAS.searchPlan
+    );
+
+    expect(data.primaryTerms).toEqual(['EV charging']);
+    expect(check).toMatchObject({ schemaName: 'searchPlan', status: 'repaired', attempts: 2 });
+    expect(check.issues).toEqual(
+      expect.arrayContaining([
+        '/primaryTerms must NOT have fewer than 1 items',
+        '/priority must be equal to one of the allowed values',
+      ])
+    );
+    expect(llm.calls[1]).toHaveLength(3);
+    expect(llm.calls[1][2].content).toContain(
+      '/priority must be equal to one of the allowed values'
+    );
+  });
+
+  it('should give up after one repair so the agent falls back', async () => {
+    const llm = scriptedLLM(['Sorry, I cannot help with that.', '{"keyTrends": "none"}']);
+
+    const { data, check } = await completeStructured(
+      llm,
+      { task: 'market-analysis', messages: [{ role: 'user', content: 'Analyze' }] },
+      OUTPUT_SCHEMAS.marketAnalysis
+    );
+
+    expect(data).toBeNull();
+    expect(check).toMatchObject({ status: 'fallback', attempts: 2 });
+    expect(check.issues).toContain('/keyTrends must be array');
+    expect(llm.calls).toHaveLength(2);
+  });
+
+  it('should report a fallback check when an agent falls back over a failed LLM call', async () => {
+    const llm = {
+      complete: async () => {
+        throw new Error('Rate limit reached');
+      },
+    };
+    const checks = [];
+    const onOutputCheck = (check) => checks.push(check);
+    const analysisAgent = new AnalysisAgent(llm);
+    const processedData = await analysisAgent.processData([
+      {
+        url: 'https://example.com/ev',
+        title: 'EV charging market growth',
+        content: 'Charging networks across Europe keep expanding.',
+        score: 0.9,
+      },
+    ]);
+
+    const strategy = await new SearchAgent(llm).planSearchStrategy('EV charging', {
+      onOutputCheck,
+    });
+    const analysis = await analysisAgent.analyzeMarketTrends(processedData, 'EV charging', {
+      onOutputCheck,
+    });
+
+    expect(strategy.primaryTerms[0]).toBe('EV charging');
+    expect(analysis.keyTrends.length).toBeGreaterThan(0);
+    expect(checks).toEqual([
+      { schemaName: 'searchStrategy', status: 'fallback', issues: ['Rate limit reached'] },
+      { schemaName: 'agentAnalysis', status: 'fallback', issues: ['Rate limit reached'] },
+    ]);
+  });
+});
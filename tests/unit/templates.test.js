@@ -0,0 +1,65 @@
+const {
+  getTemplate,
+  validateTemplate,
+  plannerGuidance,
+  outputInstructions,
+  reportSections,
+  templateOutput,
+} = require('../../src/workflows/templates');
+const { normalizeResult } = require('../../src/workflows/engines/normalizeResult');
+
+describe('analysis templates', () => {
+  it('should leave the engine prompts alone for the general template', () => {
+    const general = getTemplate();
+
+    expect(plannerGuidance(general)).toBe('');
+    expect(outputInstructions(general)).toBe('');
+    expect(reportSections(general, ['Summary', 'Sources'])).toBe('1. Summary\n2. Sources');
+  });
+
+  it('should build planner, output and report prompts from a template', () => {
+    const swot = getTemplate('swot');
+
+    expect(plannerGuidance(swot)).toContain('Analysis template: SWOT Analysis');
+    expect(outputInstructions(swot)).toContain('"threats": ["..."] (external threats it faces)');
+    expect(reportSections(swot, ['Summary'])).toContain('2. Strengths\n3. Weaknesses');
+  });
+
+  it('should store the template fields the analyst returned on the result', () => {
+    const template = getTemplate('market-sizing');
+    const output = normalizeResult(
+      {
+        template,
+        analysisResults: {
+          keyTrends: ['Prices fall'],
+          templateOutput: {
+            totalAddressableMarket: '$12B in 2024',
+            growthDrivers: [{ text: 'Fleet electrification' }, 'Subsidies'],
+            unrelated: 'dropped',
+          },
+        },
+      },
+      { engine: 'langchain-multiagent' }
+    );
+
+    expect(output.template).toBe('market-sizing');
+    expect(output.analysisResults.templateOutput).toEqual({
+      totalAddressableMarket: '$12B in 2024',
+      serviceableMarket: '',
+      obtainableMarket: '',
+      growthDrivers: ['Fleet electrification', 'Subsidies'],
+      assumptions: [],
+    });
+    expect(templateOutput(template, {}).growthDrivers).toEqual([]);
+  });
+
+  it('should reject a definition with a bad id or output field', () => {
+    expect(() =>
+      validateTemplate({
+        id: 'Bad Id',
+        name: 'Bad',
+        outputFields: [{ key: 'ok', type: 'table' }],
+      })
+    ).toThrow(/id must be.*must be of type list or text/);
+  });
+});
@@ -0,0 +1,185 @@
+const http = require('http');
+const WebhookService = require('../../src/services/webhook.service');
+const Webhook = require('../../src/models/Webhook');
+const WebhookDelivery = require('../../src/models/WebhookDelivery');
+const {
+  generateSecret,
+  signPayload,
+  verifySignature,
+  isPublicAddress,
+  checkDestination,
+} = require('../../src/utils/webhooks');
+
+describe('webhook signatures', () => {
+  const secret = generateSecret();
+  const body = JSON.stringify({ id: 'evt_1', type: 'analysis.completed', data: { queryId: 'q1' } });
+
+  it('verifies a signature over the exact body it was computed for', () => {
+    const header = signPayload(secret, body);
+
+    expect(header).toMatch(/^t=\d+,v1=[a-f0-9]{64}$/);
+    expect(verifySignature(secret, body, header)).toBe(true);
+    expect(verifySignature(secret, body.replace('q1', 'q2'), header)).toBe(false);
+    expect(verifySignature(generateSecret(), body, header)).toBe(false);
+  });
+
+  it('rejects old timestamps so deliveries cannot be replayed', () => {
+    const signedAt = Math.floor(Date.now() / 1000) - 600;
+    const header = signPayload(secret, body, signedAt);
+
+    expect(verifySignature(secret, body, header)).toBe(false);
+    expect(verifySignature(secret, body, header, { toleranceSeconds: 900 })).toBe(true);
+  });
+});
+
+describe('webhook destinations', () => {
+  it('only counts public addresses as deliverable', () => {
+    ['127.0.0.1', '10.0.0.5', '172.16.8.1', '192.168.1.1', '169.254.169.254', '0.0.0.0'].forEach(
+      (address) => expect(isPublicAddress(address)).toBe(false)
+    );
+    ['::1', '::ffff:127.0.0.1', 'fe80::1', 'fd00::1'].forEach((address) =>
+      expect(isPublicAddress(address)).toBe(false)
+    );
+    expect(isPublicAddress('93.184.216.34')).toBe(true);
+    expect(isPublicAddress('2606:4700::1111')).toBe(true);
+  });
+
+  it('refuses internal IP hosts unless they are allowed', () => {
+    expect(() => checkDestination('http://169.254.169.254/latest/meta-data')).toThrow(
+      /not a public address/
+    );
+    expect(() => checkDestination('http://[::1]:8080/hook')).toThrow(/not a public address/);
+    expect(() => checkDestination('http://127.0.0.1:8080/hook', ['127.0.0.1'])).not.toThrow();
+    expect(() => checkDestination('https://hooks.example.com/tavsearch')).not.toThrow();
+  });
+});
+
+describe('webhook delivery', () => {
+  const secret = generateSecret();
+  const requests = [];
+  let responseStatus = 200;
+  let server;
+  let port;
+
+  const config = (allowedHosts = ['127.0.0.1']) => ({
+    webhooks: { attempts: 3, backoffMs: 1000, timeoutMs: 2000, allowedHosts },
+  });
+
+  const stubDelivery = (url) => {
+    const webhook = new Webhook({ userId: 'user-1', url, events: ['analysis.completed'], secret });
+    const delivery = new WebhookDelivery({
+      webhookId: webhook._id,
+      userId: 'user-1',
+      eventId: 'evt_1',
+      event: 'analysis.completed',
+      payload: { id: 'evt_1', type: 'analysis.completed', data: { queryId: 'q1' } },
+    });
+    delivery.save = jest.fn().mockResolvedValue(delivery);
+
+    jest.spyOn(WebhookDelivery, 'findById').mockResolvedValue(delivery);
+    jest.spyOn(Webhook, 'findById').mockReturnValue({ select: async () => webhook });
+    jest.spyOn(Webhook, 'updateOne').mockResolvedValue({});
+    return { webhook, delivery };
+  };
+
+  beforeAll(async () => {
+    server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', (chunk) => {
+        body += chunk;
+      });
+      req.on('end', () => {
+        requests.push({ headers: req.headers, body });
+        res.statusCode = responseStatus;
+        res.end();
+      });
+    });
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    ({ port } = server.address());
+  });
+
+  afterAll(() => new Promise((resolve) => server.close(resolve)));
+
+  beforeEach(() => {
+    requests.length = 0;
+    responseStatus = 200;
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it('posts the signed event and marks the delivery succeeded', async () => {
+    const { delivery } = stubDelivery(`http://127.0.0.1:${port}/hook`);
+
+    const result = await new WebhookService(config()).deliver(delivery._id.toString(), 1, 3);
+
+    expect(result.status).toBe('succeeded');
+    expect(delivery.attempts[0]).toMatchObject({ attempt: 1, statusCode: 200 });
+    expect(delivery.deliveredAt).toBeInstanceOf(Date);
+    expect(
+      verifySignature(secret, requests[0].body, requests[0].headers['x-tavsearch-signature'])
+    ).toBe(true);
+  });
+
+  it('schedules retries with doubling backoff and fails after the last attempt', async () => {
+    const { delivery } = stubDelivery(`http://127.0.0.1:${port}/hook`);
+    const service = new WebhookService(config());
+    responseStatus = 503;
+
+    const before = Date.now();
+    await expect(service.deliver(delivery._id.toString(), 1, 3)).rejects.toThrow(/HTTP 503/);
+    expect(delivery.status).toBe('pending');
+    expect(delivery.nextAttemptAt.getTime() - before).toBeGreaterThanOrEqual(1000);
+    expect(delivery.nextAttemptAt.getTime() - before).toBeLessThan(2000);
+
+    await expect(service.deliver(delivery._id.toString(), 2, 3)).rejects.toThrow(/HTTP 503/);
+    expect(delivery.nextAttemptAt.getTime() - before).toBeGreaterThanOrEqual(2000);
+
+    const result = await service.deliver(delivery._id.toString(), 3, 3);
+
+    expect(result.status).toBe('failed');
+    expect(delivery.nextAttemptAt).toBeUndefined();
+    expect(delivery.attempts.map((attempt) => attempt.statusCode)).toEqual([503, 503, 503]);
+    expect(Webhook.updateOne).toHaveBeenLastCalledWith(expect.anything(), {
+      lastDeliveryAt: expect.any(Date),
+      lastDeliveryStatus: 'failed',
+    });
+  });
+
+  it('refuses an endpoint that resolves to a local address without retrying', async () => {
+    const { delivery } = stubDelivery(`http://localhost:${port}/hook`);
+
+    const result = await new WebhookService(config([])).deliver(delivery._id.toString(), 1, 3);
+
+    expect(result.status).toBe('failed');
+    expect(delivery.attempts[0].statusCode).toBeUndefined();
+    expect(delivery.attempts[0].error).toMatch(/localhost is not a public address/);
+    expect(requests).toHaveLength(0);
+  });
+
+  it('redelivers an event as a new delivery with the same event id', async () => {
+    const { webhook, delivery } = stubDelivery(`http://127.0.0.1:${port}/hook`);
+    const service = new WebhookService(config());
+    service.enqueue = jest.fn();
+    jest.spyOn(Webhook, 'findForUser').mockResolvedValue(webhook);
+    jest.spyOn(WebhookDelivery, 'findOne').mockResolvedValue(delivery);
+    jest
+      .spyOn(WebhookDelivery, 'create')
+      .mockImplementation(async (fields) => new WebhookDelivery(fields));
+
+    const redelivery = await service.redeliver(
+      webhook._id.toString(),
+      delivery._id.toString(),
+      'user-1'
+    );
+
+    expect(redelivery).toMatchObject({
+      eventId: 'evt_1',
+      status: 'pending',
+      redeliveryOf: delivery._id.toString(),
+    });
+    expect(redelivery.deliveryId).not.toBe(delivery._id.toString());
+    expect(service.enqueue).toHaveBeenCalledWith(
+      expect.objectContaining({ eventId: 'evt_1', redeliveryOf: delivery._id })
+    );
+  });
+});
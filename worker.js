@@ -0,0 +1,66 @@
+const config = require('./src/config');
+const { connectDatabase, disconnectDatabase } = require('./src/config/database');
+const AnalysisService = require('./src/services/analysis.service');
+const ScheduleService = require('./src/services/schedule.service');
+const { logger } = require('./src/utils/logger');
+
+const analysisService = new AnalysisService(config);
+const scheduleService = new ScheduleService(config, analysisService);
+
+// Handle uncaught exceptions
+process.on('uncaughtException', (error) => {
+  logger.error('Worker uncaught exception:', error);
+  process.exit(1);
+});
+
+// Handle unhandled promise rejections
+process.on('unhandledRejection', (reason, promise) => {
+  logger.error('Worker unhandled rejection at:', promise, 'reason:', reason);
+  process.exit(1);
+});
+
+// Graceful shutdown - let active jobs finish, anything interrupted is
+// picked up again by Bull's stalled-job detection on the next start
+const shutdown = async (signal) => {
+  logger.info(`${signal} received, shutting down analysis worker`);
+
+  try {
+    analysisService.dispatcher.stop();
+    await scheduleService.close();
+    await analysisService.queue.close();
+    await analysisService.webhooks.close();
+    await analysisService.notifications.close();
+    await analysisService.progress.disconnect();
+    await disconnectDatabase();
+  } finally {
+    process.exit(0);
+  }
+};
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
+
+const start = async () => {
+  try {
+    await connectDatabase();
+    logger.info('Database connected successfully');
+
+    analysisService.startWorker();
+    analysisService.webhooks.startWorker();
+    await analysisService.notifications.startWorker();
+    await scheduleService.startWorker();
+
+    logger.info('Analysis worker started', {
+      queue: config.queue.name,
+      concurrency: config.queue.concurrency,
+      attempts: config.queue.attempts,
+      environment: config.env,
+      processId: process.pid,
+    });
+  } catch (error) {
+    logger.error('Failed to start analysis worker:', error);
+    process.exit(1);
+  }
+};
+
+start();